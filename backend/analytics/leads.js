@@ -0,0 +1,157 @@
+// ---------------------
+// Lead analytics
+// Volume, breakdowns, response times and the status funnel, computed from
+// plain lead objects one at a time. index.js streams and scopes the leads;
+// nothing here touches the database. Time buckets are in UTC and weeks start
+// on Monday.
+// ---------------------
+
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pipeline order for the funnel; "lost" is reported separately
+export const FUNNEL_STAGES = ["new", "contacted", "qualified", "quoted", "won"];
+
+// Start of the day/week/month that `date` falls in
+export function bucketStart(date, interval) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  if (interval === "week") start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (interval === "month") start.setUTCDate(1);
+  return start;
+}
+
+function nextBucket(start, interval) {
+  const d = new Date(start);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCDate(d.getUTCDate() + (interval === "week" ? 7 : 1));
+  return d;
+}
+
+// Validate ?from=&to=&interval=. Defaults to the last 30 days by day.
+// Returns { errors } or { from, to, interval }.
+export function parseAnalyticsRange({ from, to, interval } = {}, now = new Date()) {
+  const errors = {};
+  const range = { interval: interval || "day" };
+  if (!ANALYTICS_INTERVALS.includes(range.interval)) errors.interval = `interval must be one of ${ANALYTICS_INTERVALS.join(", ")}`;
+  range.to = to ? new Date(to) : now;
+  if (isNaN(range.to)) errors.to = "Invalid date";
+  range.from = from ? new Date(from) : new Date(range.to.getTime() - 30 * DAY_MS);
+  if (isNaN(range.from)) errors.from = "Invalid date";
+  if (!Object.keys(errors).length) {
+    if (range.from > range.to) errors.from = "from must be before to";
+    else if (countBuckets(range) > MAX_BUCKETS) errors.interval = `Too many ${range.interval}s in this range, pick a longer interval`;
+  }
+  return Object.keys(errors).length ? { errors } : range;
+}
+
+function countBuckets({ from, to, interval }) {
+  const days = (to - from) / DAY_MS;
+  return interval === "month" ? days / 28 : interval === "week" ? days / 7 : days;
+}
+
+// Running totals for one report. `dimensions` maps each breakdown name to a
+// function (lead, business) returning a { key, label } or a list of them (a
+// lead asking about three products counts once for each). Feed leads with
+// add(lead, business, firstReplyAt), where firstReplyAt is the lead's first
+// business reply if any, then read the report with result().
+export function createLeadReport({ from, to, interval }, dimensions = {}) {
+  const volume = new Map();
+  for (let t = bucketStart(from, interval); t <= to; t = nextBucket(t, interval)) {
+    volume.set(t.getTime(), { start: t, count: 0, won: 0 });
+  }
+  const groups = Object.fromEntries(Object.keys(dimensions).map((name) => [name, new Map()]));
+  const minutes = [];
+  const reached = FUNNEL_STAGES.map(() => 0);
+  let total = 0;
+  let lost = 0;
+
+  function add(lead, business = {}, firstReplyAt = null) {
+    const won = lead.status === "won";
+    total += 1;
+    if (lead.status === "lost") lost += 1;
+
+    const bucket = volume.get(bucketStart(lead.timestamp, interval).getTime());
+    if (bucket) {
+      bucket.count += 1;
+      if (won) bucket.won += 1;
+    }
+
+    for (const [name, keyOf] of Object.entries(dimensions)) {
+      for (const { key, label } of [].concat(keyOf(lead, business) || [])) {
+        const k = key ?? "";
+        const g = groups[name].get(k) || { key: k || null, label: label || "Unknown", count: 0, won: 0 };
+        g.count += 1;
+        if (won) g.won += 1;
+        groups[name].set(k, g);
+      }
+    }
+
+    const elapsed = responseMinutes(lead, firstReplyAt);
+    if (elapsed !== null) minutes.push(elapsed);
+
+    // Furthest stage in the lead's history (a lead lost after a quote still
+    // counts as quoted)
+    const seen = [lead.status, ...(lead.activity || []).map((a) => a.to)];
+    const furthest = Math.max(0, ...seen.map((s) => FUNNEL_STAGES.indexOf(s)));
+    for (let i = 0; i <= furthest; i++) reached[i] += 1;
+  }
+
+  function result() {
+    const report = { total, volume: [...volume.values()] };
+    for (const [name, g] of Object.entries(groups)) report[name] = rankGroups(g);
+    report.responseTime = summarizeMinutes(minutes, total);
+    report.funnel = {
+      stages: FUNNEL_STAGES.map((stage, i) => ({
+        stage,
+        count: reached[i],
+        rateFromStart: rate(reached[i], total),
+        rateFromPrevious: i === 0 ? 1 : rate(reached[i], reached[i - 1]),
+      })),
+      lost,
+    };
+    return report;
+  }
+
+  return { add, result };
+}
+
+// Most leads first, with the conversion rate of each group
+function rankGroups(groups, limit = 20) {
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit)
+    .map((g) => ({ ...g, conversionRate: rate(g.won, g.count) }));
+}
+
+// When the business first reacted to a lead: the earliest status change or
+// business reply. Minutes after the lead came in, or null if neither happened.
+function responseMinutes(lead, firstReplyAt) {
+  const changes = (lead.activity || []).filter((a) => a.type === "status_changed").map((a) => new Date(a.at).getTime());
+  if (firstReplyAt) changes.push(new Date(firstReplyAt).getTime());
+  if (!changes.length) return null;
+  return Math.max(Math.min(...changes) - new Date(lead.timestamp).getTime(), 0) / 60000;
+}
+
+function summarizeMinutes(minutes, total) {
+  minutes.sort((a, b) => a - b);
+  const pick = (p) => (minutes.length ? round1(minutes[Math.min(minutes.length - 1, Math.floor(p * minutes.length))]) : null);
+  return {
+    responded: minutes.length,
+    unanswered: total - minutes.length,
+    averageMinutes: minutes.length ? round1(minutes.reduce((s, m) => s + m, 0) / minutes.length) : null,
+    medianMinutes: pick(0.5),
+    p90Minutes: pick(0.9),
+    within1h: minutes.filter((m) => m <= 60).length,
+    within24h: minutes.filter((m) => m <= 24 * 60).length,
+  };
+}
+
+function rate(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
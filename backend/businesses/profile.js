@@ -0,0 +1,142 @@
+// ---------------------
+// Business profile
+// Validation for the public profile a business edits from its dashboard:
+// media, contact hours, website, registration number, year established and
+// a structured address, plus the slug used in /b/<slug> URLs. Nothing here
+// touches the database; index.js checks that a slug is not taken.
+// ---------------------
+
+import { slugify } from "../categories/taxonomy.js";
+
+export const PROFILE_DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+export const MAX_GALLERY_IMAGES = 12;
+export const ADDRESS_FIELDS = ["line1", "line2", "city", "state", "postalCode", "country"];
+
+// Fields anyone can see on a profile page
+export const PUBLIC_PROFILE_FIELDS =
+  "name slug category categoryId location description logo coverImage gallery website registrationNumber yearEstablished address hours verified verifiedAt";
+
+const TEXT_LIMITS = { name: 120, description: 4000, location: 120, registrationNumber: 30 };
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Only http(s) links are stored, so a profile can't carry javascript: URLs.
+// A website typed without a scheme ("acme.in") gets https://.
+function cleanUrl(value, { addScheme = false } = {}) {
+  let text = String(value || "").trim();
+  if (!text) return "";
+  if (addScheme && !/^[a-z][a-z0-9+.-]*:/i.test(text)) text = `https://${text}`;
+  try {
+    const url = new URL(text);
+    const host = url.hostname.includes(".") || url.hostname === "localhost";
+    return ["http:", "https:"].includes(url.protocol) && host ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// "Acme Steel Traders" -> "acme-steel-traders". Slugs that look like an
+// ObjectId are refused so /api/businesses/:idOrSlug stays unambiguous.
+export function profileSlug(text) {
+  const slug = slugify(text);
+  return /^[a-f0-9]{24}$/.test(slug) ? `${slug}-b` : slug;
+}
+
+// Check a profile update. Only the fields present in `input` are returned;
+// empty strings clear a field. Returns { errors } or { values }.
+export function validateProfileInput(input) {
+  const errors = {};
+  const values = {};
+  const has = (key) => input[key] !== undefined;
+
+  for (const [key, max] of Object.entries(TEXT_LIMITS)) {
+    if (!has(key)) continue;
+    values[key] = String(input[key] ?? "").trim();
+    if (values[key].length > max) errors[key] = `At most ${max} characters`;
+  }
+  if (has("name") && !values.name) errors.name = "Name is required";
+  if (values.registrationNumber) {
+    values.registrationNumber = values.registrationNumber.toUpperCase();
+    if (!/^[A-Z0-9][A-Z0-9/-]{4,29}$/.test(values.registrationNumber)) {
+      errors.registrationNumber = "Use letters, digits, '-' or '/' (e.g. a 15-character GSTIN)";
+    }
+  }
+
+  if (has("slug")) {
+    const raw = String(input.slug ?? "").trim();
+    values.slug = profileSlug(raw);
+    if (values.slug.length < 3) errors.slug = "Slug must have at least 3 letters or digits";
+    else if (values.slug !== raw.toLowerCase()) errors.slug = `Use lowercase letters, digits and dashes, e.g. "${values.slug}"`;
+  }
+
+  if (has("website")) {
+    values.website = cleanUrl(input.website, { addScheme: true });
+    if (values.website === null) errors.website = "Enter a valid http(s) address";
+  }
+  for (const key of ["logo", "coverImage"]) {
+    if (!has(key)) continue;
+    values[key] = cleanUrl(input[key]);
+    if (values[key] === null) errors[key] = "Enter a valid image URL";
+  }
+  if (has("gallery")) {
+    const list = Array.isArray(input.gallery) ? input.gallery : [];
+    values.gallery = list.map((u) => cleanUrl(u)).filter((u) => u !== "");
+    if (values.gallery.includes(null)) errors.gallery = "Every gallery image needs a valid URL";
+    else if (values.gallery.length > MAX_GALLERY_IMAGES) errors.gallery = `At most ${MAX_GALLERY_IMAGES} gallery images`;
+  }
+
+  if (has("yearEstablished")) {
+    const raw = input.yearEstablished;
+    const year = Number(raw);
+    values.yearEstablished = raw === "" || raw === null ? null : year;
+    if (values.yearEstablished !== null && (!Number.isInteger(year) || year < 1800 || year > new Date().getFullYear())) {
+      errors.yearEstablished = `Year must be between 1800 and ${new Date().getFullYear()}`;
+    }
+  }
+
+  if (has("address")) {
+    const address = input.address || {};
+    values.address = {};
+    for (const key of ADDRESS_FIELDS) {
+      values.address[key] = String(address[key] ?? "").trim();
+      if (values.address[key].length > 120) errors[`address.${key}`] = `At most 120 characters`;
+    }
+  }
+
+  // One entry per day: { day, closed } or { day, open: "09:00", close: "18:00" }
+  if (has("hours")) {
+    const list = Array.isArray(input.hours) ? input.hours : [];
+    values.hours = [];
+    for (const entry of list) {
+      const day = String(entry?.day || "").toLowerCase();
+      if (!PROFILE_DAYS.includes(day)) {
+        errors.hours = `Unknown day "${entry?.day}"`;
+        break;
+      }
+      if (values.hours.some((h) => h.day === day)) {
+        errors.hours = `${day} is listed twice`;
+        break;
+      }
+      if (entry.closed) {
+        values.hours.push({ day, closed: true });
+        continue;
+      }
+      const open = String(entry.open || "");
+      const close = String(entry.close || "");
+      if (!TIME.test(open) || !TIME.test(close) || open >= close) {
+        errors.hours = `Opening hours for ${day} must be HH:MM, opening before closing`;
+        break;
+      }
+      values.hours.push({ day, open, close, closed: false });
+    }
+    values.hours.sort((a, b) => PROFILE_DAYS.indexOf(a.day) - PROFILE_DAYS.indexOf(b.day));
+  }
+
+  return Object.keys(errors).length ? { errors } : { values };
+}
+
+// One line for the address, skipping blanks: "12 MG Road, Pune, Maharashtra 411001, India"
+export function formatAddress(address) {
+  if (!address) return "";
+  const region = [address.state, address.postalCode].filter(Boolean).join(" ");
+  return [address.line1, address.line2, address.city, region, address.country].filter(Boolean).join(", ");
+}
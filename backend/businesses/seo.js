@@ -0,0 +1,116 @@
+// ---------------------
+// Profile pages for crawlers
+// The frontend is a single-page app, so link previews and search engines see
+// an empty shell. These render a business profile as plain HTML with its meta
+// tags (Open Graph, Twitter card, canonical link, schema.org JSON-LD), and the
+// sitemap that lists every profile.
+// ---------------------
+
+import { formatAddress } from "./profile.js";
+
+const DAY_NAMES = { mon: "Monday", tue: "Tuesday", wed: "Wednesday", thu: "Thursday", fri: "Friday", sat: "Saturday", sun: "Sunday" };
+
+// Link-preview bots and search engines; everyone else is sent on to the app
+const CRAWLER = /bot|crawler|spider|crawling|facebookexternalhit|facebot|slurp|embedly|quora link preview|whatsapp|telegram|skypeuripreview|vkshare|pinterest|discord|slack|linkedin/i;
+
+export function isCrawler(userAgent) {
+  return CRAWLER.test(String(userAgent || ""));
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// First ~160 characters on a word boundary, for meta descriptions
+function summary(text, max = 160) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.lastIndexOf(" ", max - 1);
+  return clean.slice(0, cut > max / 2 ? cut : max - 1) + "…";
+}
+
+// schema.org LocalBusiness for rich results
+function structuredData(business, url) {
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "LocalBusiness",
+    name: business.name,
+    url,
+    description: business.description || undefined,
+    image: business.coverImage || business.logo || undefined,
+    logo: business.logo || undefined,
+    sameAs: business.website ? [business.website] : undefined,
+    foundingDate: business.yearEstablished ? String(business.yearEstablished) : undefined,
+    taxID: business.registrationNumber || undefined,
+  };
+  const a = business.address || {};
+  if (formatAddress(a)) {
+    data.address = {
+      "@type": "PostalAddress",
+      streetAddress: [a.line1, a.line2].filter(Boolean).join(", ") || undefined,
+      addressLocality: a.city || business.location || undefined,
+      addressRegion: a.state || undefined,
+      postalCode: a.postalCode || undefined,
+      addressCountry: a.country || undefined,
+    };
+  }
+  const open = (business.hours || []).filter((h) => !h.closed);
+  if (open.length) {
+    data.openingHoursSpecification = open.map((h) => ({ "@type": "OpeningHoursSpecification", dayOfWeek: DAY_NAMES[h.day], opens: h.open, closes: h.close }));
+  }
+  // "</script>" inside a value must not end the block
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+// Full HTML document for a profile. `url` is the canonical app URL of the
+// profile (where index.js sends visitors that aren't crawlers).
+export function renderProfilePage({ business, products = [], url }) {
+  const title = [business.name, business.category, business.location].filter(Boolean).join(" · ");
+  const description = summary(business.description) || `${business.name}${business.location ? ` in ${business.location}` : ""}. Send an inquiry.`;
+  const image = business.coverImage || business.logo || (business.gallery || [])[0] || "";
+  const address = formatAddress(business.address);
+  const hours = (business.hours || [])
+    .map((h) => `<li>${DAY_NAMES[h.day]}: ${h.closed ? "Closed" : `${escapeHtml(h.open)}–${escapeHtml(h.close)}`}</li>`)
+    .join("");
+  const productItems = products
+    .map((p) => `<li>${escapeHtml(p.name)}${typeof p.price === "number" ? ` – ₹${escapeHtml(p.price)}` : ""}</li>`)
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="description" content="${escapeHtml(description)}">
+<link rel="canonical" href="${escapeHtml(url)}">
+<meta property="og:type" content="business.business">
+<meta property="og:title" content="${escapeHtml(business.name)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(url)}">
+${image ? `<meta property="og:image" content="${escapeHtml(image)}">\n` : ""}<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}">
+<meta name="twitter:title" content="${escapeHtml(business.name)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+${image ? `<meta name="twitter:image" content="${escapeHtml(image)}">\n` : ""}<script type="application/ld+json">${structuredData(business, url)}</script>
+</head>
+<body>
+${business.logo ? `<img src="${escapeHtml(business.logo)}" alt="${escapeHtml(business.name)} logo" width="96">\n` : ""}<h1>${escapeHtml(business.name)}</h1>
+${business.verified ? "<p>Verified business</p>\n" : ""}<p>${escapeHtml([business.category, business.location].filter(Boolean).join(" · "))}</p>
+${business.description ? `<p>${escapeHtml(business.description)}</p>\n` : ""}${address ? `<p>${escapeHtml(address)}</p>\n` : ""}${business.yearEstablished ? `<p>Established ${escapeHtml(business.yearEstablished)}</p>\n` : ""}${business.website ? `<p><a href="${escapeHtml(business.website)}" rel="nofollow">${escapeHtml(business.website)}</a></p>\n` : ""}${hours ? `<h2>Opening hours</h2><ul>${hours}</ul>\n` : ""}${productItems ? `<h2>Products</h2><ul>${productItems}</ul>\n` : ""}<p><a href="${escapeHtml(url)}">Send an inquiry to ${escapeHtml(business.name)}</a></p>
+</body>
+</html>
+`;
+}
+
+// sitemap.xml for [{ loc, lastmod? }]
+export function sitemapXml(entries) {
+  const urls = entries
+    .map((e) => `  <url><loc>${escapeHtml(e.loc)}</loc>${e.lastmod ? `<lastmod>${new Date(e.lastmod).toISOString().slice(0, 10)}</lastmod>` : ""}</url>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls}\n</urlset>\n`;
+}
@@ -0,0 +1,67 @@
+// ---------------------
+// Business verification
+// A business proves it is real by uploading documents (GST certificate,
+// incorporation certificate, ...) that an admin reviews. Approval marks the
+// business `verified`: a badge on its listings and a boost in search results.
+// Nothing here touches the database or the files themselves.
+// ---------------------
+
+export const VERIFICATION_STATUSES = ["pending", "approved", "rejected"];
+
+export const DOCUMENT_TYPES = {
+  gst_certificate: "GST certificate",
+  incorporation_certificate: "Certificate of incorporation",
+  trade_licence: "Trade licence / shop establishment",
+  pan_card: "Business PAN card",
+  address_proof: "Address proof (utility bill, lease)",
+  other: "Other",
+};
+
+export const MAX_VERIFICATION_DOCUMENTS = 5;
+export const VERIFICATION_DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+export const DOCUMENT_MIME_TYPES = ["application/pdf", "image/png", "image/jpeg", "image/webp"];
+
+const NOTE_MAX = 1000;
+const REASON_MIN = 5;
+const REASON_MAX = 1000;
+
+// Check an upload: `files` from multer and `types` (one per file, in order,
+// as multipart sends them: a string for one file, an array for several).
+// Returns { errors } or { documents: [{ type, ...file }], note }.
+export function validateSubmission({ files, types, note }) {
+  const errors = {};
+  const list = files || [];
+  const typeList = [].concat(types ?? []);
+  if (!list.length) errors.documents = "Attach at least one document";
+  else if (list.length > MAX_VERIFICATION_DOCUMENTS) errors.documents = `At most ${MAX_VERIFICATION_DOCUMENTS} documents`;
+  const unknown = list.map((_, i) => typeList[i] || "other").find((t) => !DOCUMENT_TYPES[t]);
+  if (unknown) errors.types = `Unknown document type "${unknown}"`;
+  const text = String(note ?? "").trim();
+  if (text.length > NOTE_MAX) errors.note = `At most ${NOTE_MAX} characters`;
+  if (Object.keys(errors).length) return { errors };
+
+  const documents = list.map((file, i) => ({
+    type: typeList[i] || "other",
+    originalName: String(file.originalname || "").slice(0, 200),
+    filename: file.filename,
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+  return { documents, note: text };
+}
+
+// A rejection needs a reason the business can act on; it is emailed to them
+export function validateRejection({ reason }) {
+  const text = String(reason ?? "").trim();
+  if (text.length < REASON_MIN) return { errors: { reason: "Give the business a reason so they can fix it" } };
+  if (text.length > REASON_MAX) return { errors: { reason: `At most ${REASON_MAX} characters` } };
+  return { reason: text };
+}
+
+// What the dashboard shows: "verified", "pending", "rejected" or "unverified"
+export function verificationState(business, latestRequest) {
+  if (business?.verified) return "verified";
+  if (latestRequest?.status === "pending") return "pending";
+  if (latestRequest?.status === "rejected") return "rejected";
+  return "unverified";
+}
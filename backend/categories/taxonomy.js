@@ -0,0 +1,166 @@
+// ---------------------
+// Category taxonomy
+// The admin-managed category tree: slugs, parent/child lookups and matching
+// free text ("textile", "Textile Mfg") onto a category through its name, slug
+// and synonyms. index.js and scripts/migrateCategories.js load the categories;
+// nothing here touches the database.
+// ---------------------
+
+import { searchTerms } from "../directory/search.js";
+
+export const MAX_CATEGORY_DEPTH = 4;
+const MAX_SYNONYMS = 30;
+
+// Trade words that don't change what a business does ("Textile Mfg" is "Textile")
+const FILLER_WORDS = new Set([
+  "co", "company", "companies", "dealer", "distributor", "enterprise", "export", "exporter", "import", "importer",
+  "industry", "industries", "ltd", "manufacturer", "manufacturing", "mfg", "pvt", "service", "shop", "store",
+  "supplier", "supply", "supplies", "trader", "trading", "wholesale", "wholesaler",
+].flatMap((w) => searchTerms(w)));
+
+// "Steel & Metal Pipes" -> "steel-metal-pipes"
+export function slugify(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+// What two spellings of a category have in common: stemmed words without
+// filler, so "Textiles", "textile" and "Textile Mfg" all become "textile"
+export function categoryKey(text) {
+  const terms = searchTerms(String(text || "").replace(/-/g, " "));
+  const meaningful = terms.filter((t) => !FILLER_WORDS.has(t));
+  return (meaningful.length ? meaningful : terms).join(" ");
+}
+
+// Every key a category answers to: its name, slug and synonyms
+function keysOf(category) {
+  return [category.name, category.slug, ...(category.synonyms || [])].map(categoryKey).filter(Boolean);
+}
+
+// Best category for a free-text value, or null. Matches on the name, slug or
+// a synonym; when several categories share a key the shallowest wins.
+export function matchCategory(categories, text) {
+  const key = categoryKey(text);
+  if (!key) return null;
+  const depth = depthLookup(categories);
+  const hits = categories.filter((c) => keysOf(c).includes(key));
+  hits.sort((a, b) => depth(a) - depth(b));
+  return hits[0] || null;
+}
+
+function depthLookup(categories) {
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+  return (c) => {
+    let depth = 0;
+    for (let p = c; p?.parentId && depth <= categories.length; p = byId.get(String(p.parentId))) depth += 1;
+    return depth;
+  };
+}
+
+// Root-first chain of categories ending with `id` (for breadcrumbs)
+export function categoryPath(categories, id) {
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+  const path = [];
+  for (let c = byId.get(String(id)); c && path.length <= categories.length; c = c.parentId ? byId.get(String(c.parentId)) : null) {
+    path.unshift(c);
+  }
+  return path;
+}
+
+// Ids of `id` and everything below it
+export function descendantIds(categories, id) {
+  const ids = [String(id)];
+  for (let i = 0; i < ids.length; i++) {
+    for (const c of categories) if (c.parentId && String(c.parentId) === ids[i]) ids.push(String(c._id));
+  }
+  return ids;
+}
+
+// Nested [{ ...category, children }] sorted by name at every level.
+// `counts` (id -> number) adds businessCount, including subcategories.
+export function buildTree(categories, counts = null) {
+  const nodes = new Map(categories.map((c) => [String(c._id), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    (parent ? parent.children : roots).push(node);
+  }
+  const finish = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    for (const node of list) {
+      finish(node.children);
+      if (counts) node.businessCount = (counts.get(String(node._id)) || 0) + node.children.reduce((n, c) => n + c.businessCount, 0);
+    }
+    return list;
+  };
+  return finish(roots);
+}
+
+// Check a category create/update against the rest of the tree. `current` is
+// the category being edited (null when creating). Returns { errors } or { values }.
+export function validateCategoryInput(input, categories, current = null) {
+  const errors = {};
+  const values = {};
+  const others = categories.filter((c) => !current || String(c._id) !== String(current._id));
+
+  if (!current || input.name !== undefined) {
+    values.name = String(input.name || "").trim();
+    if (!values.name) errors.name = "Name is required";
+    else if (values.name.length > 80) errors.name = "Name must be at most 80 characters";
+  }
+
+  if (input.slug !== undefined || !current) {
+    values.slug = slugify(input.slug || values.name || current?.name);
+    if (!values.slug) errors.slug = "Slug must contain letters or numbers";
+    else if (others.some((c) => c.slug === values.slug)) errors.slug = `Slug "${values.slug}" is already used by another category`;
+  } else if (values.name && !current.slug) {
+    values.slug = slugify(values.name);
+  }
+
+  if (input.synonyms !== undefined) {
+    const list = Array.isArray(input.synonyms) ? input.synonyms : String(input.synonyms || "").split(",");
+    values.synonyms = [...new Set(list.map((s) => String(s).trim()).filter(Boolean))];
+    if (values.synonyms.length > MAX_SYNONYMS) errors.synonyms = `At most ${MAX_SYNONYMS} synonyms`;
+  }
+
+  if (input.parentId !== undefined) {
+    values.parentId = input.parentId || null;
+    if (values.parentId) {
+      const path = categoryPath(categories, values.parentId);
+      if (!path.length) errors.parentId = "Parent category not found";
+      else if (current && path.some((c) => String(c._id) === String(current._id))) errors.parentId = "A category cannot be moved under itself";
+      else {
+        // depth of the deepest branch that moves along with this category
+        const below = current ? subtreeHeight(categories, current._id) : 0;
+        if (path.length + 1 + below > MAX_CATEGORY_DEPTH) errors.parentId = `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`;
+      }
+    }
+  }
+
+  // Two categories answering to the same word would make free-text matching ambiguous
+  if (!errors.name && !errors.slug && !errors.synonyms) {
+    const name = values.name ?? current?.name;
+    const slug = values.slug ?? current?.slug;
+    const synonyms = values.synonyms ?? current?.synonyms ?? [];
+    const owner = (texts) => {
+      const keys = texts.map(categoryKey).filter(Boolean);
+      return others.find((c) => keysOf(c).some((k) => keys.includes(k)));
+    };
+    const nameClash = owner([name, slug]);
+    const synonymClash = !nameClash && owner(synonyms);
+    if (nameClash) errors.name = `"${nameClash.name}" already covers this name`;
+    else if (synonymClash) errors.synonyms = `"${synonymClash.name}" already covers one of these synonyms`;
+  }
+
+  return Object.keys(errors).length ? { errors } : { values };
+}
+
+function subtreeHeight(categories, id) {
+  const children = categories.filter((c) => c.parentId && String(c.parentId) === String(id));
+  return children.length ? 1 + Math.max(...children.map((c) => subtreeHeight(categories, c._id))) : 0;
+}
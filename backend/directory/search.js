@@ -0,0 +1,115 @@
+// ---------------------
+// Directory search
+// Keyword matching, relevance scoring and facet counts for the public business
+// directory and the product marketplace. index.js queries the candidates;
+// nothing here touches the database.
+// ---------------------
+
+// Words that carry no meaning in a search like "steel pipes in pune"
+const STOP_WORDS = new Set(["a", "an", "and", "at", "by", "for", "from", "in", "near", "of", "on", "or", "the", "to", "with"]);
+
+// Points for a keyword found in each field; a name hit counts most
+const FIELD_WEIGHTS = { name: 5, category: 3, products: 3, location: 2, description: 1 };
+const PRODUCT_FIELD_WEIGHTS = { name: 5, sku: 4, description: 1 };
+
+// Verified businesses (and their products) score this much higher, so they
+// lead among similar matches without burying a much better one
+export const VERIFIED_BOOST = 1.25;
+
+// Rough English stem for substring matching: "pipes" -> "pipe", "boxes" -> "box",
+// "batteries" -> "batter" (finds "battery" too)
+function stem(w) {
+  if (w.length <= 3 || w.endsWith("ss") || !w.endsWith("s")) return w;
+  if (w.endsWith("ies") && w.length > 4) return w.slice(0, -3);
+  if (/(x|ch|sh|ss)es$/.test(w)) return w.slice(0, -2);
+  return w.slice(0, -1);
+}
+
+// "Steel Pipes in Pune" -> ["steel", "pipe", "pune"]. Terms match by
+// substring, so trimming plurals lets "pipes" find "pipe".
+export function searchTerms(q) {
+  return [...new Set(
+    String(q || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((w) => w && !STOP_WORDS.has(w))
+      .map(stem)
+  )].slice(0, 8);
+}
+
+// Facet values are grouped case-insensitively
+export const facetKey = (value) => String(value || "").trim().toLowerCase();
+
+// Sum of field weights for every term, or 0 when some term matches nothing.
+// `fields` hold lower-cased text.
+function scoreFields(fields, weights, terms) {
+  let score = 0;
+  for (const term of terms) {
+    let hit = 0;
+    for (const [field, weight] of Object.entries(weights)) {
+      if (!fields[field].includes(term)) continue;
+      // whole-word matches beat partial ones ("pipe" in "pipes" vs "pipeline")
+      const wordStart = new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "u").test(fields[field]);
+      hit += weight * (wordStart ? 2 : 1);
+    }
+    if (!hit) return 0;
+    score += hit;
+  }
+  return score;
+}
+
+// Extra points when the whole query appears in the name, more for an exact name
+function phraseBonus(name, phrase) {
+  const p = facetKey(phrase);
+  if (!p || !name.includes(p)) return 0;
+  return name === p ? 20 : 10;
+}
+
+// Relevance of a business for `terms`, or 0 when some term matches nothing.
+// `productNames` are the business's products that mention any term.
+export function scoreBusiness(business, terms, productNames = [], phrase = "") {
+  if (!terms.length) return 1;
+  const fields = {
+    name: facetKey(business.name),
+    category: facetKey(business.category),
+    location: facetKey(business.location),
+    description: facetKey(business.description),
+    products: productNames.map(facetKey).join(" \n "),
+  };
+  const score = scoreFields(fields, FIELD_WEIGHTS, terms);
+  return score && boost(score + phraseBonus(fields.name, phrase), business.verified);
+}
+
+// Relevance of a product for `terms` across its name, SKU and description;
+// `supplier` is the business selling it
+export function scoreProduct(product, terms, phrase = "", supplier = {}) {
+  if (!terms.length) return 1;
+  const fields = { name: facetKey(product.name), sku: facetKey(product.sku), description: facetKey(product.description) };
+  const score = scoreFields(fields, PRODUCT_FIELD_WEIGHTS, terms);
+  return score && boost(score + phraseBonus(fields.name, phrase), supplier.verified);
+}
+
+function boost(score, verified) {
+  return verified ? Math.round(score * VERIFIED_BOOST * 100) / 100 : score;
+}
+
+// [{ value, count }] for a facet, most common first, from counts the database
+// grouped by exact value ([{ value, count }], e.g. from a $group). Spellings of
+// one value are merged; the one shown is the spelling most businesses use,
+// preferring capitalised ones on a tie.
+export function mergeFacetCounts(rows, limit = 30) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = facetKey(row.value);
+    if (!key) continue;
+    const g = groups.get(key) || { count: 0, spellings: new Map() };
+    g.count += row.count;
+    const spelling = String(row.value).trim();
+    g.spellings.set(spelling, (g.spellings.get(spelling) || 0) + row.count);
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map((g) => ({ value: [...g.spellings].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], "en", { caseFirst: "upper" }))[0][0], count: g.count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}
@@ -8,48 +8,97 @@ import nodemailer from "nodemailer";
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import http from "http";
+import { Server as SocketServer } from "socket.io";
+import { initStorage, createModel } from "./storage/index.js";
+import { newLeadEmail, inquiryConfirmationEmail, guestVerificationEmail, emailConfirmationEmail, teamInvitationEmail, followUpReminderEmail, newMessageEmail, quoteSentEmail, quoteResponseEmail, verificationResultEmail } from "./mail/templates.js";
+import { parseQuoteItems, priceQuote } from "./quotes/pricing.js";
+import { renderQuotePdf } from "./quotes/pdf.js";
+import { checkWebhookTarget } from "./webhooks/targets.js";
+import { parseAnalyticsRange, createLeadReport } from "./analytics/leads.js";
+import { EXPORT_FORMATS, LEAD_EXPORT_COLUMNS, parseExportColumns } from "./leads/export.js";
+import { customerLeadView } from "./leads/view.js";
+import { createCsvWriter } from "./spreadsheet/csv.js";
+import { createXlsxWriter } from "./spreadsheet/xlsx.js";
+import { readSpreadsheet } from "./spreadsheet/read.js";
+import { validateProductInput, suggestMapping, parseMapping, rowToProduct } from "./products/catalog.js";
+import { searchTerms, scoreBusiness, scoreProduct, facetKey, mergeFacetCounts } from "./directory/search.js";
+import { matchCategory, categoryPath, descendantIds, buildTree, validateCategoryInput } from "./categories/taxonomy.js";
+import { PUBLIC_PROFILE_FIELDS, MAX_GALLERY_IMAGES, profileSlug, validateProfileInput } from "./businesses/profile.js";
+import { isCrawler, renderProfilePage, sitemapXml } from "./businesses/seo.js";
+import { VERIFICATION_STATUSES, DOCUMENT_TYPES, DOCUMENT_MIME_TYPES, MAX_VERIFICATION_DOCUMENTS, VERIFICATION_DOCUMENT_MAX_BYTES, validateSubmission, validateRejection, verificationState } from "./businesses/verification.js";
+import { normalizeEmail, normalizePhone, normalizeMessage, normalizeProductRefs, scoreLead, createThrottle, verifyChallenge } from "./leads/quality.js";
 
 dotenv.config();
 const app = express();
-app.use(cors());
+// Behind a reverse proxy req.ip (used by the lead throttles) is the proxy's
+// address unless Express is told to trust it. TRUST_PROXY takes what
+// `trust proxy` does: true, a hop count, or addresses/subnets ("loopback, 10.0.0.0/8").
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY.trim();
+  app.set("trust proxy", value === "true" ? true : value === "false" ? false : /^\d+$/.test(value) ? Number(value) : value);
+}
+// The widget endpoints answer CORS per business instead (see WIDGET below)
+const openCors = cors();
+app.use((req, res, next) => (req.path.startsWith("/api/widget/") ? next() : openCors(req, res, next)));
 app.use(express.json());
 
+const server = http.createServer(app);
+const io = new SocketServer(server, { cors: { origin: "*" } });
+
 // Ensure uploads folder exists and serve static files
 const uploadsDir = path.join(process.cwd(), 'uploads');
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
 app.use('/uploads', express.static(uploadsDir));
 
+function uploadFilename(req, file, cb) {
+  const ext = path.extname(file.originalname) || '';
+  const name = `${Date.now()}-${Math.random().toString(36).substring(2,8)}${ext}`;
+  cb(null, name);
+}
+
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadsDir);
   },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname) || '';
-    const name = `${Date.now()}-${Math.random().toString(36).substring(2,8)}${ext}`;
-    cb(null, name);
-  }
+  filename: uploadFilename
 });
 const upload = multer({ storage });
 
+// Verification documents are private: kept outside uploads/ and only
+// downloadable by admins and the business's managers
+const verificationDir = path.join(process.cwd(), 'verification-docs');
+if (!fs.existsSync(verificationDir)) fs.mkdirSync(verificationDir, { recursive: true });
+const verificationStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, verificationDir);
+  },
+  filename: uploadFilename
+});
+
 // ---------------------
-// MongoDB Connection
+// Storage: MongoDB when MONGO_URI is set, otherwise in-memory
+// (set MEMORY_STORE_FILE to keep the in-memory data in a JSON file)
 // ---------------------
 const MONGO_URI = process.env.MONGO_URI || "";
-if (MONGO_URI) {
-  mongoose
-    .connect(MONGO_URI)
-    .then(() => console.log("MongoDB connected"))
-    .catch((err) => console.log("MongoDB Error:", err));
-} else {
-  console.log("⚠ No MongoDB URI provided. Using in-memory storage.");
-}
+initStorage({ mongoUri: MONGO_URI, dataFile: process.env.MEMORY_STORE_FILE });
 
 // ---------------------
 // Mailer setup (optional)
-// Provide SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and NOTIFY_EMAIL in env
+// Provide SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and FROM_EMAIL in env.
+// Set MAIL_TRANSPORT=json to run without SMTP: messages are rendered and
+// logged instead of sent, so the outbox worker can be exercised offline.
+// Lead notifications go to the owner of the business; LEAD_NOTIFY_CC (comma
+// separated) is copied on every one, and NOTIFY_EMAIL / ADMIN_EMAIL receive
+// them when the business has no reachable owner.
 // ---------------------
 let mailer = null;
-if (process.env.SMTP_HOST && process.env.SMTP_USER) {
+if (process.env.MAIL_TRANSPORT === "json") {
+  mailer = nodemailer.createTransport({ jsonTransport: true });
+  console.log("Mailer configured (JSON transport, nothing is delivered)");
+} else if (process.env.SMTP_HOST && process.env.SMTP_USER) {
   try {
     mailer = nodemailer.createTransport({
       host: process.env.SMTP_HOST,
@@ -70,25 +119,130 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER) {
 // ---------------------
 // Models
 // ---------------------
+// Roles within a business team, least to most privileged. Agents work the
+// leads assigned to them, managers run all leads and settings, owners also
+// manage the team. Accounts from before teams existed count as owners.
+const BUSINESS_ROLES = ["agent", "manager", "owner"];
+
 const userSchema = new mongoose.Schema({
   name: String,
   email: String,
   password: String,
   role: { type: String, enum: ["admin", "business", "customer"], default: "business" },
   businessId: mongoose.Types.ObjectId,
+  businessRole: { type: String, enum: BUSINESS_ROLES },
   phone: String,
   address: String,
   bio: String,
+  // Set once the account proves it owns `email`; guest leads are only linked after that
+  emailVerifiedAt: Date,
+  emailTokenHash: String,
+  emailTokenExpiresAt: Date,
+  // Per-user switches for each kind of email we send
+  emailPrefs: {
+    newLead: { type: Boolean, default: true },
+    inquiryConfirmation: { type: Boolean, default: true },
+    messages: { type: Boolean, default: true },
+  },
 });
 
+// Embeddable inquiry widget (served as /widget.js). An empty allowedOrigins
+// list lets any site embed it.
+const WIDGET_FIELDS = ["name", "message", "product"];
+
+const widgetSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: true },
+  title: { type: String, default: "Send us an inquiry" },
+  buttonText: { type: String, default: "Send inquiry" },
+  primaryColor: { type: String, default: "#2563eb" },
+  backgroundColor: { type: String, default: "#ffffff" },
+  textColor: { type: String, default: "#0f172a" },
+  fields: { type: [{ type: String, enum: WIDGET_FIELDS }], default: ["name", "message"] },
+  allowedOrigins: { type: [String], default: [] },
+}, { _id: false });
+
+// How new leads are handed to agents: manual (nobody until a manager assigns),
+// round_robin (agents in turn) or workload (agent with the fewest open leads)
+const ASSIGNMENT_MODES = ["manual", "round_robin", "workload"];
+
+// Admin-managed category tree (see "Categories"). Businesses and products
+// point at one category; Business.category keeps its name for display and search.
+const categorySchema = new mongoose.Schema({
+  name: String,
+  slug: { type: String, index: true },
+  parentId: { type: mongoose.Types.ObjectId, default: null },
+  synonyms: { type: [String], default: [] },
+}, { timestamps: true });
+
+// Opening hours for one day of the week on a business profile
+const businessHoursSchema = new mongoose.Schema({
+  day: String,
+  open: String,
+  close: String,
+  closed: { type: Boolean, default: false },
+}, { _id: false });
+
 const businessSchema = new mongoose.Schema({
   name: String,
   owner: mongoose.Types.ObjectId,
   category: String,
+  categoryId: { type: mongoose.Types.ObjectId, index: true },
   location: String,
   description: String,
+  // Public profile (see "Business profile"); /b/<slug> is its address and
+  // earlier slugs keep redirecting there
+  slug: { type: String, index: true },
+  previousSlugs: { type: [String], default: [] },
+  logo: String,
+  coverImage: String,
+  gallery: { type: [String], default: [] },
+  website: String,
+  registrationNumber: String,
+  yearEstablished: Number,
+  address: {
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String,
+  },
+  hours: { type: [businessHoursSchema], default: [] },
+  // Set when an admin approves a verification request (see "Business verification")
+  verified: { type: Boolean, default: false, index: true },
+  verifiedAt: Date,
+  widget: { type: widgetSchema, default: () => ({}) },
+  assignment: {
+    mode: { type: String, enum: ASSIGNMENT_MODES, default: "manual" },
+    lastAssignedTo: mongoose.Types.ObjectId,
+  },
+  // Last quote number handed out (see nextQuoteNumber)
+  quoteCounter: Number,
 }, { timestamps: true });
 
+// Pipeline stages a lead moves through once it lands with a business
+const LEAD_STATUSES = ["new", "contacted", "qualified", "quoted", "won", "lost"];
+const CLOSED_LEAD_STATUSES = ["won", "lost"];
+
+// Append-only timeline entry recorded on every lead change
+const leadActivitySchema = new mongoose.Schema({
+  type: { type: String, default: "status_changed" },
+  from: String,
+  to: String,
+  note: String,
+  actor: mongoose.Types.ObjectId,
+  actorEmail: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Product a lead asks about, with a copy of its name and SKU at the time
+const leadProductSchema = new mongoose.Schema({
+  productId: mongoose.Types.ObjectId,
+  name: String,
+  sku: String,
+  quantity: { type: Number, default: 1 },
+}, { _id: false });
+
 const leadSchema = new mongoose.Schema({
   name: String,
   email: String,
@@ -97,11 +251,48 @@ const leadSchema = new mongoose.Schema({
   businessId: mongoose.Types.ObjectId,
   timestamp: Date,
   submittedBy: mongoose.Types.ObjectId,
+  // Requested products; productId mirrors the first one for older clients
+  products: { type: [leadProductSchema], default: [] },
+  productId: mongoose.Types.ObjectId,
+  source: { type: String, default: "web" },
+  apiKeyId: mongoose.Types.ObjectId,
+  status: { type: String, enum: LEAD_STATUSES, default: "new" },
+  activity: { type: [leadActivitySchema], default: [] },
+  assignedTo: mongoose.Types.ObjectId,
+  assignedAt: Date,
+  // Lead quality (see screenLead): 0-100 score and why; quarantined leads are
+  // held back from the business until an admin releases them
+  ip: String,
+  spamScore: { type: Number, default: 0 },
+  spamReasons: { type: [String], default: [] },
+  quarantined: { type: Boolean, default: false },
 });
 
-const User = mongoose.models.User || mongoose.model("User", userSchema);
-const Business = mongoose.models.Business || mongoose.model("Business", businessSchema);
-const Lead = mongoose.models.Lead || mongoose.model("Lead", leadSchema);
+// Inquiry from a visitor without an account, held back until they prove they
+// own the email address (one-time code or magic link). Becomes a Lead once verified.
+const guestInquirySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  phone: String,
+  message: String,
+  businessId: mongoose.Types.ObjectId,
+  products: [{ productId: mongoose.Types.ObjectId, quantity: Number, _id: false }],
+  codeHash: String,
+  tokenHash: { type: String, index: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: Date,
+  verifiedAt: Date,
+  leadId: mongoose.Types.ObjectId,
+  ip: String,
+  spamScore: Number,
+  spamReasons: [String],
+}, { timestamps: true });
+
+const User = createModel("User", userSchema);
+const Category = createModel("Category", categorySchema);
+const Business = createModel("Business", businessSchema);
+const Lead = createModel("Lead", leadSchema);
+const GuestInquiry = createModel("GuestInquiry", guestInquirySchema);
 
 const productSchema = new mongoose.Schema({
   name: String,
@@ -111,9 +302,257 @@ const productSchema = new mongoose.Schema({
   description: String,
   images: [String],
   businessId: mongoose.Types.ObjectId,
+  categoryId: mongoose.Types.ObjectId,
+  // Set on products created by a bulk upload: the job and the sheet row.
+  // A resumed job uses them to skip rows it already created.
+  importId: mongoose.Types.ObjectId,
+  importLine: Number,
+}, { timestamps: true });
+
+const Product = createModel('Product', productSchema);
+
+// Bulk product upload (see "Product imports"). Rows are kept until the job has
+// run; `mapping` holds the spreadsheet column index for each product field.
+const PRODUCT_IMPORT_STATUSES = ['preview', 'queued', 'running', 'completed', 'failed'];
+
+const productImportSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Types.ObjectId, index: true },
+  createdBy: mongoose.Types.ObjectId,
+  createdByEmail: String,
+  filename: String,
+  header: [String],
+  rows: [{ line: Number, values: [String], _id: false }],
+  mapping: {
+    name: Number,
+    sku: Number,
+    price: Number,
+    quantity: Number,
+    description: Number,
+  },
+  status: { type: String, enum: PRODUCT_IMPORT_STATUSES, default: 'preview' },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  // `errors` is a reserved Mongoose path name, hence `messages`
+  rowErrors: [{ line: Number, messages: mongoose.Schema.Types.Mixed, _id: false }],
+  error: String,
+  startedAt: Date,
+  heartbeatAt: Date,
+  finishedAt: Date,
+}, { timestamps: true });
+
+const ProductImport = createModel('ProductImport', productImportSchema);
+
+// Outbound email, written before delivery and worked off by the mail worker
+const EMAIL_STATUSES = ["pending", "sending", "sent", "failed"];
+
+const emailDeliverySchema = new mongoose.Schema({
+  attempt: Number,
+  status: String,
+  error: String,
+  note: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const outboxEmailSchema = new mongoose.Schema({
+  kind: String,
+  from: String,
+  to: [String],
+  cc: [String],
+  subject: String,
+  text: String,
+  html: String,
+  status: { type: String, enum: EMAIL_STATUSES, default: "pending" },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  deliveryLog: { type: [emailDeliverySchema], default: [] },
+}, { timestamps: true });
+
+const OutboxEmail = createModel('OutboxEmail', outboxEmailSchema);
+
+// Outgoing webhooks registered by a business, and one delivery per event sent
+const WEBHOOK_EVENTS = ["lead.created", "lead.status_changed", "product.created", "product.updated", "product.deleted"];
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "sending", "succeeded", "failed"];
+
+const webhookSchema = new mongoose.Schema({
+  businessId: mongoose.Types.ObjectId,
+  url: String,
+  description: String,
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  secret: String,
+  active: { type: Boolean, default: true },
+  createdBy: mongoose.Types.ObjectId,
+}, { timestamps: true });
+
+const webhookAttemptSchema = new mongoose.Schema({
+  attempt: Number,
+  status: String,
+  responseStatus: Number,
+  error: String,
+  durationMs: Number,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: mongoose.Types.ObjectId,
+  businessId: mongoose.Types.ObjectId,
+  event: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: "pending" },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  attemptLog: { type: [webhookAttemptSchema], default: [] },
+}, { timestamps: true });
+
+const Webhook = createModel('Webhook', webhookSchema);
+const WebhookDelivery = createModel('WebhookDelivery', webhookDeliverySchema);
+
+// API keys for server-to-server access. Only a SHA-256 hash of the secret is
+// stored (older keys may still carry a bcrypt hash until their next use);
+// `prefix` is the public part of the key used to look it up.
+const API_KEY_SCOPES = ["leads:create", "leads:read"];
+
+const apiKeySchema = new mongoose.Schema({
+  businessId: mongoose.Types.ObjectId,
+  name: String,
+  prefix: { type: String, index: true },
+  keyHash: String,
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  rateLimitPerMinute: { type: Number, default: 60 },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: { type: Number, default: 0 },
+  revokedAt: Date,
+  createdBy: mongoose.Types.ObjectId,
+}, { timestamps: true });
+
+const ApiKey = createModel('ApiKey', apiKeySchema);
+
+// Documents a business submits to get verified, and the admin's decision.
+// The newest request per business is the one that counts.
+const verificationRequestSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Types.ObjectId, index: true },
+  submittedBy: mongoose.Types.ObjectId,
+  note: String,
+  documents: [{
+    type: { type: String },
+    originalName: String,
+    filename: String,
+    mimetype: String,
+    size: Number,
+  }],
+  status: { type: String, enum: VERIFICATION_STATUSES, default: "pending", index: true },
+  reviewedBy: mongoose.Types.ObjectId,
+  reviewedAt: Date,
+  reason: String,
+}, { timestamps: true });
+
+const VerificationRequest = createModel('VerificationRequest', verificationRequestSchema);
+
+// Invitation to join a business team. The emailed token is stored hashed and
+// is good for one acceptance before expiresAt.
+const invitationSchema = new mongoose.Schema({
+  businessId: mongoose.Types.ObjectId,
+  email: String,
+  businessRole: { type: String, enum: ["manager", "agent"] },
+  tokenHash: { type: String, index: true },
+  expiresAt: Date,
+  invitedBy: mongoose.Types.ObjectId,
+  acceptedAt: Date,
+  acceptedBy: mongoose.Types.ObjectId,
+  revokedAt: Date,
+}, { timestamps: true });
+
+const Invitation = createModel('Invitation', invitationSchema);
+
+// Internal notes and follow-up reminders on a lead. Kept out of the lead
+// document so they never reach the customer who submitted it.
+const leadNoteSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Types.ObjectId, index: true },
+  businessId: mongoose.Types.ObjectId,
+  body: String,
+  author: mongoose.Types.ObjectId,
+  authorEmail: String,
+}, { timestamps: true });
+
+const followUpSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Types.ObjectId, index: true },
+  businessId: mongoose.Types.ObjectId,
+  dueAt: Date,
+  note: String,
+  createdBy: mongoose.Types.ObjectId,
+  createdByEmail: String,
+  doneAt: Date,
+  remindedAt: Date,
+}, { timestamps: true });
+
+const LeadNote = createModel('LeadNote', leadNoteSchema);
+const FollowUp = createModel('FollowUp', followUpSchema);
+
+// Conversation between the customer who sent a lead and the business.
+// readAt is set when the other side opens the thread.
+const leadMessageSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Types.ObjectId, index: true },
+  businessId: mongoose.Types.ObjectId,
+  sender: mongoose.Types.ObjectId,
+  senderSide: { type: String, enum: ["customer", "business"] },
+  senderName: String,
+  body: String,
+  readAt: Date,
+}, { timestamps: true });
+
+const LeadMessage = createModel('LeadMessage', leadMessageSchema);
+
+// Quotation sent from a lead. Product details and prices are copied onto each
+// line so later catalogue changes don't alter a quote that was already sent.
+const QUOTE_STATUSES = ["draft", "sent", "accepted", "rejected"];
+
+const quoteItemSchema = new mongoose.Schema({
+  productId: mongoose.Types.ObjectId,
+  name: String,
+  sku: String,
+  quantity: Number,
+  unitPrice: Number,
+  discountPercent: { type: Number, default: 0 },
+  taxPercent: { type: Number, default: 0 },
+  lineSubtotal: Number,
+  lineDiscount: Number,
+  lineTax: Number,
+  lineTotal: Number,
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  leadId: { type: mongoose.Types.ObjectId, index: true },
+  businessId: mongoose.Types.ObjectId,
+  number: String,
+  status: { type: String, enum: QUOTE_STATUSES, default: "draft" },
+  items: { type: [quoteItemSchema], default: [] },
+  currency: { type: String, default: "INR" },
+  subtotal: Number,
+  discountTotal: Number,
+  taxTotal: Number,
+  total: Number,
+  validUntil: Date,
+  notes: String,
+  createdBy: mongoose.Types.ObjectId,
+  sentAt: Date,
+  respondedAt: Date,
+  responseNote: String,
 }, { timestamps: true });
 
-const Product = mongoose.models.Product || mongoose.model('Product', productSchema);
+const Quote = createModel('Quote', quoteSchema);
 
 // ---------------------
 // JWT Middleware
@@ -125,9 +564,100 @@ function authenticateToken(req, res, next) {
 
   jwt.verify(token, process.env.JWT_SECRET || "secret123", (err, user) => {
     if (err) return res.status(403).json({ error: "Token expired or invalid" });
-    req.user = user;
-    next();
+    withCurrentMembership(user)
+      .then((current) => {
+        if (!current) return res.status(401).json({ error: "Account no longer exists" });
+        req.user = current;
+        next();
+      })
+      .catch(() => res.status(500).json({ error: "Server error" }));
+  });
+}
+
+// Team membership can change after a token was issued, so business users get
+// their businessId and businessRole from the database on every request
+async function withCurrentMembership(user) {
+  if (user.role !== "business") return user;
+  const doc = await User.findById(user.id).select("businessId businessRole").lean().exec();
+  if (!doc) return null;
+  return {
+    ...user,
+    businessId: doc.businessId ? String(doc.businessId) : undefined,
+    businessRole: doc.businessId ? doc.businessRole || "owner" : undefined,
+  };
+}
+
+function hasBusinessRole(user, minRole) {
+  return BUSINESS_ROLES.indexOf(user?.businessRole || "owner") >= BUSINESS_ROLES.indexOf(minRole);
+}
+
+// Admins, or owners/managers of this business
+function managesBusiness(user, businessId) {
+  if (user?.role === "admin") return true;
+  return user?.role === "business" && !!user.businessId && !!businessId
+    && String(user.businessId) === String(businessId) && hasBusinessRole(user, "manager");
+}
+
+// ---------------------
+// Realtime (Socket.IO)
+// Clients connect with { auth: { token } } using the same JWT as the REST API.
+// Rooms: "admins" (all admins), "business:<id>" (owners), "user:<id>" (submitters)
+// ---------------------
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+  if (!token) return next(new Error("Token missing"));
+
+  jwt.verify(token, process.env.JWT_SECRET || "secret123", (err, user) => {
+    if (err) return next(new Error("Token expired or invalid"));
+    withCurrentMembership(user)
+      .then((current) => {
+        if (!current) return next(new Error("Account no longer exists"));
+        socket.user = current;
+        next();
+      })
+      .catch(next);
   });
+});
+
+io.on("connection", (socket) => {
+  const { id, role, businessId } = socket.user;
+  if (role === "admin") socket.join("admins");
+  // Agents only hear about their own leads, through their user room
+  if (role === "business" && businessId && hasBusinessRole(socket.user, "manager")) socket.join(`business:${businessId}`);
+  if (id) socket.join(`user:${id}`);
+});
+
+// Everyone following a lead: admins, the owning business, its assignee and the submitter
+function leadAudience(lead) {
+  let target = io.to("admins");
+  if (lead.businessId) target = target.to(`business:${lead.businessId}`);
+  if (lead.submittedBy) target = target.to(`user:${lead.submittedBy}`);
+  if (lead.assignedTo) target = target.to(`user:${lead.assignedTo}`);
+  return target;
+}
+
+// Push a lead event to admins, the owning business and the customer who submitted it.
+// Staff get the whole lead; the submitter only the customer view of it.
+function emitLeadEvent(event, lead) {
+  try {
+    const payload = typeof lead.toObject === "function" ? lead.toObject() : lead;
+    const staffRooms = ["admins"];
+    if (payload.businessId) staffRooms.push(`business:${payload.businessId}`);
+    if (payload.assignedTo) staffRooms.push(`user:${payload.assignedTo}`);
+    io.to(staffRooms).emit(event, payload);
+    if (payload.submittedBy) io.to(`user:${payload.submittedBy}`).except(staffRooms).emit(event, customerLeadView(payload));
+  } catch (err) {
+    console.error(`Failed to emit ${event}:`, err.message);
+  }
+}
+
+// Admins can manage every lead, business users only the leads sent to their business
+function canManageLead(user, lead) {
+  if (!user || !lead) return false;
+  if (managesBusiness(user, lead.businessId)) return true;
+  // Agents work the leads assigned to them
+  return user.role === "business" && !!user.businessId && String(lead.businessId) === String(user.businessId)
+    && !!lead.assignedTo && String(lead.assignedTo) === String(user.id);
 }
 
 // ---------------------
@@ -140,8 +670,16 @@ app.post("/api/auth/register", async (req, res) => {
     // Pull expected fields, and sanitize the request body to ensure business-only
     // fields don't get persisted to the `users` collection.
     const { name, email, password } = req.body;
-    // Remove any business fields from req.body so they can't be stored on User
-    // by mistake. We also keep an explicit $unset later as an extra safety net.
+    // Set the business fields aside for the Business record and remove them from
+    // req.body so they can't be stored on User by mistake. We also keep an
+    // explicit $unset later as an extra safety net.
+    const businessFields = {
+      categoryId: req.body.categoryId,
+      category: req.body.category,
+      location: req.body.location,
+      description: req.body.description,
+    };
+    delete req.body.categoryId;
     delete req.body.category;
     delete req.body.location;
     delete req.body.description;
@@ -150,6 +688,8 @@ app.post("/api/auth/register", async (req, res) => {
     if (role !== 'business' && role !== 'customer') role = 'business';
     const exists = await User.findOne({ email });
     if (exists) return res.status(400).json({ error: "Email already exists" });
+    const picked = role === 'business' ? await categoryFromInput(businessFields) : {};
+    if (picked.error) return res.status(400).json({ error: picked.error });
 
     const hashed = await bcrypt.hash(password, 10);
 
@@ -159,13 +699,15 @@ app.post("/api/auth/register", async (req, res) => {
     if (role === 'business') {
       const biz = await Business.create({
         name: name || email,
+        slug: await availableSlug(name || email),
         owner: user._id,
-        category: req.body.category || "",
-        location: req.body.location || "",
-        description: req.body.description || "",
+        ...businessCategoryFields(picked.category, businessFields.category),
+        location: businessFields.location || "",
+        description: businessFields.description || "",
       });
 
       user.businessId = biz._id;
+      user.businessRole = "owner";
       await user.save();
 
       return res.json({ message: "Business registered", businessId: biz._id });
@@ -180,7 +722,23 @@ app.post("/api/auth/register", async (req, res) => {
       console.error('Failed to cleanup user business fields:', e && e.message);
     }
 
-    res.json({ message: "User registered", userId: user._id });
+    // Inquiries sent as a guest from this email join the account once it
+    // proves it owns the address: the token from a guest inquiry email
+    // (the "create an account" link carries it), or the link we email now
+    let emailVerified = false;
+    let confirmationSent = false;
+    try {
+      if (await guestTokenMatchesEmail(req.body.inquiryToken, email)) {
+        await confirmAccountEmail(user);
+        emailVerified = true;
+      } else {
+        confirmationSent = await sendEmailConfirmation(user);
+      }
+    } catch (e) {
+      console.error('Failed to confirm email or link guest inquiries:', e && e.message);
+    }
+
+    res.json({ message: "User registered", userId: user._id, emailVerified, confirmationSent });
   } catch (err) {
     console.error('Register error:', err);
     res.status(500).json({ error: "Server error", details: err.message });
@@ -198,38 +756,86 @@ app.post("/api/auth/login", async (req, res) => {
     const match = await bcrypt.compare(password, user.password);
     if (!match) return res.status(400).json({ error: "Wrong password" });
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role, email: user.email, businessId: user.businessId },
-      process.env.JWT_SECRET || "secret123",
-      { expiresIn: "7d" }
-    );
-
-    res.json({
-      token,
-      user: { name: user.name, email: user.email, role: user.role, businessId: user.businessId, phone: user.phone, address: user.address, bio: user.bio },
-    });
+    res.json(sessionFor(user));
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: "Server error", details: err.message });
   }
 });
 
+// JWT and profile returned by login
+function sessionFor(user) {
+  const token = jwt.sign(
+    { id: user._id, role: user.role, email: user.email, businessId: user.businessId },
+    process.env.JWT_SECRET || "secret123",
+    { expiresIn: "7d" }
+  );
+  return {
+    token,
+    user: { name: user.name, email: user.email, emailVerified: !!user.emailVerifiedAt, role: user.role, businessId: user.businessId, businessRole: user.businessId ? user.businessRole || "owner" : undefined, phone: user.phone, address: user.address, bio: user.bio, emailPrefs: user.emailPrefs },
+  };
+}
+
 // Update current user's profile (protected)
 app.put('/api/auth/profile', authenticateToken, async (req, res) => {
   try {
     const allowed = ['name','phone','address','bio'];
     const updates = {};
     for (const k of allowed) if (k in req.body) updates[k] = req.body[k];
+    // email preferences: only known switches, as booleans
+    if (req.body.emailPrefs && typeof req.body.emailPrefs === 'object') {
+      for (const k of Object.keys(userSchema.obj.emailPrefs)) {
+        if (k in req.body.emailPrefs) updates[`emailPrefs.${k}`] = !!req.body.emailPrefs[k];
+      }
+    }
 
     const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true }).lean().exec();
     if (!user) return res.status(404).json({ error: 'User not found' });
 
-    res.json({ user: { name: user.name, email: user.email, role: user.role, businessId: user.businessId, phone: user.phone, address: user.address, bio: user.bio } });
+    res.json({ user: { name: user.name, email: user.email, emailVerified: !!user.emailVerifiedAt, role: user.role, businessId: user.businessId, phone: user.phone, address: user.address, bio: user.bio, emailPrefs: user.emailPrefs } });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Confirm the account's email with the emailed link (the frontend posts the
+// token here). The caller must be logged in to that account, so the link alone
+// doesn't hand someone else's inbox to whoever registered the address.
+app.post("/api/auth/verify-email", authenticateToken, async (req, res) => {
+  try {
+    const token = String(req.body?.token || "");
+    if (!/^[a-f0-9]{64}$/.test(token)) return res.status(400).json({ error: "Invalid link" });
+    const user = await User.findById(req.user.id).exec();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerifiedAt) return res.json({ message: "Email already confirmed", linked: 0 });
+    if (user.emailTokenHash !== hashSecret(token)) {
+      return res.status(400).json({ error: "This link is not for the account you are logged in to" });
+    }
+    if (user.emailTokenExpiresAt < new Date()) return res.status(410).json({ error: "This link has expired. Ask for a new one under Settings." });
+
+    const linked = await confirmAccountEmail(user);
+    res.json({ message: "Email confirmed", linked });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Email a fresh confirmation link
+app.post("/api/auth/verify-email/resend", authenticateToken, async (req, res) => {
+  try {
+    if (!mailer) return res.status(503).json({ error: "Email delivery is not configured" });
+    const user = await User.findById(req.user.id).exec();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerifiedAt) return res.status(400).json({ error: "Email already confirmed" });
+    await sendEmailConfirmation(user);
+    res.json({ message: "Confirmation email sent" });
+  } catch (err) {
+    console.error("Resend email confirmation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // One-off: seed/create an admin user using a secret key (do NOT enable publicly)
 // Usage: POST /api/admin/seed { key, name, email, password }
 // Require env var SEED_ADMIN_KEY to be set and match the request body key.
@@ -258,246 +864,3911 @@ app.post('/api/admin/seed', async (req, res) => {
 });
 
 // ---------------------
-// LEADS ROUTES
+// Lead notification emails
 // ---------------------
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
 
-// Send inquiry (protected - only logged-in users)
-app.post("/api/leads", authenticateToken, async (req, res) => {
-  try {
-    const { name, phone, message, businessId } = req.body;
+function emailList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
 
-    // Require phone and email (email comes from token when available)
-    const email = req.user?.email || req.body.email;
-    if (!phone || !email) {
-      return res.status(400).json({ error: "phone and email are required" });
-    }
+// Queue an email in the outbox; the worker below delivers it with retries.
+// `kind` labels the message in the delivery log (e.g. "new_lead").
+async function sendMail({ kind, to, cc, subject, text, html }) {
+  if (!mailer) return null;
+  const from = process.env.FROM_EMAIL || process.env.SMTP_USER;
+  const email = await OutboxEmail.create({
+    kind,
+    from,
+    to: [].concat(to || []),
+    cc: [].concat(cc || []),
+    subject,
+    text,
+    html,
+  });
+  setImmediate(processOutbox);
+  return email;
+}
 
-    const lead = await Lead.create({
-      name,
-      email,
-      phone,
-      message,
-      businessId,
-      timestamp: new Date(),
-      submittedBy: req.user?.id,
-    });
+// Email the owner of the business (CC admins) and confirm to the customer,
+// honouring each recipient's emailPrefs
+async function notifyNewLead(lead) {
+  if (!mailer) return;
 
-    // Send notification email if mailer and NOTIFY_EMAIL configured
-    try {
-      const notifyTo = process.env.NOTIFY_EMAIL || process.env.ADMIN_EMAIL;
-      const from = process.env.FROM_EMAIL || process.env.SMTP_USER;
-      if (mailer && notifyTo) {
-        const subject = `New lead for business ${String(businessId || "")}`;
-        const text = `A new lead was submitted:\n\nName: ${lead.name || "-"}\nEmail: ${lead.email || "-"}\nPhone: ${lead.phone || "-"}\nMessage: ${lead.message || "-"}\nBusiness ID: ${lead.businessId || "-"}\nTime: ${lead.timestamp}\nSubmittedBy: ${lead.submittedBy || "-"}`;
-
-        mailer.sendMail({ from, to: notifyTo, subject, text }).catch((err) => {
-          console.error("Failed to send lead notification:", err.message);
-        });
-      }
-    } catch (err) {
-      console.error("Mailer error:", err.message);
-    }
+  const business = lead.businessId
+    ? await Business.findById(lead.businessId).select("name owner").lean().exec()
+    : null;
+  const owner = business?.owner
+    ? await User.findById(business.owner).select("name email emailPrefs").lean().exec()
+    : null;
+  // current prices for the requested products
+  const requested = lead.products || [];
+  const current = requested.length
+    ? await Product.find({ _id: { $in: requested.map((p) => p.productId) } }).select("price").lean().exec()
+    : [];
+  const prices = new Map(current.map((p) => [String(p._id), p.price]));
+  const products = requested.map((p) => ({ name: p.name, sku: p.sku, quantity: p.quantity, price: prices.get(String(p.productId)) }));
+  const context = { lead, business, products, appUrl: APP_URL };
 
-    res.json({ message: "Lead sent", lead });
-  } catch (err) {
-    res.status(500).json({ error: "Server error" });
+  const cc = emailList(process.env.LEAD_NOTIFY_CC);
+  const ownerReachable = !!owner?.email;
+  const ownerWants = ownerReachable && owner.emailPrefs?.newLead !== false;
+  const to = ownerWants ? owner.email : (!ownerReachable ? (process.env.NOTIFY_EMAIL || process.env.ADMIN_EMAIL) : null);
+
+  const jobs = [];
+  if (to || cc.length) {
+    jobs.push(sendMail({ kind: "new_lead", to: to || cc, cc: to && cc.length ? cc : undefined, ...newLeadEmail(context) }));
   }
-});
 
-// Get leads (protected)
-app.get("/api/leads", authenticateToken, async (req, res) => {
-  try {
-    // Admin sees all leads
-    if (req.user.role === "admin") {
-      const allLeads = await Lead.find().sort({ timestamp: -1 }).lean().exec();
-      // Attach businessName where possible to help admin UI
-      const withNames = await Promise.all(
-        allLeads.map(async (ld) => {
-          if (!ld.businessId) return ld;
-          try {
-            const biz = await Business.findById(ld.businessId).select('name').lean().exec();
-            if (biz) ld.businessName = biz.name;
-          } catch (e) {
-            // ignore
-          }
-          return ld;
-        })
-      );
-      return res.json(withNames);
-    }
-
-    // Business users see leads for their businessId
-    if (req.user.role === 'business') {
-      const businessId = req.user.businessId;
-      if (!businessId) return res.json([]);
-      const leads = await Lead.find({ businessId }).sort({ timestamp: -1 });
-      return res.json(leads);
+  if (lead.email) {
+    const submitter = lead.submittedBy
+      ? await User.findById(lead.submittedBy).select("emailPrefs").lean().exec()
+      : null;
+    if (submitter?.emailPrefs?.inquiryConfirmation !== false) {
+      jobs.push(sendMail({ kind: "inquiry_confirmation", to: lead.email, ...inquiryConfirmationEmail(context) }));
     }
-
-    // Customers see the leads they submitted (submittedBy)
-    const leads = await Lead.find({ submittedBy: req.user.id }).sort({ timestamp: -1 });
-    res.json(leads);
-  } catch (err) {
-    res.status(500).json({ error: "Server error" });
   }
-});
 
-// Public businesses endpoints
-app.get('/api/businesses', async (req, res) => {
-  try {
-    const docs = await Business.find().select('name category location description').sort({ createdAt: -1 }).lean().exec();
-    res.json(docs);
-  } catch (err) {
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+  await Promise.all(jobs);
+}
 
-app.get('/api/businesses/:id', async (req, res) => {
+// ---------------------
+// Outbox worker
+// Polls for due emails, delivers them one at a time and reschedules failures
+// with exponential backoff (MAIL_RETRY_BASE_MS * 2^(attempt-1), capped at an
+// hour) until maxAttempts is reached, after which the email is marked failed.
+// ---------------------
+const MAIL_WORKER_INTERVAL_MS = Number(process.env.MAIL_WORKER_INTERVAL_MS) || 5000;
+const MAIL_RETRY_BASE_MS = Number(process.env.MAIL_RETRY_BASE_MS) || 30 * 1000;
+const WORKER_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+let outboxBusy = false;
+
+// Exponential backoff shared by the background workers, capped at an hour
+function backoffDelay(baseMs, attempt) {
+  return Math.min(baseMs * 2 ** (attempt - 1), 60 * 60 * 1000);
+}
+
+// Atomically claim the next due email (or one whose worker died mid-send)
+function claimNextEmail() {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - WORKER_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).exec();
+}
+
+async function deliverEmail(email) {
+  const attempt = (email.attempts || 0) + 1;
   try {
-    const id = req.params.id;
-    const doc = await Business.findById(id).select('name category location description').lean().exec();
-    if (!doc) return res.status(404).json({ error: 'Not found' });
-    res.json(doc);
+    const info = await mailer.sendMail({
+      from: email.from,
+      to: email.to,
+      cc: email.cc && email.cc.length ? email.cc : undefined,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+    if (process.env.MAIL_TRANSPORT === "json") console.log("Email (json transport):", info.message);
+    await OutboxEmail.updateOne({ _id: email._id }, {
+      $set: { status: "sent", attempts: attempt, sentAt: new Date(), messageId: info.messageId, lastError: null },
+      $unset: { lockedAt: "" },
+      $push: { deliveryLog: { attempt, status: "sent", at: new Date() } },
+    }).exec();
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    const giveUp = attempt >= (email.maxAttempts || 6);
+    await OutboxEmail.updateOne({ _id: email._id }, {
+      $set: {
+        status: giveUp ? "failed" : "pending",
+        attempts: attempt,
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + backoffDelay(MAIL_RETRY_BASE_MS, attempt)),
+      },
+      $unset: { lockedAt: "" },
+      $push: { deliveryLog: { attempt, status: giveUp ? "failed" : "retrying", error: err.message, at: new Date() } },
+    }).exec();
+    console.error(`Email ${email._id} attempt ${attempt} failed${giveUp ? " (giving up)" : ""}:`, err.message);
   }
-});
+}
 
-// Public: list products for a given business id
-app.get('/api/businesses/:id/products', async (req, res) => {
+async function processOutbox() {
+  if (!mailer || outboxBusy) return;
+  outboxBusy = true;
   try {
-    const id = req.params.id;
-    const docs = await Product.find({ businessId: id }).select('name sku price quantity description images').sort({ createdAt: -1 }).lean().exec();
-    res.json(docs);
+    let email;
+    while ((email = await claimNextEmail())) {
+      await deliverEmail(email);
+    }
   } catch (err) {
-    console.error('Listing products for business failed', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error("Outbox worker error:", err.message);
+  } finally {
+    outboxBusy = false;
   }
-});
+}
+
+if (mailer) setInterval(processOutbox, MAIL_WORKER_INTERVAL_MS).unref();
 
 // ---------------------
-// PRODUCTS (for businesses)
+// Webhook dispatcher
+// Each event is stored as a WebhookDelivery per subscribed endpoint and posted
+// as JSON with an HMAC-SHA256 signature of `${timestamp}.${body}` using the
+// webhook's secret:
+//   X-WebLeads-Event, X-WebLeads-Delivery, X-WebLeads-Timestamp,
+//   X-WebLeads-Signature: sha256=<hex>
+// Non-2xx responses and network errors are retried with exponential backoff.
 // ---------------------
+const WEBHOOK_WORKER_INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+let webhooksBusy = false;
 
-// Create product (business owners) or admin
-app.post('/api/business/products', authenticateToken, async (req, res) => {
-  try {
-    const { name, sku, price, quantity, description, images, businessId } = req.body;
-    // server-side validation
-    const errors = {};
-    if (!name || String(name).trim() === '') errors.name = 'Name is required';
-    const numPrice = Number(price || 0);
-    if (isNaN(numPrice) || numPrice < 0) errors.price = 'Price must be a non-negative number';
-    const numQty = Number(quantity || 0);
-    if (!Number.isInteger(numQty) || numQty < 0) errors.quantity = 'Quantity must be a non-negative integer';
-    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
-    // business users: associate with their businessId
-    let bid = businessId;
-    if (req.user.role === 'business') {
-      bid = req.user.businessId;
-    }
-    if (!bid) return res.status(400).json({ error: 'businessId required' });
+function signWebhookPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
 
-    // Only allow business owners or admin to create
-    if (req.user.role === 'business' || req.user.role === 'admin') {
-      const p = await Product.create({ name, sku, price: numPrice, quantity: numQty, description, images: images || [], businessId: bid });
-      return res.json({ product: p });
+// Queue an event for every active webhook of the business subscribed to it
+async function dispatchWebhookEvent(businessId, event, data) {
+  if (!businessId) return [];
+  const hooks = await Webhook.find({ businessId, active: true, events: event }).select("_id").lean().exec();
+  return queueWebhookDeliveries(hooks, businessId, event, data);
+}
+
+async function queueWebhookDeliveries(hooks, businessId, event, data) {
+  if (!hooks.length) return [];
+  const createdAt = new Date().toISOString();
+  const deliveries = await Promise.all(hooks.map((h) => WebhookDelivery.create({
+    webhookId: h._id,
+    businessId,
+    event,
+    payload: { event, createdAt, data },
+  })));
+  setImmediate(processWebhookDeliveries);
+  return deliveries;
+}
+
+// Fire-and-forget wrapper used by the routes
+function emitWebhookEvent(businessId, event, data) {
+  dispatchWebhookEvent(businessId, event, data).catch((err) => {
+    console.error(`Failed to queue webhook ${event}:`, err.message);
+  });
+}
+
+function claimNextWebhookDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - WORKER_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).exec();
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const attempt = (delivery.attempts || 0) + 1;
+  const started = Date.now();
+  let responseStatus;
+  let error;
+  let blocked = false;
+
+  const hook = await Webhook.findById(delivery.webhookId).lean().exec();
+  // Checked again on every attempt: the hostname may resolve elsewhere by now
+  const targetError = hook ? await checkWebhookTarget(hook.url) : null;
+  if (!hook) {
+    error = "Webhook was deleted";
+  } else if (targetError) {
+    error = targetError;
+    blocked = true;
+  } else {
+    const body = JSON.stringify({ id: String(delivery._id), ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      const resp = await fetch(hook.url, {
+        method: "POST",
+        redirect: "manual",
+        signal: controller.signal,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "WebLeads-Webhooks/1.0",
+          "X-WebLeads-Event": delivery.event,
+          "X-WebLeads-Delivery": String(delivery._id),
+          "X-WebLeads-Timestamp": String(timestamp),
+          "X-WebLeads-Signature": signWebhookPayload(hook.secret, timestamp, body),
+        },
+        body,
+      });
+      // Only the status is kept; the body is never stored or shown to the business
+      responseStatus = resp.status;
+      await resp.body?.cancel().catch(() => {});
+      if (!resp.ok) error = `HTTP ${resp.status}`;
+    } catch (err) {
+      error = err.name === "AbortError" ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : err.message;
+    } finally {
+      clearTimeout(timer);
     }
+  }
 
-    res.status(403).json({ error: 'Forbidden' });
-  } catch (err) {
-    console.error('Create product error:', err);
-    res.status(500).json({ error: 'Server error' });
+  const durationMs = Date.now() - started;
+  if (!error) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: "succeeded", attempts: attempt, responseStatus, deliveredAt: new Date(), lastError: null },
+      $unset: { lockedAt: "" },
+      $push: { attemptLog: { attempt, status: "succeeded", responseStatus, durationMs, at: new Date() } },
+    }).exec();
+    return;
   }
-});
 
-// List products for current business (or all for admin)
-app.get('/api/business/products', authenticateToken, async (req, res) => {
+  const giveUp = !hook || blocked || attempt >= (delivery.maxAttempts || 8);
+  await WebhookDelivery.updateOne({ _id: delivery._id }, {
+    $set: {
+      status: giveUp ? "failed" : "pending",
+      attempts: attempt,
+      responseStatus,
+      lastError: error,
+      nextAttemptAt: new Date(Date.now() + backoffDelay(WEBHOOK_RETRY_BASE_MS, attempt)),
+    },
+    $unset: { lockedAt: "" },
+    $push: { attemptLog: { attempt, status: giveUp ? "failed" : "retrying", responseStatus, error, durationMs, at: new Date() } },
+  }).exec();
+}
+
+async function processWebhookDeliveries() {
+  if (webhooksBusy) return;
+  webhooksBusy = true;
   try {
-    if (req.user.role === 'admin') {
-      const docs = await Product.find().sort({ createdAt: -1 }).lean().exec();
-      return res.json(docs);
-    }
-    if (req.user.role === 'business') {
-      const bid = req.user.businessId;
-      if (!bid) return res.json([]);
-      const docs = await Product.find({ businessId: bid }).sort({ createdAt: -1 }).lean().exec();
-      return res.json(docs);
+    let delivery;
+    while ((delivery = await claimNextWebhookDelivery())) {
+      await attemptWebhookDelivery(delivery);
     }
-    // customers not allowed
-    res.status(403).json({ error: 'Forbidden' });
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    console.error("Webhook worker error:", err.message);
+  } finally {
+    webhooksBusy = false;
   }
-});
+}
+
+setInterval(processWebhookDeliveries, WEBHOOK_WORKER_INTERVAL_MS).unref();
+
+// ---------------------
+// Lead quality pipeline
+// Every entry point runs submissions through screenLead: validation and
+// normalisation, business check, throttling, duplicate detection, the
+// honeypot/challenge hook and spam scoring. Leads scoring LEAD_SPAM_THRESHOLD
+// or more are stored quarantined and only reach the business once released.
+// ---------------------
+
+const LEAD_RATE_LIMIT_PER_USER = Number(process.env.LEAD_RATE_LIMIT_PER_USER) || 10;
+const LEAD_RATE_LIMIT_PER_IP = Number(process.env.LEAD_RATE_LIMIT_PER_IP) || 20;
+const LEAD_DUPLICATE_WINDOW_MS = Number(process.env.LEAD_DUPLICATE_WINDOW_MS) || 24 * 60 * 60 * 1000;
+const LEAD_SPAM_THRESHOLD = Number(process.env.LEAD_SPAM_THRESHOLD) || 50;
+const DEFAULT_PHONE_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE ?? "91";
+
+const leadUserThrottle = createThrottle({ limit: LEAD_RATE_LIMIT_PER_USER, windowMs: 60 * 60 * 1000 });
+const leadIpThrottle = createThrottle({ limit: LEAD_RATE_LIMIT_PER_IP, windowMs: 60 * 60 * 1000 });
+
+// Returns { reject: { status, body, retryAfter? } } when the submission is refused,
+// otherwise { fields, quality } to pass on to createLead.
+// `throttle` and `challenge` are off for API keys, which have their own limits.
+async function screenLead(input, { ip, userId, throttle = true, challenge = true }) {
+  const email = normalizeEmail(input.email);
+  const phone = normalizePhone(input.phone, DEFAULT_PHONE_COUNTRY_CODE);
+  const errors = {};
+  if (!email) errors.email = "A valid email is required";
+  if (!phone) errors.phone = "A valid phone number is required";
+  if (input.name && String(input.name).length > 200) errors.name = "Name is too long";
+  if (input.message && String(input.message).length > 5000) errors.message = "Message is too long";
+  if (!input.businessId || !mongoose.Types.ObjectId.isValid(String(input.businessId))) errors.businessId = "businessId is required";
+  const productRefs = normalizeProductRefs(input);
+  if (productRefs.error) errors.products = productRefs.error;
+  if (Object.keys(errors).length) return { reject: { status: 400, body: { error: "Validation failed", details: errors } } };
+
+  const business = await Business.findById(input.businessId).select("_id").lean().exec();
+  if (!business) return { reject: { status: 404, body: { error: "Business not found" } } };
+
+  if (throttle) {
+    const checks = [[leadIpThrottle, ip && `ip:${ip}`], [leadUserThrottle, userId && `user:${userId}`]];
+    for (const [throttler, key] of checks) {
+      if (!key) continue;
+      const rate = throttler.take(key);
+      if (!rate.allowed) {
+        return {
+          reject: {
+            status: 429,
+            body: { error: "Too many inquiries, please try again later" },
+            retryAfter: Math.ceil((rate.resetAt - Date.now()) / 1000),
+          },
+        };
+      }
+    }
+  }
+
+  // Same person (email or phone), same business, same message within the window
+  const since = new Date(Date.now() - LEAD_DUPLICATE_WINDOW_MS);
+  const recent = await Lead.find({ businessId: business._id, timestamp: { $gte: since }, $or: [{ email }, { phone }] })
+    .select("message")
+    .lean()
+    .exec();
+  const message = normalizeMessage(input.message);
+  const duplicate = recent.find((ld) => normalizeMessage(ld.message) === message);
+  if (duplicate) {
+    return { reject: { status: 409, body: { error: "You already sent this inquiry to this business recently", duplicateOf: duplicate._id } } };
+  }
+
+  const challengeResult = challenge
+    ? await verifyChallenge({
+      url: process.env.LEAD_CHALLENGE_VERIFY_URL,
+      secret: process.env.LEAD_CHALLENGE_SECRET,
+      token: input.challengeToken,
+      ip,
+    })
+    : null;
+  const { score, reasons } = scoreLead({ name: input.name, email, message: input.message, honeypot: input.website, challenge: challengeResult });
+
+  return {
+    fields: {
+      name: input.name ? String(input.name).trim() : undefined,
+      email,
+      phone,
+      message: input.message ? String(input.message).trim() : undefined,
+      businessId: business._id,
+      products: productRefs.refs,
+    },
+    quality: { ip, spamScore: score, spamReasons: reasons, quarantined: score >= LEAD_SPAM_THRESHOLD },
+  };
+}
+
+function sendScreenRejection(res, reject) {
+  if (reject.retryAfter) res.set("Retry-After", String(reject.retryAfter));
+  return res.status(reject.status).json(reject.body);
+}
+
+// ---------------------
+// LEADS ROUTES
+// ---------------------
+
+// Create a lead and fan it out: emails, socket event and webhooks.
+// `source` records where it came from (web, api, ...); `actor` is the user
+// (or null) credited in the activity timeline. `quality` comes from screenLead;
+// quarantined leads are stored silently until an admin releases them.
+async function createLead({ name, email, phone, message, businessId, products = [], submittedBy, actor, source = "web", apiKeyId, quality = {} }) {
+  // Only keep references to products of the business being enquired
+  const found = products.length && businessId
+    ? await Product.find({ _id: { $in: products.map((p) => p.productId) }, businessId }).select("name sku").lean().exec()
+    : [];
+  const byId = new Map(found.map((p) => [String(p._id), p]));
+  const requested = products
+    .filter((p) => byId.has(String(p.productId)))
+    .map((p) => {
+      const product = byId.get(String(p.productId));
+      return { productId: product._id, name: product.name, sku: product.sku, quantity: p.quantity || 1 };
+    });
+
+  const now = new Date();
+  const activity = [{ type: "created", to: "new", actor: actor?.id, actorEmail: actor?.email, note: source !== "web" ? `via ${source}` : undefined, at: now }];
+  if (quality.quarantined) {
+    activity.push({ type: "quarantined", note: `spam score ${quality.spamScore}: ${(quality.spamReasons || []).join("; ")}`, at: now });
+  }
+
+  const lead = await Lead.create({
+    name,
+    email,
+    phone,
+    message,
+    businessId,
+    timestamp: now,
+    submittedBy,
+    products: requested,
+    productId: requested[0]?.productId,
+    source,
+    apiKeyId,
+    status: "new",
+    activity,
+    ip: quality.ip,
+    spamScore: quality.spamScore || 0,
+    spamReasons: quality.spamReasons || [],
+    quarantined: !!quality.quarantined,
+  });
+
+  if (!lead.quarantined) await announceLead(lead);
+  return lead;
+}
+
+// Hand a lead over to the business: auto-assign it, then tell everyone
+async function announceLead(lead) {
+  try {
+    await autoAssignLead(lead);
+  } catch (err) {
+    console.error("Auto-assignment failed:", err.message);
+  }
+
+  notifyNewLead(lead).catch((err) => {
+    console.error("Failed to send lead notification:", err.message);
+  });
+
+  const payload = lead.toObject();
+  if (lead.businessId) {
+    const biz = await Business.findById(lead.businessId).select("name").lean().exec();
+    if (biz) payload.businessName = biz.name;
+  }
+  emitLeadEvent("lead:created", payload);
+  emitWebhookEvent(lead.businessId, "lead.created", payload);
+}
+
+// Send inquiry (protected - only logged-in users)
+app.post("/api/leads", authenticateToken, async (req, res) => {
+  try {
+    // Email comes from the token when available
+    const email = req.user?.email || req.body.email;
+    const screened = await screenLead({ ...req.body, email }, { ip: req.ip, userId: req.user?.id });
+    if (screened.reject) return sendScreenRejection(res, screened.reject);
+
+    const lead = await createLead({
+      ...screened.fields,
+      submittedBy: req.user?.id,
+      actor: req.user,
+      quality: screened.quality,
+    });
+
+    // The sender sees what they sent, not its spam screening
+    res.json({ message: "Lead sent", lead: canManageLead(req.user, lead) ? lead : customerLeadView(lead) });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Escape user input before using it inside a RegExp
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Sort keys accepted by GET /api/leads -> [field, direction]
+const LEAD_SORTS = {
+  latest: ["timestamp", -1],
+  oldest: ["timestamp", 1],
+  name: ["name", 1],
+};
+
+// Build the Mongo filter for the leads a user may see, narrowed by the
+// search/filter query parameters. Returns { error } for bad input.
+function buildLeadFilter(user, query = {}) {
+  const and = [];
+  if (query.businessId && !mongoose.Types.ObjectId.isValid(String(query.businessId))) {
+    return { error: "Invalid businessId" };
+  }
+  if (query.assignedTo && !["me", "none"].includes(query.assignedTo) && !mongoose.Types.ObjectId.isValid(String(query.assignedTo))) {
+    return { error: "Invalid assignedTo" };
+  }
+
+  // Quarantined leads only show up in the admin quarantine list
+  and.push({ quarantined: { $ne: true } });
+
+  // Role scoping: admin sees all, business its own leads (agents only those
+  // assigned to them), customers what they submitted
+  if (user.role === "admin") {
+    if (query.businessId) and.push({ businessId: query.businessId });
+  } else if (user.role === "business") {
+    if (!user.businessId) return { empty: true };
+    and.push({ businessId: user.businessId });
+    if (!hasBusinessRole(user, "manager")) and.push({ assignedTo: user.id });
+  } else {
+    and.push({ submittedBy: user.id });
+    if (query.businessId) and.push({ businessId: query.businessId });
+  }
+
+  if (query.assignedTo && user.role !== "customer") {
+    if (query.assignedTo === "none") and.push({ assignedTo: null });
+    else and.push({ assignedTo: query.assignedTo === "me" ? user.id : query.assignedTo });
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const rx = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    and.push({ $or: [{ name: rx }, { message: rx }] });
+  }
+
+  if (query.phone && String(query.phone).trim()) {
+    and.push({ phone: new RegExp("^" + escapeRegex(String(query.phone).trim())) });
+  }
+
+  if (query.from || query.to) {
+    const range = {};
+    if (query.from) {
+      const d = new Date(query.from);
+      if (isNaN(d)) return { error: "Invalid from date" };
+      range.$gte = d;
+    }
+    if (query.to) {
+      const d = new Date(query.to);
+      if (isNaN(d)) return { error: "Invalid to date" };
+      // a bare date (YYYY-MM-DD) includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) d.setUTCHours(23, 59, 59, 999);
+      range.$lte = d;
+    }
+    and.push({ timestamp: range });
+  }
+
+  if (query.status) {
+    if (!LEAD_STATUSES.includes(query.status)) return { error: "Invalid status" };
+    // leads created before statuses existed have no status field and count as "new"
+    and.push(query.status === "new"
+      ? { $or: [{ status: "new" }, { status: { $exists: false } }] }
+      : { status: query.status });
+  }
+
+  return { filter: and.length ? { $and: and } : {} };
+}
+
+// Opaque pagination cursor: the sort value and _id of the last lead on a page
+function encodeLeadCursor(lead, field) {
+  const v = lead[field] === undefined ? null : lead[field];
+  return Buffer.from(JSON.stringify({ v, id: String(lead._id) })).toString("base64url");
+}
+
+function decodeLeadCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { v: v !== null && field === "timestamp" ? new Date(v) : v, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Condition selecting everything after the cursor in (field, _id) order.
+// Missing values sort lowest, as they do in MongoDB.
+function afterLeadCursor(field, dir, { v, id }) {
+  if (v === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  const op = dir === 1 ? "$gt" : "$lt";
+  const or = [{ [field]: { [op]: v } }, { [field]: v, _id: { [op]: id } }];
+  if (dir === -1) or.push({ [field]: null });
+  return { $or: or };
+}
+
+// One page of leads matching `filter`, ordered by query.sort and continued
+// from query.cursor. Returns { items, total, nextCursor } or { error }.
+async function findLeadsPage(filter, query, defaultLimit = 20) {
+  const sortKey = query.sort || "latest";
+  if (!LEAD_SORTS[sortKey]) return { error: { error: "Invalid sort", allowed: Object.keys(LEAD_SORTS) } };
+  const [field, dir] = LEAD_SORTS[sortKey];
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const cursor = decodeLeadCursor(query.cursor, field);
+    if (!cursor) return { error: { error: "Invalid cursor" } };
+    pageFilter = { $and: [filter, afterLeadCursor(field, dir, cursor)] };
+  }
+
+  const [items, total] = await Promise.all([
+    Lead.find(pageFilter).sort({ [field]: dir, _id: dir }).limit(limit + 1).lean().exec(),
+    Lead.countDocuments(filter).exec(),
+  ]);
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeLeadCursor(items[items.length - 1], field) : null,
+  };
+}
+
+// Get leads (protected)
+// Query: q, phone, from, to, businessId, status, sort (latest|oldest|name), limit, cursor
+// Responds with { items, total, nextCursor }
+async function attachBusinessNames(items) {
+  const ids = [...new Set(items.filter((ld) => ld.businessId).map((ld) => String(ld.businessId)))];
+  if (!ids.length) return;
+  const bizs = await Business.find({ _id: { $in: ids } }).select("name").lean().exec();
+  const names = new Map(bizs.map((b) => [String(b._id), b.name]));
+  for (const ld of items) {
+    if (ld.businessId && names.has(String(ld.businessId))) ld.businessName = names.get(String(ld.businessId));
+  }
+}
+
+app.get("/api/leads", authenticateToken, async (req, res) => {
+  try {
+    const { filter, error, empty } = buildLeadFilter(req.user, req.query);
+    if (error) return res.status(400).json({ error });
+    if (empty) return res.json({ items: [], total: 0, nextCursor: null });
+
+    const page = await findLeadsPage(filter, req.query);
+    if (page.error) return res.status(400).json(page.error);
+
+    // Attach businessName to help the admin UI
+    if (req.user.role === "admin") await attachBusinessNames(page.items);
+    // Customers list the leads they sent, not how they are being worked
+    if (!["admin", "business"].includes(req.user.role)) page.items = page.items.map(customerLeadView);
+
+    res.json(page);
+  } catch (err) {
+    console.error("List leads error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Leads the caller may see, as a spreadsheet: same scoping, filters and sort
+// as GET /api/leads, without paging. ?format=csv|xlsx&columns=name,email,...
+// Rows are read through a cursor and written in batches, so large exports
+// don't have to fit in memory.
+const EXPORT_BATCH_SIZE = 500;
+
+app.get("/api/leads/export", authenticateToken, async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: "Invalid format", allowed: EXPORT_FORMATS });
+  const picked = parseExportColumns(req.query.columns, req.user);
+  if (picked.error) return res.status(400).json({ error: "Validation failed", details: { columns: picked.error } });
+  const { filter, error, empty } = buildLeadFilter(req.user, req.query);
+  if (error) return res.status(400).json({ error });
+  const sortKey = req.query.sort || "latest";
+  if (!LEAD_SORTS[sortKey]) return res.status(400).json({ error: "Invalid sort", allowed: Object.keys(LEAD_SORTS) });
+  const [field, dir] = LEAD_SORTS[sortKey];
+
+  const columns = picked.columns.map((key) => LEAD_EXPORT_COLUMNS[key]);
+  const header = columns.map((c) => c.label);
+  const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Content-Type", format === "csv"
+    ? "text/csv; charset=utf-8"
+    : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+
+  // Names and emails are looked up once per batch and remembered
+  const ctx = { businessNames: new Map(), assigneeEmails: new Map() };
+  async function resolveLookups(batch) {
+    const bizIds = [...new Set(batch.map((l) => l.businessId && String(l.businessId)))].filter((id) => id && !ctx.businessNames.has(id));
+    if (bizIds.length) {
+      for (const b of await Business.find({ _id: { $in: bizIds } }).select("name").lean().exec()) ctx.businessNames.set(String(b._id), b.name);
+    }
+    const userIds = [...new Set(batch.map((l) => l.assignedTo && String(l.assignedTo)))].filter((id) => id && !ctx.assigneeEmails.has(id));
+    if (userIds.length) {
+      for (const u of await User.find({ _id: { $in: userIds } }).select("email").lean().exec()) ctx.assigneeEmails.set(String(u._id), u.email);
+    }
+  }
+
+  try {
+    const sheet = format === "csv"
+      ? createCsvWriter(res, { header })
+      : await createXlsxWriter(res, { sheetName: "Leads", header });
+    const writeBatch = async (batch) => {
+      await resolveLookups(batch);
+      for (const lead of batch) await sheet.writeRow(columns.map((c) => c.value(lead, ctx)));
+    };
+
+    if (!empty) {
+      let batch = [];
+      for await (const lead of Lead.find(filter).sort({ [field]: dir, _id: dir }).lean().cursor()) {
+        batch.push(lead);
+        if (batch.length >= EXPORT_BATCH_SIZE) {
+          await writeBatch(batch);
+          batch = [];
+        }
+      }
+      await writeBatch(batch);
+    }
+    await sheet.end();
+    res.end();
+  } catch (err) {
+    // Headers are gone by now; cutting the connection tells the client the file is incomplete
+    if (!res.destroyed) console.error("Export leads error:", err);
+    res.destroy();
+  }
+});
+
+// Move a lead to `status`, record it in the timeline and tell listeners
+async function changeLeadStatus(lead, status, { actor, note } = {}) {
+  const from = lead.status || "new";
+  lead.status = status;
+  lead.activity.push({
+    type: "status_changed",
+    from,
+    to: status,
+    note: note ? String(note).trim() : undefined,
+    actor: actor?.id,
+    actorEmail: actor?.email,
+    at: new Date(),
+  });
+  await lead.save();
+  emitLeadEvent("lead:updated", lead);
+  if (from !== status) {
+    emitWebhookEvent(lead.businessId, "lead.status_changed", { from, to: status, note: note || null, lead: lead.toObject() });
+  }
+}
+
+// Move a lead through the pipeline (business owner of the lead or admin)
+app.patch("/api/leads/:id/status", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { status, note } = req.body;
+    if (!LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", allowed: LEAD_STATUSES });
+    }
+
+    const lead = await Lead.findById(req.params.id).exec();
+    if (!lead) return res.status(404).json({ error: "Not found" });
+    if (!canManageLead(req.user, lead)) return res.status(403).json({ error: "Forbidden" });
+
+    if ((lead.status || "new") === status && !note) return res.json({ lead });
+    await changeLeadStatus(lead, status, { actor: req.user, note });
+    res.json({ lead });
+  } catch (err) {
+    console.error("Update lead status error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Activity timeline for a single lead, newest first
+app.get("/api/leads/:id/activity", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const lead = await Lead.findById(req.params.id).select("businessId assignedTo status activity").lean().exec();
+    if (!lead) return res.status(404).json({ error: "Not found" });
+    if (!canManageLead(req.user, lead)) return res.status(403).json({ error: "Forbidden" });
+
+    const activity = [...(lead.activity || [])].sort((a, b) => new Date(b.at) - new Date(a.at));
+    res.json({ status: lead.status || "new", activity });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Lead assignment
+// ---------------------
+
+// Point a lead at a team member (or nobody) and record it in the timeline.
+// Caller saves the lead.
+async function applyAssignment(lead, assignee, { actor, note } = {}) {
+  const previous = lead.assignedTo
+    ? await User.findById(lead.assignedTo).select("email").lean().exec()
+    : null;
+  lead.assignedTo = assignee?._id;
+  lead.assignedAt = assignee ? new Date() : undefined;
+  lead.activity.push({
+    type: "assigned",
+    from: previous?.email,
+    to: assignee?.email,
+    note,
+    actor: actor?.id,
+    actorEmail: actor?.email,
+    at: new Date(),
+  });
+}
+
+// Assign a fresh lead according to the business's assignment mode
+async function autoAssignLead(lead) {
+  if (!lead.businessId || lead.assignedTo) return;
+  const business = await Business.findById(lead.businessId).select("assignment").lean().exec();
+  const mode = business?.assignment?.mode || "manual";
+  if (mode === "manual") return;
+
+  const agents = await User.find({ businessId: lead.businessId, role: "business", businessRole: "agent" })
+    .select("email")
+    .sort({ _id: 1 })
+    .lean()
+    .exec();
+  if (!agents.length) return;
+
+  let pick;
+  if (mode === "round_robin") {
+    const last = business.assignment.lastAssignedTo;
+    const idx = last ? agents.findIndex((a) => String(a._id) === String(last)) : -1;
+    pick = agents[(idx + 1) % agents.length];
+  } else {
+    const open = await Promise.all(agents.map((a) => Lead.countDocuments({
+      businessId: lead.businessId,
+      assignedTo: a._id,
+      status: { $nin: CLOSED_LEAD_STATUSES },
+      quarantined: { $ne: true },
+    }).exec()));
+    pick = agents[open.indexOf(Math.min(...open))];
+  }
+
+  await Business.updateOne({ _id: lead.businessId }, { $set: { "assignment.lastAssignedTo": pick._id } }).exec();
+  await applyAssignment(lead, pick, { note: mode === "round_robin" ? "auto: round-robin" : "auto: lowest workload" });
+  await lead.save();
+}
+
+// Assign (or with assigneeId null, unassign) a lead; owners, managers and admins
+app.patch("/api/leads/:id/assign", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { assigneeId, note } = req.body;
+    const lead = await Lead.findById(req.params.id).exec();
+    if (!lead) return res.status(404).json({ error: "Not found" });
+    if (!managesBusiness(req.user, lead.businessId)) return res.status(403).json({ error: "Forbidden" });
+
+    let assignee = null;
+    if (assigneeId) {
+      if (!mongoose.Types.ObjectId.isValid(String(assigneeId))) return res.status(400).json({ error: "Invalid assigneeId" });
+      assignee = await User.findOne({ _id: assigneeId, businessId: lead.businessId, role: "business" }).select("email").lean().exec();
+      if (!assignee) return res.status(400).json({ error: "Assignee is not a member of this business" });
+    }
+    const previous = lead.assignedTo;
+    if (String(previous || "") === String(assignee?._id || "")) return res.json({ lead });
+
+    await applyAssignment(lead, assignee, { actor: req.user, note: note ? String(note).trim() : undefined });
+    await lead.save();
+    emitLeadEvent("lead:updated", lead);
+    // The previous assignee loses sight of it; let their dashboard know
+    if (previous) io.to(`user:${previous}`).emit("lead:updated", lead.toObject());
+
+    res.json({ lead });
+  } catch (err) {
+    console.error("Assign lead error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Lead notes and follow-ups
+// Internal to the business: anyone who can manage a lead can read and add
+// notes and follow-ups on it. The follow-up scheduler emails the member who
+// set a follow-up once it falls due (once per due date).
+// ---------------------
+
+const FOLLOWUP_WORKER_INTERVAL_MS = Number(process.env.FOLLOWUP_WORKER_INTERVAL_MS) || 60 * 1000;
+let followUpsBusy = false;
+
+// Load a lead the caller may manage, or answer 404/403 and return null
+async function leadForTeamWork(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  const lead = await Lead.findById(req.params.id).select("name email phone status businessId assignedTo").lean().exec();
+  if (!lead) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  if (!canManageLead(req.user, lead)) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return lead;
+}
+
+function validateFollowUpInput({ dueAt, note }, partial = false) {
+  const errors = {};
+  if (!partial || dueAt !== undefined) {
+    if (!dueAt || Number.isNaN(new Date(dueAt).getTime())) errors.dueAt = "A valid due date is required";
+  }
+  if (note !== undefined && String(note).length > 500) errors.note = "Keep the reminder under 500 characters";
+  return errors;
+}
+
+app.get("/api/leads/:id/notes", authenticateToken, async (req, res) => {
+  try {
+    const lead = await leadForTeamWork(req, res);
+    if (!lead) return;
+    const notes = await LeadNote.find({ leadId: lead._id }).sort({ createdAt: -1 }).lean().exec();
+    res.json({ notes });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/leads/:id/notes", authenticateToken, async (req, res) => {
+  try {
+    const lead = await leadForTeamWork(req, res);
+    if (!lead) return;
+    const body = String(req.body?.body || "").trim();
+    if (!body) return res.status(400).json({ error: "Validation failed", details: { body: "Note cannot be empty" } });
+    if (body.length > 5000) return res.status(400).json({ error: "Validation failed", details: { body: "Keep notes under 5000 characters" } });
+
+    const note = await LeadNote.create({
+      leadId: lead._id,
+      businessId: lead.businessId,
+      body,
+      author: req.user.id,
+      authorEmail: req.user.email,
+    });
+    res.json({ note });
+  } catch (err) {
+    console.error("Add note error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Authors delete their own notes; owners, managers and admins any note
+app.delete("/api/leads/:id/notes/:noteId", authenticateToken, async (req, res) => {
+  try {
+    const lead = await leadForTeamWork(req, res);
+    if (!lead) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.noteId)) return res.status(404).json({ error: "Not found" });
+    const note = await LeadNote.findOne({ _id: req.params.noteId, leadId: lead._id }).lean().exec();
+    if (!note) return res.status(404).json({ error: "Not found" });
+    if (String(note.author) !== String(req.user.id) && !managesBusiness(req.user, lead.businessId)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    await LeadNote.deleteOne({ _id: note._id }).exec();
+    res.json({ message: "Note deleted" });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/leads/:id/followups", authenticateToken, async (req, res) => {
+  try {
+    const lead = await leadForTeamWork(req, res);
+    if (!lead) return;
+    const followUps = await FollowUp.find({ leadId: lead._id }).sort({ dueAt: 1 }).lean().exec();
+    res.json({ followUps });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/leads/:id/followups", authenticateToken, async (req, res) => {
+  try {
+    const lead = await leadForTeamWork(req, res);
+    if (!lead) return;
+    const errors = validateFollowUpInput(req.body || {});
+    if (Object.keys(errors).length) return res.status(400).json({ error: "Validation failed", details: errors });
+
+    const followUp = await FollowUp.create({
+      leadId: lead._id,
+      businessId: lead.businessId,
+      dueAt: new Date(req.body.dueAt),
+      note: req.body.note ? String(req.body.note).trim() : undefined,
+      createdBy: req.user.id,
+      createdByEmail: req.user.email,
+    });
+    res.json({ followUp });
+  } catch (err) {
+    console.error("Add follow-up error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Reschedule, edit or complete ({ done: true }) a follow-up
+app.patch("/api/followups/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const followUp = await FollowUp.findById(req.params.id).exec();
+    if (!followUp) return res.status(404).json({ error: "Not found" });
+    const lead = await Lead.findById(followUp.leadId).select("businessId assignedTo").lean().exec();
+    if (!canManageLead(req.user, lead)) return res.status(403).json({ error: "Forbidden" });
+
+    const errors = validateFollowUpInput(req.body || {}, true);
+    if (Object.keys(errors).length) return res.status(400).json({ error: "Validation failed", details: errors });
+
+    const { dueAt, note, done } = req.body;
+    if (dueAt !== undefined) {
+      followUp.dueAt = new Date(dueAt);
+      // a new due date gets its own reminder
+      followUp.remindedAt = undefined;
+    }
+    if (note !== undefined) followUp.note = String(note).trim() || undefined;
+    if (done !== undefined) followUp.doneAt = done ? followUp.doneAt || new Date() : undefined;
+    await followUp.save();
+    res.json({ followUp });
+  } catch (err) {
+    console.error("Update follow-up error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/followups/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const followUp = await FollowUp.findById(req.params.id).lean().exec();
+    if (!followUp) return res.status(404).json({ error: "Not found" });
+    const lead = await Lead.findById(followUp.leadId).select("businessId assignedTo").lean().exec();
+    if (!canManageLead(req.user, lead)) return res.status(403).json({ error: "Forbidden" });
+    await FollowUp.deleteOne({ _id: followUp._id }).exec();
+    res.json({ message: "Follow-up deleted" });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Open follow-ups due before ?before= (default: end of today), oldest first,
+// with a summary of each lead. Agents get the ones they set; owners and
+// managers their whole team's; admins everything.
+app.get("/api/followups/due", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role === "customer") return res.status(403).json({ error: "Forbidden" });
+    const before = req.query.before ? new Date(req.query.before) : new Date(new Date().setHours(23, 59, 59, 999));
+    if (Number.isNaN(before.getTime())) return res.status(400).json({ error: "Invalid before date" });
+
+    const filter = { doneAt: null, dueAt: { $lte: before } };
+    if (req.user.role === "business") {
+      if (!req.user.businessId) return res.json({ followUps: [] });
+      filter.businessId = req.user.businessId;
+      if (!hasBusinessRole(req.user, "manager")) filter.createdBy = req.user.id;
+    }
+    const followUps = await FollowUp.find(filter).sort({ dueAt: 1 }).limit(200).lean().exec();
+
+    const leadIds = [...new Set(followUps.map((f) => String(f.leadId)))];
+    const leads = await Lead.find({ _id: { $in: leadIds } }).select("name email phone status").lean().exec();
+    const byId = new Map(leads.map((l) => [String(l._id), l]));
+    res.json({ followUps: followUps.map((f) => ({ ...f, lead: byId.get(String(f.leadId)) || null })) });
+  } catch (err) {
+    console.error("Due follow-ups error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Atomically claim the next follow-up that is due and hasn't been reminded
+function claimDueFollowUp() {
+  return FollowUp.findOneAndUpdate(
+    { doneAt: null, remindedAt: null, dueAt: { $lte: new Date() } },
+    { $set: { remindedAt: new Date() } },
+    { new: true, sort: { dueAt: 1 } }
+  ).lean().exec();
+}
+
+async function processFollowUps() {
+  if (!mailer || followUpsBusy) return;
+  followUpsBusy = true;
+  try {
+    let followUp;
+    while ((followUp = await claimDueFollowUp())) {
+      const [lead, member] = await Promise.all([
+        Lead.findById(followUp.leadId).select("name email phone status businessId").lean().exec(),
+        User.findById(followUp.createdBy).select("email role businessId").lean().exec(),
+      ]);
+      // Nobody to remind when the lead is gone or the member left the team
+      if (!lead || !member) continue;
+      if (member.role === "business" && String(member.businessId || "") !== String(lead.businessId)) continue;
+      await sendMail({ kind: "followup_reminder", to: member.email, ...followUpReminderEmail({ followUp, lead, appUrl: APP_URL }) });
+    }
+  } catch (err) {
+    console.error("Follow-up scheduler error:", err.message);
+  } finally {
+    followUpsBusy = false;
+  }
+}
+
+if (mailer) setInterval(processFollowUps, FOLLOWUP_WORKER_INTERVAL_MS).unref();
+
+// ---------------------
+// Lead conversations
+// The customer who submitted a lead and the business (whoever can manage the
+// lead) exchange messages on it. Admins can read along. Opening the thread
+// marks the other side's messages as read; each new message is pushed over
+// the socket ("message:created" / "message:read") and emailed to the other side.
+// ---------------------
+
+// "customer", "business", "admin" (read only) or null when the user has no access
+function threadSide(user, lead) {
+  if (!user || !lead) return null;
+  if (user.role === "customer") return lead.submittedBy && String(lead.submittedBy) === String(user.id) ? "customer" : null;
+  if (user.role === "admin") return "admin";
+  return canManageLead(user, lead) ? "business" : null;
+}
+
+async function leadForThread(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "Not found" });
+    return {};
+  }
+  const lead = await Lead.findById(req.params.id).select("name email businessId submittedBy assignedTo quarantined").lean().exec();
+  const side = threadSide(req.user, lead);
+  if (!lead || (lead.quarantined && side !== "admin")) {
+    res.status(404).json({ error: "Not found" });
+    return {};
+  }
+  if (!side) {
+    res.status(403).json({ error: "Forbidden" });
+    return {};
+  }
+  return { lead, side };
+}
+
+// Email the other side about a new message, honouring emailPrefs.messages.
+// Customer messages go to the assignee, or the business owner when unassigned.
+async function notifyNewMessage(message, lead) {
+  if (!mailer) return;
+  const business = await Business.findById(lead.businessId).select("name owner").lean().exec();
+  let recipient = null;
+  if (message.senderSide === "customer") {
+    const userId = lead.assignedTo || business?.owner;
+    recipient = userId ? await User.findById(userId).select("email emailPrefs").lean().exec() : null;
+  } else if (lead.submittedBy) {
+    recipient = await User.findById(lead.submittedBy).select("email emailPrefs").lean().exec();
+  } else if (lead.email) {
+    // guest leads: the reply still reaches their inbox
+    recipient = { email: lead.email };
+  }
+  if (!recipient?.email || recipient.emailPrefs?.messages === false) return;
+  await sendMail({
+    kind: "lead_message",
+    to: recipient.email,
+    ...newMessageEmail({ message, lead, business, toCustomer: message.senderSide === "business", appUrl: APP_URL }),
+  });
+}
+
+app.get("/api/leads/:id/messages", authenticateToken, async (req, res) => {
+  try {
+    const { lead, side } = await leadForThread(req, res);
+    if (!lead) return;
+
+    if (side !== "admin") {
+      const otherSide = side === "customer" ? "business" : "customer";
+      const readAt = new Date();
+      const result = await LeadMessage.updateMany({ leadId: lead._id, senderSide: otherSide, readAt: null }, { $set: { readAt } }).exec();
+      if (result.modifiedCount) leadAudience(lead).emit("message:read", { leadId: lead._id, side: otherSide, readAt });
+    }
+    const messages = await LeadMessage.find({ leadId: lead._id }).sort({ createdAt: 1 }).lean().exec();
+    res.json({ messages, side, canReply: side !== "admin" });
+  } catch (err) {
+    console.error("Load messages error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/leads/:id/messages", authenticateToken, async (req, res) => {
+  try {
+    const { lead, side } = await leadForThread(req, res);
+    if (!lead) return;
+    if (side === "admin") return res.status(403).json({ error: "Admins can read conversations but not reply" });
+
+    const body = String(req.body?.body || "").trim();
+    if (!body) return res.status(400).json({ error: "Validation failed", details: { body: "Message cannot be empty" } });
+    if (body.length > 5000) return res.status(400).json({ error: "Validation failed", details: { body: "Keep messages under 5000 characters" } });
+
+    const sender = await User.findById(req.user.id).select("name email").lean().exec();
+    const business = side === "business" ? await Business.findById(lead.businessId).select("name").lean().exec() : null;
+    const message = await LeadMessage.create({
+      leadId: lead._id,
+      businessId: lead.businessId,
+      sender: req.user.id,
+      senderSide: side,
+      // customers see the business name rather than the team member's
+      senderName: side === "business" ? business?.name : sender?.name || sender?.email,
+      body,
+    });
+    leadAudience(lead).emit("message:created", message.toObject());
+    notifyNewMessage(message, lead).catch((err) => console.error("Message email failed:", err.message));
+
+    res.json({ message });
+  } catch (err) {
+    console.error("Send message error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Unread messages per lead for the current user: { counts: { <leadId>: n } }
+app.get("/api/messages/unread", authenticateToken, async (req, res) => {
+  try {
+    let filter;
+    if (req.user.role === "customer") {
+      const leads = await Lead.find({ submittedBy: req.user.id }).select("_id").lean().exec();
+      filter = { leadId: { $in: leads.map((l) => l._id) }, senderSide: "business" };
+    } else if (req.user.role === "business" && req.user.businessId) {
+      filter = { businessId: req.user.businessId, senderSide: "customer" };
+      if (!hasBusinessRole(req.user, "manager")) {
+        const leads = await Lead.find({ businessId: req.user.businessId, assignedTo: req.user.id }).select("_id").lean().exec();
+        filter.leadId = { $in: leads.map((l) => l._id) };
+      }
+    } else {
+      return res.json({ counts: {} });
+    }
+    const unread = await LeadMessage.find({ ...filter, readAt: null }).select("leadId").lean().exec();
+    const counts = {};
+    for (const m of unread) counts[m.leadId] = (counts[m.leadId] || 0) + 1;
+    res.json({ counts });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Quotations
+// Built by the business from a lead and its product catalogue. Drafts are
+// private to the business; once sent, the customer who submitted the lead
+// can download the PDF and accept or reject it until validUntil. Accepting
+// marks the lead won.
+// ---------------------
+
+const QUOTE_DEFAULT_VALIDITY_DAYS = 30;
+
+function quoteExpired(quote) {
+  return quote.status === "sent" && !!quote.validUntil && new Date(quote.validUntil) < new Date();
+}
+
+// Quote as the API returns it, with `expired` worked out
+function publicQuote(quote) {
+  const q = typeof quote.toObject === "function" ? quote.toObject() : quote;
+  return { ...q, expired: quoteExpired(q) };
+}
+
+// "business" when the caller can manage the lead, "customer" for its submitter
+function quoteSide(user, lead) {
+  if (!user || !lead) return null;
+  if (canManageLead(user, lead)) return "business";
+  if (user.role === "customer" && lead.submittedBy && String(lead.submittedBy) === String(user.id)) return "customer";
+  return null;
+}
+
+// Validate a quote body and price it from the business's catalogue.
+// Returns { errors } or the fields to store.
+async function buildQuoteFields(body, businessId) {
+  const parsed = parseQuoteItems(body.items);
+  if (parsed.errors) return { errors: parsed.errors };
+  const errors = {};
+
+  const ids = parsed.items.map((i) => i.productId).filter(Boolean);
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(String(id)))) return { errors: { items: "Invalid productId" } };
+  const products = await Product.find({ _id: { $in: ids }, businessId }).select("name sku price").lean().exec();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const items = parsed.items.map((item, i) => {
+    const product = item.productId ? byId.get(String(item.productId)) : null;
+    if (item.productId && !product) errors[`items.${i}`] = "Product not found in your catalogue";
+    const unitPrice = item.unitPrice ?? product?.price;
+    if (unitPrice === undefined || unitPrice === null) errors[`items.${i}.unitPrice`] = "Unit price is required";
+    return {
+      ...item,
+      productId: product?._id,
+      name: item.name || product?.name,
+      sku: product?.sku,
+      unitPrice: Number(unitPrice) || 0,
+    };
+  });
+
+  let validUntil;
+  if (body.validUntil) {
+    validUntil = new Date(body.validUntil);
+    if (Number.isNaN(validUntil.getTime())) errors.validUntil = "Invalid validity date";
+    else if (validUntil < new Date()) errors.validUntil = "Validity date must be in the future";
+  } else {
+    validUntil = new Date(Date.now() + QUOTE_DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  }
+  if (body.notes !== undefined && String(body.notes).length > 2000) errors.notes = "Keep notes under 2000 characters";
+  if (Object.keys(errors).length) return { errors };
+
+  return {
+    ...priceQuote(items),
+    validUntil,
+    notes: body.notes ? String(body.notes).trim() : undefined,
+  };
+}
+
+// Load a quote and its lead for the caller, or answer 404/403 and return {}
+async function quoteForRequest(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: "Not found" });
+    return {};
+  }
+  const quote = await Quote.findById(req.params.id).exec();
+  const lead = quote ? await Lead.findById(quote.leadId).exec() : null;
+  const side = quoteSide(req.user, lead);
+  // customers never see drafts
+  if (!quote || !lead || (side === "customer" && quote.status === "draft")) {
+    res.status(404).json({ error: "Not found" });
+    return {};
+  }
+  if (!side) {
+    res.status(403).json({ error: "Forbidden" });
+    return {};
+  }
+  return { quote, lead, side };
+}
+
+// Quote numbers come from a per-business counter, incremented atomically so
+// deleted drafts and concurrent creates never hand out the same number twice
+async function nextQuoteNumber(businessId) {
+  const bump = (filter) => Business.findOneAndUpdate(filter, { $inc: { quoteCounter: 1 } }, { new: true }).select("quoteCounter").lean().exec();
+  let business = await bump({ _id: businessId, quoteCounter: { $exists: true } });
+  if (!business) {
+    // First quote since the counter was added: carry on from the highest number in use
+    const existing = await Quote.find({ businessId }).select("number").lean().exec();
+    const highest = Math.max(0, ...existing.map((q) => parseInt(String(q.number || "").replace(/^Q-/, ""), 10) || 0));
+    await Business.updateOne({ _id: businessId, quoteCounter: { $exists: false } }, { $set: { quoteCounter: highest } }).exec();
+    business = await bump({ _id: businessId });
+  }
+  return `Q-${String(business.quoteCounter).padStart(4, "0")}`;
+}
+
+// Send a draft: email the customer and move an open lead to "quoted"
+async function sendQuote(quote, lead, actor) {
+  quote.status = "sent";
+  quote.sentAt = new Date();
+  await quote.save();
+
+  const business = await Business.findById(lead.businessId).select("name").lean().exec();
+  if (lead.email) {
+    await sendMail({
+      kind: "quote_sent",
+      to: lead.email,
+      ...quoteSentEmail({ quote, lead, business, appUrl: APP_URL }),
+    });
+  }
+  if (["new", "contacted", "qualified"].includes(lead.status || "new")) {
+    await changeLeadStatus(lead, "quoted", { actor, note: `Quote ${quote.number} sent` });
+  }
+}
+
+app.get("/api/leads/:id/quotes", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const lead = await Lead.findById(req.params.id).select("businessId submittedBy assignedTo").lean().exec();
+    const side = quoteSide(req.user, lead);
+    if (!lead) return res.status(404).json({ error: "Not found" });
+    if (!side) return res.status(403).json({ error: "Forbidden" });
+
+    const filter = { leadId: lead._id };
+    if (side === "customer") filter.status = { $ne: "draft" };
+    const quotes = await Quote.find(filter).sort({ createdAt: -1 }).lean().exec();
+    res.json({ quotes: quotes.map(publicQuote), side });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Create a quote from a lead: { items: [{ productId?, name?, quantity, unitPrice?,
+// discountPercent?, taxPercent? }], validUntil?, notes?, send? }
+app.post("/api/leads/:id/quotes", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const lead = await Lead.findById(req.params.id).exec();
+    if (!lead) return res.status(404).json({ error: "Not found" });
+    if (!canManageLead(req.user, lead)) return res.status(403).json({ error: "Forbidden" });
+
+    const fields = await buildQuoteFields(req.body || {}, lead.businessId);
+    if (fields.errors) return res.status(400).json({ error: "Validation failed", details: fields.errors });
+
+    const quote = await Quote.create({
+      ...fields,
+      leadId: lead._id,
+      businessId: lead.businessId,
+      number: await nextQuoteNumber(lead.businessId),
+      createdBy: req.user.id,
+    });
+    if (req.body.send) await sendQuote(quote, lead, req.user);
+    res.json({ quote: publicQuote(quote), lead });
+  } catch (err) {
+    console.error("Create quote error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Edit a draft (same body as create)
+app.put("/api/quotes/:id", authenticateToken, async (req, res) => {
+  try {
+    const { quote, lead, side } = await quoteForRequest(req, res);
+    if (!quote) return;
+    if (side !== "business") return res.status(403).json({ error: "Forbidden" });
+    if (quote.status !== "draft") return res.status(409).json({ error: "Only drafts can be edited" });
+
+    const fields = await buildQuoteFields(req.body || {}, lead.businessId);
+    if (fields.errors) return res.status(400).json({ error: "Validation failed", details: fields.errors });
+    Object.assign(quote, fields);
+    await quote.save();
+    res.json({ quote: publicQuote(quote) });
+  } catch (err) {
+    console.error("Update quote error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/quotes/:id/send", authenticateToken, async (req, res) => {
+  try {
+    const { quote, lead, side } = await quoteForRequest(req, res);
+    if (!quote) return;
+    if (side !== "business") return res.status(403).json({ error: "Forbidden" });
+    if (quote.status !== "draft") return res.status(409).json({ error: "This quote has already been sent" });
+    if (quote.validUntil && quote.validUntil < new Date()) {
+      return res.status(400).json({ error: "Validation failed", details: { validUntil: "Validity date must be in the future" } });
+    }
+    await sendQuote(quote, lead, req.user);
+    res.json({ quote: publicQuote(quote), lead });
+  } catch (err) {
+    console.error("Send quote error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/quotes/:id", authenticateToken, async (req, res) => {
+  try {
+    const { quote, side } = await quoteForRequest(req, res);
+    if (!quote) return;
+    if (side !== "business") return res.status(403).json({ error: "Forbidden" });
+    if (quote.status !== "draft") return res.status(409).json({ error: "Only drafts can be deleted" });
+    await Quote.deleteOne({ _id: quote._id }).exec();
+    res.json({ message: "Quote deleted" });
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/quotes/:id/pdf", authenticateToken, async (req, res) => {
+  try {
+    const { quote, lead } = await quoteForRequest(req, res);
+    if (!quote) return;
+    const business = await Business.findById(lead.businessId).select("name location category").lean().exec();
+    const pdf = renderQuotePdf(quote.toObject(), { business, lead });
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${quote.number}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error("Quote PDF error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Customer's answer: { decision: "accept" | "reject", note? }
+app.post("/api/quotes/:id/respond", authenticateToken, async (req, res) => {
+  try {
+    const { quote, lead, side } = await quoteForRequest(req, res);
+    if (!quote) return;
+    if (side !== "customer") return res.status(403).json({ error: "Only the customer can respond to a quote" });
+    const { decision, note } = req.body || {};
+    if (!["accept", "reject"].includes(decision)) return res.status(400).json({ error: "decision must be accept or reject" });
+    if (quote.status !== "sent") return res.status(409).json({ error: `This quote has already been ${quote.status}` });
+    if (quoteExpired(quote)) return res.status(410).json({ error: "This quote has expired. Ask the business for a new one." });
+
+    // Claim it so a double click can't answer twice
+    const claimed = await Quote.findOneAndUpdate(
+      { _id: quote._id, status: "sent" },
+      { $set: {
+        status: decision === "accept" ? "accepted" : "rejected",
+        respondedAt: new Date(),
+        responseNote: note ? String(note).trim().slice(0, 2000) : undefined,
+      } },
+      { new: true }
+    ).exec();
+    if (!claimed) return res.status(409).json({ error: "This quote has already been answered" });
+
+    if (decision === "accept" && lead.status !== "won") {
+      await changeLeadStatus(lead, "won", { actor: req.user, note: `Quote ${quote.number} accepted` });
+    } else {
+      emitLeadEvent("lead:updated", lead);
+    }
+
+    const [business, creator] = await Promise.all([
+      Business.findById(lead.businessId).select("name owner").lean().exec(),
+      User.findById(quote.createdBy).select("email businessId").lean().exec(),
+    ]);
+    const stillMember = creator && String(creator.businessId || "") === String(lead.businessId);
+    const owner = !stillMember && business?.owner ? await User.findById(business.owner).select("email").lean().exec() : null;
+    const to = stillMember ? creator.email : owner?.email;
+    if (to) {
+      await sendMail({ kind: "quote_response", to, ...quoteResponseEmail({ quote: claimed, lead, business, appUrl: APP_URL }) });
+    }
+
+    // Only the customer gets here: no assignee or activity for them
+    res.json({ quote: publicQuote(claimed), lead: customerLeadView(lead) });
+  } catch (err) {
+    console.error("Respond to quote error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Analytics
+// Lead volume, breakdowns, response times and the status funnel (see
+// analytics/leads.js). Owners and managers see their own business; admins see
+// the whole platform or pass businessId. Quarantined leads are left out.
+// ---------------------
+
+const ANALYTICS_CHUNK_SIZE = 500;
+
+app.get("/api/analytics/leads", authenticateToken, async (req, res) => {
+  try {
+    let businessId = null;
+    if (req.user.role === "admin") businessId = req.query.businessId || null;
+    else if (req.user.role === "business" && hasBusinessRole(req.user, "manager") && req.user.businessId) businessId = req.user.businessId;
+    else return res.status(403).json({ error: "Forbidden" });
+    if (businessId && !mongoose.Types.ObjectId.isValid(String(businessId))) {
+      return res.status(400).json({ error: "Validation failed", details: { businessId: "Invalid businessId" } });
+    }
+
+    const range = parseAnalyticsRange(req.query);
+    if (range.errors) return res.status(400).json({ error: "Validation failed", details: range.errors });
+
+    const filter = { quarantined: { $ne: true }, timestamp: { $gte: range.from, $lte: range.to } };
+    if (businessId) filter.businessId = businessId;
+
+    const businesses = new Map();
+    const report = createLeadReport(range, {
+      byBusiness: (l, b) => ({ key: String(l.businessId), label: b.name }),
+      byCategory: (l, b) => ({ key: b.category, label: b.category }),
+      byLocation: (l, b) => ({ key: b.location, label: b.location }),
+      byProduct: (l) => (l.products || []).map((p) => ({ key: String(p.productId), label: p.name })),
+      bySource: (l) => ({ key: l.source, label: l.source }),
+      byStatus: (l) => ({ key: l.status, label: l.status }),
+    });
+
+    // Leads are streamed and counted a chunk at a time, so a long range never
+    // sits in memory; each chunk looks up its businesses and first replies
+    const addChunk = async (leads) => {
+      const missing = [...new Set(leads.map((l) => String(l.businessId)))].filter((id) => !businesses.has(id));
+      if (missing.length) {
+        for (const b of await Business.find({ _id: { $in: missing } }).select("name category location").lean().exec()) {
+          businesses.set(String(b._id), b);
+        }
+      }
+      const replies = await LeadMessage.find({ leadId: { $in: leads.map((l) => l._id) }, senderSide: "business" })
+        .select("leadId createdAt")
+        .lean()
+        .exec();
+      const firstReplyAt = new Map();
+      for (const m of replies) {
+        const key = String(m.leadId);
+        if (!firstReplyAt.has(key) || m.createdAt < firstReplyAt.get(key)) firstReplyAt.set(key, m.createdAt);
+      }
+      for (const lead of leads) {
+        report.add(lead, businesses.get(String(lead.businessId)) || {}, firstReplyAt.get(String(lead._id)));
+      }
+    };
+
+    const cursor = Lead.find(filter)
+      .select("businessId products productId source status activity timestamp")
+      .lean()
+      .cursor();
+    let chunk = [];
+    for await (const lead of cursor) {
+      chunk.push(lead);
+      if (chunk.length >= ANALYTICS_CHUNK_SIZE) {
+        await addChunk(chunk);
+        chunk = [];
+      }
+    }
+    if (chunk.length) await addChunk(chunk);
+
+    res.json({
+      scope: businessId ? { businessId, businessName: businesses.get(String(businessId))?.name } : { platform: true },
+      from: range.from,
+      to: range.to,
+      interval: range.interval,
+      ...report.result(),
+    });
+  } catch (err) {
+    console.error("Lead analytics error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Guest inquiries
+// Visitors without an account submit here; the lead is only delivered once
+// they enter the emailed code or open the magic link. Verified guest leads are
+// linked to a customer account with the same email once that account has
+// confirmed it owns the address.
+// ---------------------
+
+const GUEST_CODE_TTL_MS = 30 * 60 * 1000;
+const EMAIL_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const GUEST_MAX_ATTEMPTS = 5;
+const GUEST_MAX_PENDING_PER_HOUR = 3;
+
+function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function emailMatcher(email) {
+  return new RegExp("^" + escapeRegex(String(email).trim()) + "$", "i");
+}
+
+// Turn a verified guest inquiry into a lead exactly once
+async function deliverGuestInquiry(inquiry) {
+  const claimed = await GuestInquiry.findOneAndUpdate(
+    { _id: inquiry._id, verifiedAt: null },
+    { $set: { verifiedAt: new Date() } },
+    { new: true }
+  ).exec();
+  if (!claimed) return GuestInquiry.findById(inquiry._id).lean().exec();
+
+  const customer = await User.findOne({ email: emailMatcher(claimed.email), role: "customer", emailVerifiedAt: { $ne: null } }).select("_id").lean().exec();
+  const lead = await createLead({
+    name: claimed.name,
+    email: claimed.email,
+    phone: claimed.phone,
+    message: claimed.message,
+    businessId: claimed.businessId,
+    products: claimed.products || [],
+    submittedBy: customer?._id,
+    actor: null,
+    source: "guest",
+    quality: {
+      ip: claimed.ip,
+      spamScore: claimed.spamScore || 0,
+      spamReasons: claimed.spamReasons || [],
+      quarantined: (claimed.spamScore || 0) >= LEAD_SPAM_THRESHOLD,
+    },
+  });
+  claimed.leadId = lead._id;
+  await claimed.save();
+  return claimed.toObject();
+}
+
+// Attach verified guest leads sent from this email to the customer account.
+// Only call this once the account has proven it owns the address.
+async function linkGuestLeads(user) {
+  const result = await Lead.updateMany(
+    { source: "guest", submittedBy: null, email: emailMatcher(user.email) },
+    { $set: { submittedBy: user._id } }
+  ).exec();
+  return result.modifiedCount || 0;
+}
+
+// Does `token` (from a guest verification email) belong to an inquiry sent from `email`?
+async function guestTokenMatchesEmail(token, email) {
+  if (!/^[a-f0-9]{64}$/.test(String(token || "")) || !email) return false;
+  const inquiry = await GuestInquiry.findOne({ tokenHash: hashSecret(token), email: emailMatcher(email) }).select("_id").lean().exec();
+  return !!inquiry;
+}
+
+// Mark the account's email as proven and pick up its guest leads
+async function confirmAccountEmail(user) {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { emailVerifiedAt: new Date() }, $unset: { emailTokenHash: "", emailTokenExpiresAt: "" } }
+  ).exec();
+  return user.role === "customer" ? linkGuestLeads(user) : 0;
+}
+
+// Email the account a link that confirms its address; false without a mailer
+async function sendEmailConfirmation(user) {
+  if (!mailer) return false;
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + EMAIL_TOKEN_TTL_MS);
+  await User.updateOne({ _id: user._id }, { $set: { emailTokenHash: hashSecret(token), emailTokenExpiresAt: expiresAt } }).exec();
+  await sendMail({
+    kind: "email_confirmation",
+    to: user.email,
+    ...emailConfirmationEmail({ user, link: `${APP_URL}/verify-email?token=${token}`, expiresAt }),
+  });
+  return true;
+}
+
+// Public: start a guest inquiry and email the verification code + link
+app.post("/api/leads/guest", async (req, res) => {
+  try {
+    if (!mailer) return res.status(503).json({ error: "Guest inquiries need email delivery, which is not configured. Please log in instead." });
+
+    const screened = await screenLead(req.body || {}, { ip: req.ip });
+    if (screened.reject) return sendScreenRejection(res, screened.reject);
+    const { fields, quality } = screened;
+    const business = await Business.findById(fields.businessId).select("name").lean().exec();
+
+    const recent = await GuestInquiry.countDocuments({
+      email: emailMatcher(fields.email),
+      verifiedAt: null,
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+    }).exec();
+    if (recent >= GUEST_MAX_PENDING_PER_HOUR) {
+      return res.status(429).json({ error: "Too many unverified inquiries for this email. Check your inbox or try again later." });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const token = crypto.randomBytes(32).toString("hex");
+    const inquiry = await GuestInquiry.create({
+      ...fields,
+      codeHash: hashSecret(code),
+      tokenHash: hashSecret(token),
+      expiresAt: new Date(Date.now() + GUEST_CODE_TTL_MS),
+      ip: quality.ip,
+      spamScore: quality.spamScore,
+      spamReasons: quality.spamReasons,
+    });
+
+    await sendMail({
+      kind: "guest_verification",
+      to: inquiry.email,
+      ...guestVerificationEmail({
+        inquiry,
+        business,
+        code,
+        link: `${APP_URL}/verify-inquiry?token=${token}`,
+        ttlMinutes: GUEST_CODE_TTL_MS / 60000,
+      }),
+    });
+
+    res.json({ message: "Verification code sent", inquiryId: inquiry._id, email: inquiry.email });
+  } catch (err) {
+    console.error("Guest inquiry error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Public: confirm with the 6-digit code from the email
+app.post("/api/leads/guest/:id/verify", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const inquiry = await GuestInquiry.findById(req.params.id).exec();
+    if (!inquiry) return res.status(404).json({ error: "Not found" });
+    if (inquiry.verifiedAt) return res.json({ message: "Inquiry already sent", leadId: inquiry.leadId });
+    if (inquiry.expiresAt < new Date()) return res.status(410).json({ error: "This code has expired. Please send the inquiry again." });
+
+    // Spend an attempt before looking at the code, so parallel guesses can't
+    // all slip in under the limit
+    const counted = await GuestInquiry.findOneAndUpdate(
+      { _id: inquiry._id, attempts: { $lt: GUEST_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).exec();
+    if (!counted) return res.status(429).json({ error: "Too many attempts. Please send the inquiry again." });
+
+    const code = String(req.body?.code || "").trim();
+    if (hashSecret(code) !== inquiry.codeHash) {
+      return res.status(400).json({ error: "Incorrect code", attemptsLeft: Math.max(GUEST_MAX_ATTEMPTS - counted.attempts, 0) });
+    }
+
+    const delivered = await deliverGuestInquiry(inquiry);
+    res.json({ message: "Inquiry sent", leadId: delivered.leadId });
+  } catch (err) {
+    console.error("Guest verify error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Public: confirm through the magic link (the frontend posts the token here)
+app.post("/api/leads/guest/verify-link", async (req, res) => {
+  try {
+    const token = String(req.body?.token || "");
+    if (!/^[a-f0-9]{64}$/.test(token)) return res.status(400).json({ error: "Invalid link" });
+    const inquiry = await GuestInquiry.findOne({ tokenHash: hashSecret(token) }).exec();
+    if (!inquiry) return res.status(404).json({ error: "This link is not valid" });
+    if (!inquiry.verifiedAt && inquiry.expiresAt < new Date()) {
+      return res.status(410).json({ error: "This link has expired. Please send the inquiry again." });
+    }
+
+    const delivered = await deliverGuestInquiry(inquiry);
+    const business = await Business.findById(inquiry.businessId).select("name").lean().exec();
+    res.json({ message: "Inquiry sent", leadId: delivered.leadId, businessName: business?.name, email: inquiry.email });
+  } catch (err) {
+    console.error("Guest verify link error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Public businesses endpoints
+app.get('/api/businesses', async (req, res) => {
+  try {
+    const docs = await Business.find().select('name slug category location description verified').sort({ verified: -1, createdAt: -1 }).lean().exec();
+    res.json(docs);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: directory search. `q` matches business names, categories,
+// locations, descriptions and product names; every word must match somewhere.
+// Facet counts for each filter ignore that filter itself, so the UI can offer
+// the other categories/locations a visitor could switch to.
+const DIRECTORY_SORTS = ["relevance", "newest", "name"];
+const DIRECTORY_FIELDS = "name slug category location description logo verified createdAt";
+// Relevance ranks this many of the best-placed matches (verified, then newest);
+// later pages continue in that order. Responses say how many were ranked in
+// `rankedByRelevance`.
+const DIRECTORY_RELEVANCE_WINDOW = 200;
+
+// Case-insensitive equality on a facet value, ignoring surrounding spaces
+function facetMatcher(key) {
+  return new RegExp("^\\s*" + escapeRegex(key) + "\\s*$", "i");
+}
+
+// One clause per term: the term appears in a business field or in the name of
+// one of its products
+async function directoryTermClauses(terms) {
+  return Promise.all(terms.map(async (term) => {
+    const re = new RegExp(escapeRegex(term), "i");
+    const withProduct = await Product.distinct("businessId", { name: re }).exec();
+    return { $or: [{ name: re }, { category: re }, { location: re }, { description: re }, { _id: { $in: withProduct } }] };
+  }));
+}
+
+// Score a page of businesses, with up to three of their products that mention a term
+async function scoreDirectoryPage(businesses, terms, q) {
+  const productsByBusiness = new Map();
+  if (terms.length && businesses.length) {
+    const products = await Product.find({
+      businessId: { $in: businesses.map((b) => b._id) },
+      $or: terms.map((t) => ({ name: new RegExp(escapeRegex(t), "i") })),
+    }).select("businessId name").lean().exec();
+    for (const p of products) {
+      const key = String(p.businessId);
+      if (!productsByBusiness.has(key)) productsByBusiness.set(key, []);
+      productsByBusiness.get(key).push(p.name);
+    }
+  }
+  return businesses.map((b) => {
+    const productNames = productsByBusiness.get(String(b._id)) || [];
+    const matchedProducts = productNames.filter((name) => terms.some((t) => facetKey(name).includes(t))).slice(0, 3);
+    return { ...b, score: scoreBusiness(b, terms, productNames, q), matchedProducts };
+  });
+}
+
+app.get("/api/businesses/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim().slice(0, 200);
+    const sort = String(req.query.sort || (q ? "relevance" : "newest"));
+    if (!DIRECTORY_SORTS.includes(sort)) {
+      return res.status(400).json({ error: "Validation failed", details: { sort: `sort must be one of ${DIRECTORY_SORTS.join(", ")}` } });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const skip = (page - 1) * limit;
+    const category = facetKey(req.query.category);
+    const location = facetKey(req.query.location);
+
+    const terms = searchTerms(q);
+    const termClauses = await directoryTermClauses(terms);
+    const inCategory = category ? { category: facetMatcher(category) } : null;
+    const inLocation = location ? { location: facetMatcher(location) } : null;
+    const where = (...extra) => {
+      const and = [...termClauses, ...extra.filter(Boolean)];
+      return and.length ? { $and: and } : {};
+    };
+    const filter = where(inCategory, inLocation);
+    const facetRows = (rows) => rows.map((r) => ({ value: r._id, count: r.count }));
+
+    const [total, categoryRows, locationRows] = await Promise.all([
+      Business.countDocuments(filter).exec(),
+      Business.aggregate([{ $match: where(inLocation) }, { $group: { _id: "$category", count: { $sum: 1 } } }]).exec(),
+      Business.aggregate([{ $match: where(inCategory) }, { $group: { _id: "$location", count: { $sum: 1 } } }]).exec(),
+    ]);
+    const facets = { categories: mergeFacetCounts(facetRows(categoryRows)), locations: mergeFacetCounts(facetRows(locationRows)) };
+
+    const byPlacement = { verified: -1, createdAt: -1, _id: -1 };
+    let results;
+    let rankedByRelevance;
+    if (sort === "relevance" && terms.length) {
+      rankedByRelevance = Math.min(total, DIRECTORY_RELEVANCE_WINDOW);
+      const window = await Business.find(filter).select(DIRECTORY_FIELDS).sort(byPlacement).limit(DIRECTORY_RELEVANCE_WINDOW).lean().exec();
+      const ranked = (await scoreDirectoryPage(window, terms, q))
+        .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+      results = ranked.slice(skip, skip + limit);
+      if (window.length === DIRECTORY_RELEVANCE_WINDOW && skip + limit > DIRECTORY_RELEVANCE_WINDOW) {
+        const from = Math.max(skip, DIRECTORY_RELEVANCE_WINDOW);
+        const rest = await Business.find(filter).select(DIRECTORY_FIELDS).sort(byPlacement).skip(from).limit(skip + limit - from).lean().exec();
+        results.push(...(await scoreDirectoryPage(rest, terms, q)));
+      }
+    } else {
+      let order = { createdAt: -1, _id: -1 };
+      if (sort === "name") order = { name: 1, _id: 1 };
+      else if (!terms.length && !req.query.sort) order = byPlacement;
+      const docs = await Business.find(filter).select(DIRECTORY_FIELDS).sort(order).skip(skip).limit(limit).lean().exec();
+      results = await scoreDirectoryPage(docs, terms, q);
+    }
+
+    const items = results.map(({ score, createdAt, ...b }) => (terms.length ? { ...b, score } : b));
+    res.json({ items, total, page, pages: Math.ceil(total / limit), facets, rankedByRelevance });
+  } catch (err) {
+    console.error("Directory search failed", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Public profile by id or slug (current or earlier; the response carries the
+// current slug so the app can fix its URL)
+app.get('/api/businesses/:id', async (req, res) => {
+  try {
+    const doc = await findPublicBusiness(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: list products for a given business id
+app.get('/api/businesses/:id/products', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const docs = await Product.find({ businessId: id }).select('name sku price quantity description images').sort({ createdAt: -1 }).lean().exec();
+    res.json(docs);
+  } catch (err) {
+    console.error('Listing products for business failed', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: product marketplace search across every business. Every word of `q`
+// must match the product name, SKU or description; `category` is the
+// supplier's category. Paging is over products, and each page comes back
+// grouped by supplier in the order of its best-placed product.
+const MARKETPLACE_SORTS = ["relevance", "newest", "price_asc", "price_desc"];
+const MARKETPLACE_FIELDS = "name sku price quantity description images businessId createdAt";
+// Relevance ranks this many of the best-placed matches (verified suppliers,
+// then newest); later pages continue in that order. Responses say how many
+// were ranked in `rankedByRelevance`.
+const MARKETPLACE_RELEVANCE_WINDOW = 500;
+
+// Page through `segments`: filters read one after another, each sorted by `order`
+async function findProductsInSegments(segments, order, skip, limit) {
+  const found = [];
+  for (const filter of segments) {
+    if (found.length >= limit) break;
+    const count = await Product.countDocuments(filter).exec();
+    if (skip >= count) {
+      skip -= count;
+      continue;
+    }
+    found.push(...(await Product.find(filter).select(MARKETPLACE_FIELDS).sort(order).skip(skip).limit(limit - found.length).lean().exec()));
+    skip = 0;
+  }
+  return found;
+}
+
+app.get("/api/products/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim().slice(0, 200);
+    const sort = String(req.query.sort || (q ? "relevance" : "newest"));
+    const details = {};
+    if (!MARKETPLACE_SORTS.includes(sort)) details.sort = `sort must be one of ${MARKETPLACE_SORTS.join(", ")}`;
+    const price = {};
+    for (const [param, op] of [["minPrice", "$gte"], ["maxPrice", "$lte"]]) {
+      if (req.query[param] === undefined || req.query[param] === "") continue;
+      const n = Number(req.query[param]);
+      if (isNaN(n) || n < 0) details[param] = `${param} must be a non-negative number`;
+      else price[op] = n;
+    }
+    if (price.$gte > price.$lte) details.maxPrice = "maxPrice must not be below minPrice";
+    if (Object.keys(details).length) return res.status(400).json({ error: "Validation failed", details });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+    const skip = (page - 1) * limit;
+    const category = facetKey(req.query.category);
+    const inStock = ["1", "true"].includes(String(req.query.inStock));
+
+    const terms = searchTerms(q);
+    const and = terms.map((t) => {
+      const rx = new RegExp(escapeRegex(t), "i");
+      return { $or: [{ name: rx }, { sku: rx }, { description: rx }] };
+    });
+    if (Object.keys(price).length) and.push({ price });
+    if (inStock) and.push({ quantity: { $gt: 0 } });
+
+    // Matches per supplier with their prices: enough for the category facet,
+    // the total and the price range without loading the products
+    const perSupplier = await Product.aggregate([
+      { $match: and.length ? { $and: and } : {} },
+      { $group: { _id: "$businessId", count: { $sum: 1 }, minPrice: { $min: "$price" }, maxPrice: { $max: "$price" } } },
+    ]).exec();
+    const businesses = new Map(
+      (await Business.find({ _id: { $in: perSupplier.map((g) => g._id).filter(Boolean) } }).select("name slug category location verified").lean().exec())
+        .map((b) => [String(b._id), b])
+    );
+    // Products of deleted businesses have nowhere to send an enquiry
+    const suppliers = perSupplier.filter((g) => g._id && businesses.has(String(g._id)));
+    const supplierOf = (g) => businesses.get(String(g._id));
+
+    const facets = { categories: mergeFacetCounts(suppliers.map((g) => ({ value: supplierOf(g).category, count: g.count }))) };
+    const shown = category ? suppliers.filter((g) => facetKey(supplierOf(g).category) === category) : suppliers;
+    const total = shown.reduce((sum, g) => sum + g.count, 0);
+    let priceRange = null;
+    for (const g of shown) {
+      if (typeof g.minPrice !== "number") continue;
+      priceRange = priceRange ? { min: Math.min(priceRange.min, g.minPrice), max: Math.max(priceRange.max, g.maxPrice) } : { min: g.minPrice, max: g.maxPrice };
+    }
+
+    const within = (list, extra) => ({ $and: [...and, { businessId: { $in: list.map((g) => g._id) } }, ...(extra ? [extra] : [])] });
+    const newest = { createdAt: -1, _id: -1 };
+    const placement = [within(shown.filter((g) => supplierOf(g).verified)), within(shown.filter((g) => !supplierOf(g).verified))];
+    const withScore = (p) => ({ ...p, score: scoreProduct(p, terms, q, businesses.get(String(p.businessId))) });
+
+    let results;
+    let rankedByRelevance;
+    if (sort === "relevance" && terms.length) {
+      rankedByRelevance = Math.min(total, MARKETPLACE_RELEVANCE_WINDOW);
+      const window = await findProductsInSegments(placement, newest, 0, MARKETPLACE_RELEVANCE_WINDOW);
+      results = window.map(withScore)
+        .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(skip, skip + limit);
+      if (window.length === MARKETPLACE_RELEVANCE_WINDOW && skip + limit > MARKETPLACE_RELEVANCE_WINDOW) {
+        const from = Math.max(skip, MARKETPLACE_RELEVANCE_WINDOW);
+        results.push(...(await findProductsInSegments(placement, newest, from, skip + limit - from)));
+      }
+    } else if (sort === "price_asc" || sort === "price_desc") {
+      // products without a price come last either way
+      const priced = [within(shown, { price: { $ne: null } }), within(shown, { price: null })];
+      results = await findProductsInSegments(priced, { price: sort === "price_asc" ? 1 : -1, ...newest }, skip, limit);
+    } else {
+      const segments = !terms.length && !req.query.sort ? placement : [within(shown)];
+      results = await findProductsInSegments(segments, newest, skip, limit);
+    }
+
+    if (terms.length) results = results.map((p) => (p.score === undefined ? withScore(p) : p));
+    const groups = new Map();
+    for (const { businessId, score, ...p } of results) {
+      const key = String(businessId);
+      if (!groups.has(key)) groups.set(key, { business: businesses.get(key), products: [] });
+      groups.get(key).products.push(terms.length ? { ...p, score } : p);
+    }
+
+    res.json({ groups: [...groups.values()], total, page, pages: Math.ceil(total / limit), facets, priceRange, rankedByRelevance });
+  } catch (err) {
+    console.error("Marketplace search failed", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Categories
+// Admin-managed tree (see categories/taxonomy.js) that businesses and products
+// pick from, and the public pages that browse businesses by category
+// ---------------------
+
+// Category for a business or product from request input: a `categoryId` picked
+// from the tree, or free text from older clients matched through the names and
+// synonyms. Resolves to { category } (undefined when nothing was sent, null when
+// cleared or unmatched) or { error }.
+async function categoryFromInput({ categoryId, category }) {
+  if (categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(String(categoryId))) return { error: "Unknown category" };
+    const found = await Category.findById(categoryId).lean().exec();
+    return found ? { category: found } : { error: "Unknown category" };
+  }
+  if (category && String(category).trim()) {
+    const categories = await Category.find().lean().exec();
+    return { category: matchCategory(categories, category) };
+  }
+  return { category: categoryId === undefined && category === undefined ? undefined : null };
+}
+
+// Business fields for a category picked with categoryFromInput; unmatched free
+// text is kept as typed so the migration script or an admin can map it later
+function businessCategoryFields(category, text) {
+  return category
+    ? { categoryId: category._id, category: category.name }
+    : { categoryId: null, category: String(text || "").trim() };
+}
+
+async function businessCountsByCategory() {
+  const docs = await Business.find({ categoryId: { $exists: true } }).select("categoryId").lean().exec();
+  const counts = new Map();
+  for (const { categoryId } of docs) {
+    if (categoryId) counts.set(String(categoryId), (counts.get(String(categoryId)) || 0) + 1);
+  }
+  return counts;
+}
+
+// Public: the whole tree with the number of businesses under each category
+app.get("/api/categories", async (req, res) => {
+  try {
+    const categories = await Category.find().select("name slug parentId synonyms").lean().exec();
+    res.json({ categories: buildTree(categories, await businessCountsByCategory()) });
+  } catch (err) {
+    console.error("Listing categories failed", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Public: one category with its breadcrumb, subcategories and the businesses
+// filed under it or any of its subcategories
+app.get("/api/categories/:slug", async (req, res) => {
+  try {
+    const categories = await Category.find().select("name slug parentId").lean().exec();
+    const category = categories.find((c) => c.slug === String(req.params.slug).toLowerCase());
+    if (!category) return res.status(404).json({ error: "Not found" });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+
+    const filter = { categoryId: { $in: descendantIds(categories, category._id) } };
+    const [items, total, counts] = await Promise.all([
+      Business.find(filter).select("name slug category location description logo verified").sort({ verified: -1, name: 1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      Business.countDocuments(filter).exec(),
+      businessCountsByCategory(),
+    ]);
+    const countUnder = (id) => descendantIds(categories, id).reduce((n, cid) => n + (counts.get(cid) || 0), 0);
+    const children = categories
+      .filter((c) => c.parentId && String(c.parentId) === String(category._id))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ _id, name, slug }) => ({ _id, name, slug, businessCount: countUnder(_id) }));
+    res.json({
+      category: { _id: category._id, name: category.name, slug: category.slug },
+      path: categoryPath(categories, category._id).map(({ _id, name, slug }) => ({ _id, name, slug })),
+      children,
+      items,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error("Category page failed", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: add a category. Body: { name, slug?, parentId?, synonyms? } where
+// synonyms is an array or a comma-separated string; the slug defaults to the name.
+app.post("/api/admin/categories", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    const categories = await Category.find().lean().exec();
+    const { errors, values } = validateCategoryInput({ parentId: null, synonyms: [], ...req.body }, categories);
+    if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+    const category = await Category.create(values);
+    res.status(201).json({ category });
+  } catch (err) {
+    console.error("Create category error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: rename, re-slug, move or edit synonyms. A rename is copied onto the
+// businesses filed under the category.
+app.put("/api/admin/categories/:id", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    const categories = await Category.find().lean().exec();
+    const current = categories.find((c) => String(c._id) === String(req.params.id));
+    if (!current) return res.status(404).json({ error: "Not found" });
+    const { name, slug, parentId, synonyms } = req.body || {};
+    const { errors, values } = validateCategoryInput({ name, slug, parentId, synonyms }, categories, current);
+    if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+
+    const category = await Category.findByIdAndUpdate(current._id, values, { new: true }).lean().exec();
+    if (values.name && values.name !== current.name) {
+      await Business.updateMany({ categoryId: current._id }, { $set: { category: values.name } }).exec();
+    }
+    res.json({ category });
+  } catch (err) {
+    console.error("Update category error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: delete an unused leaf category. Subcategories, businesses and
+// products have to be moved elsewhere first.
+app.delete("/api/admin/categories/:id", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const category = await Category.findById(req.params.id).lean().exec();
+    if (!category) return res.status(404).json({ error: "Not found" });
+    const [children, businesses, products] = await Promise.all([
+      Category.countDocuments({ parentId: category._id }).exec(),
+      Business.countDocuments({ categoryId: category._id }).exec(),
+      Product.countDocuments({ categoryId: category._id }).exec(),
+    ]);
+    if (children || businesses || products) {
+      return res.status(409).json({
+        error: `"${category.name}" is still in use: ${children} subcategories, ${businesses} businesses, ${products} products`,
+      });
+    }
+    await Category.findByIdAndDelete(category._id).exec();
+    res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("Delete category error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// Business profile
+// The public profile a business edits from its dashboard (see
+// businesses/profile.js), its /b/<slug> address, and server-rendered copies
+// of profile pages for crawlers and link previews (see businesses/seo.js)
+// ---------------------
+
+const PROFILE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Name as a slug, with -2, -3... when another business has it (now or before)
+async function availableSlug(text, exceptId = null) {
+  const base = profileSlug(text) || "business";
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const taken = await Business.findOne({ $or: [{ slug }, { previousSlugs: slug }] }).select("_id").lean().exec();
+    if (!taken || (exceptId && String(taken._id) === String(exceptId))) return slug;
+  }
+}
+
+// Businesses from before profiles had slugs get one the first time it's needed
+async function ensureBusinessSlug(business) {
+  if (business.slug) return business.slug;
+  business.slug = await availableSlug(business.name, business._id);
+  await Business.updateOne({ _id: business._id }, { $set: { slug: business.slug } }).exec();
+  return business.slug;
+}
+
+async function findPublicBusiness(idOrSlug) {
+  const key = String(idOrSlug || "");
+  let doc;
+  if (/^[a-f0-9]{24}$/i.test(key)) {
+    doc = await Business.findById(key).select(PUBLIC_PROFILE_FIELDS).lean().exec();
+  } else {
+    const slug = key.toLowerCase();
+    doc = (await Business.findOne({ slug }).select(PUBLIC_PROFILE_FIELDS).lean().exec())
+      || (await Business.findOne({ previousSlugs: slug }).select(PUBLIC_PROFILE_FIELDS).lean().exec());
+  }
+  if (doc) await ensureBusinessSlug(doc);
+  return doc;
+}
+
+// Dashboard: the business's own profile (owners and managers; admins pass businessId)
+app.get("/api/business/profile", authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === "admin" ? 400 : 403).json({ error: req.user.role === "admin" ? "businessId required" : "Forbidden" });
+    const profile = await Business.findById(bid).select(`${PUBLIC_PROFILE_FIELDS} updatedAt`).lean().exec();
+    if (!profile) return res.status(404).json({ error: "Not found" });
+    await ensureBusinessSlug(profile);
+    res.json({ profile });
+  } catch (err) {
+    console.error("Load profile error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Dashboard: update any of the profile fields, plus categoryId. A new slug
+// must be free; the old one is kept so existing links redirect.
+app.put("/api/business/profile", authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === "admin" ? 400 : 403).json({ error: req.user.role === "admin" ? "businessId required" : "Forbidden" });
+    const business = await Business.findById(bid).exec();
+    if (!business) return res.status(404).json({ error: "Not found" });
+
+    const { errors, values } = validateProfileInput(req.body || {});
+    if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+    const picked = await categoryFromInput({ categoryId: req.body?.categoryId });
+    if (picked.error) return res.status(400).json({ error: "Validation failed", details: { categoryId: picked.error } });
+
+    if (values.slug && values.slug !== business.slug) {
+      if ((await availableSlug(values.slug, business._id)) !== values.slug) {
+        return res.status(400).json({ error: "Validation failed", details: { slug: `"${values.slug}" is already taken` } });
+      }
+      business.previousSlugs = [...new Set([...(business.previousSlugs || []), business.slug].filter((s) => s && s !== values.slug))];
+    }
+    Object.assign(business, values);
+    if (picked.category !== undefined) Object.assign(business, businessCategoryFields(picked.category, ""));
+    await business.save();
+
+    const profile = await Business.findById(bid).select(`${PUBLIC_PROFILE_FIELDS} updatedAt`).lean().exec();
+    res.json({ profile });
+  } catch (err) {
+    console.error("Update profile error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const profileImageUpload = multer({
+  storage,
+  limits: { fileSize: PROFILE_IMAGE_MAX_BYTES, files: MAX_GALLERY_IMAGES },
+  fileFilter: (req, file, cb) => cb(null, /^image\/(png|jpe?g|gif|webp)$/.test(file.mimetype)),
+}).array("images", MAX_GALLERY_IMAGES);
+
+// Dashboard: upload logo, cover or gallery images (multipart `images`).
+// Returns { urls } to put into the profile; files that aren't images are skipped.
+app.post("/api/business/profile/media", authenticateToken, (req, res) => {
+  if (!(req.user.role === "admin" || (req.user.role === "business" && hasBusinessRole(req.user, "manager")))) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  profileImageUpload(req, res, (err) => {
+    if (err) {
+      const message = err.code === "LIMIT_FILE_SIZE" ? `Images can be at most ${PROFILE_IMAGE_MAX_BYTES / 1024 / 1024} MB` : err.message;
+      return res.status(400).json({ error: message });
+    }
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: "Choose PNG, JPEG, GIF or WebP images" });
+    res.json({ urls: files.map((f) => `${req.protocol}://${req.get("host")}/uploads/${f.filename}`) });
+  });
+});
+
+// Profile page as HTML with meta tags for crawlers and link previews. A proxy
+// in front of the app can send crawler requests for /b/* here; anyone else
+// is redirected to the app's page (add ?prerender=1 to see the HTML).
+app.get("/b/:slug", async (req, res) => {
+  try {
+    const business = await findPublicBusiness(req.params.slug);
+    if (!business) return res.status(404).type("text/plain").send("Not found");
+    const url = `${APP_URL}/b/${encodeURIComponent(business.slug)}`;
+    if (business.slug !== String(req.params.slug).toLowerCase()) {
+      return res.redirect(301, `/b/${encodeURIComponent(business.slug)}${req.query.prerender ? "?prerender=1" : ""}`);
+    }
+    if (!req.query.prerender && !isCrawler(req.get("user-agent"))) return res.redirect(302, url);
+
+    const products = await Product.find({ businessId: business._id }).select("name price").sort({ createdAt: -1 }).limit(50).lean().exec();
+    res.set("Cache-Control", "public, max-age=300");
+    res.type("html").send(renderProfilePage({ business, products, url }));
+  } catch (err) {
+    console.error("Prerender profile failed", err);
+    res.status(500).type("text/plain").send("Server error");
+  }
+});
+
+// Every profile and category page, for search engines
+app.get("/sitemap.xml", async (req, res) => {
+  try {
+    const businesses = await Business.find().select("name slug updatedAt").lean().exec();
+    for (const b of businesses) await ensureBusinessSlug(b);
+    const categories = await Category.find().select("slug updatedAt").lean().exec();
+    const entries = [
+      { loc: `${APP_URL}/` },
+      { loc: `${APP_URL}/categories` },
+      ...categories.map((c) => ({ loc: `${APP_URL}/categories/${encodeURIComponent(c.slug)}`, lastmod: c.updatedAt })),
+      ...businesses.map((b) => ({ loc: `${APP_URL}/b/${encodeURIComponent(b.slug)}`, lastmod: b.updatedAt })),
+    ];
+    res.set("Cache-Control", "public, max-age=3600");
+    res.type("application/xml").send(sitemapXml(entries));
+  } catch (err) {
+    console.error("Sitemap failed", err);
+    res.status(500).type("text/plain").send("Server error");
+  }
+});
+
+// ---------------------
+// Business verification
+// Businesses upload documents (see businesses/verification.js); admins approve
+// or reject them from a review queue. Approved businesses are `verified`: a
+// badge on their listings and a boost in directory and marketplace search.
+// ---------------------
+
+const verificationUpload = multer({
+  storage: verificationStorage,
+  limits: { fileSize: VERIFICATION_DOCUMENT_MAX_BYTES, files: MAX_VERIFICATION_DOCUMENTS },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error(`${file.originalname}: upload a PDF, PNG, JPEG or WebP file`));
+  },
+}).array("documents", MAX_VERIFICATION_DOCUMENTS);
+
+function removeVerificationFiles(documents) {
+  for (const d of documents || []) {
+    if (d.filename) fs.promises.unlink(path.join(verificationDir, d.filename)).catch(() => {});
+  }
+}
+
+async function latestVerificationRequest(businessId) {
+  return VerificationRequest.findOne({ businessId }).sort({ createdAt: -1 }).lean().exec();
+}
+
+// Tell the owner how the review went
+async function notifyVerificationResult(business, request) {
+  const owner = business.owner ? await User.findById(business.owner).select("email").lean().exec() : null;
+  if (!owner?.email) return;
+  await sendMail({
+    kind: "verification_result",
+    to: owner.email,
+    ...verificationResultEmail({ business, approved: request.status === "approved", reason: request.reason, appUrl: APP_URL }),
+  });
+}
+
+// Dashboard: verification status and the latest request (owners and managers; admins pass businessId)
+app.get("/api/business/verification", authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === "admin" ? 400 : 403).json({ error: req.user.role === "admin" ? "businessId required" : "Forbidden" });
+    const business = await Business.findById(bid).select("name verified verifiedAt").lean().exec();
+    if (!business) return res.status(404).json({ error: "Not found" });
+    const request = await latestVerificationRequest(bid);
+    res.json({
+      state: verificationState(business, request),
+      verifiedAt: business.verifiedAt || null,
+      request,
+      documentTypes: DOCUMENT_TYPES,
+      maxDocuments: MAX_VERIFICATION_DOCUMENTS,
+    });
+  } catch (err) {
+    console.error("Load verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Dashboard: submit documents for review (multipart `documents`, with one
+// `types` value per file and an optional `note`). One request at a time.
+app.post("/api/business/verification", authenticateToken, (req, res) => {
+  const bid = managedBusinessId(req);
+  if (!bid) return res.status(req.user.role === "admin" ? 400 : 403).json({ error: req.user.role === "admin" ? "businessId required" : "Forbidden" });
+  verificationUpload(req, res, async (err) => {
+    if (err) {
+      const message = err.code === "LIMIT_FILE_SIZE"
+        ? `Documents can be at most ${VERIFICATION_DOCUMENT_MAX_BYTES / 1024 / 1024} MB`
+        : err.code === "LIMIT_FILE_COUNT"
+          ? `At most ${MAX_VERIFICATION_DOCUMENTS} documents`
+          : err.message;
+      return res.status(400).json({ error: message });
+    }
+    const uploaded = (req.files || []).map((f) => ({ filename: f.filename }));
+    try {
+      const business = await Business.findById(bid).select("verified").lean().exec();
+      if (!business) {
+        removeVerificationFiles(uploaded);
+        return res.status(404).json({ error: "Not found" });
+      }
+      const latest = await latestVerificationRequest(bid);
+      const state = verificationState(business, latest);
+      if (state === "verified" || state === "pending") {
+        removeVerificationFiles(uploaded);
+        return res.status(409).json({ error: state === "verified" ? "This business is already verified" : "Your documents are already waiting for review" });
+      }
+      const { errors, documents, note } = validateSubmission({ files: req.files, types: req.body.types, note: req.body.note });
+      if (errors) {
+        removeVerificationFiles(uploaded);
+        return res.status(400).json({ error: "Validation failed", details: errors });
+      }
+      const request = await VerificationRequest.create({ businessId: bid, submittedBy: req.user.id, note, documents });
+      res.status(201).json({ state: "pending", request });
+    } catch (e) {
+      removeVerificationFiles(uploaded);
+      console.error("Submit verification error:", e);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+});
+
+// Download a submitted document (admins, or managers of the business)
+app.get("/api/verifications/:id/documents/:documentId", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const request = await VerificationRequest.findById(req.params.id).lean().exec();
+    if (!request || !managesBusiness(req.user, request.businessId)) return res.status(404).json({ error: "Not found" });
+    const doc = (request.documents || []).find((d) => String(d._id) === req.params.documentId);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.set("X-Content-Type-Options", "nosniff");
+    res.download(path.join(verificationDir, doc.filename), doc.originalName || doc.filename, (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: "File missing" });
+    });
+  } catch (err) {
+    console.error("Download verification document error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: review queue. ?status=pending (default, oldest first) | approved | rejected | all
+app.get("/api/admin/verifications", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    const status = String(req.query.status || "pending");
+    if (status !== "all" && !VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Validation failed", details: { status: `status must be one of ${[...VERIFICATION_STATUSES, "all"].join(", ")}` } });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = status === "all" ? {} : { status };
+    const [items, total] = await Promise.all([
+      VerificationRequest.find(filter).sort({ createdAt: status === "pending" ? 1 : -1 }).skip((page - 1) * limit).limit(limit).lean().exec(),
+      VerificationRequest.countDocuments(filter).exec(),
+    ]);
+    const businesses = new Map(
+      (await Business.find({ _id: { $in: items.map((r) => r.businessId) } })
+        .select("name slug category location website registrationNumber yearEstablished verified createdAt")
+        .lean()
+        .exec()).map((b) => [String(b._id), b])
+    );
+    for (const r of items) r.business = businesses.get(String(r.businessId)) || null;
+    res.json({ items, total, page, pages: Math.ceil(total / limit), documentTypes: DOCUMENT_TYPES });
+  } catch (err) {
+    console.error("Verification queue error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: approve a pending request; the business becomes verified
+app.post("/api/admin/verifications/:id/approve", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      { $set: { status: "approved", reviewedBy: req.user.id, reviewedAt: new Date(), reason: "" } },
+      { new: true }
+    ).lean().exec();
+    if (!request) return res.status(404).json({ error: "Not found or already reviewed" });
+    const business = await Business.findByIdAndUpdate(request.businessId, { $set: { verified: true, verifiedAt: request.reviewedAt } }, { new: true }).lean().exec();
+    if (business) await notifyVerificationResult(business, request);
+    res.json({ request });
+  } catch (err) {
+    console.error("Approve verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Admin: reject a pending request with a reason the business sees. Rejecting
+// the approved request of a verified business revokes its verification.
+app.post("/api/admin/verifications/:id/reject", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { errors, reason } = validateRejection(req.body || {});
+    if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+    const existing = await VerificationRequest.findById(req.params.id).lean().exec();
+    if (!existing) return res.status(404).json({ error: "Not found" });
+    const latest = await latestVerificationRequest(existing.businessId);
+    if (existing.status === "rejected" || String(latest._id) !== String(existing._id)) {
+      return res.status(409).json({ error: "Only the latest pending or approved request can be rejected" });
+    }
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: existing._id, status: existing.status },
+      { $set: { status: "rejected", reviewedBy: req.user.id, reviewedAt: new Date(), reason } },
+      { new: true }
+    ).lean().exec();
+    if (!request) return res.status(409).json({ error: "The request was reviewed in the meantime" });
+    const business = await Business.findByIdAndUpdate(request.businessId, { $set: { verified: false, verifiedAt: null } }, { new: true }).lean().exec();
+    if (business) await notifyVerificationResult(business, request);
+    res.json({ request });
+  } catch (err) {
+    console.error("Reject verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---------------------
+// PRODUCTS (for businesses)
+// ---------------------
+
+// Create product (business owners) or admin
+app.post('/api/business/products', authenticateToken, async (req, res) => {
+  try {
+    const { name, sku, price, quantity, description, images, businessId, categoryId } = req.body;
+    // server-side validation
+    const { errors, values } = validateProductInput({ name, price, quantity });
+    if (errors) return res.status(400).json({ error: 'Validation failed', details: errors });
+    const { price: numPrice, quantity: numQty } = values;
+    const picked = await categoryFromInput({ categoryId });
+    if (picked.error) return res.status(400).json({ error: 'Validation failed', details: { categoryId: picked.error } });
+    // business users: associate with their businessId
+    let bid = businessId;
+    if (req.user.role === 'business') {
+      bid = req.user.businessId;
+    }
+    if (!bid) return res.status(400).json({ error: 'businessId required' });
+
+    // Only allow business owners/managers or admin to create
+    if (managesBusiness(req.user, bid)) {
+      const p = await Product.create({ name, sku, price: numPrice, quantity: numQty, description, images: images || [], businessId: bid, categoryId: picked.category?._id ?? null });
+      emitWebhookEvent(p.businessId, 'product.created', p.toObject());
+      return res.json({ product: p });
+    }
+
+    res.status(403).json({ error: 'Forbidden' });
+  } catch (err) {
+    console.error('Create product error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List products for current business (or all for admin)
+app.get('/api/business/products', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role === 'admin') {
+      const docs = await Product.find().sort({ createdAt: -1 }).lean().exec();
+      return res.json(docs);
+    }
+    if (req.user.role === 'business') {
+      const bid = req.user.businessId;
+      if (!bid) return res.json([]);
+      const docs = await Product.find({ businessId: bid }).sort({ createdAt: -1 }).lean().exec();
+      return res.json(docs);
+    }
+    // customers not allowed
+    res.status(403).json({ error: 'Forbidden' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Demand per product over the last ?days= (default 90, 0 for all time):
+// inquiries, quantity requested, won/lost leads and conversion (won / inquiries).
+// Quarantined leads don't count.
+app.get('/api/business/products/stats', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const days = req.query.days === undefined ? 90 : Number(req.query.days);
+    if (!Number.isFinite(days) || days < 0) return res.status(400).json({ error: 'Invalid days' });
+
+    const filter = { businessId: bid, quarantined: { $ne: true } };
+    if (days > 0) filter.timestamp = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    const leads = await Lead.find(filter).select('products productId status timestamp').lean().exec();
+
+    const stats = new Map();
+    let withProducts = 0;
+    for (const lead of leads) {
+      // leads from before multi-product inquiries only have productId
+      const refs = lead.products?.length ? lead.products : lead.productId ? [{ productId: lead.productId, quantity: 1 }] : [];
+      if (refs.length) withProducts += 1;
+      for (const ref of refs) {
+        const key = String(ref.productId);
+        const s = stats.get(key) || { productId: key, inquiries: 0, quantityRequested: 0, won: 0, lost: 0, lastInquiryAt: null };
+        s.inquiries += 1;
+        s.quantityRequested += ref.quantity || 1;
+        if (lead.status === 'won') s.won += 1;
+        if (lead.status === 'lost') s.lost += 1;
+        if (!s.lastInquiryAt || lead.timestamp > s.lastInquiryAt) s.lastInquiryAt = lead.timestamp;
+        stats.set(key, s);
+      }
+    }
+    const products = [...stats.values()]
+      .map((s) => ({ ...s, conversionRate: s.inquiries ? Math.round((s.won / s.inquiries) * 1000) / 1000 : 0 }))
+      .sort((a, b) => b.inquiries - a.inquiries);
+
+    res.json({ days, totalLeads: leads.length, leadsWithProducts: withProducts, products });
+  } catch (err) {
+    console.error('Product stats error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get single product (ensure access)
+app.get('/api/business/products/:id', authenticateToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const p = await Product.findById(id).lean().exec();
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    if (req.user.role === 'admin') return res.json(p);
+    if (req.user.role === 'business' && String(p.businessId) === String(req.user.businessId)) return res.json(p);
+    res.status(403).json({ error: 'Forbidden' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update product
+app.put('/api/business/products/:id', authenticateToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const p = await Product.findById(id).exec();
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    if (!managesBusiness(req.user, p.businessId)) return res.status(403).json({ error: 'Forbidden' });
+    // server-side validation
+    const { name, sku, price, quantity, description, images, categoryId } = req.body;
+    const { errors, values } = validateProductInput({ name, price, quantity });
+    if (errors) return res.status(400).json({ error: 'Validation failed', details: errors });
+    const { price: numPrice, quantity: numQty } = values;
+    const picked = await categoryFromInput({ categoryId });
+    if (picked.error) return res.status(400).json({ error: 'Validation failed', details: { categoryId: picked.error } });
+
+    const updates = { name, sku, price: numPrice, quantity: numQty, description, images };
+    if (picked.category !== undefined) updates.categoryId = picked.category?._id ?? null;
+    Object.assign(p, updates);
+    await p.save();
+    emitWebhookEvent(p.businessId, 'product.updated', p.toObject());
+    res.json(p);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete product
+app.delete('/api/business/products/:id', authenticateToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const p = await Product.findById(id).exec();
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    if (!managesBusiness(req.user, p.businessId)) return res.status(403).json({ error: 'Forbidden' });
+    await Product.findByIdAndDelete(id).exec();
+    emitWebhookEvent(p.businessId, 'product.deleted', { _id: p._id, name: p.name, sku: p.sku, businessId: p.businessId });
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload images (multipart) - businesses/admins
+app.post('/api/business/products/upload', authenticateToken, upload.array('images', 8), async (req, res) => {
+  try {
+    if (!(req.user.role === 'admin' || (req.user.role === 'business' && hasBusinessRole(req.user, 'manager')))) return res.status(403).json({ error: 'Forbidden' });
+    const files = req.files || [];
+    const urls = files.map(f => `${req.protocol}://${req.get('host')}/uploads/${f.filename}`);
+    res.json({ urls });
+  } catch (err) {
+    console.error('Upload error', err);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// ---------------------
+// Product imports
+// Bulk CSV/XLSX upload into a business catalogue. Uploading creates a job in
+// "preview": the owner picks which column feeds which field and gets a dry
+// run with per-row errors, then starts it. A background worker applies the
+// rows in batches (upsert by SKU, same validation as the create route) and
+// records progress and a report of the rows it couldn't import.
+// ---------------------
+
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 100;
+const IMPORT_PREVIEW_ROWS = 50;
+const IMPORT_MAX_REPORTED_ERRORS = 500;
+const IMPORT_WORKER_INTERVAL_MS = Number(process.env.IMPORT_WORKER_INTERVAL_MS) || 2000;
+// A running job whose worker stopped reporting (e.g. a restart) is picked up
+// again after this long and continues after the last saved batch. Rows of
+// that batch which were already created are recognised by importId/importLine.
+const IMPORT_STALE_MS = 5 * 60 * 1000;
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES } }).single('file');
+
+// Multer errors (file too large, wrong field) as JSON rather than an error page.
+// Only callers who can import get their upload read at all; admins name the
+// business after the upload is parsed (businessId may be a form field).
+function receiveImportFile(req, res, next) {
+  if (req.user.role !== 'admin' && !managedBusinessId(req)) return res.status(403).json({ error: 'Forbidden' });
+  importUpload(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? `The file can be at most ${IMPORT_MAX_BYTES / 1024 / 1024} MB` : err.message;
+    res.status(400).json({ error: message });
+  });
+}
+
+function publicImport(job) {
+  const { rows, ...rest } = job;
+  return rest;
+}
+
+// First row number for every SKU, to flag repeats within the file
+function firstLineBySku(job) {
+  const lines = new Map();
+  for (const row of job.rows) {
+    const { sku } = rowToProduct(row.values, job.mapping);
+    if (sku && !lines.has(sku)) lines.set(sku, row.line);
+  }
+  return lines;
+}
+
+// Dry run: what each row would do against the catalogue right now.
+// Returns { summary, rows (the first few), errors (rows that would fail) }.
+async function planImport(job) {
+  const skuLines = firstLineBySku(job);
+  const existing = new Set(
+    (await Product.find({ businessId: job.businessId, sku: { $in: [...skuLines.keys()] } }).select('sku').lean().exec())
+      .map((p) => p.sku)
+  );
+
+  const summary = { total: job.rows.length, create: 0, update: 0, error: 0 };
+  const rows = [];
+  const errors = [];
+  for (const row of job.rows) {
+    const fields = rowToProduct(row.values, job.mapping);
+    const rowErrors = { ...validateProductInput(fields).errors };
+    if (fields.sku && skuLines.get(fields.sku) !== row.line) rowErrors.sku = `SKU already used on row ${skuLines.get(fields.sku)}`;
+    const failed = Object.keys(rowErrors).length > 0;
+    const action = failed ? 'error' : fields.sku && existing.has(fields.sku) ? 'update' : 'create';
+    summary[action] += 1;
+    const planned = { line: row.line, action, fields, messages: failed ? rowErrors : undefined };
+    if (rows.length < IMPORT_PREVIEW_ROWS) rows.push(planned);
+    if (failed && errors.length < IMPORT_MAX_REPORTED_ERRORS) errors.push(planned);
+  }
+  return { summary, rows, errors };
+}
+
+// An import job the caller manages, or an error response
+async function importForRequest(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  const job = await ProductImport.findById(req.params.id).lean().exec();
+  if (!job) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (!managesBusiness(req.user, job.businessId)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return job;
+}
+
+// Upload a file: { file } as multipart, optional `mapping` (JSON). Returns the
+// job with the suggested (or given) mapping and a dry run.
+app.post('/api/business/product-imports', authenticateToken, receiveImportFile, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    if (!req.file) return res.status(400).json({ error: 'Choose a CSV or Excel (.xlsx) file' });
+
+    let sheet;
+    try {
+      sheet = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!sheet.rows.length) return res.status(400).json({ error: 'The file has a header row but no products' });
+    if (sheet.rows.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `At most ${IMPORT_MAX_ROWS} rows per import` });
+
+    let mapping = suggestMapping(sheet.header);
+    if (req.body.mapping) {
+      let input;
+      try {
+        input = JSON.parse(req.body.mapping);
+      } catch (err) {
+        return res.status(400).json({ error: 'Validation failed', details: { mapping: 'Invalid mapping' } });
+      }
+      const parsed = parseMapping(input, sheet.header);
+      if (parsed.error) return res.status(400).json({ error: 'Validation failed', details: { mapping: parsed.error } });
+      mapping = parsed.mapping;
+    }
+
+    const job = await ProductImport.create({
+      businessId: bid,
+      createdBy: req.user.id,
+      createdByEmail: req.user.email,
+      filename: req.file.originalname,
+      header: sheet.header,
+      rows: sheet.rows,
+      mapping,
+      total: sheet.rows.length,
+    });
+    const plain = job.toObject();
+    // Without a name column there is nothing to plan yet; the client asks for one
+    const preview = plain.mapping?.name === null || plain.mapping?.name === undefined ? null : await planImport(plain);
+    res.status(201).json({ import: publicImport(plain), preview });
+  } catch (err) {
+    console.error('Create product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recent imports for the business, newest first
+app.get('/api/business/product-imports', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const jobs = await ProductImport.find({ businessId: bid }).select('-rows').sort({ createdAt: -1 }).limit(20).lean().exec();
+    res.json({ imports: jobs.map(publicImport) });
+  } catch (err) {
+    console.error('List product imports error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Progress and report; jobs still in preview come with the dry run
+app.get('/api/business/product-imports/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await importForRequest(req, res);
+    if (!job) return;
+    const preview = job.status === 'preview' && job.mapping?.name !== null && job.mapping?.name !== undefined ? await planImport(job) : null;
+    res.json({ import: publicImport(job), preview });
+  } catch (err) {
+    console.error('Get product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change the column mapping of a job in preview: { mapping: { name: 0, sku: 2, ... } }
+app.put('/api/business/product-imports/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await importForRequest(req, res);
+    if (!job) return;
+    if (job.status !== 'preview') return res.status(409).json({ error: 'This import has already been started' });
+    const parsed = parseMapping(req.body?.mapping, job.header);
+    if (parsed.error) return res.status(400).json({ error: 'Validation failed', details: { mapping: parsed.error } });
+
+    const updated = await ProductImport.findOneAndUpdate(
+      { _id: job._id, status: 'preview' },
+      { $set: { mapping: parsed.mapping } },
+      { new: true }
+    ).lean().exec();
+    if (!updated) return res.status(409).json({ error: 'This import has already been started' });
+    res.json({ import: publicImport(updated), preview: await planImport(updated) });
+  } catch (err) {
+    console.error('Update product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Queue a previewed job for the worker
+app.post('/api/business/product-imports/:id/start', authenticateToken, async (req, res) => {
+  try {
+    const job = await importForRequest(req, res);
+    if (!job) return;
+    if (job.mapping?.name === null || job.mapping?.name === undefined) {
+      return res.status(400).json({ error: 'Validation failed', details: { mapping: 'Choose the column that holds the product name' } });
+    }
+    const queued = await ProductImport.findOneAndUpdate(
+      { _id: job._id, status: 'preview' },
+      { $set: { status: 'queued' } },
+      { new: true }
+    ).lean().exec();
+    if (!queued) return res.status(409).json({ error: 'This import has already been started' });
+    setImmediate(processProductImports);
+    res.json({ import: publicImport(queued) });
+  } catch (err) {
+    console.error('Start product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Discard a job that hasn't been started
+app.delete('/api/business/product-imports/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await importForRequest(req, res);
+    if (!job) return;
+    if (job.status !== 'preview') return res.status(409).json({ error: 'Only imports that haven\'t started can be discarded' });
+    await ProductImport.deleteOne({ _id: job._id, status: 'preview' }).exec();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Delete product import error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create or update one product from an imported row. Cells left empty keep
+// the current value when the SKU already exists. A row this job already
+// created (before the worker stopped) counts as created again without a write.
+async function applyImportRow(businessId, fields, { importId, importLine }) {
+  const { errors, values } = validateProductInput(fields);
+  if (errors) return { errors };
+
+  if (await Product.exists({ businessId, importId, importLine })) return { action: 'created' };
+
+  const existing = fields.sku ? await Product.findOne({ businessId, sku: fields.sku }).exec() : null;
+  if (existing) {
+    existing.name = values.name;
+    if (fields.price) existing.price = values.price;
+    if (fields.quantity) existing.quantity = values.quantity;
+    if (fields.description) existing.description = fields.description;
+    await existing.save();
+    emitWebhookEvent(existing.businessId, 'product.updated', existing.toObject());
+    return { action: 'updated' };
+  }
+
+  const p = await Product.create({
+    name: values.name,
+    sku: fields.sku || undefined,
+    price: values.price,
+    quantity: values.quantity,
+    description: fields.description || undefined,
+    images: [],
+    businessId,
+    importId,
+    importLine,
+  });
+  emitWebhookEvent(p.businessId, 'product.created', p.toObject());
+  return { action: 'created' };
+}
+
+function claimProductImport() {
+  return ProductImport.findOneAndUpdate(
+    { $or: [{ status: 'queued' }, { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - IMPORT_STALE_MS) } }] },
+    { $set: { status: 'running', heartbeatAt: new Date() } },
+    { new: true, sort: { createdAt: 1 } }
+  ).lean().exec();
+}
+
+// Apply a claimed job from where it left off, saving progress after each batch
+async function runProductImport(job) {
+  const skuLines = firstLineBySku(job);
+  const counts = { processed: job.processed || 0, created: job.created || 0, updated: job.updated || 0, failed: job.failed || 0 };
+  let reported = (job.rowErrors || []).length;
+  if (!job.startedAt) await ProductImport.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } }).exec();
+
+  for (let i = counts.processed; i < job.rows.length; i += IMPORT_BATCH_SIZE) {
+    const batchErrors = [];
+    for (const row of job.rows.slice(i, i + IMPORT_BATCH_SIZE)) {
+      const fields = rowToProduct(row.values, job.mapping);
+      let result;
+      if (fields.sku && skuLines.get(fields.sku) !== row.line) {
+        result = { errors: { sku: `SKU already used on row ${skuLines.get(fields.sku)}` } };
+      } else {
+        try {
+          result = await applyImportRow(job.businessId, fields, { importId: job._id, importLine: row.line });
+        } catch (err) {
+          console.error(`Product import ${job._id} row ${row.line} failed:`, err.message);
+          result = { errors: { row: 'Could not be saved' } };
+        }
+      }
+      if (result.errors) {
+        counts.failed += 1;
+        if (reported + batchErrors.length < IMPORT_MAX_REPORTED_ERRORS) batchErrors.push({ line: row.line, messages: result.errors });
+      } else {
+        counts[result.action] += 1;
+      }
+    }
+    counts.processed = Math.min(i + IMPORT_BATCH_SIZE, job.rows.length);
+    const update = { $set: { ...counts, heartbeatAt: new Date() } };
+    if (batchErrors.length) update.$push = { rowErrors: { $each: batchErrors } };
+    reported += batchErrors.length;
+    await ProductImport.updateOne({ _id: job._id }, update).exec();
+  }
+
+  await ProductImport.updateOne(
+    { _id: job._id },
+    { $set: { status: 'completed', finishedAt: new Date() }, $unset: { rows: '' } }
+  ).exec();
+}
+
+let importsBusy = false;
+
+async function processProductImports() {
+  if (importsBusy) return;
+  importsBusy = true;
+  try {
+    let job;
+    while ((job = await claimProductImport())) {
+      try {
+        await runProductImport(job);
+      } catch (err) {
+        console.error(`Product import ${job._id} failed:`, err);
+        await ProductImport.updateOne({ _id: job._id }, { $set: { status: 'failed', error: 'The import stopped unexpectedly', finishedAt: new Date() } }).exec();
+      }
+    }
+  } catch (err) {
+    console.error('Product import worker error:', err.message);
+  } finally {
+    importsBusy = false;
+  }
+}
+
+setInterval(processProductImports, IMPORT_WORKER_INTERVAL_MS).unref();
+
+// ---------------------
+// WEBHOOKS (for businesses)
+// Business users manage the webhooks of their own business; admins pass ?businessId=
+// ---------------------
+
+// Business the caller manages: their own (owners and managers), or ?businessId= for admins
+function managedBusinessId(req) {
+  if (req.user.role === 'business') return hasBusinessRole(req.user, 'manager') ? req.user.businessId || null : null;
+  if (req.user.role === 'admin') return req.query.businessId || req.body?.businessId || null;
+  return null;
+}
+
+function newWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+function validateWebhookInput({ url, events }, partial = false) {
+  const errors = {};
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try { parsed = new URL(String(url || '')); } catch (e) { parsed = null; }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) errors.url = 'A valid http(s) URL is required';
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) errors.events = 'Select at least one event';
+    else if (events.some((e) => !WEBHOOK_EVENTS.includes(e))) errors.events = `Unknown event; allowed: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return errors;
+}
+
+// Load a webhook the caller is allowed to manage
+async function findOwnWebhook(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) { res.status(404).json({ error: 'Not found' }); return null; }
+  const hook = await Webhook.findById(req.params.id).exec();
+  if (!hook) { res.status(404).json({ error: 'Not found' }); return null; }
+  if (!managesBusiness(req.user, hook.businessId)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return hook;
+}
+
+// List webhooks (secrets are only returned on create / rotate)
+app.get('/api/business/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const docs = await Webhook.find({ businessId: bid }).select('-secret').sort({ createdAt: -1 }).lean().exec();
+    res.json({ webhooks: docs, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/business/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const { url, events, description } = req.body;
+    const errors = validateWebhookInput({ url, events });
+    if (!errors.url) {
+      const targetError = await checkWebhookTarget(url);
+      if (targetError) errors.url = targetError;
+    }
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    const hook = await Webhook.create({ businessId: bid, url, events: [...new Set(events)], description, secret: newWebhookSecret(), createdBy: req.user.id });
+    res.json({ webhook: hook });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.put('/api/business/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    const { url, events, description, active } = req.body;
+    const errors = validateWebhookInput({ url, events }, true);
+    if (url !== undefined && !errors.url) {
+      const targetError = await checkWebhookTarget(url);
+      if (targetError) errors.url = targetError;
+    }
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    if (url !== undefined) hook.url = url;
+    if (events !== undefined) hook.events = [...new Set(events)];
+    if (description !== undefined) hook.description = description;
+    if (active !== undefined) hook.active = !!active;
+    await hook.save();
+    const out = hook.toObject();
+    delete out.secret;
+    res.json({ webhook: out });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/business/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    await Webhook.findByIdAndDelete(hook._id).exec();
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/business/webhooks/:id/rotate-secret', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    hook.secret = newWebhookSecret();
+    await hook.save();
+    res.json({ webhook: hook });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a "webhook.test" event to this endpoint only
+app.post('/api/business/webhooks/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    const [delivery] = await queueWebhookDeliveries([hook], hook.businessId, 'webhook.test', {
+      message: 'This is a test event from WebLeads',
+      webhookId: hook._id,
+    });
+    res.json({ delivery });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delivery history for one webhook, newest first
+app.get('/api/business/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    const filter = { webhookId: hook._id };
+    if (req.query.status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'Invalid status', allowed: WEBHOOK_DELIVERY_STATUSES });
+      filter.status = req.query.status;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    // responseBody may linger on deliveries stored before bodies stopped being kept
+    const docs = await WebhookDelivery.find(filter).select('-responseBody').sort({ createdAt: -1 }).limit(limit).lean().exec();
+    res.json(docs);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Queue a past delivery again
+app.post('/api/business/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  try {
+    const hook = await findOwnWebhook(req, res);
+    if (!hook) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) return res.status(404).json({ error: 'Not found' });
+    const doc = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhookId: hook._id, status: { $ne: 'sending' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null }, $unset: { lockedAt: '' } },
+      { new: true }
+    ).lean().exec();
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    setImmediate(processWebhookDeliveries);
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------
+// API KEYS (server-to-server lead ingestion)
+// Keys look like wl_<prefix>_<secret> and are sent as `X-API-Key: <key>` or
+// `Authorization: Bearer <key>`. Each key belongs to one business.
+// ---------------------
+
+// Fixed one-minute windows per key, kept in process memory
+const apiKeyWindows = new Map();
+
+function takeApiKeyToken(key) {
+  const now = Date.now();
+  const windowStart = now - (now % 60000);
+  let w = apiKeyWindows.get(String(key._id));
+  if (!w || w.windowStart !== windowStart) {
+    w = { windowStart, count: 0 };
+    apiKeyWindows.set(String(key._id), w);
+  }
+  w.count += 1;
+  const limit = key.rateLimitPerMinute || 60;
+  return { allowed: w.count <= limit, limit, remaining: Math.max(limit - w.count, 0), resetAt: windowStart + 60000 };
+}
+
+// The secret is 24 random bytes, so a fast hash is enough and a slow one would
+// only cost CPU on every request. Keys created with a bcrypt hash are checked
+// once more with bcrypt and then switched over.
+async function apiKeySecretMatches(key, secret) {
+  if (String(key.keyHash).startsWith("$2")) {
+    if (!(await bcrypt.compare(secret, key.keyHash))) return false;
+    await ApiKey.updateOne({ _id: key._id }, { $set: { keyHash: hashSecret(secret) } }).exec();
+    return true;
+  }
+  const expected = Buffer.from(String(key.keyHash || ""), "hex");
+  const given = Buffer.from(hashSecret(secret), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function authenticateApiKey(scope) {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers["authorization"] || "";
+      const raw = req.headers["x-api-key"] || (authHeader.startsWith("Bearer wl_") ? authHeader.split(" ")[1] : null);
+      const match = raw && /^wl_([a-f0-9]{12})_([a-f0-9]{48})$/.exec(String(raw).trim());
+      if (!match) return res.status(401).json({ error: "API key missing or malformed" });
+
+      const key = await ApiKey.findOne({ prefix: match[1] }).lean().exec();
+      if (!key || key.revokedAt) return res.status(401).json({ error: "Invalid API key" });
+
+      // Counted before the secret is checked, so guesses use up the key's
+      // window as well
+      const rate = takeApiKeyToken(key);
+      res.set("X-RateLimit-Limit", String(rate.limit));
+      res.set("X-RateLimit-Remaining", String(rate.remaining));
+      res.set("X-RateLimit-Reset", String(Math.ceil(rate.resetAt / 1000)));
+      if (!rate.allowed) {
+        res.set("Retry-After", String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+        return res.status(429).json({ error: "Rate limit exceeded" });
+      }
+
+      if (!(await apiKeySecretMatches(key, match[2]))) return res.status(401).json({ error: "Invalid API key" });
+      if (scope && !(key.scopes || []).includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+      }
+
+      ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } })
+        .exec()
+        .catch((err) => console.error("Failed to record API key use:", err.message));
+
+      req.apiKey = key;
+      // Acts as the owning business for the shared lead helpers
+      req.user = { role: "business", businessId: key.businessId, apiKeyId: key._id };
+      next();
+    } catch (err) {
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+function publicApiKey(doc) {
+  const { keyHash, ...rest } = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return rest;
+}
+
+app.get('/api/business/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const docs = await ApiKey.find({ businessId: bid }).select('-keyHash').sort({ createdAt: -1 }).lean().exec();
+    res.json({ keys: docs, scopes: API_KEY_SCOPES });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a key; the full key is only ever returned in this response
+app.post('/api/business/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+
+    const { name } = req.body;
+    const scopes = req.body.scopes === undefined ? ['leads:create'] : req.body.scopes;
+    const rateLimitPerMinute = req.body.rateLimitPerMinute === undefined ? 60 : Number(req.body.rateLimitPerMinute);
+    const errors = {};
+    if (!name || String(name).trim() === '') errors.name = 'Name is required';
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !API_KEY_SCOPES.includes(s))) {
+      errors.scopes = `Choose one or more of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > 1000) {
+      errors.rateLimitPerMinute = 'Rate limit must be an integer between 1 and 1000';
+    }
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
 
-// Get single product (ensure access)
-app.get('/api/business/products/:id', authenticateToken, async (req, res) => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const keyHash = hashSecret(secret);
+    const doc = await ApiKey.create({
+      businessId: bid,
+      name: String(name).trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      createdBy: req.user.id,
+    });
+
+    res.json({ apiKey: publicApiKey(doc), key: `wl_${prefix}_${secret}` });
+  } catch (err) {
+    console.error('Create API key error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename or change the scopes / rate limit of a key
+app.put('/api/business/api-keys/:id', authenticateToken, async (req, res) => {
   try {
-    const id = req.params.id;
-    const p = await Product.findById(id).lean().exec();
-    if (!p) return res.status(404).json({ error: 'Not found' });
-    if (req.user.role === 'admin') return res.json(p);
-    if (req.user.role === 'business' && String(p.businessId) === String(req.user.businessId)) return res.json(p);
-    res.status(403).json({ error: 'Forbidden' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const doc = await ApiKey.findById(req.params.id).exec();
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    if (!managesBusiness(req.user, doc.businessId)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { name, scopes, rateLimitPerMinute } = req.body;
+    const errors = {};
+    if (name !== undefined && String(name).trim() === '') errors.name = 'Name is required';
+    if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !API_KEY_SCOPES.includes(s)))) {
+      errors.scopes = `Choose one or more of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    if (rateLimitPerMinute !== undefined && (!Number.isInteger(Number(rateLimitPerMinute)) || Number(rateLimitPerMinute) < 1 || Number(rateLimitPerMinute) > 1000)) {
+      errors.rateLimitPerMinute = 'Rate limit must be an integer between 1 and 1000';
+    }
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    if (name !== undefined) doc.name = String(name).trim();
+    if (scopes !== undefined) doc.scopes = [...new Set(scopes)];
+    if (rateLimitPerMinute !== undefined) doc.rateLimitPerMinute = Number(rateLimitPerMinute);
+    await doc.save();
+    res.json({ apiKey: publicApiKey(doc) });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update product
-app.put('/api/business/products/:id', authenticateToken, async (req, res) => {
+// Revoke: the key stops working immediately but stays listed for auditing
+app.delete('/api/business/api-keys/:id', authenticateToken, async (req, res) => {
   try {
-    const id = req.params.id;
-    const p = await Product.findById(id).exec();
-    if (!p) return res.status(404).json({ error: 'Not found' });
-    if (req.user.role !== 'admin' && String(p.businessId) !== String(req.user.businessId)) return res.status(403).json({ error: 'Forbidden' });
-    // server-side validation
-    const { name, sku, price, quantity, description, images } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const doc = await ApiKey.findById(req.params.id).exec();
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    if (!managesBusiness(req.user, doc.businessId)) return res.status(403).json({ error: 'Forbidden' });
+    if (!doc.revokedAt) {
+      doc.revokedAt = new Date();
+      await doc.save();
+    }
+    apiKeyWindows.delete(String(doc._id));
+    res.json({ apiKey: publicApiKey(doc) });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Ingest a lead for the key's business
+app.post('/api/v1/leads', authenticateApiKey('leads:create'), async (req, res) => {
+  try {
+    const screened = await screenLead({ ...req.body, businessId: req.apiKey.businessId }, { ip: req.ip, throttle: false, challenge: false });
+    if (screened.reject) return sendScreenRejection(res, screened.reject);
+
+    const lead = await createLead({
+      ...screened.fields,
+      source: 'api',
+      apiKeyId: req.apiKey._id,
+      actor: null,
+      quality: screened.quality,
+    });
+    res.status(201).json({ lead });
+  } catch (err) {
+    console.error('API lead ingestion error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Read the key's leads with the same filters as GET /api/leads
+app.get('/api/v1/leads', authenticateApiKey('leads:read'), async (req, res) => {
+  try {
+    const { filter, error } = buildLeadFilter(req.user, req.query);
+    if (error) return res.status(400).json({ error });
+    const page = await findLeadsPage(filter, req.query, 50);
+    if (page.error) return res.status(400).json(page.error);
+    res.json(page);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------
+// WIDGET (embeddable inquiry form for business websites)
+// Sites include /widget.js with data-business="<id>"; the script fetches the
+// config below and posts submissions to /api/widget/:businessId/leads.
+// ---------------------
+
+const WIDGET_SCRIPT = fileURLToPath(new URL("./widget/widget.js", import.meta.url));
+const WIDGET_MIN_FILL_MS = 3000;
+const WIDGET_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+app.get('/widget.js', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('application/javascript').sendFile(WIDGET_SCRIPT);
+});
+
+const WIDGET_DEFAULTS = Object.fromEntries(Object.entries(widgetSchema.obj).map(([key, def]) => [key, def.default]));
+
+// Saved settings over the defaults (older businesses have no widget yet)
+function widgetSettings(business) {
+  return { ...WIDGET_DEFAULTS, ...(business.widget || {}) };
+}
+
+function widgetOriginAllowed(business, origin) {
+  const allowed = widgetSettings(business).allowedOrigins || [];
+  return allowed.length === 0 || allowed.includes(origin) || origin === new URL(APP_URL).origin;
+}
+
+// Loads the business and answers CORS for the site embedding it. Requests
+// from origins outside the business's list are refused outright.
+async function widgetCors(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.businessId)) return res.status(404).json({ error: 'Not found' });
+    const business = await Business.findById(req.params.businessId).select('name widget').lean().exec();
+    if (!business || widgetSettings(business).enabled === false) return res.status(404).json({ error: 'Not found' });
+
+    const origin = req.headers.origin;
+    if (origin) {
+      if (!widgetOriginAllowed(business, origin)) return res.status(403).json({ error: 'Origin not allowed' });
+      res.set('Access-Control-Allow-Origin', origin);
+      res.vary('Origin');
+    }
+    if (req.method === 'OPTIONS') {
+      res.set('Access-Control-Allow-Methods', 'GET, POST');
+      res.set('Access-Control-Allow-Headers', 'Content-Type');
+      res.set('Access-Control-Max-Age', '600');
+      return res.sendStatus(204);
+    }
+    req.business = business;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+// Form tokens are issued with the config and must be at least a few seconds
+// old when submitted, which stops scripted posts that never render the form
+function signWidgetToken(businessId, issuedAt) {
+  const secret = process.env.JWT_SECRET || "secret123";
+  return crypto.createHmac('sha256', secret).update(`widget.${businessId}.${issuedAt}`).digest('hex');
+}
+
+function issueWidgetToken(businessId) {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${signWidgetToken(businessId, issuedAt)}`;
+}
+
+function checkWidgetToken(businessId, token) {
+  const [issuedAt, sig] = String(token || '').split('.');
+  const age = Date.now() - Number(issuedAt);
+  if (!sig || !Number.isFinite(age)) return 'Missing form token';
+  const expected = Buffer.from(signWidgetToken(businessId, issuedAt));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'Invalid form token';
+  if (age < WIDGET_MIN_FILL_MS) return 'Form submitted too quickly';
+  if (age > WIDGET_TOKEN_TTL_MS) return 'Form expired, please reload the page';
+  return null;
+}
+
+app.options('/api/widget/:businessId/config', widgetCors);
+app.options('/api/widget/:businessId/leads', widgetCors);
+
+// Public: what the widget needs to render, plus a fresh form token
+app.get('/api/widget/:businessId/config', widgetCors, async (req, res) => {
+  try {
+    const { allowedOrigins, enabled, ...widget } = widgetSettings(req.business);
+    const products = widget.fields.includes('product')
+      ? await Product.find({ businessId: req.business._id }).select('name').sort({ name: 1 }).lean().exec()
+      : [];
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      business: { _id: req.business._id, name: req.business.name },
+      widget,
+      products,
+      token: issueWidgetToken(req.business._id),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: submit an inquiry from the widget
+app.post('/api/widget/:businessId/leads', widgetCors, async (req, res) => {
+  try {
+    const tokenError = checkWidgetToken(req.business._id, req.body?.token);
+    if (tokenError) return res.status(400).json({ error: tokenError });
+
+    // The hidden "website" honeypot is scored like any other submission; a
+    // quarantined lead gets the same answer so bots don't learn to skip it
+    const screened = await screenLead({ ...req.body, businessId: req.business._id }, { ip: req.ip });
+    if (screened.reject) return sendScreenRejection(res, screened.reject);
+
+    const lead = await createLead({
+      ...screened.fields,
+      source: 'widget',
+      actor: null,
+      quality: screened.quality,
+    });
+    res.status(201).json({ ok: true, leadId: lead._id });
+  } catch (err) {
+    console.error('Widget lead error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dashboard: widget settings for the caller's business
+app.get('/api/business/widget', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const business = await Business.findById(bid).select('name widget').lean().exec();
+    if (!business) return res.status(404).json({ error: 'Not found' });
+    res.json({ businessId: business._id, widget: widgetSettings(business), fields: WIDGET_FIELDS });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.put('/api/business/widget', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const business = await Business.findById(bid).exec();
+    if (!business) return res.status(404).json({ error: 'Not found' });
+
+    const { enabled, title, buttonText, primaryColor, backgroundColor, textColor, fields, allowedOrigins } = req.body;
     const errors = {};
-    if (!name || String(name).trim() === '') errors.name = 'Name is required';
-    const numPrice = Number(price || 0);
-    if (isNaN(numPrice) || numPrice < 0) errors.price = 'Price must be a non-negative number';
-    const numQty = Number(quantity || 0);
-    if (!Number.isInteger(numQty) || numQty < 0) errors.quantity = 'Quantity must be a non-negative integer';
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = !!enabled;
+    for (const [key, value] of Object.entries({ title, buttonText })) {
+      if (value === undefined) continue;
+      if (String(value).trim() === '' || String(value).length > 100) errors[key] = 'Must be 1 to 100 characters';
+      else changes[key] = String(value).trim();
+    }
+    for (const [key, value] of Object.entries({ primaryColor, backgroundColor, textColor })) {
+      if (value === undefined) continue;
+      if (!HEX_COLOR_RE.test(String(value))) errors[key] = 'Use a hex colour like #2563eb';
+      else changes[key] = String(value).toLowerCase();
+    }
+    if (fields !== undefined) {
+      if (!Array.isArray(fields) || fields.some((f) => !WIDGET_FIELDS.includes(f))) errors.fields = `Choose from: ${WIDGET_FIELDS.join(', ')}`;
+      else changes.fields = [...new Set(fields)];
+    }
+    if (allowedOrigins !== undefined) {
+      const origins = [];
+      for (const o of Array.isArray(allowedOrigins) ? allowedOrigins : []) {
+        try {
+          const u = new URL(String(o).trim());
+          if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new Error();
+          origins.push(u.origin);
+        } catch {
+          errors.allowedOrigins = `Not a valid site address: ${o}`;
+        }
+      }
+      if (!Array.isArray(allowedOrigins)) errors.allowedOrigins = 'allowedOrigins must be an array';
+      changes.allowedOrigins = [...new Set(origins)];
+    }
     if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
 
-    const updates = { name, sku, price: numPrice, quantity: numQty, description, images };
-    Object.assign(p, updates);
-    await p.save();
-    res.json(p);
+    business.widget = { ...widgetSettings(business.toObject()), ...changes };
+    await business.save();
+    res.json({ businessId: business._id, widget: widgetSettings(business.toObject()) });
   } catch (err) {
+    console.error('Save widget settings error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete product
-app.delete('/api/business/products/:id', authenticateToken, async (req, res) => {
+// ---------------------
+// TEAM (members of a business and how leads are shared among them)
+// ---------------------
+
+// Members with their open lead counts; owners, managers and admins
+app.get('/api/business/team', authenticateToken, async (req, res) => {
   try {
-    const id = req.params.id;
-    const p = await Product.findById(id).exec();
-    if (!p) return res.status(404).json({ error: 'Not found' });
-    if (req.user.role !== 'admin' && String(p.businessId) !== String(req.user.businessId)) return res.status(403).json({ error: 'Forbidden' });
-    await Product.findByIdAndDelete(id).exec();
-    res.json({ message: 'Deleted' });
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const business = await Business.findById(bid).select('name owner assignment').lean().exec();
+    if (!business) return res.status(404).json({ error: 'Not found' });
+
+    const members = await User.find({ businessId: bid, role: 'business' }).select('name email businessRole').sort({ _id: 1 }).lean().exec();
+    for (const m of members) {
+      m.businessRole = m.businessRole || 'owner';
+      m.openLeads = await Lead.countDocuments({ businessId: bid, assignedTo: m._id, status: { $nin: CLOSED_LEAD_STATUSES }, quarantined: { $ne: true } }).exec();
+    }
+    res.json({
+      businessId: bid,
+      members,
+      roles: BUSINESS_ROLES,
+      assignment: { mode: business.assignment?.mode || 'manual' },
+      assignmentModes: ASSIGNMENT_MODES,
+    });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Upload images (multipart) - businesses/admins
-app.post('/api/business/products/upload', authenticateToken, upload.array('images', 8), async (req, res) => {
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The business whose team the caller may change: their own for owners, ?businessId= for admins
+function ownedTeamBusinessId(req) {
+  if (req.user.role === 'business') return hasBusinessRole(req.user, 'owner') ? req.user.businessId || null : null;
+  return managedBusinessId(req);
+}
+
+function rejectTeamChange(req, res) {
+  return req.user.role === 'admin'
+    ? res.status(400).json({ error: 'businessId required' })
+    : res.status(403).json({ error: 'Only the owner can manage the team' });
+}
+
+function publicInvitation(inv) {
+  return { _id: inv._id, email: inv.email, businessRole: inv.businessRole, expiresAt: inv.expiresAt, createdAt: inv.createdAt };
+}
+
+// Pending invitations; owners and admins
+app.get('/api/business/team/invitations', authenticateToken, async (req, res) => {
   try {
-    if (!(req.user.role === 'business' || req.user.role === 'admin')) return res.status(403).json({ error: 'Forbidden' });
-    const files = req.files || [];
-    const urls = files.map(f => `${req.protocol}://${req.get('host')}/uploads/${f.filename}`);
-    res.json({ urls });
+    const bid = ownedTeamBusinessId(req);
+    if (!bid) return rejectTeamChange(req, res);
+    const docs = await Invitation.find({ businessId: bid, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 }).lean().exec();
+    res.json({ invitations: docs.map(publicInvitation) });
   } catch (err) {
-    console.error('Upload error', err);
-    res.status(500).json({ error: 'Upload failed' });
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Email an invitation to join the team. Inviting the same address again
+// replaces the pending invitation (and its link).
+app.post('/api/business/team/invitations', authenticateToken, async (req, res) => {
+  try {
+    const bid = ownedTeamBusinessId(req);
+    if (!bid) return rejectTeamChange(req, res);
+    if (!mailer) return res.status(503).json({ error: 'Invitations need email delivery, which is not configured' });
+
+    const { email, businessRole } = req.body;
+    const errors = {};
+    const normalized = normalizeEmail(email);
+    if (!normalized) errors.email = 'A valid email is required';
+    if (!['manager', 'agent'].includes(businessRole)) errors.businessRole = 'Role must be manager or agent';
+    if (Object.keys(errors).length) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    const existing = await User.findOne({ email: emailMatcher(normalized) }).select('role businessId').lean().exec();
+    if (existing && String(existing.businessId || '') === String(bid)) {
+      return res.status(400).json({ error: 'Validation failed', details: { email: 'Already a member of this team' } });
+    }
+    if (existing && (existing.role !== 'business' || existing.businessId)) {
+      return res.status(400).json({ error: 'Validation failed', details: { email: 'This email belongs to an account that cannot join a team' } });
+    }
+
+    const business = await Business.findById(bid).select('name').lean().exec();
+    if (!business) return res.status(404).json({ error: 'Not found' });
+
+    await Invitation.updateMany(
+      { businessId: bid, email: normalized, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ).exec();
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      businessId: bid,
+      email: normalized,
+      businessRole,
+      tokenHash: hashSecret(token),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      invitedBy: req.user.id,
+    });
+
+    const inviter = await User.findById(req.user.id).select('name email').lean().exec();
+    await sendMail({
+      kind: 'team_invitation',
+      to: normalized,
+      ...teamInvitationEmail({
+        business,
+        inviter,
+        businessRole,
+        link: `${APP_URL}/accept-invite?token=${token}`,
+        expiresAt: invitation.expiresAt,
+      }),
+    });
+
+    res.json({ invitation: publicInvitation(invitation) });
+  } catch (err) {
+    console.error('Invite team member error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/business/team/invitations/:id', authenticateToken, async (req, res) => {
+  try {
+    const bid = ownedTeamBusinessId(req);
+    if (!bid) return rejectTeamChange(req, res);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const result = await Invitation.updateOne(
+      { _id: req.params.id, businessId: bid, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ).exec();
+    if (!result.matchedCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ message: 'Invitation revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Owners cannot be changed or removed here; neither can the caller
+async function findChangeableMember(req, bid) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  if (String(req.params.id) === String(req.user.id)) return null;
+  const member = await User.findOne({ _id: req.params.id, businessId: bid, role: 'business' }).exec();
+  if (!member || (member.businessRole || 'owner') === 'owner') return null;
+  return member;
+}
+
+// Change a member's role (manager <-> agent)
+app.patch('/api/business/team/:id', authenticateToken, async (req, res) => {
+  try {
+    const bid = ownedTeamBusinessId(req);
+    if (!bid) return rejectTeamChange(req, res);
+    const { businessRole } = req.body;
+    if (!['manager', 'agent'].includes(businessRole)) {
+      return res.status(400).json({ error: 'Validation failed', details: { businessRole: 'Role must be manager or agent' } });
+    }
+    const member = await findChangeableMember(req, bid);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+
+    member.businessRole = businessRole;
+    await member.save();
+    // Room membership depends on the role, so connected clients join again
+    io.in(`user:${member._id}`).disconnectSockets(true);
+    res.json({ member: { _id: member._id, name: member.name, email: member.email, businessRole } });
+  } catch (err) {
+    console.error('Change team role error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a member from the business. Membership is read on every request, so
+// their access ends immediately; their open leads go back to the unassigned pool.
+app.delete('/api/business/team/:id', authenticateToken, async (req, res) => {
+  try {
+    const bid = ownedTeamBusinessId(req);
+    if (!bid) return rejectTeamChange(req, res);
+    const member = await findChangeableMember(req, bid);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+
+    await User.updateOne({ _id: member._id }, { $unset: { businessId: '', businessRole: '' } }).exec();
+    io.in(`user:${member._id}`).disconnectSockets(true);
+
+    const leads = await Lead.find({ businessId: bid, assignedTo: member._id, status: { $nin: CLOSED_LEAD_STATUSES } }).exec();
+    for (const lead of leads) {
+      await applyAssignment(lead, null, { actor: req.user, note: 'member removed from team' });
+      await lead.save();
+      emitLeadEvent('lead:updated', lead);
+    }
+
+    res.json({ message: 'Member removed', unassignedLeads: leads.length });
+  } catch (err) {
+    console.error('Remove team member error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// How new leads are assigned: manual, round_robin or workload
+app.put('/api/business/team/assignment', authenticateToken, async (req, res) => {
+  try {
+    const bid = managedBusinessId(req);
+    if (!bid) return res.status(req.user.role === 'admin' ? 400 : 403).json({ error: req.user.role === 'admin' ? 'businessId required' : 'Forbidden' });
+    const { mode } = req.body;
+    if (!ASSIGNMENT_MODES.includes(mode)) return res.status(400).json({ error: 'Invalid mode', allowed: ASSIGNMENT_MODES });
+    const result = await Business.updateOne({ _id: bid }, { $set: { 'assignment.mode': mode } }).exec();
+    if (!result.matchedCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ assignment: { mode } });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: what an invitation link is for, so the accept page can greet the invitee
+app.get('/api/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (invitation.error) return res.status(invitation.status).json({ error: invitation.error });
+    const business = await Business.findById(invitation.businessId).select('name').lean().exec();
+    const account = await User.findOne({ email: emailMatcher(invitation.email) }).select('_id').lean().exec();
+    res.json({ ...publicInvitation(invitation), businessName: business?.name, hasAccount: !!account });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public: accept an invitation. New invitees pick a name and password; an
+// existing business account without a team confirms with its password.
+// Responds like login, so the invitee is signed in straight away.
+app.post('/api/invitations/accept', async (req, res) => {
+  try {
+    const { token, name, password } = req.body || {};
+    const invitation = await findOpenInvitation(token);
+    if (invitation.error) return res.status(invitation.status).json({ error: invitation.error });
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({ error: 'Validation failed', details: { password: 'Password must be at least 6 characters' } });
+    }
+
+    let user = await User.findOne({ email: emailMatcher(invitation.email) }).exec();
+    if (user) {
+      if (user.role !== 'business' || user.businessId) return res.status(409).json({ error: 'This account cannot join a team' });
+      if (!(await bcrypt.compare(String(password), user.password))) return res.status(400).json({ error: 'Wrong password' });
+    } else if (!name || String(name).trim() === '') {
+      return res.status(400).json({ error: 'Validation failed', details: { name: 'Name is required' } });
+    }
+
+    // Claim the invitation first so it can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    ).exec();
+    if (!claimed) return res.status(410).json({ error: 'This invitation has already been used' });
+
+    if (!user) {
+      user = await User.create({
+        name: String(name).trim(),
+        email: invitation.email,
+        password: await bcrypt.hash(String(password), 10),
+        role: 'business',
+      });
+    }
+    user.businessId = invitation.businessId;
+    user.businessRole = invitation.businessRole;
+    await user.save();
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+
+    res.json(sessionFor(user));
+  } catch (err) {
+    console.error('Accept invitation error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
+async function findOpenInvitation(token) {
+  if (!/^[a-f0-9]{64}$/.test(String(token || ''))) return { status: 400, error: 'Invalid invitation link' };
+  const invitation = await Invitation.findOne({ tokenHash: hashSecret(token) }).lean().exec();
+  if (!invitation || invitation.revokedAt) return { status: 404, error: 'This invitation is no longer valid' };
+  if (invitation.acceptedAt) return { status: 410, error: 'This invitation has already been used' };
+  if (invitation.expiresAt < new Date()) return { status: 410, error: 'This invitation has expired. Ask the owner to send a new one.' };
+  return invitation;
+}
+
 // Admin: manage businesses
 app.get('/api/admin/businesses', authenticateToken, async (req, res) => {
   try {
@@ -530,7 +4801,12 @@ app.put('/api/admin/businesses/:id', authenticateToken, async (req, res) => {
   try {
     if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
     const id = req.params.id;
-    const updates = (({ name, category, location, description }) => ({ name, category, location, description }))(req.body);
+    // only the fields sent, so a category change leaves the rest alone
+    const updates = {};
+    for (const key of ['name', 'location', 'description']) if (req.body[key] !== undefined) updates[key] = req.body[key];
+    const picked = await categoryFromInput(req.body);
+    if (picked.error) return res.status(400).json({ error: picked.error });
+    if (picked.category !== undefined) Object.assign(updates, businessCategoryFields(picked.category, req.body.category));
     const doc = await Business.findByIdAndUpdate(id, updates, { new: true }).lean().exec();
     if (!doc) return res.status(404).json({ error: 'Not found' });
     res.json(doc);
@@ -545,8 +4821,98 @@ app.delete('/api/admin/businesses/:id', authenticateToken, async (req, res) => {
     const id = req.params.id;
     const doc = await Business.findByIdAndDelete(id).lean().exec();
     if (!doc) return res.status(404).json({ error: 'Not found' });
-    // Unlink from user if exists
-    await User.updateOne({ businessId: id }, { $unset: { businessId: '' } }).exec();
+    // Unlink the owner and any team members
+    await User.updateMany({ businessId: id }, { $unset: { businessId: '', businessRole: '' } }).exec();
+    // Verification documents are only kept while the business exists
+    const requests = await VerificationRequest.find({ businessId: id }).select('documents').lean().exec();
+    for (const r of requests) removeVerificationFiles(r.documents);
+    await VerificationRequest.deleteMany({ businessId: id }).exec();
+    res.json({ message: 'Deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: outbound email log (defaults to failed messages)
+app.get('/api/admin/emails', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    const status = req.query.status || 'failed';
+    if (status !== 'all' && !EMAIL_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status', allowed: [...EMAIL_STATUSES, 'all'] });
+    const filter = status === 'all' ? {} : { status };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const docs = await OutboxEmail.find(filter).select('-html -text').sort({ createdAt: -1 }).limit(limit).lean().exec();
+    res.json(docs);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: put a failed (or stuck) email back in the queue
+app.post('/api/admin/emails/:id/resend', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    if (!mailer) return res.status(400).json({ error: 'Mailer not configured' });
+    const doc = await OutboxEmail.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'sent' } },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+        $unset: { lockedAt: '' },
+        $push: { deliveryLog: { attempt: 0, status: 'requeued', note: `by ${req.user.email}`, at: new Date() } },
+      },
+      { new: true }
+    ).select('-html -text').lean().exec();
+    if (!doc) return res.status(404).json({ error: 'Not found or already sent' });
+    setImmediate(processOutbox);
+    res.json(doc);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: leads held back by the spam filter, newest first
+app.get('/api/admin/quarantine', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    const page = await findLeadsPage({ quarantined: true }, req.query, 50);
+    if (page.error) return res.status(400).json(page.error);
+    await attachBusinessNames(page.items);
+    res.json(page);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: not spam after all, deliver it to the business as if it just arrived
+app.post('/api/admin/quarantine/:id/release', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const lead = await Lead.findOneAndUpdate(
+      { _id: req.params.id, quarantined: true },
+      {
+        $set: { quarantined: false },
+        $push: { activity: { type: 'released', actor: req.user.id, actorEmail: req.user.email, at: new Date() } },
+      },
+      { new: true }
+    ).exec();
+    if (!lead) return res.status(404).json({ error: 'Not found or not quarantined' });
+    await announceLead(lead);
+    res.json({ lead });
+  } catch (err) {
+    console.error('Release lead error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: discard a quarantined lead for good
+app.delete('/api/admin/quarantine/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const result = await Lead.deleteOne({ _id: req.params.id, quarantined: true }).exec();
+    if (!result.deletedCount) return res.status(404).json({ error: 'Not found or not quarantined' });
     res.json({ message: 'Deleted' });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -556,4 +4922,4 @@ app.delete('/api/admin/businesses/:id', authenticateToken, async (req, res) => {
 // ---------------------
 // Start server
 // ---------------------
-app.listen(4000, () => console.log("Server running on port 4000"));
\ No newline at end of file
+server.listen(4000, () => console.log("Server running on port 4000"));
\ No newline at end of file
@@ -0,0 +1,41 @@
+// ---------------------
+// Lead export columns
+// What GET /api/leads/export can put in a spreadsheet. Each column reads a
+// lean lead plus lookups the route resolves in batches (business names and
+// assignee emails), so nothing here touches the database.
+// ---------------------
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+export const LEAD_EXPORT_COLUMNS = {
+  id: { label: "Lead ID", value: (l) => String(l._id) },
+  createdAt: { label: "Received", value: (l) => (l.timestamp ? new Date(l.timestamp) : null) },
+  name: { label: "Name", value: (l) => l.name },
+  email: { label: "Email", value: (l) => l.email },
+  phone: { label: "Phone", value: (l) => l.phone },
+  message: { label: "Message", value: (l) => l.message },
+  business: { label: "Business", value: (l, ctx) => ctx.businessNames.get(String(l.businessId)) || "" },
+  status: { label: "Status", value: (l) => l.status || "new" },
+  source: { label: "Source", value: (l) => l.source || "web" },
+  products: {
+    label: "Products",
+    value: (l) => (l.products || []).map((p) => (p.quantity && p.quantity !== 1 ? `${p.quantity} x ${p.name}` : p.name)).join("; "),
+  },
+  assignedTo: { label: "Assigned to", value: (l, ctx) => (l.assignedTo ? ctx.assigneeEmails.get(String(l.assignedTo)) || "" : ""), internal: true },
+  assignedAt: { label: "Assigned at", value: (l) => (l.assignedAt ? new Date(l.assignedAt) : null), internal: true },
+};
+
+export const DEFAULT_LEAD_EXPORT_COLUMNS = ["createdAt", "name", "email", "phone", "message", "business", "products", "status", "source", "assignedTo"];
+
+// ?columns=name,email,... -> column keys in the order asked for. Customers
+// don't get internal columns. Returns { columns } or { error }.
+export function parseExportColumns(value, { role } = {}) {
+  const allowed = Object.keys(LEAD_EXPORT_COLUMNS).filter((k) => role !== "customer" || !LEAD_EXPORT_COLUMNS[k].internal);
+  if (!value) return { columns: DEFAULT_LEAD_EXPORT_COLUMNS.filter((k) => allowed.includes(k)) };
+
+  const keys = [...new Set(String(value).split(",").map((k) => k.trim()).filter(Boolean))];
+  const unknown = keys.filter((k) => !allowed.includes(k));
+  if (unknown.length) return { error: `Unknown column${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}` };
+  if (!keys.length) return { error: "Choose at least one column" };
+  return { columns: keys };
+}
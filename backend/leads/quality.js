@@ -0,0 +1,152 @@
+// ---------------------
+// Lead quality
+// Normalisation, validation and spam scoring shared by every lead entry point.
+// Nothing here touches the database: index.js combines these helpers with
+// duplicate lookups and the admin quarantine.
+// ---------------------
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Throwaway inbox providers commonly used for junk submissions
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  "mailinator.com", "guerrillamail.com", "10minutemail.com", "tempmail.com",
+  "yopmail.com", "trashmail.com", "sharklasers.com", "getnada.com", "dispostable.com",
+]);
+
+const SPAM_PHRASES = [
+  "seo service", "backlinks", "casino", "crypto investment", "forex signal",
+  "viagra", "loan offer", "work from home", "guest post", "rank your website",
+];
+
+const URL_RE = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Lower-cased and trimmed, or null when it doesn't look like an email
+export function normalizeEmail(value) {
+  const email = String(value ?? "").trim().toLowerCase();
+  return EMAIL_RE.test(email) ? email : null;
+}
+
+// E.164-style "+<digits>", or null when it can't be a phone number.
+// Local numbers without a country code get `defaultCountryCode`
+// (e.g. "98765 43210" -> "+919876543210" for "91").
+export function normalizePhone(value, defaultCountryCode = "") {
+  const raw = String(value ?? "").trim();
+  if (!/^[+0-9\s().-]+$/.test(raw)) return null;
+  let digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) {
+    // already international
+  } else if (raw.startsWith("00")) {
+    digits = digits.slice(2);
+  } else if (defaultCountryCode) {
+    digits = defaultCountryCode + digits.replace(/^0+/, "");
+  }
+  if (digits.length < 8 || digits.length > 15) return null;
+  return "+" + digits;
+}
+
+// Case- and whitespace-insensitive form of a message, for duplicate checks
+export function normalizeMessage(value) {
+  return String(value ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+const MAX_PRODUCTS_PER_LEAD = 20;
+
+// Requested products as [{ productId, quantity }]. Accepts `products`
+// ([{ productId, quantity? }]) or the older single `productId` (+ `quantity`);
+// quantity defaults to 1 and repeats of a product are added up.
+// Returns { refs } or { error } with a message for the form.
+export function normalizeProductRefs({ products, productId, quantity } = {}) {
+  let list = products;
+  if (list === undefined || list === null || list === "") {
+    list = productId ? [{ productId, quantity }] : [];
+  }
+  if (!Array.isArray(list)) return { error: "products must be a list" };
+  if (list.length > MAX_PRODUCTS_PER_LEAD) return { error: `At most ${MAX_PRODUCTS_PER_LEAD} products per inquiry` };
+
+  const byId = new Map();
+  for (const item of list) {
+    const id = String(item?.productId ?? "");
+    if (!OBJECT_ID_RE.test(id)) return { error: "Invalid product" };
+    const qty = item.quantity === undefined || item.quantity === null || item.quantity === "" ? 1 : Number(item.quantity);
+    if (!Number.isFinite(qty) || qty <= 0 || qty > 1e6) return { error: "Quantity must be a number greater than 0" };
+    byId.set(id, (byId.get(id) || 0) + qty);
+  }
+  return { refs: [...byId].map(([id, qty]) => ({ productId: id, quantity: qty })) };
+}
+
+// Score a submission from 0 (clean) to 100 (certainly spam) and say why.
+// `honeypot` is the value of the hidden field, `challenge` the result of the
+// challenge hook: true (passed), false (failed) or null (not configured).
+export function scoreLead({ name, email, message, honeypot, challenge = null }) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  if (honeypot) add(100, "honeypot field filled in");
+  if (challenge === false) add(60, "challenge failed");
+
+  const text = String(message ?? "");
+  const links = text.match(URL_RE) || [];
+  if (links.length >= 3) add(30, `${links.length} links in message`);
+  else if (links.length > 0) add(10, "link in message");
+
+  const lower = text.toLowerCase();
+  const phrases = SPAM_PHRASES.filter((p) => lower.includes(p));
+  if (phrases.length) add(20 * Math.min(phrases.length, 2), `spam phrases: ${phrases.join(", ")}`);
+
+  if (text.length >= 20 && text === text.toUpperCase() && /[A-Z]/.test(text)) add(10, "message in capitals");
+  if (/(.)\1{7,}/.test(text)) add(10, "repeated characters");
+  if (new RegExp(URL_RE.source, "i").test(String(name ?? ""))) add(30, "link in name");
+
+  const domain = String(email ?? "").split("@")[1];
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.has(domain.toLowerCase())) add(25, "disposable email domain");
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+// Fixed-window counters kept in process memory, e.g. createThrottle({ limit: 5, windowMs: 60000 })
+export function createThrottle({ limit, windowMs }) {
+  const windows = new Map();
+  return {
+    limit,
+    take(key) {
+      const now = Date.now();
+      const windowStart = now - (now % windowMs);
+      let w = windows.get(key);
+      if (!w || w.windowStart !== windowStart) {
+        if (windows.size > 10000) {
+          for (const [k, v] of windows) if (v.windowStart !== windowStart) windows.delete(k);
+        }
+        w = { windowStart, count: 0 };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { allowed: w.count <= limit, remaining: Math.max(limit - w.count, 0), resetAt: windowStart + windowMs };
+    },
+  };
+}
+
+// Challenge hook: verifies a CAPTCHA-style token against a siteverify endpoint
+// (reCAPTCHA, hCaptcha and Turnstile all accept this form). Returns null when
+// no endpoint is configured.
+export async function verifyChallenge({ url, secret, token, ip }) {
+  if (!url || !secret) return null;
+  if (!token) return false;
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ secret, response: String(token), remoteip: ip || "" }),
+      signal: AbortSignal.timeout(5000),
+    });
+    const data = await res.json();
+    return data.success === true;
+  } catch (err) {
+    console.error("Challenge verification failed:", err.message);
+    return false;
+  }
+}
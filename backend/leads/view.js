@@ -0,0 +1,33 @@
+// ---------------------
+// Customer lead view
+// The customer who sent a lead sees what they sent and where it stands, not
+// how the business works it: no activity timeline, assignment or spam
+// screening data. Anything not listed here stays with staff.
+// ---------------------
+
+export const CUSTOMER_LEAD_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "phone",
+  "message",
+  "businessId",
+  "businessName",
+  "timestamp",
+  "submittedBy",
+  "products",
+  "productId",
+  "source",
+  "status",
+];
+
+// A lead (document or plain object) reduced to CUSTOMER_LEAD_FIELDS
+export function customerLeadView(lead) {
+  if (!lead) return lead;
+  const doc = typeof lead.toObject === "function" ? lead.toObject() : lead;
+  const view = {};
+  for (const key of CUSTOMER_LEAD_FIELDS) {
+    if (doc[key] !== undefined) view[key] = doc[key];
+  }
+  return view;
+}
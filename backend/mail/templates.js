@@ -0,0 +1,325 @@
+// ---------------------
+// Email templates
+// Each template returns { subject, text, html } for nodemailer.
+// ---------------------
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatDate(d) {
+  return d ? new Date(d).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" }) : "-";
+}
+
+// "2 x Pipe (SKU: P1) - ₹100; Valve" for the requested products
+function productLines(products) {
+  return (products || []).map((product) => {
+    const qty = product.quantity && product.quantity !== 1 ? `${product.quantity} x ` : "";
+    const sku = product.sku ? ` (SKU: ${product.sku})` : "";
+    const price = typeof product.price === "number" ? ` - ₹${product.price}` : "";
+    return `${qty}${product.name}${sku}${price}`;
+  }).join("; ");
+}
+
+// "Pipe" or "Pipe and 2 more"
+function productSummary(products) {
+  if (!products?.length) return "";
+  return products.length === 1 ? products[0].name : `${products[0].name} and ${products.length - 1} more`;
+}
+
+// Shared HTML shell so every email looks the same
+function layout(title, bodyHtml, footer) {
+  return `<!doctype html>
+<html><body style="margin:0;background:#f7f7f8;font-family:Arial,Helvetica,sans-serif;color:#111">
+  <div style="max-width:560px;margin:24px auto;background:#fff;border-radius:8px;padding:24px">
+    <h2 style="margin:0 0 16px 0;font-size:20px">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="margin-top:24px;font-size:12px;color:#64748b">${escapeHtml(footer)}</p>
+  </div>
+</body></html>`;
+}
+
+function rows(pairs) {
+  return `<table style="border-collapse:collapse;width:100%;font-size:14px">${pairs
+    .filter(([, v]) => v)
+    .map(([k, v]) => `<tr><td style="padding:4px 8px 4px 0;color:#64748b;vertical-align:top;white-space:nowrap">${escapeHtml(k)}</td><td style="padding:4px 0">${escapeHtml(v)}</td></tr>`)
+    .join("")}</table>`;
+}
+
+const PREFS_FOOTER = "You can turn these emails off under Settings in your WebLeads account.";
+
+// Sent to the business that received the lead
+export function newLeadEmail({ lead, business, products, appUrl }) {
+  const bizName = business?.name || "your business";
+  const subject = products?.length
+    ? `New inquiry for ${productSummary(products)} - ${bizName}`
+    : `New inquiry for ${bizName}`;
+  const fields = [
+    ["Name", lead.name || "-"],
+    ["Email", lead.email || "-"],
+    ["Phone", lead.phone || "-"],
+    [products?.length > 1 ? "Products" : "Product", productLines(products)],
+    ["Message", lead.message || "-"],
+    ["Received", formatDate(lead.timestamp)],
+  ];
+  const link = `${appUrl}/dashboard`;
+
+  const text = `${bizName} has a new inquiry on WebLeads:\n\n${fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n")}\n\nView it in your dashboard: ${link}\n\n${PREFS_FOOTER}`;
+
+  const html = layout(
+    `New inquiry for ${bizName}`,
+    `${rows(fields)}
+    <p style="margin-top:20px"><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Open dashboard</a></p>`,
+    PREFS_FOOTER
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to the team member who set a follow-up, once it falls due
+export function followUpReminderEmail({ followUp, lead, appUrl }) {
+  const who = lead.name || lead.email || lead.phone || "a lead";
+  const subject = `Follow-up due: ${who}`;
+  const fields = [
+    ["Lead", who],
+    ["Phone", lead.phone],
+    ["Email", lead.email],
+    ["Status", lead.status || "new"],
+    ["Due", formatDate(followUp.dueAt)],
+    ["Reminder", followUp.note],
+  ];
+  const link = `${appUrl}/dashboard`;
+
+  const text = `A follow-up you scheduled is due:\n\n${fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n")}\n\nOpen your dashboard: ${link}`;
+
+  const html = layout(
+    "Follow-up due",
+    `<p>A follow-up you scheduled is due:</p>${rows(fields)}
+    <p style="margin-top:20px"><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Open dashboard</a></p>`,
+    "You get this email because you scheduled the follow-up in WebLeads."
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to the other side of a lead conversation when a message arrives
+export function newMessageEmail({ message, lead, business, toCustomer, appUrl }) {
+  const bizName = business?.name || "the business";
+  const from = toCustomer ? bizName : (message.senderName || lead.name || lead.email || "The customer");
+  const subject = toCustomer ? `${bizName} replied to your inquiry` : `New message from ${from}`;
+  const link = `${appUrl}/dashboard`;
+  const intro = toCustomer
+    ? `${bizName} sent you a message about your inquiry:`
+    : `${from} sent a message about their inquiry to ${bizName}:`;
+
+  const text = `${intro}\n\n${message.body}\n\nReply in your dashboard: ${link}\n\n${PREFS_FOOTER}`;
+
+  const html = layout(
+    toCustomer ? `Reply from ${bizName}` : "New message",
+    `<p>${escapeHtml(intro)}</p>
+    <blockquote style="margin:12px 0;padding:8px 12px;border-left:3px solid #cbd5e1;white-space:pre-wrap">${escapeHtml(message.body)}</blockquote>
+    <p style="margin-top:20px"><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Reply</a></p>`,
+    PREFS_FOOTER
+  );
+
+  return { subject, text, html };
+}
+
+function money(quote, amount) {
+  return `${quote.currency === "INR" || !quote.currency ? "₹" : quote.currency + " "}${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Sent to the customer when a business sends them a quotation
+export function quoteSentEmail({ quote, lead, business, appUrl }) {
+  const bizName = business?.name || "The business";
+  const subject = `Quotation ${quote.number} from ${bizName}`;
+  const greeting = `Hi ${lead.name || "there"},`;
+  const intro = `${bizName} has sent you a quotation for your inquiry.`;
+  const fields = [
+    ["Quotation", quote.number],
+    ["Items", quote.items.map((i) => `${i.quantity} x ${i.name}`).join(", ")],
+    ["Total", money(quote, quote.total)],
+    ["Valid until", formatDate(quote.validUntil)],
+    ["Notes", quote.notes],
+  ];
+  const link = `${appUrl}/dashboard`;
+  const action = lead.submittedBy
+    ? "Review, download and accept or reject it in your dashboard"
+    : "Reply to the business to accept it";
+
+  const text = `${greeting}\n\n${intro}\n\n${fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n")}\n\n${action}${lead.submittedBy ? `: ${link}` : "."}`;
+
+  const html = layout(
+    `Quotation from ${bizName}`,
+    `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>${rows(fields)}
+    ${lead.submittedBy
+      ? `<p style="margin-top:20px"><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Review quotation</a></p>`
+      : `<p style="margin-top:20px">${escapeHtml(action)}.</p>`}`,
+    "You get this email because you sent an inquiry through WebLeads."
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to the business when the customer accepts or rejects a quotation
+export function quoteResponseEmail({ quote, lead, appUrl }) {
+  const accepted = quote.status === "accepted";
+  const who = lead.name || lead.email || "The customer";
+  const subject = `Quotation ${quote.number} ${accepted ? "accepted" : "rejected"} by ${who}`;
+  const fields = [
+    ["Quotation", quote.number],
+    ["Total", money(quote, quote.total)],
+    ["Customer", [lead.name, lead.email, lead.phone].filter(Boolean).join(", ")],
+    ["Their note", quote.responseNote],
+  ];
+  const intro = accepted
+    ? `${who} accepted your quotation. The lead is now marked as won.`
+    : `${who} rejected your quotation.`;
+  const link = `${appUrl}/dashboard`;
+
+  const text = `${intro}\n\n${fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n")}\n\nOpen your dashboard: ${link}`;
+
+  const html = layout(
+    accepted ? "Quotation accepted" : "Quotation rejected",
+    `<p>${escapeHtml(intro)}</p>${rows(fields)}
+    <p style="margin-top:20px"><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Open dashboard</a></p>`,
+    "You get this email because you sent this quotation from WebLeads."
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to the customer who submitted the inquiry
+export function inquiryConfirmationEmail({ lead, business, products, appUrl }) {
+  const bizName = business?.name || "the business";
+  const subject = `We've sent your inquiry to ${bizName}`;
+  const greeting = `Hi ${lead.name || "there"},`;
+  const intro = products?.length
+    ? `Your inquiry about ${productSummary(products)} has been delivered to ${bizName}. They will contact you soon.`
+    : `Your inquiry has been delivered to ${bizName}. They will contact you soon.`;
+  const fields = [
+    ["Business", bizName],
+    [products?.length > 1 ? "Products" : "Product", productLines(products)],
+    ["Your message", lead.message || "-"],
+    ["Sent", formatDate(lead.timestamp)],
+  ];
+  // Guests have no dashboard yet; registering with this email links the inquiry
+  const guest = lead.source === "guest" && !lead.submittedBy;
+  const link = guest
+    ? `${appUrl}/register?role=customer&email=${encodeURIComponent(lead.email || "")}`
+    : `${appUrl}/dashboard`;
+  const linkLabel = guest ? "Create an account to track your inquiries" : "Track your inquiries";
+
+  const text = `${greeting}\n\n${intro}\n\n${fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n")}\n\n${linkLabel}: ${link}\n\n${PREFS_FOOTER}`;
+
+  const html = layout(
+    "Your inquiry was sent",
+    `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>${rows(fields)}
+    <p style="margin-top:20px"><a href="${escapeHtml(link)}">${escapeHtml(linkLabel)}</a></p>`,
+    PREFS_FOOTER
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to a guest to confirm their email before the inquiry is delivered
+export function guestVerificationEmail({ inquiry, business, code, link, ttlMinutes }) {
+  const bizName = business?.name || "the business";
+  const subject = `${code} is your code to send your inquiry to ${bizName}`;
+  const greeting = `Hi ${inquiry.name || "there"},`;
+  const intro = `Confirm your email to send your inquiry to ${bizName}. Enter this code on the page you came from, or open the link below.`;
+  const expiry = `The code and link expire in ${ttlMinutes} minutes. If you didn't ask for this, you can ignore this email.`;
+
+  const text = `${greeting}\n\n${intro}\n\nCode: ${code}\n\n${link}\n\n${expiry}`;
+
+  const html = layout(
+    "Confirm your inquiry",
+    `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>
+    <p style="font-size:28px;letter-spacing:6px;font-weight:bold;margin:16px 0">${escapeHtml(code)}</p>
+    <p><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Send my inquiry</a></p>`,
+    expiry
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to a new customer account so it can prove it owns its email address
+export function emailConfirmationEmail({ user, link, expiresAt }) {
+  const subject = "Confirm your email for WebLeads";
+  const greeting = `Hi ${user.name || "there"},`;
+  const intro = "Confirm this is your email address. Inquiries you sent as a guest from it will then show up in your account.";
+  const expiry = `The link works while you are logged in to the account and expires on ${formatDate(expiresAt)}. If you didn't create an account, you can ignore this email.`;
+
+  const text = `${greeting}\n\n${intro}\n\n${link}\n\n${expiry}`;
+
+  const html = layout(
+    "Confirm your email",
+    `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Confirm my email</a></p>`,
+    expiry
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to someone invited to join a business team
+export function teamInvitationEmail({ business, inviter, businessRole, link, expiresAt }) {
+  const bizName = business?.name || "a business";
+  const subject = `You're invited to join ${bizName} on WebLeads`;
+  const intro = `${inviter?.name || inviter?.email || "The owner"} invited you to join ${bizName} as ${businessRole === "manager" ? "a manager" : "an agent"}. Open the link below to accept and set up your account.`;
+  const expiry = `The invitation expires on ${formatDate(expiresAt)}. If you weren't expecting it, you can ignore this email.`;
+
+  const text = `Hi,\n\n${intro}\n\n${link}\n\n${expiry}`;
+
+  const html = layout(
+    `Join ${bizName}`,
+    `<p>Hi,</p><p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Accept invitation</a></p>`,
+    expiry
+  );
+
+  return { subject, text, html };
+}
+
+// Sent to a business owner when an admin approves or rejects their verification
+export function verificationResultEmail({ business, approved, reason, appUrl }) {
+  const bizName = business?.name || "your business";
+  const subject = approved ? `${bizName} is now verified on WebLeads` : `We couldn't verify ${bizName} yet`;
+  const intro = approved
+    ? `Your documents have been approved. ${bizName} now shows a verified badge and ranks higher in search results.`
+    : `We reviewed the documents you sent and couldn't verify ${bizName}.`;
+  const next = approved ? "" : "You can upload new documents from your dashboard at any time.";
+  const link = `${appUrl}/business/verification`;
+
+  const text = `Hi,\n\n${intro}\n\n${approved ? "" : `Reason: ${reason}\n\n${next}\n\n`}${link}`;
+
+  const html = layout(
+    approved ? "You're verified" : "Verification not approved",
+    `<p>Hi,</p><p>${escapeHtml(intro)}</p>
+    ${approved ? "" : `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p><p>${escapeHtml(next)}</p>`}
+    <p><a href="${escapeHtml(link)}" style="background:#0b5fff;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">${approved ? "View verification" : "Upload documents"}</a></p>`,
+    "You're receiving this because your business asked to be verified on WebLeads."
+  );
+
+  return { subject, text, html };
+}
@@ -0,0 +1,77 @@
+// ---------------------
+// Product catalogue rules
+// Validation shared by the product routes and the bulk import, plus the
+// column mapping used to read imported spreadsheets. Nothing here touches
+// the database.
+// ---------------------
+
+// Same checks for the create/update routes and every imported row.
+// Empty price and quantity count as 0. Returns { errors } or { values }.
+export function validateProductInput({ name, price, quantity }) {
+  const errors = {};
+  if (!name || String(name).trim() === "") errors.name = "Name is required";
+  const numPrice = Number(price || 0);
+  if (isNaN(numPrice) || numPrice < 0) errors.price = "Price must be a non-negative number";
+  const numQty = Number(quantity || 0);
+  if (!Number.isInteger(numQty) || numQty < 0) errors.quantity = "Quantity must be a non-negative integer";
+  if (Object.keys(errors).length) return { errors };
+  return { values: { name: String(name).trim(), price: numPrice, quantity: numQty } };
+}
+
+// Product fields an import can fill, with header names we recognise
+export const IMPORT_FIELDS = {
+  name: ["name", "product", "product name", "title", "item"],
+  sku: ["sku", "code", "product code", "item code", "part number"],
+  price: ["price", "rate", "unit price", "mrp", "cost"],
+  quantity: ["quantity", "qty", "stock", "inventory", "available"],
+  description: ["description", "details", "desc", "notes"],
+};
+
+const normalizeHeader = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Best guess at { field: columnIndex | null } from the header row
+export function suggestMapping(header) {
+  const taken = new Set();
+  const mapping = {};
+  for (const [field, names] of Object.entries(IMPORT_FIELDS)) {
+    const idx = header.findIndex((h, i) => !taken.has(i) && names.includes(normalizeHeader(h)));
+    mapping[field] = idx >= 0 ? idx : null;
+    if (idx >= 0) taken.add(idx);
+  }
+  return mapping;
+}
+
+// Check a mapping sent by the client against the header row.
+// Returns { mapping } or { error }.
+export function parseMapping(input, header) {
+  const mapping = {};
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    const raw = input?.[field];
+    if (raw === undefined || raw === null || raw === "") {
+      mapping[field] = null;
+      continue;
+    }
+    const idx = Number(raw);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= header.length) return { error: `Unknown column for ${field}` };
+    mapping[field] = idx;
+  }
+  if (mapping.name === null) return { error: "Choose the column that holds the product name" };
+  const used = Object.values(mapping).filter((i) => i !== null);
+  if (new Set(used).size !== used.length) return { error: "Each column can only be used for one field" };
+  return { mapping };
+}
+
+// Product fields from one spreadsheet row. Cells in unmapped columns are
+// left out, so an update keeps the current value. Prices may be written with
+// thousands separators or a currency sign ("₹1,250.00").
+export function rowToProduct(values, mapping) {
+  const cell = (field) => (mapping[field] === null || mapping[field] === undefined ? undefined : values[mapping[field]] ?? "");
+  const fields = {};
+  for (const field of Object.keys(IMPORT_FIELDS)) {
+    const v = cell(field);
+    if (v !== undefined) fields[field] = String(v).trim();
+  }
+  if (fields.price !== undefined) fields.price = fields.price.replace(/^(?:₹|rs\.?|inr|\$)\s*/i, "").replace(/,/g, "");
+  if (fields.quantity !== undefined) fields.quantity = fields.quantity.replace(/,/g, "");
+  return fields;
+}
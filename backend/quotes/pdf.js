@@ -0,0 +1,195 @@
+// ---------------------
+// Quote PDF
+// A small PDF 1.4 writer (A4, built-in Helvetica, text and rules only) and
+// the quotation layout on top of it. No dependencies; characters the built-in
+// fonts can't show are replaced with "?".
+// ---------------------
+
+import { formatAmount } from "./pricing.js";
+
+const PAGE_W = 595;
+const PAGE_H = 842;
+const MARGIN = 48;
+
+// Helvetica advance widths (per 1000 em) for the characters we right-align;
+// anything else is estimated
+const WIDTHS = { " ": 278, ".": 278, ",": 278, "-": 333, "%": 889, "/": 278 };
+function textWidth(str, size) {
+  let w = 0;
+  for (const ch of String(str)) w += WIDTHS[ch] ?? (/[0-9]/.test(ch) ? 556 : /[A-Z]/.test(ch) ? 667 : 520);
+  return (w / 1000) * size;
+}
+
+// Typographic characters that WinAnsiEncoding has outside Latin-1
+const WIN_ANSI = { "\u20ac": "\x80", "\u2026": "\x85", "\u2018": "\x91", "\u2019": "\x92", "\u201c": "\x93", "\u201d": "\x94", "\u2013": "\x96", "\u2014": "\x97", "\u20b9": "Rs." };
+
+function pdfString(str) {
+  return "(" + String(str ?? "")
+    .replace(/[\u20ac\u2026\u2018\u2019\u201c\u201d\u2013\u2014\u20b9]/g, (ch) => WIN_ANSI[ch])
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)") + ")";
+}
+
+function createDocument() {
+  const pages = [];
+  let ops = null;
+  const doc = {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+    // y is measured from the top of the page
+    text(x, y, str, { size = 10, bold = false, align = "left" } = {}) {
+      const left = align === "right" ? x - textWidth(str, size) : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${(PAGE_H - y).toFixed(2)} Td ${pdfString(str)} Tj ET`);
+    },
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0.75 } = {}) {
+      ops.push(`${gray} G ${width} w ${x1} ${PAGE_H - y1} m ${x2} ${PAGE_H - y2} l S`);
+    },
+    toBuffer() {
+      const objects = [];
+      const add = (body) => objects.push(body);
+      add("<< /Type /Catalog /Pages 2 0 R >>");
+      add(null); // pages, filled in below
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const kids = [];
+      for (const pageOps of pages) {
+        const stream = pageOps.join("\n");
+        add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+        const contentRef = objects.length;
+        add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+        kids.push(`${objects.length} 0 R`);
+      }
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n";
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, "latin1"));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = Buffer.byteLength(out, "latin1");
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      for (const off of offsets) out += `${String(off).padStart(10, "0")} 00000 n \n`;
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, "latin1");
+    },
+  };
+  doc.addPage();
+  return doc;
+}
+
+// Greedy word wrap by estimated width
+function wrap(str, width, size) {
+  const lines = [];
+  for (const para of String(str ?? "").split(/\r?\n/)) {
+    let current = "";
+    for (const word of para.split(/\s+/)) {
+      const next = current ? current + " " + word : word;
+      if (current && textWidth(next, size) > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = next;
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+}
+
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString("en-IN", { dateStyle: "medium" }) : "-");
+
+// Render a quotation ({ number, items, totals, validUntil, notes, ... }) to a PDF Buffer
+export function renderQuotePdf(quote, { business, lead }) {
+  const doc = createDocument();
+  const right = PAGE_W - MARGIN;
+  const money = (n) => `${quote.currency || "INR"} ${formatAmount(n)}`;
+  let y = MARGIN;
+
+  doc.text(MARGIN, y + 14, business?.name || "Quotation", { size: 18, bold: true });
+  doc.text(right, y + 14, "QUOTATION", { size: 14, bold: true, align: "right" });
+  y += 34;
+  for (const line of [business?.location, business?.category].filter(Boolean)) {
+    doc.text(MARGIN, y, line, { size: 9 });
+    y += 12;
+  }
+  doc.text(right, MARGIN + 34, `No. ${quote.number}`, { size: 10, align: "right" });
+  doc.text(right, MARGIN + 48, `Date: ${fmtDate(quote.sentAt || quote.createdAt)}`, { size: 10, align: "right" });
+  doc.text(right, MARGIN + 62, `Valid until: ${fmtDate(quote.validUntil)}`, { size: 10, align: "right" });
+
+  y = Math.max(y, MARGIN + 62) + 24;
+  doc.text(MARGIN, y, "Prepared for", { size: 9, bold: true });
+  y += 13;
+  for (const line of [lead?.name, lead?.email, lead?.phone].filter(Boolean)) {
+    doc.text(MARGIN, y, line, { size: 10 });
+    y += 13;
+  }
+
+  // Line items
+  const cols = { item: MARGIN, qty: 330, price: 400, disc: 440, tax: 480, total: right };
+  const header = () => {
+    y += 14;
+    doc.text(cols.item, y, "Item", { size: 9, bold: true });
+    doc.text(cols.qty, y, "Qty", { size: 9, bold: true, align: "right" });
+    doc.text(cols.price, y, "Unit price", { size: 9, bold: true, align: "right" });
+    doc.text(cols.disc, y, "Disc.", { size: 9, bold: true, align: "right" });
+    doc.text(cols.tax, y, "Tax", { size: 9, bold: true, align: "right" });
+    doc.text(cols.total, y, "Amount", { size: 9, bold: true, align: "right" });
+    y += 6;
+    doc.line(MARGIN, y, right, y, { gray: 0.3 });
+  };
+  header();
+  for (const item of quote.items) {
+    const nameLines = wrap(item.name + (item.sku ? ` (SKU ${item.sku})` : ""), cols.qty - cols.item - 40, 9);
+    if (y + 14 * nameLines.length + 10 > PAGE_H - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+      header();
+    }
+    y += 14;
+    nameLines.forEach((line, i) => doc.text(cols.item, y + i * 12, line, { size: 9 }));
+    doc.text(cols.qty, y, String(item.quantity), { size: 9, align: "right" });
+    doc.text(cols.price, y, formatAmount(item.unitPrice), { size: 9, align: "right" });
+    doc.text(cols.disc, y, item.discountPercent ? `${item.discountPercent}%` : "-", { size: 9, align: "right" });
+    doc.text(cols.tax, y, item.taxPercent ? `${item.taxPercent}%` : "-", { size: 9, align: "right" });
+    doc.text(cols.total, y, formatAmount(item.lineTotal), { size: 9, align: "right" });
+    y += (nameLines.length - 1) * 12 + 6;
+    doc.line(MARGIN, y, right, y);
+  }
+
+  // Totals
+  if (y + 90 > PAGE_H - MARGIN) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  y += 8;
+  for (const [label, value, bold] of [
+    ["Subtotal", quote.subtotal],
+    ["Discount", -quote.discountTotal],
+    ["Tax", quote.taxTotal],
+    ["Total", quote.total, true],
+  ]) {
+    y += bold ? 18 : 14;
+    doc.text(cols.price + 20, y, label, { size: bold ? 11 : 9, bold, align: "right" });
+    doc.text(cols.total, y, money(value), { size: bold ? 11 : 9, bold, align: "right" });
+  }
+
+  if (quote.notes) {
+    y += 30;
+    doc.text(MARGIN, y, "Notes", { size: 9, bold: true });
+    for (const line of wrap(quote.notes, right - MARGIN, 9)) {
+      y += 12;
+      if (y > PAGE_H - MARGIN) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      doc.text(MARGIN, y, line, { size: 9 });
+    }
+  }
+
+  return doc.toBuffer();
+}
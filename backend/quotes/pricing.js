@@ -0,0 +1,62 @@
+// ---------------------
+// Quote pricing
+// Line and document totals for quotations. Amounts are rounded to paise
+// (2 decimals) per line so the PDF, the API and the emails always agree.
+// ---------------------
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+// Validate raw line items from a request. Returns { errors } or { items } with
+// numbers coerced; product details are filled in by the caller.
+export function parseQuoteItems(input) {
+  const errors = {};
+  if (!Array.isArray(input) || input.length === 0) return { errors: { items: "Add at least one line item" } };
+  if (input.length > 100) return { errors: { items: "A quote can have at most 100 line items" } };
+
+  const items = input.map((raw, i) => {
+    const item = {
+      productId: raw?.productId || undefined,
+      name: raw?.name ? String(raw.name).trim() : undefined,
+      quantity: Number(raw?.quantity ?? 1),
+      unitPrice: raw?.unitPrice === undefined || raw?.unitPrice === "" ? undefined : Number(raw.unitPrice),
+      discountPercent: Number(raw?.discountPercent || 0),
+      taxPercent: Number(raw?.taxPercent || 0),
+    };
+    if (!item.productId && !item.name) errors[`items.${i}`] = "Pick a product or enter a description";
+    if (!Number.isFinite(item.quantity) || item.quantity <= 0) errors[`items.${i}.quantity`] = "Quantity must be greater than 0";
+    if (item.unitPrice !== undefined && (!Number.isFinite(item.unitPrice) || item.unitPrice < 0)) {
+      errors[`items.${i}.unitPrice`] = "Unit price must be 0 or more";
+    }
+    if (!Number.isFinite(item.discountPercent) || item.discountPercent < 0 || item.discountPercent > 100) {
+      errors[`items.${i}.discountPercent`] = "Discount must be between 0 and 100%";
+    }
+    if (!Number.isFinite(item.taxPercent) || item.taxPercent < 0 || item.taxPercent > 100) {
+      errors[`items.${i}.taxPercent`] = "Tax must be between 0 and 100%";
+    }
+    return item;
+  });
+  return Object.keys(errors).length ? { errors } : { items };
+}
+
+// Price each line (discount first, tax on the discounted amount) and total them
+export function priceQuote(items) {
+  const priced = items.map((item) => {
+    const gross = round2(item.quantity * item.unitPrice);
+    const discount = round2(gross * (item.discountPercent || 0) / 100);
+    const tax = round2((gross - discount) * (item.taxPercent || 0) / 100);
+    return { ...item, lineSubtotal: gross, lineDiscount: discount, lineTax: tax, lineTotal: round2(gross - discount + tax) };
+  });
+  const sum = (key) => round2(priced.reduce((acc, i) => acc + i[key], 0));
+  return {
+    items: priced,
+    subtotal: sum("lineSubtotal"),
+    discountTotal: sum("lineDiscount"),
+    taxTotal: sum("lineTax"),
+    total: sum("lineTotal"),
+  };
+}
+
+// 1234.5 -> "1,234.50" (Indian digit grouping)
+export function formatAmount(n) {
+  return Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Files businesses that only have a free-text category (typed at registration
+// before the category tree existed) under a category from the tree, matching
+// on category names, slugs and synonyms (see categories/taxonomy.js).
+//
+//   node scripts/migrateCategories.js [--dry-run] [--create-missing]
+//
+// --dry-run         report what would change without writing anything
+// --create-missing  add a top-level category for each unmatched value instead
+//                   of leaving those businesses for an admin to sort out
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MONGO = process.env.MONGO_URI || 'mongodb://localhost:27017/leadsdb';
+const dryRun = process.argv.includes('--dry-run');
+const createMissing = process.argv.includes('--create-missing');
+
+async function run() {
+  const { matchCategory, categoryKey, slugify } = await import('../categories/taxonomy.js');
+  await mongoose.connect(MONGO, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  const categorySchema = new mongoose.Schema({}, { strict: false, timestamps: true });
+  const businessSchema = new mongoose.Schema({}, { strict: false });
+  const Category = mongoose.models.Category || mongoose.model('Category', categorySchema, 'categories');
+  const Business = mongoose.models.Business || mongoose.model('Business', businessSchema, 'businesses');
+
+  const categories = await Category.find().lean().exec();
+  const businesses = await Business.find({
+    $or: [{ categoryId: { $exists: false } }, { categoryId: null }],
+    category: { $nin: [null, ''] },
+  }).select('name category').lean().exec();
+  console.log('Found', businesses.length, 'businesses with a free-text category and', categories.length, 'categories');
+
+  const matched = [];
+  const unmatched = new Map(); // categoryKey -> { spellings, businesses }
+  for (const b of businesses) {
+    const category = matchCategory(categories, b.category);
+    if (category) {
+      matched.push({ business: b, category });
+      continue;
+    }
+    const key = categoryKey(b.category) || String(b.category).trim().toLowerCase();
+    const group = unmatched.get(key) || { spellings: new Map(), businesses: [] };
+    const spelling = String(b.category).trim();
+    group.spellings.set(spelling, (group.spellings.get(spelling) || 0) + 1);
+    group.businesses.push(b);
+    unmatched.set(key, group);
+  }
+
+  if (createMissing) {
+    const slugs = new Set(categories.map((c) => c.slug));
+    for (const group of unmatched.values()) {
+      const name = [...group.spellings].sort((a, b) => b[1] - a[1])[0][0];
+      let slug = slugify(name) || 'category';
+      for (let n = 2; slugs.has(slug); n++) slug = `${slugify(name) || 'category'}-${n}`;
+      slugs.add(slug);
+      const category = dryRun
+        ? { _id: null, name, slug }
+        : (await Category.create({ name, slug, parentId: null, synonyms: [] })).toObject();
+      console.log(dryRun ? 'Would create category' : 'Created category', `"${name}" (${slug})`);
+      for (const business of group.businesses) matched.push({ business, category });
+    }
+    unmatched.clear();
+  }
+
+  for (const { business, category } of matched) {
+    console.log(`${business.name}: "${business.category}" -> ${category.name}`);
+    if (dryRun) continue;
+    await Business.updateOne({ _id: business._id }, { $set: { categoryId: category._id, category: category.name } }).exec();
+  }
+
+  if (unmatched.size) {
+    console.log('\nNo category matches these values. Add them as categories or synonyms, then run the script again:');
+    for (const group of unmatched.values()) {
+      console.log(`  ${[...group.spellings.keys()].map((s) => `"${s}"`).join(', ')} (${group.businesses.length} businesses)`);
+    }
+  }
+
+  await mongoose.disconnect();
+  console.log(`\n${dryRun ? 'Dry run' : 'Migration'} complete: ${matched.length} businesses ${dryRun ? 'would be filed' : 'filed'}`);
+}
+
+run().catch(err=>{ console.error(err); process.exit(1) });
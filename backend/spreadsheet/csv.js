@@ -0,0 +1,44 @@
+// ---------------------
+// CSV
+// RFC 4180 rows for spreadsheet exports. Cells that a spreadsheet would run as
+// a formula (=, +, -, @) are prefixed with an apostrophe so exported user
+// input can't execute when the file is opened (plain numbers such as
+// "+919876543210" are left alone).
+// ---------------------
+
+import { drained } from "./stream.js";
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?[\d\s().]+$/;
+
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvRow(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+// Excel only detects UTF-8 in a CSV when the file starts with a byte order mark
+export const CSV_BOM = "\uFEFF";
+
+// Same interface as createXlsxWriter: writeRow waits while `out` is backed up
+export function createCsvWriter(out, { header = [] } = {}) {
+  const put = async (text) => {
+    if (out.destroyed) throw new Error("Output closed");
+    if (!out.write(text)) await drained(out);
+  };
+  const started = put(CSV_BOM + (header.length ? csvRow(header) : ""));
+  return {
+    async writeRow(values) {
+      await started;
+      await put(csvRow(values));
+    },
+    async end() {
+      await started;
+    },
+  };
+}
@@ -0,0 +1,202 @@
+// ---------------------
+// Spreadsheet reading
+// Turns an uploaded CSV or XLSX file into a header row and data rows of
+// strings. XLSX support covers what spreadsheet apps write for plain tables:
+// the first worksheet, shared and inline strings, numbers and booleans.
+// Formulas are read as their cached values.
+// ---------------------
+
+import zlib from "zlib";
+
+// Total size a workbook may unpack to. Real sheets within the upload limit stay
+// far below it; a zip bomb would otherwise inflate to gigabytes in memory.
+export const XLSX_MAX_UNPACKED_BYTES = 50 * 1024 * 1024;
+
+// Returns { header, rows: [{ line, values }] } with blank rows dropped; `line`
+// is the row number a person sees in their spreadsheet. Throws with a message
+// for the user when the file can't be read.
+export function readSpreadsheet(buffer, filename = "") {
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  let table;
+  if (isZip || /\.xlsx$/i.test(filename)) {
+    try {
+      table = readXlsx(buffer);
+    } catch (err) {
+      // offsets or compressed data that don't add up
+      if (err instanceof RangeError || err.code?.startsWith("Z_")) throw new Error("The file is not a valid .xlsx workbook");
+      throw err;
+    }
+  } else {
+    table = parseCsv(buffer.toString("utf8")).map((values, i) => ({ line: i + 1, values }));
+  }
+
+  const numbered = table
+    .map(({ line, values }) => ({ line, values: values.map((v) => String(v ?? "").trim()) }))
+    .filter((r) => r.values.some((v) => v !== ""));
+  if (!numbered.length) throw new Error("The file is empty");
+  const [head, ...rows] = numbered;
+  return { header: head.values, rows };
+}
+
+// RFC 4180 with a few real-world allowances: a UTF-8 BOM, CRLF or LF line
+// ends, and ";" or tab as the separator when the header row uses them.
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length]);
+  const delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Entries of a ZIP archive as { name -> Buffer }, read through the central
+// directory (sizes in local headers may be zero when a data descriptor is used).
+// Everything together may unpack to at most XLSX_MAX_UNPACKED_BYTES.
+function unzip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("The file is not a valid .xlsx workbook");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let p = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+  let budget = XLSX_MAX_UNPACKED_BYTES;
+  const tooLarge = () => new Error(`The workbook unpacks to more than ${XLSX_MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(p) !== 0x02014b50) throw new Error("The file is not a valid .xlsx workbook");
+    const method = buffer.readUInt16LE(p + 10);
+    const compressedSize = buffer.readUInt32LE(p + 20);
+    const nameLength = buffer.readUInt16LE(p + 28);
+    const extraLength = buffer.readUInt16LE(p + 30);
+    const commentLength = buffer.readUInt16LE(p + 32);
+    const offset = buffer.readUInt32LE(p + 42);
+    const name = buffer.toString("utf8", p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + extraLength + commentLength;
+
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    let content;
+    if (method === 0) content = data;
+    else if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(budget, 1) });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+        throw err;
+      }
+    } else continue;
+    budget -= content.length;
+    if (budget < 0) throw tooLarge();
+    files.set(name, content);
+  }
+  return files;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/_x([0-9a-fA-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (_, e) => {
+      if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+      return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[e];
+    });
+}
+
+// Text of every <t> in a string item, ignoring phonetic runs
+function itemText(xml) {
+  const visible = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+  return [...visible.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? m[1] : undefined;
+}
+
+// "C7" -> 2
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0];
+  if (!letters) return -1;
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Rows of the first worksheet as [{ line, values }]
+export function readXlsx(buffer) {
+  const files = unzip(buffer);
+  const text = (name) => files.get(name)?.toString("utf8");
+
+  // First sheet in the workbook, through its relationship id
+  const workbook = text("xl/workbook.xml");
+  const rels = text("xl/_rels/workbook.xml.rels");
+  if (!workbook || !rels) throw new Error("The file is not a valid .xlsx workbook");
+  const sheetTag = workbook.match(/<sheet\b[^>]*>/);
+  const relId = sheetTag && attr(sheetTag[0], "r:id");
+  const relTag = [...rels.matchAll(/<Relationship\b[^>]*>/g)].map((m) => m[0]).find((tag) => attr(tag, "Id") === relId);
+  const target = relTag && attr(relTag, "Target");
+  if (!target) throw new Error("The workbook has no worksheets");
+  const sheet = text(target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  if (!sheet) throw new Error("The workbook has no worksheets");
+
+  const shared = [...(text("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => itemText(m[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const line = Number(attr(rowMatch[1], "r")) || (rows.length ? rows[rows.length - 1].line + 1 : 1);
+    const values = [];
+    let next = 0;
+    for (const c of (rowMatch[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = columnIndex(attr(c[1], "r"));
+      const col = ref >= 0 ? ref : next;
+      next = col + 1;
+      const type = attr(c[1], "t");
+      const body = c[2] || "";
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = "";
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = itemText(body);
+      else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+      else if (v !== undefined) value = decodeXml(v);
+      values[col] = value;
+    }
+    rows.push({ line, values: Array.from(values, (v) => v ?? "") });
+  }
+  return rows;
+}
@@ -0,0 +1,12 @@
+// Resolves once `out` can take more data, or is gone (client disconnected)
+export function drained(out) {
+  return new Promise((resolve) => {
+    const done = () => {
+      out.off("drain", done);
+      out.off("close", done);
+      resolve();
+    };
+    out.on("drain", done);
+    out.on("close", done);
+  });
+}
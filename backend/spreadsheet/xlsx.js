@@ -0,0 +1,227 @@
+// ---------------------
+// XLSX
+// Minimal streaming .xlsx writer: one worksheet with a bold header row,
+// inline strings, numbers and dates. Rows are deflated straight into the
+// output stream as they are written, so memory use doesn't grow with the
+// number of rows. The ZIP container is written by hand (no Zip64, so files
+// stay under 4 GB).
+// ---------------------
+
+import zlib from "zlib";
+import { once } from "events";
+import { drained } from "./stream.js";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// bit 3: sizes follow in a data descriptor, bit 11: UTF-8 names
+const FLAG_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+function localHeader(entry) {
+  const name = Buffer.from(entry.name, "utf8");
+  const h = Buffer.alloc(30);
+  h.writeUInt32LE(0x04034b50, 0);
+  h.writeUInt16LE(20, 4);
+  h.writeUInt16LE(entry.flags, 6);
+  h.writeUInt16LE(entry.method, 8);
+  h.writeUInt16LE(entry.time, 10);
+  h.writeUInt16LE(entry.date, 12);
+  h.writeUInt32LE(entry.flags & FLAG_DESCRIPTOR ? 0 : entry.crc, 14);
+  h.writeUInt32LE(entry.flags & FLAG_DESCRIPTOR ? 0 : entry.compressedSize, 18);
+  h.writeUInt32LE(entry.flags & FLAG_DESCRIPTOR ? 0 : entry.size, 22);
+  h.writeUInt16LE(name.length, 26);
+  h.writeUInt16LE(0, 28);
+  return Buffer.concat([h, name]);
+}
+
+function dataDescriptor(entry) {
+  const d = Buffer.alloc(16);
+  d.writeUInt32LE(0x08074b50, 0);
+  d.writeUInt32LE(entry.crc, 4);
+  d.writeUInt32LE(entry.compressedSize, 8);
+  d.writeUInt32LE(entry.size, 12);
+  return d;
+}
+
+function centralHeader(entry) {
+  const name = Buffer.from(entry.name, "utf8");
+  const h = Buffer.alloc(46);
+  h.writeUInt32LE(0x02014b50, 0);
+  h.writeUInt16LE(20, 4);
+  h.writeUInt16LE(20, 6);
+  h.writeUInt16LE(entry.flags, 8);
+  h.writeUInt16LE(entry.method, 10);
+  h.writeUInt16LE(entry.time, 12);
+  h.writeUInt16LE(entry.date, 14);
+  h.writeUInt32LE(entry.crc, 16);
+  h.writeUInt32LE(entry.compressedSize, 20);
+  h.writeUInt32LE(entry.size, 24);
+  h.writeUInt16LE(name.length, 28);
+  h.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([h, name]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const e = Buffer.alloc(22);
+  e.writeUInt32LE(0x06054b50, 0);
+  e.writeUInt16LE(count, 8);
+  e.writeUInt16LE(count, 10);
+  e.writeUInt32LE(size, 12);
+  e.writeUInt32LE(offset, 16);
+  return e;
+}
+
+// Characters XML 1.0 doesn't allow are dropped
+function xmlText(value) {
+  return String(value)
+    .replace(/[^\x09\x0a\x0d\x20-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Excel stores dates as days since 1899-12-30
+function excelDate(d) {
+  return d.getTime() / 86400000 + 25569;
+}
+
+// Cell styles from styles.xml: 0 normal, 1 bold header, 2 date and time
+function cell(value, style = 0) {
+  const s = style ? ` s="${style}"` : "";
+  if (value === null || value === undefined || value === "") return `<c${s}/>`;
+  if (value instanceof Date) return isNaN(value) ? "<c/>" : `<c s="2"><v>${excelDate(value)}</v></c>`;
+  if (typeof value === "number" && Number.isFinite(value)) return `<c${s}><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c${s} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+}
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function staticParts(sheetName) {
+  return {
+    "[Content_Types].xml": XML_HEAD
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + "</Types>",
+    "_rels/.rels": XML_HEAD
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + "</Relationships>",
+    "xl/workbook.xml": XML_HEAD
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${xmlText(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+      + "</workbook>",
+    "xl/_rels/workbook.xml.rels": XML_HEAD
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + "</Relationships>",
+    "xl/styles.xml": XML_HEAD
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+      + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+      + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+      + "</styleSheet>",
+  };
+}
+
+// Write a workbook to `out` (e.g. an Express response):
+//   const sheet = await createXlsxWriter(res, { sheetName: "Leads", header: ["Name", "Email"] });
+//   for (...) await sheet.writeRow([name, email]);
+//   await sheet.end();
+// writeRow waits while `out` is backed up.
+export async function createXlsxWriter(out, { sheetName = "Sheet1", header = [] } = {}) {
+  const { time, date } = dosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+
+  async function put(buf) {
+    if (out.destroyed) throw new Error("Output closed");
+    offset += buf.length;
+    if (!out.write(buf)) await drained(out);
+  }
+
+  for (const [name, xml] of Object.entries(staticParts(sheetName))) {
+    const data = Buffer.from(xml, "utf8");
+    const entry = { name, flags: FLAG_UTF8, method: 0, time, date, crc: crc32(data), size: data.length, compressedSize: data.length, offset };
+    entries.push(entry);
+    await put(localHeader(entry));
+    await put(data);
+  }
+
+  // The worksheet is deflated as it is written; its sizes and CRC go in a
+  // data descriptor once the last row is in.
+  const sheet = { name: "xl/worksheets/sheet1.xml", flags: FLAG_UTF8 | FLAG_DESCRIPTOR, method: 8, time, date, crc: 0, size: 0, compressedSize: 0, offset };
+  entries.push(sheet);
+  await put(localHeader(sheet));
+
+  const deflate = zlib.createDeflateRaw();
+  let pending = Promise.resolve();
+  deflate.on("data", (chunk) => {
+    sheet.compressedSize += chunk.length;
+    offset += chunk.length;
+    if (!out.write(chunk)) {
+      deflate.pause();
+      drained(out).then(() => deflate.resume());
+    }
+  });
+  const finished = once(deflate, "end");
+
+  async function feed(xml) {
+    if (out.destroyed) throw new Error("Output closed");
+    const data = Buffer.from(xml, "utf8");
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    if (!deflate.write(data)) await once(deflate, "drain");
+  }
+
+  await feed(XML_HEAD + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+  if (header.length) await feed(`<row>${header.map((h) => cell(h, 1)).join("")}</row>`);
+
+  return {
+    writeRow(values) {
+      pending = pending.then(() => feed(`<row>${values.map((v) => cell(v)).join("")}</row>`));
+      return pending;
+    },
+    async end() {
+      await pending;
+      await feed("</sheetData></worksheet>");
+      deflate.end();
+      await finished;
+
+      await put(dataDescriptor(sheet));
+      const cdOffset = offset;
+      const central = Buffer.concat(entries.map(centralHeader));
+      await put(central);
+      await put(endOfCentralDirectory(entries.length, central.length, cdOffset));
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// ---------------------
+// Storage selection
+// With MONGO_URI set, models are regular Mongoose models backed by MongoDB.
+// Without it, models are served from memory (see ./memory.js), optionally
+// persisted to the JSON file named by MEMORY_STORE_FILE.
+// Both expose the same model/query API to the routes.
+// ---------------------
+import { connectMongo, createMongoModel } from "./mongo.js";
+import { createMemoryModel, loadMemoryStore } from "./memory.js";
+
+let mode = null;
+
+// Call once at startup (after dotenv has loaded), before creating any model
+export function initStorage({ mongoUri, dataFile } = {}) {
+  if (mongoUri) {
+    mode = "mongo";
+    connectMongo(mongoUri);
+  } else {
+    mode = "memory";
+    if (dataFile) {
+      const file = loadMemoryStore(dataFile);
+      console.log(`⚠ No MongoDB URI provided. Using in-memory storage persisted to ${file}.`);
+    } else {
+      console.log("⚠ No MongoDB URI provided. Using in-memory storage (data is lost on restart).");
+    }
+  }
+  return mode;
+}
+
+export function storageMode() {
+  return mode;
+}
+
+export function createModel(name, schema) {
+  if (!mode) throw new Error("initStorage() must be called before creating models");
+  return mode === "mongo" ? createMongoModel(name, schema) : createMemoryModel(name, schema);
+}
@@ -0,0 +1,655 @@
+// ---------------------
+// In-memory storage
+// Implements the subset of the Mongoose model/query API the routes use, on top
+// of plain JS Maps. Mongoose itself is still used (without a connection) to cast
+// filters and updates, apply schema defaults and run validation, so documents
+// look exactly like the ones coming back from MongoDB.
+// Optionally persisted to a JSON file so data survives restarts.
+// ---------------------
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+
+const collections = new Map(); // modelName -> Map<id, plain object>
+let dataFile = null;
+let persistTimer = null;
+
+function collection(name) {
+  if (!collections.has(name)) collections.set(name, new Map());
+  return collections.get(name);
+}
+
+// ---------------------
+// Value helpers
+// ---------------------
+function isObjectId(v) {
+  return v instanceof mongoose.Types.ObjectId || (v && v._bsontype === "ObjectId");
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date) &&
+    !(v instanceof RegExp) && !isObjectId(v) && !Buffer.isBuffer(v);
+}
+
+function isOperatorObject(v) {
+  if (!isPlainObject(v)) return false;
+  const keys = Object.keys(v);
+  return keys.length > 0 && keys.every((k) => k.startsWith("$"));
+}
+
+// Comparable representation: ObjectIds by hex string, Dates by epoch
+function norm(v) {
+  if (isObjectId(v)) return v.toHexString();
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v.getTime());
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, val] of Object.entries(v)) if (val !== undefined) out[k] = clone(val);
+    return out;
+  }
+  return v;
+}
+
+function canonical(v) {
+  if (Array.isArray(v)) return v.map(canonical);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const k of Object.keys(v).sort()) if (v[k] !== undefined) out[k] = canonical(v[k]);
+    return out;
+  }
+  return norm(v);
+}
+
+function equals(a, b) {
+  if (a == null && b == null) return true;
+  const na = norm(a);
+  const nb = norm(b);
+  if (na === nb) return true;
+  if (typeof na === "object" && typeof nb === "object" && na && nb) {
+    return JSON.stringify(canonical(na)) === JSON.stringify(canonical(nb));
+  }
+  return false;
+}
+
+const TYPE_ORDER = ["undefined", "number", "string", "object", "boolean"];
+
+// Sort order: missing/null lowest, then by type, then by value
+function compare(a, b) {
+  const na = norm(a);
+  const nb = norm(b);
+  if (na == null || nb == null) return na == null ? (nb == null ? 0 : -1) : 1;
+  if (typeof na !== typeof nb) return TYPE_ORDER.indexOf(typeof na) - TYPE_ORDER.indexOf(typeof nb);
+  if (typeof na === "object") return 0;
+  return na < nb ? -1 : na > nb ? 1 : 0;
+}
+
+function comparable(a, b) {
+  const na = norm(a);
+  const nb = norm(b);
+  return na != null && nb != null && typeof na === typeof nb && typeof na !== "object";
+}
+
+// Values at a dot path, descending into arrays like MongoDB does
+function resolve(obj, parts) {
+  if (!parts.length) return [obj];
+  if (obj == null || typeof obj !== "object") return [undefined];
+  if (Array.isArray(obj)) {
+    if (/^\d+$/.test(parts[0])) return resolve(obj[Number(parts[0])], parts.slice(1));
+    const out = obj.flatMap((el) => (el && typeof el === "object" ? resolve(el, parts) : []));
+    return out.length ? out : [undefined];
+  }
+  return resolve(obj[parts[0]], parts.slice(1));
+}
+
+function getPath(obj, p) {
+  return resolve(obj, p.split("."))[0];
+}
+
+// ---------------------
+// Filter matching
+// ---------------------
+function matchCandidates(values, cond) {
+  const cands = values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+  if (cond instanceof RegExp) return cands.some((v) => typeof v === "string" && cond.test(v));
+  if (!isOperatorObject(cond)) return cands.some((v) => equals(v, cond));
+
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "$eq": return cands.some((v) => equals(v, arg));
+      case "$ne": return !cands.some((v) => equals(v, arg));
+      case "$gt": return cands.some((v) => comparable(v, arg) && compare(v, arg) > 0);
+      case "$gte": return cands.some((v) => comparable(v, arg) && compare(v, arg) >= 0);
+      case "$lt": return cands.some((v) => comparable(v, arg) && compare(v, arg) < 0);
+      case "$lte": return cands.some((v) => comparable(v, arg) && compare(v, arg) <= 0);
+      case "$in": return (arg || []).some((a) => matchCandidates(values, a instanceof RegExp ? a : { $eq: a }));
+      case "$nin": return !(arg || []).some((a) => matchCandidates(values, a instanceof RegExp ? a : { $eq: a }));
+      case "$exists": return values.some((v) => v !== undefined) === !!arg;
+      case "$regex": {
+        const rx = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || "");
+        return cands.some((v) => typeof v === "string" && rx.test(v));
+      }
+      case "$options": return true;
+      case "$not": return !matchCandidates(values, arg);
+      case "$all": return (arg || []).every((a) => cands.some((v) => equals(v, a)));
+      case "$size": return values.some((v) => Array.isArray(v) && v.length === arg);
+      case "$elemMatch":
+        return values.some((v) => Array.isArray(v) && v.some((el) =>
+          isOperatorObject(arg) ? matchCandidates([el], arg) : isPlainObject(el) && matches(el, arg)));
+      case "$type": return cands.some((v) => typeOf(v) === arg);
+      default: throw new Error(`Query operator ${op} is not supported by the in-memory store`);
+    }
+  });
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (v instanceof Date) return "date";
+  if (isObjectId(v)) return "objectId";
+  if (typeof v === "boolean") return "bool";
+  if (typeof v === "number") return "number";
+  return typeof v;
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$nor") return !cond.some((f) => matches(doc, f));
+    if (key.startsWith("$")) throw new Error(`Query operator ${key} is not supported by the in-memory store`);
+    return matchCandidates(resolve(doc, key.split(".")), cond);
+  });
+}
+
+// ---------------------
+// Projection and sorting
+// ---------------------
+function parseFields(fields) {
+  if (!fields) return null;
+  if (typeof fields === "string") {
+    const out = {};
+    for (const f of fields.split(/\s+/).filter(Boolean)) {
+      if (f.startsWith("+")) continue;
+      if (f.startsWith("-")) out[f.slice(1)] = 0;
+      else out[f] = 1;
+    }
+    return out;
+  }
+  return { ...fields };
+}
+
+function project(obj, fields) {
+  if (!fields || !Object.keys(fields).length) return obj;
+  const entries = Object.entries(fields);
+  const inclusive = entries.some(([, v]) => v);
+  if (!inclusive) {
+    const out = clone(obj);
+    for (const [k] of entries) deletePath(out, k);
+    return out;
+  }
+  const out = {};
+  if (fields._id !== 0 && fields._id !== false) out._id = obj._id;
+  for (const [k, v] of entries) {
+    if (!v || k === "_id") continue;
+    const val = getPath(obj, k);
+    if (val !== undefined) setPath(out, k, clone(val));
+  }
+  return out;
+}
+
+function setPath(obj, p, value) {
+  const parts = p.split(".");
+  let cur = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(cur[part])) cur[part] = {};
+    cur = cur[part];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function deletePath(obj, p) {
+  const parts = p.split(".");
+  let cur = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(cur[part])) return;
+    cur = cur[part];
+  }
+  delete cur[parts[parts.length - 1]];
+}
+
+function parseSort(sort) {
+  if (!sort) return [];
+  if (typeof sort === "string") {
+    return sort.split(/\s+/).filter(Boolean).map((f) => (f.startsWith("-") ? [f.slice(1), -1] : [f, 1]));
+  }
+  return Object.entries(sort).map(([k, v]) => [k, v === -1 || v === "desc" || v === "descending" ? -1 : 1]);
+}
+
+function sortDocs(docs, sort) {
+  const keys = parseSort(sort);
+  if (!keys.length) return docs;
+  return docs.sort((a, b) => {
+    for (const [k, dir] of keys) {
+      const c = compare(getPath(a, k), getPath(b, k));
+      if (c) return c * dir;
+    }
+    return 0;
+  });
+}
+
+// ---------------------
+// Aggregation: $match, $group ($sum, $min, $max), $sort, $skip and $limit
+// ---------------------
+// "$field" -> the document's value, anything else is a literal
+function expression(doc, expr) {
+  return typeof expr === "string" && expr.startsWith("$") ? getPath(doc, expr.slice(1)) : expr;
+}
+
+function groupDocs(docs, spec) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = expression(doc, spec._id ?? null);
+    const key = JSON.stringify(canonical(id ?? null));
+    if (!groups.has(key)) groups.set(key, { _id: id ?? null, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+  return [...groups.values()].map(({ _id, docs: members }) => {
+    const out = { _id };
+    for (const [field, acc] of Object.entries(spec)) {
+      if (field === "_id") continue;
+      const [op, arg] = Object.entries(acc)[0];
+      if (op === "$sum") {
+        out[field] = members.reduce((sum, d) => sum + (Number(expression(d, arg)) || 0), 0);
+      } else if (op === "$min" || op === "$max") {
+        // like MongoDB, missing and null values are skipped
+        const values = members.map((d) => expression(d, arg)).filter((v) => v != null);
+        out[field] = values.length ? values.reduce((a, b) => ((compare(b, a) < 0) === (op === "$min") ? b : a)) : null;
+      } else {
+        throw new Error(`${op} is not supported by the in-memory store`);
+      }
+    }
+    return out;
+  });
+}
+
+function runPipeline(docs, pipeline) {
+  let out = docs.map(clone);
+  for (const stage of pipeline) {
+    const [op, arg] = Object.entries(stage)[0];
+    if (op === "$match") out = out.filter((d) => matches(d, arg));
+    else if (op === "$group") out = groupDocs(out, arg);
+    else if (op === "$sort") out = sortDocs(out, arg);
+    else if (op === "$skip") out = out.slice(Number(arg) || 0);
+    else if (op === "$limit") out = out.slice(0, Number(arg) || 0);
+    else throw new Error(`${op} is not supported by the in-memory store`);
+  }
+  return out;
+}
+
+// ---------------------
+// Query builder (thenable, like a Mongoose Query)
+// ---------------------
+class MemoryQuery {
+  constructor(run) {
+    this._run = run;
+    this._fields = null;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = 0;
+    this._lean = false;
+  }
+
+  select(fields) { this._fields = { ...(this._fields || {}), ...parseFields(fields) }; return this; }
+  sort(sort) { this._sort = sort; return this; }
+  skip(n) { this._skip = Number(n) || 0; return this; }
+  limit(n) { this._limit = Number(n) || 0; return this; }
+  lean(v = true) { this._lean = v !== false; return this; }
+  session() { return this; }
+  setOptions() { return this; }
+  populate() { throw new Error("populate() is not supported by the in-memory store"); }
+
+  exec() {
+    return Promise.resolve().then(() => this._run(this));
+  }
+
+  then(resolve, reject) { return this.exec().then(resolve, reject); }
+  catch(reject) { return this.exec().catch(reject); }
+  finally(fn) { return this.exec().finally(fn); }
+
+  // Async-iterable results, like Query#cursor() in Mongoose
+  cursor() {
+    let items = null;
+    let i = 0;
+    const next = async () => {
+      if (!items) items = await this.exec();
+      return i < items.length ? items[i++] : null;
+    };
+    return {
+      next,
+      close: async () => { items = []; },
+      async *[Symbol.asyncIterator]() {
+        let doc;
+        while ((doc = await next()) !== null) yield doc;
+      },
+    };
+  }
+}
+
+// ---------------------
+// Persistence (optional JSON file)
+// ---------------------
+function serialize(v) {
+  if (Array.isArray(v)) return v.map(serialize);
+  if (v instanceof Date) return { $date: v.toISOString() };
+  if (isObjectId(v)) return { $oid: v.toHexString() };
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, val] of Object.entries(v)) if (val !== undefined) out[k] = serialize(val);
+    return out;
+  }
+  return v;
+}
+
+function deserialize(v) {
+  if (Array.isArray(v)) return v.map(deserialize);
+  if (isPlainObject(v)) {
+    if (typeof v.$oid === "string") return new mongoose.Types.ObjectId(v.$oid);
+    if (typeof v.$date === "string") return new Date(v.$date);
+    const out = {};
+    for (const [k, val] of Object.entries(v)) out[k] = deserialize(val);
+    return out;
+  }
+  return v;
+}
+
+function flush() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  if (!dataFile) return;
+  const data = {};
+  for (const [name, store] of collections) data[name] = [...store.values()].map(serialize);
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, dataFile);
+}
+
+function schedulePersist() {
+  if (!dataFile || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    try {
+      flush();
+    } catch (err) {
+      console.error("Failed to persist in-memory store:", err.message);
+    }
+  }, 200);
+}
+
+// Load (and keep saving to) a JSON file. Call before creating models.
+export function loadMemoryStore(file) {
+  dataFile = path.resolve(file);
+  if (fs.existsSync(dataFile)) {
+    const data = JSON.parse(fs.readFileSync(dataFile, "utf8") || "{}");
+    for (const [name, docs] of Object.entries(data)) {
+      const store = collection(name);
+      for (const raw of docs) {
+        const doc = deserialize(raw);
+        store.set(String(doc._id), doc);
+      }
+    }
+  } else {
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+  }
+  // Write out pending changes before the process goes away
+  process.on("exit", () => {
+    if (persistTimer) flush();
+  });
+  for (const sig of ["SIGINT", "SIGTERM"]) {
+    process.once(sig, () => process.exit(0));
+  }
+  // nodemon restarts with SIGUSR2 and waits for the process to re-raise it
+  process.once("SIGUSR2", () => {
+    if (persistTimer) flush();
+    process.kill(process.pid, "SIGUSR2");
+  });
+  return dataFile;
+}
+
+// Drop all data (used by scripts that want a clean slate)
+export function resetMemoryStore() {
+  for (const store of collections.values()) store.clear();
+  schedulePersist();
+}
+
+// ---------------------
+// Model factory
+// ---------------------
+function timestampFields(schema) {
+  const ts = schema.options.timestamps;
+  if (!ts) return null;
+  return {
+    createdAt: ts.createdAt === false ? null : (typeof ts.createdAt === "string" ? ts.createdAt : "createdAt"),
+    updatedAt: ts.updatedAt === false ? null : (typeof ts.updatedAt === "string" ? ts.updatedAt : "updatedAt"),
+  };
+}
+
+export function createMemoryModel(name, schema) {
+  // Unconnected Mongoose model: only used for casting, defaults and validation
+  const Caster = mongoose.models[name] || mongoose.model(name, schema);
+  const store = collection(name);
+  const ts = timestampFields(schema);
+
+  const castFilter = (filter) => (filter && Object.keys(filter).length ? Caster.find(filter).cast(Caster) : {});
+  const castId = (id) => (id && typeof id === "object" && !isObjectId(id) && id._id ? id._id : id);
+
+  function toPlain(doc) {
+    return clone(doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false }));
+  }
+
+  function touch(obj, isInsert) {
+    if (!ts) return obj;
+    const now = new Date();
+    if (isInsert && ts.createdAt && !obj[ts.createdAt]) obj[ts.createdAt] = now;
+    if (ts.updatedAt) obj[ts.updatedAt] = now;
+    return obj;
+  }
+
+  function hydrate(obj, partial = false) {
+    const doc = Caster.hydrate(obj);
+    const id = String(obj._id);
+    doc.save = async function () {
+      await this.validate();
+      const existing = store.get(id);
+      const plain = touch(toPlain(this), !existing);
+      if (ts && ts.updatedAt) this.set(ts.updatedAt, plain[ts.updatedAt]);
+      store.set(id, partial && existing ? { ...existing, ...plain } : plain);
+      this.isNew = false;
+      schedulePersist();
+      return this;
+    };
+    doc.deleteOne = async function () {
+      const deleted = store.delete(id);
+      schedulePersist();
+      return { acknowledged: true, deletedCount: deleted ? 1 : 0 };
+    };
+    return doc;
+  }
+
+  function output(q, obj) {
+    const projected = project(clone(obj), q._fields);
+    return q._lean ? projected : hydrate(projected, !!q._fields);
+  }
+
+  function findMatching(filter) {
+    const casted = castFilter(filter);
+    return [...store.values()].filter((d) => matches(d, casted));
+  }
+
+  // Apply a MongoDB update document through a hydrated doc, so values get cast
+  function applyUpdate(obj, update, isInsert = false) {
+    const doc = Caster.hydrate(clone(obj));
+    const ops = Object.keys(update || {}).some((k) => k.startsWith("$")) ? update : { $set: update };
+    for (const [op, fields] of Object.entries(ops)) {
+      for (const [p, v] of Object.entries(fields || {})) {
+        switch (op) {
+          case "$set": doc.set(p, v); break;
+          case "$setOnInsert": if (isInsert) doc.set(p, v); break;
+          case "$unset": doc.set(p, undefined); break;
+          case "$inc": doc.set(p, (Number(doc.get(p)) || 0) + Number(v)); break;
+          case "$min": if (doc.get(p) == null || compare(v, doc.get(p)) < 0) doc.set(p, v); break;
+          case "$max": if (doc.get(p) == null || compare(v, doc.get(p)) > 0) doc.set(p, v); break;
+          case "$push":
+          case "$addToSet": {
+            const values = isPlainObject(v) && Array.isArray(v.$each) ? v.$each : [v];
+            const arr = doc.get(p);
+            if (!arr) doc.set(p, op === "$addToSet" ? [...new Set(values)] : values);
+            else if (op === "$push") arr.push(...values);
+            else arr.addToSet(...values);
+            break;
+          }
+          case "$pull": {
+            const arr = doc.get(p) || [];
+            const keep = arr.filter((el) => {
+              const plain = el && typeof el.toObject === "function" ? el.toObject() : el;
+              if (isOperatorObject(v)) return !matchCandidates([plain], v);
+              if (isPlainObject(v) && isPlainObject(plain)) return !matches(plain, v);
+              return !equals(plain, v);
+            });
+            doc.set(p, keep);
+            break;
+          }
+          default:
+            throw new Error(`Update operator ${op} is not supported by the in-memory store`);
+        }
+      }
+    }
+    return touch(toPlain(doc), isInsert);
+  }
+
+  function upsertBase(filter) {
+    const base = {};
+    for (const [k, v] of Object.entries(castFilter(filter))) {
+      if (k.startsWith("$")) continue;
+      if (!isOperatorObject(v)) base[k] = v;
+      else if ("$eq" in v) base[k] = v.$eq;
+    }
+    return toPlain(new Caster(base));
+  }
+
+  function updateMatching(filter, update, options = {}, many = false) {
+    const matched = sortDocs(findMatching(filter), options.sort);
+    const targets = many ? matched : matched.slice(0, 1);
+    if (!targets.length && options.upsert) {
+      const inserted = applyUpdate(upsertBase(filter), update, true);
+      store.set(String(inserted._id), inserted);
+      schedulePersist();
+      return { before: null, after: inserted, result: { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id } };
+    }
+    let after = null;
+    for (const t of targets) {
+      after = applyUpdate(t, update);
+      store.set(String(after._id), after);
+    }
+    if (targets.length) schedulePersist();
+    return { before: targets[0] || null, after, result: { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0 } };
+  }
+
+  function findOneAndUpdate(filter, update, options = {}) {
+    return new MemoryQuery((q) => {
+      const { before, after } = updateMatching(filter, update, options);
+      const returnNew = options.new || options.returnDocument === "after" || options.returnOriginal === false;
+      const doc = returnNew ? after : before;
+      return doc ? output(q, doc) : null;
+    });
+  }
+
+  function findOneAndDelete(filter) {
+    return new MemoryQuery((q) => {
+      const [doc] = findMatching(filter);
+      if (!doc) return null;
+      store.delete(String(doc._id));
+      schedulePersist();
+      return output(q, doc);
+    });
+  }
+
+  async function insert(data) {
+    const doc = new Caster(data);
+    await doc.validate();
+    const plain = touch(toPlain(doc), true);
+    if (store.has(String(plain._id))) throw new Error(`Duplicate _id ${plain._id} in ${name}`);
+    store.set(String(plain._id), plain);
+    schedulePersist();
+    return hydrate(clone(plain));
+  }
+
+  const Model = {
+    modelName: name,
+    schema,
+    hydrate: (obj) => hydrate(obj),
+
+    find: (filter = {}) => new MemoryQuery((q) => {
+      let docs = sortDocs(findMatching(filter), q._sort);
+      if (q._skip) docs = docs.slice(q._skip);
+      if (q._limit) docs = docs.slice(0, q._limit);
+      return docs.map((d) => output(q, d));
+    }),
+
+    findOne: (filter = {}) => new MemoryQuery((q) => {
+      const [doc] = sortDocs(findMatching(filter), q._sort);
+      return doc ? output(q, doc) : null;
+    }),
+
+    findById: (id) => Model.findOne({ _id: castId(id) }),
+    findOneAndUpdate,
+    findByIdAndUpdate: (id, update, options) => findOneAndUpdate({ _id: castId(id) }, update, options),
+    findOneAndDelete,
+    findByIdAndDelete: (id) => findOneAndDelete({ _id: castId(id) }),
+
+    create: async (data) => (Array.isArray(data) ? Promise.all(data.map(insert)) : insert(data)),
+    insertMany: async (docs) => Promise.all((docs || []).map(insert)),
+
+    updateOne: (filter, update, options) => new MemoryQuery(() => updateMatching(filter, update, options).result),
+    updateMany: (filter, update, options) => new MemoryQuery(() => updateMatching(filter, update, options, true).result),
+
+    deleteOne: (filter = {}) => new MemoryQuery(() => {
+      const [doc] = findMatching(filter);
+      if (doc) store.delete(String(doc._id));
+      schedulePersist();
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }),
+
+    deleteMany: (filter = {}) => new MemoryQuery(() => {
+      const docs = findMatching(filter);
+      for (const d of docs) store.delete(String(d._id));
+      schedulePersist();
+      return { acknowledged: true, deletedCount: docs.length };
+    }),
+
+    countDocuments: (filter = {}) => new MemoryQuery(() => findMatching(filter).length),
+    estimatedDocumentCount: () => new MemoryQuery(() => store.size),
+
+    distinct: (field, filter = {}) => new MemoryQuery(() => {
+      const seen = new Map();
+      for (const d of findMatching(filter)) {
+        for (const v of resolve(d, field.split(".")).flatMap((x) => (Array.isArray(x) ? x : [x]))) {
+          if (v !== undefined && !seen.has(JSON.stringify(canonical(v)))) seen.set(JSON.stringify(canonical(v)), v);
+        }
+      }
+      return [...seen.values()];
+    }),
+
+    aggregate: (pipeline = []) => new MemoryQuery(() => runPipeline([...store.values()], pipeline)),
+
+    exists: (filter = {}) => new MemoryQuery(() => {
+      const [doc] = findMatching(filter);
+      return doc ? { _id: doc._id } : null;
+    }),
+  };
+
+  return Model;
+}
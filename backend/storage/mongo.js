@@ -0,0 +1,15 @@
+// ---------------------
+// MongoDB storage (Mongoose)
+// ---------------------
+import mongoose from "mongoose";
+
+export function connectMongo(uri) {
+  return mongoose
+    .connect(uri)
+    .then(() => console.log("MongoDB connected"))
+    .catch((err) => console.log("MongoDB Error:", err));
+}
+
+export function createMongoModel(name, schema) {
+  return mongoose.models[name] || mongoose.model(name, schema);
+}
@@ -0,0 +1,78 @@
+// ---------------------
+// Webhook targets
+// Webhook URLs are chosen by businesses, so the server must not be usable to
+// reach its own network: loopback, private, link-local and other reserved
+// addresses are refused, by IP literal or by what the hostname resolves to.
+// ---------------------
+
+import dns from "dns";
+import net from "net";
+
+// [network, prefix length] of IPv4 ranges that are not the public internet
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+  ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+];
+
+function v4ToInt(ip) {
+  return ip.split(".").reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function blockedV4(ip) {
+  const n = v4ToInt(ip);
+  return BLOCKED_V4.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(n / size) === Math.floor(v4ToInt(base) / size);
+  });
+}
+
+// The 8 groups of an IPv6 address as numbers ("::1" -> [0, 0, 0, 0, 0, 0, 0, 1])
+function v6Groups(ip) {
+  let text = ip.toLowerCase().split("%")[0];
+  const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = v4ToInt(v4[1]);
+    text = text.slice(0, -v4[1].length) + `${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail !== undefined && tail ? tail.split(":") : [];
+  const fill = tail !== undefined ? Array(8 - left.length - right.length).fill("0") : [];
+  return [...left, ...fill, ...right].map((g) => parseInt(g, 16) || 0);
+}
+
+function blockedV6(ip) {
+  const g = v6Groups(ip);
+  if (g.every((x) => x === 0)) return true; // ::
+  if (g.slice(0, 7).every((x) => x === 0) && g[7] === 1) return true; // ::1
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) carry an IPv4 address
+  const embedsV4 = (g.slice(0, 5).every((x) => x === 0) && g[5] === 0xffff) || (g[0] === 0x64 && g[1] === 0xff9b);
+  if (embedsV4) return blockedV4(`${g[6] >> 8}.${g[6] & 255}.${g[7] >> 8}.${g[7] & 255}`);
+  return (g[0] & 0xfe00) === 0xfc00 // unique local fc00::/7
+    || (g[0] & 0xffc0) === 0xfe80 // link-local fe80::/10
+    || (g[0] & 0xff00) === 0xff00 // multicast
+    || (g[0] === 0x2001 && g[1] === 0xdb8); // documentation
+}
+
+export function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return blockedV4(ip);
+  if (net.isIPv6(ip)) return blockedV6(ip);
+  return true;
+}
+
+// Resolves to an error message when `url` may not receive webhooks, else null
+export async function checkWebhookTarget(url) {
+  let parsed;
+  try { parsed = new URL(String(url || "")); } catch (_) { return "A valid http(s) URL is required"; }
+  if (!["http:", "https:"].includes(parsed.protocol)) return "A valid http(s) URL is required";
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+  } catch (_) {
+    return `Could not resolve ${host}`;
+  }
+  if (!addresses.length || addresses.some(isPrivateAddress)) return "Webhook URLs must point at a public internet address";
+  return null;
+}
@@ -0,0 +1,140 @@
+// WebLeads embeddable inquiry widget
+// Usage:
+//   <script src="https://<api-host>/widget.js" data-business="<businessId>" async></script>
+// Optional attributes:
+//   data-product="<productId>"  preselect a product (hides the product picker)
+//   data-target="#selector"     render into this element instead of after the script tag
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var businessId = script.getAttribute('data-business');
+  var productId = script.getAttribute('data-product') || '';
+  var targetSel = script.getAttribute('data-target');
+  var apiBase = new URL(script.src).origin;
+  if (!businessId) {
+    console.error('[webleads] data-business attribute is required');
+    return;
+  }
+
+  var host = document.createElement('div');
+  var target = targetSel ? document.querySelector(targetSel) : null;
+  if (target) target.appendChild(host);
+  else script.parentNode.insertBefore(host, script.nextSibling);
+  var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (k) {
+      if (k === 'text') node.textContent = attrs[k];
+      else node.setAttribute(k, attrs[k]);
+    });
+    (children || []).forEach(function (c) { node.appendChild(c); });
+    return node;
+  }
+
+  function field(label, input) {
+    return el('label', { 'class': 'wl-field' }, [el('span', { text: label }), input]);
+  }
+
+  function styles(w) {
+    return [
+      ':host{all:initial}',
+      '.wl-form{font-family:system-ui,-apple-system,sans-serif;font-size:14px;max-width:420px;box-sizing:border-box;',
+      'padding:16px;border:1px solid #e2e8f0;border-radius:8px;background:' + w.backgroundColor + ';color:' + w.textColor + '}',
+      '.wl-form h3{margin:0 0 12px;font-size:16px}',
+      '.wl-field{display:block;margin-bottom:10px}',
+      '.wl-field span{display:block;margin-bottom:4px;font-weight:500}',
+      '.wl-field input,.wl-field textarea,.wl-field select{width:100%;box-sizing:border-box;padding:8px;border:1px solid #cbd5e1;border-radius:6px;font:inherit}',
+      '.wl-hp{position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden}',
+      '.wl-submit{background:' + w.primaryColor + ';color:#fff;border:0;border-radius:6px;padding:9px 16px;font:inherit;cursor:pointer}',
+      '.wl-submit[disabled]{opacity:.6;cursor:default}',
+      '.wl-msg{margin-top:10px}',
+      '.wl-error{color:#dc2626}'
+    ].join('');
+  }
+
+  function render(config) {
+    var w = config.widget;
+    var token = config.token;
+    var inputs = {};
+
+    root.appendChild(el('style', { text: styles(w) }));
+    var form = el('form', { 'class': 'wl-form', novalidate: '' });
+    form.appendChild(el('h3', { text: w.title }));
+
+    if (w.fields.indexOf('name') !== -1) {
+      inputs.name = el('input', { name: 'name', autocomplete: 'name' });
+      form.appendChild(field('Name', inputs.name));
+    }
+    inputs.email = el('input', { name: 'email', type: 'email', autocomplete: 'email', required: '' });
+    form.appendChild(field('Email *', inputs.email));
+    inputs.phone = el('input', { name: 'phone', type: 'tel', autocomplete: 'tel', required: '' });
+    form.appendChild(field('Phone *', inputs.phone));
+
+    if (!productId && w.fields.indexOf('product') !== -1 && config.products.length) {
+      inputs.productId = el('select', { name: 'productId' }, [el('option', { value: '', text: 'General inquiry' })].concat(
+        config.products.map(function (p) { return el('option', { value: p._id, text: p.name }); })
+      ));
+      form.appendChild(field('Product', inputs.productId));
+    }
+    if (w.fields.indexOf('message') !== -1) {
+      inputs.message = el('textarea', { name: 'message', rows: '4' });
+      form.appendChild(field('Message', inputs.message));
+    }
+
+    // Honeypot, hidden from people and assistive tech
+    inputs.website = el('input', { name: 'website', tabindex: '-1', autocomplete: 'off' });
+    form.appendChild(el('div', { 'class': 'wl-hp', 'aria-hidden': 'true' }, [inputs.website]));
+
+    var button = el('button', { type: 'submit', 'class': 'wl-submit', text: w.buttonText });
+    var msg = el('div', { 'class': 'wl-msg', role: 'status' });
+    form.appendChild(button);
+    form.appendChild(msg);
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      var body = { token: token, productId: productId || undefined };
+      Object.keys(inputs).forEach(function (k) { body[k] = inputs[k].value; });
+      if (!body.email || !body.phone) {
+        msg.className = 'wl-msg wl-error';
+        msg.textContent = 'Please enter your email and phone number.';
+        return;
+      }
+      button.disabled = true;
+      msg.className = 'wl-msg';
+      msg.textContent = 'Sending…';
+      fetch(apiBase + '/api/widget/' + encodeURIComponent(businessId) + '/leads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }).then(function (res) {
+        return res.json().catch(function () { return {}; }).then(function (data) {
+          if (!res.ok) {
+            var details = data.details ? Object.keys(data.details).map(function (k) { return data.details[k]; }).join(' ') : '';
+            throw new Error(details || data.error || 'Something went wrong');
+          }
+          form.innerHTML = '';
+          form.appendChild(el('h3', { text: 'Thank you!' }));
+          form.appendChild(el('p', { text: config.business.name + ' has received your inquiry and will get back to you soon.' }));
+        });
+      }).catch(function (err) {
+        button.disabled = false;
+        msg.className = 'wl-msg wl-error';
+        msg.textContent = err.message;
+      });
+    });
+
+    root.appendChild(form);
+  }
+
+  fetch(apiBase + '/api/widget/' + encodeURIComponent(businessId) + '/config')
+    .then(function (res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.json();
+    })
+    .then(render)
+    .catch(function (err) {
+      console.error('[webleads] could not load the inquiry widget:', err.message);
+    });
+})();
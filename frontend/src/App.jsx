@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from "react";
-import { BrowserRouter, Routes, Route, NavLink } from "react-router-dom";
+import { BrowserRouter, Routes, Route, NavLink, useLocation } from "react-router-dom";
 import Home from "./pages/Home";
 import BusinessDetail from "./pages/BusinessDetail";
 import Dashboard from "./pages/Dashboard";
@@ -13,7 +13,50 @@ import SubmitInquiry from "./pages/SubmitInquiry";
 import ProtectedRoute from "./components/ProtectedRoute";
 import BusinessProducts from "./pages/BusinessProducts";
 import AddProduct from "./pages/AddProduct";
+import ImportProducts from "./pages/ImportProducts";
+import Settings from "./pages/Settings";
+import AdminEmails from "./pages/AdminEmails";
+import Webhooks from "./pages/Webhooks";
+import ApiKeys from "./pages/ApiKeys";
+import BusinessProfile from "./pages/BusinessProfile";
+import BusinessVerification from "./pages/BusinessVerification";
+import AdminVerifications from "./pages/AdminVerifications";
+import WidgetSettings from "./pages/WidgetSettings";
+import VerifyEmail from "./pages/VerifyEmail";
+import VerifyInquiry from "./pages/VerifyInquiry";
+import AcceptInvite from "./pages/AcceptInvite";
+import AdminQuarantine from "./pages/AdminQuarantine";
+import Team from "./pages/Team";
+import Analytics from "./pages/Analytics";
+import Marketplace from "./pages/Marketplace";
+import Categories from "./pages/Categories";
+import CategoryPage from "./pages/CategoryPage";
+import AdminCategories from "./pages/AdminCategories";
 import webleads_logo from "../assets/webleads_logo.svg";
+import { getSocket, disconnectSocket } from "./socket";
+
+// Counts leads pushed over the socket since the user last opened their leads list
+function UnreadLeadsBadge({ user }) {
+  const location = useLocation();
+  const [unread, setUnread] = useState(0);
+  const watching = location.pathname === "/dashboard" || location.pathname === "/admin/leads";
+
+  useEffect(() => {
+    if (!user || (user.role !== "business" && user.role !== "admin")) return;
+    const socket = getSocket();
+    if (!socket) return;
+    const onCreated = () => setUnread((n) => n + 1);
+    socket.on("lead:created", onCreated);
+    return () => socket.off("lead:created", onCreated);
+  }, [user]);
+
+  useEffect(() => {
+    if (watching) setUnread(0);
+  }, [watching, unread]);
+
+  if (!unread) return null;
+  return <span className="unread-badge" aria-label={`${unread} new leads`}>{unread > 99 ? "99+" : unread}</span>;
+}
 
 export default function App() {
   const [user, setUser] = useState(null);
@@ -29,6 +72,7 @@ export default function App() {
   }, []);
 
   const logout = () => {
+    disconnectSocket();
     localStorage.removeItem("token");
     localStorage.removeItem("user");
     setUser(null);
@@ -55,17 +99,32 @@ export default function App() {
 
             <nav className={`nav-links ${mobileOpen ? 'open' : ''}`} aria-label="Main navigation">
               <NavLink to="/" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Home</NavLink>
-              <NavLink to="/dashboard" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Dashboard</NavLink>
+              <NavLink to="/products" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Products</NavLink>
+              <NavLink to="/categories" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Categories</NavLink>
+              <NavLink to="/dashboard" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Dashboard<UnreadLeadsBadge user={user} /></NavLink>
               {user && <NavLink to="/submit" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Send Inquiry</NavLink>}
-              {user?.role === 'business' && (
+              {user && <NavLink to="/settings" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Settings</NavLink>}
+              {user?.role === 'business' && user.businessRole !== 'agent' && (
                 <>
+                  <NavLink to="/analytics" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Analytics</NavLink>
+                  <NavLink to="/business/profile" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Profile</NavLink>
+                  <NavLink to="/business/verification" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Verification</NavLink>
+                  <NavLink to="/business/team" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Team</NavLink>
                   <NavLink to="/business/products" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>My Products</NavLink>
+                  <NavLink to="/business/webhooks" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Webhooks</NavLink>
+                  <NavLink to="/business/api-keys" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>API Keys</NavLink>
+                  <NavLink to="/business/widget" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Widget</NavLink>
                 </>
               )}
               {user?.role === "admin" && (
                 <>
+                  <NavLink to="/analytics" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Analytics</NavLink>
                   <NavLink to="/admin/leads" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Admin: Leads</NavLink>
                   <NavLink to="/admin/businesses" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Manage Businesses</NavLink>
+                  <NavLink to="/admin/verifications" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Admin: Verification</NavLink>
+                  <NavLink to="/admin/categories" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Admin: Categories</NavLink>
+                  <NavLink to="/admin/emails" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Email Log</NavLink>
+                  <NavLink to="/admin/quarantine" className={({isActive}) => `nav-link ${isActive ? 'active' : ''}`}>Quarantine</NavLink>
                 </>
               )}
             </nav>
@@ -89,18 +148,38 @@ export default function App() {
 
       <Routes>
         <Route path="/" element={<Home />} />
+        <Route path="/products" element={<Marketplace />} />
+        <Route path="/categories" element={<Categories />} />
+        <Route path="/categories/:slug" element={<CategoryPage />} />
+        <Route path="/b/:slug" element={<BusinessDetail />} />
         <Route path="/business/:id" element={<BusinessDetail />} />
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/admin/leads" element={<LeadsAdmin />} />
         <Route path="/admin/businesses" element={<AdminBusinesses />} />
+        <Route path="/admin/categories" element={<AdminCategories />} />
+        <Route path="/admin/verifications" element={<AdminVerifications />} />
+        <Route path="/admin/emails" element={<AdminEmails />} />
+        <Route path="/admin/quarantine" element={<AdminQuarantine />} />
         <Route path="/unauthorized" element={<Unauthorized />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
         <Route path="/onboarding" element={<CustomerOnboarding />} />
+        <Route path="/verify-inquiry" element={<VerifyInquiry />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
         <Route path="/submit" element={<ProtectedRoute><SubmitInquiry /></ProtectedRoute>} />
+        <Route path="/analytics" element={<ProtectedRoute><Analytics /></ProtectedRoute>} />
+        <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
         <Route path="/business/products" element={<ProtectedRoute role="business"><BusinessProducts/></ProtectedRoute>} />
         <Route path="/business/products/new" element={<ProtectedRoute role="business"><AddProduct/></ProtectedRoute>} />
+        <Route path="/business/products/import" element={<ProtectedRoute role="business"><ImportProducts/></ProtectedRoute>} />
         <Route path="/business/products/:id/edit" element={<ProtectedRoute role="business"><AddProduct/></ProtectedRoute>} />
+        <Route path="/business/webhooks" element={<ProtectedRoute role="business"><Webhooks/></ProtectedRoute>} />
+        <Route path="/business/api-keys" element={<ProtectedRoute role="business"><ApiKeys/></ProtectedRoute>} />
+        <Route path="/business/widget" element={<ProtectedRoute role="business"><WidgetSettings/></ProtectedRoute>} />
+        <Route path="/business/profile" element={<ProtectedRoute role="business"><BusinessProfile/></ProtectedRoute>} />
+        <Route path="/business/verification" element={<ProtectedRoute role="business"><BusinessVerification/></ProtectedRoute>} />
+        <Route path="/business/team" element={<ProtectedRoute role="business"><Team/></ProtectedRoute>} />
       </Routes>
     </BrowserRouter>
   );
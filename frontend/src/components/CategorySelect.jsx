@@ -0,0 +1,31 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+// Rows for a <select>, indented by depth with non-breaking spaces: [{ _id, label }]
+export function flattenCategories(tree, depth = 0){
+  return tree.flatMap(c=> [{ _id: c._id, label: '\u00a0'.repeat(depth * 4) + c.name }, ...flattenCategories(c.children || [], depth + 1)])
+}
+
+// Picks a category from the admin-managed tree (GET /api/categories). Pages
+// showing many selects pass `options` from flattenCategories to load it once.
+// onLoaded gets the options once, e.g. to fall back to free text while the tree is empty.
+export default function CategorySelect({ value, onChange, onLoaded, options: given, placeholder = 'Choose a category', className, style, exclude }){
+  const [loaded, setOptions] = useState([])
+  const options = given || loaded
+
+  useEffect(()=>{
+    if (given) return
+    api.get('/api/categories').then(r=>{
+      const list = flattenCategories(r.data.categories)
+      setOptions(list)
+      if (onLoaded) onLoaded(list)
+    }).catch(console.error)
+  }, [])
+
+  return (
+    <select value={value || ''} onChange={e=>onChange(e.target.value || null)} className={className} style={style}>
+      <option value="">{placeholder}</option>
+      {options.filter(o=> !exclude || !exclude.includes(o._id)).map(o=> <option key={o._id} value={o._id}>{o.label}</option>)}
+    </select>
+  )
+}
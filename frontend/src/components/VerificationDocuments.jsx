@@ -0,0 +1,27 @@
+import React from 'react'
+import { api } from '../api'
+
+// Documents are private, so they're fetched with the login token and opened as a blob
+async function openDocument(requestId, doc){
+  try{
+    const res = await api.get(`/api/verifications/${requestId}/documents/${doc._id}`, { responseType: 'blob' })
+    window.open(URL.createObjectURL(res.data), '_blank')
+  }catch(err){
+    alert('Failed to open document: '+(err?.response?.status || err.message))
+  }
+}
+
+// Documents of a verification request, each with the type it was uploaded as
+export default function VerificationDocuments({ request, documentTypes = {} }){
+  return (
+    <ul style={{margin:'4px 0', paddingLeft:18, fontSize:14}}>
+      {(request.documents || []).map(d=> (
+        <li key={d._id}>
+          {documentTypes[d.type] || d.type}:{' '}
+          <button type="button" onClick={()=>openDocument(request._id, d)} style={{border:0, background:'none', color:'#2563eb', cursor:'pointer', padding:0}}>{d.originalName || 'document'}</button>
+          <span style={{color:'#666'}}> ({Math.max(1, Math.round((d.size || 0) / 1024))} KB)</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,11 @@
+import React from 'react'
+
+// Shown next to businesses an admin has verified from their documents
+export default function VerifiedBadge({ business, style }){
+  if (!business?.verified) return null
+  return (
+    <span title="Documents checked by WebLeads" style={{display:'inline-flex', alignItems:'center', gap:4, padding:'2px 8px', borderRadius:999, background:'#dcfce7', color:'#15803d', fontSize:12, fontWeight:600, verticalAlign:'middle', ...style}}>
+      ✓ Verified
+    </span>
+  )
+}
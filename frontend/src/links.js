@@ -0,0 +1,5 @@
+// Public profile URL for a business: /b/<slug>, or /business/<id> for
+// results that came without a slug (BusinessDetail redirects those).
+export function businessPath(business) {
+  return business.slug ? `/b/${encodeURIComponent(business.slug)}` : `/business/${business._id}`;
+}
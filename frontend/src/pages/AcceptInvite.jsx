@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api } from '../api'
+
+// Landing page for the link in team invitation emails
+export default function AcceptInvite(){
+  const [params] = useSearchParams()
+  const token = params.get('token')
+  const [invite, setInvite] = useState(null)
+  const [error, setError] = useState(null)
+  const [form, setForm] = useState({ name: '', password: '' })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(()=>{
+    if (!token) return setError('This link is missing its token.')
+    api.get('/api/invitations/'+token)
+      .then(res=>setInvite(res.data))
+      .catch(err=>setError(err?.response?.data?.error || err.message))
+  }, [token])
+
+  async function accept(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const res = await api.post('/api/invitations/accept', { token, ...form })
+      localStorage.setItem('token', res.data.token)
+      localStorage.setItem('user', JSON.stringify(res.data.user))
+      // full reload so the navigation picks up the new account
+      window.location.href = '/dashboard'
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+      setSaving(false)
+    }
+  }
+
+  if (error) return (
+    <div style={{padding:20}}>
+      <h2>This invitation can't be used</h2>
+      <p>{error}</p>
+      <p><Link to="/">Go Home</Link></p>
+    </div>
+  )
+  if (!invite) return <div style={{padding:20}}>Loading invitation…</div>
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-1">Join {invite.businessName || 'the team'}</h2>
+      <p className="text-sm text-slate-600 mb-4">
+        You were invited as <span className="capitalize">{invite.businessRole}</span> with <b>{invite.email}</b>.
+        {invite.hasAccount ? ' Enter the password of your existing account to join.' : ' Choose your name and a password to create your account.'}
+      </p>
+      <form onSubmit={accept} className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+        {!invite.hasAccount && (
+          <input className="block w-full border rounded-md px-3 py-2" placeholder="Your name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        )}
+        <input className="block w-full border rounded-md px-3 py-2" type="password" placeholder="Password" value={form.password} onChange={e=>setForm({...form, password:e.target.value})} />
+        <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Joining…' : 'Accept invitation'}</button>
+      </form>
+    </div>
+  )
+}
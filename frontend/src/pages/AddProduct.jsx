@@ -1,13 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { api } from '../api'
 import { useNavigate, useParams } from 'react-router-dom'
+import CategorySelect from '../components/CategorySelect'
 
 export default function AddProduct(){
   const nav = useNavigate()
   const params = useParams()
   const editingId = params.id
 
-  const [form, setForm] = useState({ name:'', sku:'', price:'', quantity:'', description:'' })
+  const [form, setForm] = useState({ name:'', sku:'', price:'', quantity:'', description:'', categoryId: null })
   const [loading, setLoading] = useState(false)
   const [images, setImages] = useState([])
   const [uploading, setUploading] = useState(false)
@@ -48,7 +49,7 @@ export default function AddProduct(){
     try{
       setLoading(true)
       const res = await api.get('/api/business/products/'+editingId)
-      setForm({ name: res.data.name || '', sku: res.data.sku || '', price: res.data.price || '', quantity: res.data.quantity || '', description: res.data.description || '' })
+      setForm({ name: res.data.name || '', sku: res.data.sku || '', price: res.data.price || '', quantity: res.data.quantity || '', description: res.data.description || '', categoryId: res.data.categoryId || null })
       setImages(res.data.images || [])
     }catch(err){
       alert('Failed to load product');
@@ -69,7 +70,8 @@ export default function AddProduct(){
       }
       nav('/business/products')
     }catch(err){
-      alert('Save failed: '+(err?.response?.data?.error||err.message))
+      const details = err?.response?.data?.details
+      alert('Save failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
     }finally{ setLoading(false) }
   }
 
@@ -86,6 +88,10 @@ export default function AddProduct(){
             <label className="block text-sm font-medium">SKU</label>
             <input className="mt-1 block w-full border rounded-md px-3 py-2" value={form.sku} onChange={e=>setForm({...form, sku:e.target.value})} />
           </div>
+          <div>
+            <label className="block text-sm font-medium">Category</label>
+            <CategorySelect className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="No category" value={form.categoryId} onChange={categoryId=>setForm(f=>({...f, categoryId}))} />
+          </div>
           <div className="grid grid-cols-2 gap-3">
             <div>
               <label className="block text-sm font-medium">Price</label>
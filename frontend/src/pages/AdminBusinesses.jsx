@@ -1,10 +1,13 @@
 import React, { useEffect, useState } from 'react'
 import { api } from '../api'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, Link } from 'react-router-dom'
+import CategorySelect, { flattenCategories } from '../components/CategorySelect'
+import VerifiedBadge from '../components/VerifiedBadge'
 
 export default function AdminBusinesses(){
   const [items, setItems] = useState([])
   const [loading, setLoading] = useState(true)
+  const [categories, setCategories] = useState([])
   const nav = useNavigate()
 
   useEffect(()=>{
@@ -18,16 +21,20 @@ export default function AdminBusinesses(){
     api.get('/api/admin/businesses').then(r=>setItems(r.data)).catch(err=>{
       alert('Failed to load businesses: '+(err?.response?.data?.error||err.message))
     }).finally(()=>setLoading(false))
+    api.get('/api/categories').then(r=>setCategories(flattenCategories(r.data.categories))).catch(console.error)
   },[])
 
   async function onEdit(b){
     const name = prompt('Name', b.name) || b.name
-    const category = prompt('Category', b.category||'') || b.category
     const location = prompt('Location', b.location||'') || b.location
     const description = prompt('Description', b.description||'') || b.description
+    await save(b, { name, location, description })
+  }
+
+  async function save(b, updates){
     try{
-      const res = await api.put('/api/admin/businesses/'+b._id, { name, category, location, description })
-      setItems(items.map(x=> x._id===b._id ? res.data : x))
+      const res = await api.put('/api/admin/businesses/'+b._id, updates)
+      setItems(items=> items.map(x=> x._id===b._id ? res.data : x))
     }catch(err){ alert('Failed to update: '+(err?.response?.data?.error||err.message)) }
   }
 
@@ -43,15 +50,21 @@ export default function AdminBusinesses(){
 
   return (
     <div>
-      <h2>Manage Businesses</h2>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'baseline'}}>
+        <h2>Manage Businesses</h2>
+        <Link to="/admin/verifications" className="nav-link">Verification queue</Link>
+      </div>
       {items.length===0 && <div>No businesses</div>}
       <div style={{marginTop:12}}>
         {items.map(b=> (
           <div key={b._id} style={{padding:12, border:'1px solid #eee', marginBottom:8, borderRadius:6}}>
             <div style={{display:'flex', justifyContent:'space-between'}}>
               <div>
-                <strong>{b.name}</strong>
+                <strong>{b.name}</strong> <VerifiedBadge business={b} />
                 <div style={{color:'#666'}}>{b.category} · {b.location}</div>
+                <div style={{marginTop:4, fontSize:13}}>
+                  Category: <CategorySelect options={categories} value={b.categoryId} placeholder={b.category && !b.categoryId ? `"${b.category}" (not in the category tree)` : 'None'} onChange={categoryId=>save(b, { categoryId })} />
+                </div>
               </div>
               <div style={{display:'flex', gap:8}}>
                 <button onClick={()=>onEdit(b)}>Edit</button>
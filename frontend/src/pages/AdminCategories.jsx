@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { useNavigate, Link } from 'react-router-dom'
+import CategorySelect, { flattenCategories } from '../components/CategorySelect'
+
+const EMPTY = { name:'', slug:'', parentId:null, synonyms:'' }
+
+function failed(prefix, err){
+  const details = err?.response?.data?.details
+  alert(prefix+': '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+}
+
+// Ids of a category and everything under it (a category can't move below itself)
+function subtreeIds(node){
+  return [node._id, ...(node.children || []).flatMap(subtreeIds)]
+}
+
+function CategoryRow({ c, depth, onEdit, onDelete }){
+  return (
+    <>
+      <div style={{display:'flex', justifyContent:'space-between', gap:12, padding:'8px 12px', paddingLeft:12 + depth * 24, borderBottom:'1px solid #eee'}}>
+        <div>
+          <Link to={'/categories/'+c.slug}><strong>{c.name}</strong></Link>
+          <span style={{color:'#666', fontSize:13}}> /{c.slug} · {c.businessCount} {c.businessCount === 1 ? 'business' : 'businesses'}</span>
+          {(c.synonyms || []).length > 0 && <div style={{color:'#666', fontSize:13}}>Also matches: {c.synonyms.join(', ')}</div>}
+        </div>
+        <div style={{display:'flex', gap:8, alignItems:'flex-start'}}>
+          <button onClick={()=>onEdit(c)}>Edit</button>
+          <button onClick={()=>onDelete(c)} className="btn-logout">Delete</button>
+        </div>
+      </div>
+      {(c.children || []).map(child=> <CategoryRow key={child._id} c={child} depth={depth + 1} onEdit={onEdit} onDelete={onDelete} />)}
+    </>
+  )
+}
+
+export default function AdminCategories(){
+  const [tree, setTree] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(EMPTY)
+  const [editing, setEditing] = useState(null)
+  const nav = useNavigate()
+
+  useEffect(()=>{
+    const raw = localStorage.getItem('user')
+    if (!raw) return nav('/login')
+    try{
+      const u = JSON.parse(raw)
+      if (u.role !== 'admin') return nav('/unauthorized')
+    }catch(e){ return nav('/login') }
+    load()
+  },[])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/categories')
+      setTree(res.data.categories)
+    }catch(err){ failed('Failed to load categories', err) }
+    finally{ setLoading(false) }
+  }
+
+  function edit(c){
+    setEditing(c)
+    setForm({ name: c.name, slug: c.slug, parentId: c.parentId || null, synonyms: (c.synonyms || []).join(', ') })
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  function cancel(){
+    setEditing(null)
+    setForm(EMPTY)
+  }
+
+  async function save(e){
+    e.preventDefault()
+    const payload = { ...form, slug: form.slug.trim() || undefined }
+    try{
+      if (editing) await api.put('/api/admin/categories/'+editing._id, payload)
+      else await api.post('/api/admin/categories', payload)
+      cancel()
+      load()
+    }catch(err){ failed('Failed to save', err) }
+  }
+
+  async function remove(c){
+    if (!confirm('Delete category '+c.name+'?')) return
+    try{
+      await api.delete('/api/admin/categories/'+c._id)
+      load()
+    }catch(err){ failed('Failed to delete', err) }
+  }
+
+  return (
+    <div>
+      <h2>Categories</h2>
+      <p style={{color:'#666', fontSize:13}}>
+        Businesses and products pick a category from this tree. Synonyms are other names people use for the same trade
+        (e.g. "Textile Mfg" for Textiles); scripts/migrateCategories.js uses them to file businesses registered with free text.
+      </p>
+
+      <form onSubmit={save} className="card" style={{padding:12, marginTop:12, display:'grid', gap:8, maxWidth:560}}>
+        <strong>{editing ? `Edit ${editing.name}` : 'Add a category'}</strong>
+        <input required placeholder="Name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} style={{padding:6}} />
+        <input placeholder="Slug (defaults to the name)" value={form.slug} onChange={e=>setForm({...form, slug:e.target.value})} style={{padding:6}} />
+        <CategorySelect options={flattenCategories(tree)} exclude={editing ? subtreeIds(editing) : null} placeholder="Top level" value={form.parentId} onChange={parentId=>setForm({...form, parentId})} style={{padding:6}} />
+        <input placeholder="Synonyms, comma separated" value={form.synonyms} onChange={e=>setForm({...form, synonyms:e.target.value})} style={{padding:6}} />
+        <div style={{display:'flex', gap:8}}>
+          <button type="submit">{editing ? 'Save' : 'Add'}</button>
+          {editing && <button type="button" onClick={cancel} className="nav-link">Cancel</button>}
+        </div>
+      </form>
+
+      <div style={{marginTop:16, border:'1px solid #eee', borderRadius:6}}>
+        {loading && <div style={{padding:12}}>Loading...</div>}
+        {!loading && tree.length === 0 && <div style={{padding:12}}>No categories yet</div>}
+        {tree.map(c=> <CategoryRow key={c._id} c={c} depth={0} onEdit={edit} onDelete={remove} />)}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { useNavigate } from 'react-router-dom'
+
+const STATUSES = ['failed', 'pending', 'sending', 'sent', 'all']
+
+export default function AdminEmails(){
+  const [items, setItems] = useState([])
+  const [status, setStatus] = useState('failed')
+  const [loading, setLoading] = useState(true)
+  const nav = useNavigate()
+
+  useEffect(()=>{
+    const raw = localStorage.getItem('user')
+    if (!raw) return nav('/login')
+    try{
+      const u = JSON.parse(raw)
+      if (u.role !== 'admin') return nav('/unauthorized')
+    }catch(e){ return nav('/login') }
+    load()
+  },[status])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/admin/emails', { params: { status } })
+      setItems(res.data)
+    }catch(err){
+      alert('Failed to load emails: '+(err?.response?.data?.error||err.message))
+    }finally{ setLoading(false) }
+  }
+
+  async function resend(e){
+    try{
+      const res = await api.post('/api/admin/emails/'+e._id+'/resend')
+      setItems(items.map(x=> x._id===e._id ? res.data : x))
+    }catch(err){ alert('Failed to resend: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  return (
+    <div>
+      <h2>Email delivery log</h2>
+      <div style={{display:'flex', gap:8, alignItems:'center'}}>
+        <label>Status</label>
+        <select value={status} onChange={e=>setStatus(e.target.value)}>
+          {STATUSES.map(s=> <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button onClick={load}>Refresh</button>
+      </div>
+      {loading ? <div style={{marginTop:12}}>Loading...</div> : (
+        <div style={{marginTop:12}}>
+          {items.length===0 && <div>No {status === 'all' ? '' : status} emails</div>}
+          {items.map(e=> (
+            <div key={e._id} style={{padding:12, border:'1px solid #eee', marginBottom:8, borderRadius:6}}>
+              <div style={{display:'flex', justifyContent:'space-between', gap:12}}>
+                <div>
+                  <strong>{e.subject}</strong>
+                  <div style={{color:'#666', fontSize:13}}>To {(e.to||[]).join(', ')}{e.cc && e.cc.length ? ` · CC ${e.cc.join(', ')}` : ''} · {e.kind}</div>
+                  <div style={{color:'#666', fontSize:13}}>
+                    {e.status} · {e.attempts}/{e.maxAttempts} attempts · queued {new Date(e.createdAt).toLocaleString()}
+                    {e.sentAt && <> · sent {new Date(e.sentAt).toLocaleString()}</>}
+                  </div>
+                  {e.lastError && <div style={{color:'#b91c1c', fontSize:13}}>{e.lastError}</div>}
+                </div>
+                {e.status !== 'sent' && <div><button onClick={()=>resend(e)}>Resend</button></div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { useNavigate } from 'react-router-dom'
+
+export default function AdminQuarantine(){
+  const [items, setItems] = useState([])
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const nav = useNavigate()
+
+  useEffect(()=>{
+    const raw = localStorage.getItem('user')
+    if (!raw) return nav('/login')
+    try{
+      const u = JSON.parse(raw)
+      if (u.role !== 'admin') return nav('/unauthorized')
+    }catch(e){ return nav('/login') }
+    load()
+  },[])
+
+  async function load(cursor){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/admin/quarantine', { params: { cursor } })
+      setItems(cursor ? [...items, ...res.data.items] : res.data.items)
+      setTotal(res.data.total)
+      setNextCursor(res.data.nextCursor)
+    }catch(err){
+      alert('Failed to load quarantine: '+(err?.response?.data?.error||err.message))
+    }finally{ setLoading(false) }
+  }
+
+  async function release(lead){
+    try{
+      await api.post(`/api/admin/quarantine/${lead._id}/release`)
+      setItems(items.filter(x=>x._id!==lead._id))
+      setTotal(t=>t-1)
+    }catch(err){ alert('Failed to release: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function remove(lead){
+    if (!confirm('Delete this lead permanently?')) return
+    try{
+      await api.delete('/api/admin/quarantine/'+lead._id)
+      setItems(items.filter(x=>x._id!==lead._id))
+      setTotal(t=>t-1)
+    }catch(err){ alert('Failed to delete: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  return (
+    <div>
+      <h2>Quarantined leads</h2>
+      <p style={{color:'#666', fontSize:13}}>Submissions the spam filter held back. Release one to deliver it to the business, or delete it.</p>
+      <div style={{display:'flex', gap:8, alignItems:'center'}}>
+        <span>{total} held</span>
+        <button onClick={()=>load()}>Refresh</button>
+      </div>
+      <div style={{marginTop:12}}>
+        {!loading && items.length===0 && <div>Nothing in quarantine</div>}
+        {items.map(l=> (
+          <div key={l._id} style={{padding:12, border:'1px solid #eee', marginBottom:8, borderRadius:6}}>
+            <div style={{display:'flex', justifyContent:'space-between', gap:12}}>
+              <div>
+                <strong>{l.name || '—'}</strong> <span style={{color:'#b91c1c', fontSize:13}}>score {l.spamScore}</span>
+                <div style={{color:'#666', fontSize:13}}>
+                  {l.email} · {l.phone} · to {l.businessName || l.businessId} · via {l.source || 'web'}
+                  {l.ip && <> · {l.ip}</>} · {new Date(l.timestamp).toLocaleString()}
+                </div>
+                <div style={{marginTop:6, whiteSpace:'pre-wrap'}}>{l.message || <span style={{color:'#999'}}>No message</span>}</div>
+                {(l.spamReasons||[]).length > 0 && <div style={{color:'#b45309', fontSize:13, marginTop:6}}>{l.spamReasons.join(' · ')}</div>}
+              </div>
+              <div style={{display:'flex', gap:8, alignItems:'flex-start'}}>
+                <button onClick={()=>release(l)}>Release</button>
+                <button onClick={()=>remove(l)} className="btn-logout">Delete</button>
+              </div>
+            </div>
+          </div>
+        ))}
+        {loading && <div>Loading...</div>}
+        {!loading && nextCursor && <button onClick={()=>load(nextCursor)}>Load more</button>}
+      </div>
+    </div>
+  )
+}
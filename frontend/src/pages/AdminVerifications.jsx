@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { useNavigate, Link } from 'react-router-dom'
+import Pagination from './Pagination'
+import VerificationDocuments from '../components/VerificationDocuments'
+import { businessPath } from '../links'
+
+const STATUSES = [['pending', 'Waiting for review'], ['approved', 'Approved'], ['rejected', 'Rejected'], ['all', 'All']]
+
+function failed(prefix, err){
+  const details = err?.response?.data?.details
+  alert(prefix+': '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+}
+
+// Review queue for business verification documents, oldest submissions first
+export default function AdminVerifications(){
+  const [status, setStatus] = useState('pending')
+  const [page, setPage] = useState(1)
+  const [data, setData] = useState({ items: [], total: 0, pages: 0, documentTypes: {} })
+  const [loading, setLoading] = useState(true)
+  const nav = useNavigate()
+
+  useEffect(()=>{
+    const raw = localStorage.getItem('user')
+    if (!raw) return nav('/login')
+    try{
+      const u = JSON.parse(raw)
+      if (u.role !== 'admin') return nav('/unauthorized')
+    }catch(e){ return nav('/login') }
+    load()
+  },[status, page])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/admin/verifications', { params: { status, page } })
+      setData(res.data)
+    }catch(err){ failed('Failed to load verifications', err) }
+    finally{ setLoading(false) }
+  }
+
+  async function approve(r){
+    if (!confirm('Mark '+(r.business?.name || 'this business')+' as verified?')) return
+    try{
+      await api.post(`/api/admin/verifications/${r._id}/approve`)
+      load()
+    }catch(err){ failed('Failed to approve', err) }
+  }
+
+  async function reject(r){
+    const revoking = r.status === 'approved'
+    const reason = prompt(revoking ? 'Why is the verification being revoked? The business is emailed this reason.' : 'Why are these documents rejected? The business is emailed this reason.')
+    if (reason === null) return
+    try{
+      await api.post(`/api/admin/verifications/${r._id}/reject`, { reason })
+      load()
+    }catch(err){ failed(revoking ? 'Failed to revoke' : 'Failed to reject', err) }
+  }
+
+  return (
+    <div>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'baseline'}}>
+        <h2>Business Verification</h2>
+        <Link to="/admin/businesses" className="nav-link">Manage Businesses</Link>
+      </div>
+      <div style={{display:'flex', gap:8, margin:'8px 0 12px'}}>
+        {STATUSES.map(([value, label])=> (
+          <button key={value} onClick={()=>{ setStatus(value); setPage(1) }} className={status === value ? 'btn-primary' : 'nav-link'}>{label}</button>
+        ))}
+      </div>
+
+      {loading && <div>Loading...</div>}
+      {!loading && data.items.length === 0 && <div>{status === 'pending' ? 'Nothing waiting for review' : 'No requests'}</div>}
+      {data.items.map(r=> (
+        <div key={r._id} style={{padding:12, border:'1px solid #eee', marginBottom:8, borderRadius:6}}>
+          <div style={{display:'flex', justifyContent:'space-between', gap:12}}>
+            <div>
+              {r.business ? <Link to={businessPath(r.business)}><strong>{r.business.name}</strong></Link> : <strong>Deleted business</strong>}
+              <div style={{color:'#666', fontSize:13}}>
+                {[r.business?.category, r.business?.location].filter(Boolean).join(' · ')}
+                {r.business?.registrationNumber && <> · Reg. no. {r.business.registrationNumber}</>}
+                {r.business?.website && <> · <a href={r.business.website} target="_blank" rel="noopener noreferrer nofollow">{r.business.website}</a></>}
+              </div>
+              <div style={{color:'#666', fontSize:13}}>
+                Submitted {new Date(r.createdAt).toLocaleString()}
+                {r.status !== 'pending' && <> · {r.status} {r.reviewedAt && new Date(r.reviewedAt).toLocaleString()}</>}
+              </div>
+              <VerificationDocuments request={r} documentTypes={data.documentTypes} />
+              {r.note && <div style={{fontSize:14}}>Note: {r.note}</div>}
+              {r.reason && <div style={{fontSize:14, color:'#b91c1c'}}>Reason: {r.reason}</div>}
+            </div>
+            <div style={{display:'flex', gap:8, alignItems:'flex-start'}}>
+              {r.status === 'pending' && <button onClick={()=>approve(r)} className="btn-primary">Approve</button>}
+              {r.status === 'pending' && <button onClick={()=>reject(r)} className="btn-logout">Reject</button>}
+              {r.status === 'approved' && r.business?.verified && <button onClick={()=>reject(r)} className="btn-logout">Revoke</button>}
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <Pagination currentPage={page} totalPages={data.pages} hasNext={page < data.pages} onPageChange={setPage} />
+    </div>
+  )
+}
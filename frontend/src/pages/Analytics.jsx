@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+const RANGES = [[7, 'Last 7 days'], [30, 'Last 30 days'], [90, 'Last 90 days'], [365, 'Last 12 months']]
+const INTERVALS = ['day', 'week', 'month']
+
+function percent(rate){ return `${Math.round((rate || 0) * 100)}%` }
+
+// "45 min", "3.2 h" or "2.1 days"
+function duration(minutes){
+  if (minutes === null || minutes === undefined) return '—'
+  if (minutes < 60) return `${Math.round(minutes)} min`
+  if (minutes < 48 * 60) return `${(minutes / 60).toFixed(1)} h`
+  return `${(minutes / 1440).toFixed(1)} days`
+}
+
+function bucketLabel(start, interval){
+  const d = new Date(start)
+  if (interval === 'month') return d.toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })
+  return d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' })
+}
+
+// Column chart of leads per bucket, won leads shaded darker
+function VolumeChart({ volume, interval }){
+  const max = Math.max(1, ...volume.map(b=>b.count))
+  const width = Math.max(volume.length * 24, 300)
+  const height = 160
+  const bar = width / volume.length
+  const labelEvery = Math.ceil(volume.length / 12)
+  return (
+    <div className="overflow-x-auto">
+      <svg width={width} height={height + 24} role="img" aria-label="Leads over time">
+        {volume.map((b, i)=>{
+          const h = (b.count / max) * height
+          const wonH = (b.won / max) * height
+          const x = i * bar + 2
+          return (
+            <g key={b.start}>
+              <title>{`${bucketLabel(b.start, interval)}: ${b.count} leads, ${b.won} won`}</title>
+              <rect x={x} y={height - h} width={bar - 4} height={h} fill="#bfdbfe" />
+              <rect x={x} y={height - wonH} width={bar - 4} height={wonH} fill="#2563eb" />
+              {i % labelEvery === 0 && <text x={x} y={height + 16} fontSize="10" fill="#64748b">{bucketLabel(b.start, interval)}</text>}
+            </g>
+          )
+        })}
+      </svg>
+      <div className="text-xs text-slate-500 mt-1">
+        <span className="inline-block w-3 h-3 align-middle mr-1" style={{background:'#bfdbfe'}} /> leads
+        <span className="inline-block w-3 h-3 align-middle ml-3 mr-1" style={{background:'#2563eb'}} /> won
+      </div>
+    </div>
+  )
+}
+
+// Horizontal bars for a breakdown list
+function Breakdown({ title, rows }){
+  const max = Math.max(1, ...rows.map(r=>r.count))
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm">
+      <div className="font-medium mb-2">{title}</div>
+      {rows.length === 0 && <div className="text-sm text-slate-500">No leads</div>}
+      {rows.slice(0, 8).map(r=> (
+        <div key={r.key || 'unknown'} className="mb-2 text-sm">
+          <div className="flex justify-between gap-2">
+            <span className="truncate">{r.label}</span>
+            <span className="text-slate-600 whitespace-nowrap">{r.count} · {percent(r.conversionRate)} won</span>
+          </div>
+          <div className="h-2 bg-slate-100 rounded"><div className="h-2 bg-blue-500 rounded" style={{width: `${(r.count / max) * 100}%`}} /></div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function Funnel({ funnel }){
+  const first = funnel.stages[0]?.count || 0
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm">
+      <div className="font-medium mb-2">Conversion funnel</div>
+      {funnel.stages.map(s=> (
+        <div key={s.stage} className="mb-2 text-sm">
+          <div className="flex justify-between gap-2">
+            <span className="capitalize">{s.stage}</span>
+            <span className="text-slate-600">{s.count} · {percent(s.rateFromStart)} of all{s.stage !== 'new' && ` · ${percent(s.rateFromPrevious)} from previous`}</span>
+          </div>
+          <div className="h-3 bg-slate-100 rounded"><div className="h-3 bg-emerald-500 rounded" style={{width: `${first ? (s.count / first) * 100 : 0}%`}} /></div>
+        </div>
+      ))}
+      <div className="text-xs text-slate-500 mt-2">{funnel.lost} lost. Leads count towards every stage up to the furthest one they reached.</div>
+    </div>
+  )
+}
+
+export default function Analytics(){
+  const [user] = useState(()=>{ try{ return JSON.parse(localStorage.getItem('user')) }catch(_){ return null } })
+  const isAdmin = user?.role === 'admin'
+  const [days, setDays] = useState(30)
+  const [groupBy, setGroupBy] = useState('day')
+  const [businessId, setBusinessId] = useState('')
+  const [businesses, setBusinesses] = useState([])
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(()=>{
+    if (isAdmin) api.get('/api/businesses').then(r=>setBusinesses(r.data)).catch(()=>{})
+  }, [isAdmin])
+
+  useEffect(()=>{ load() }, [days, groupBy, businessId])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+      const res = await api.get('/api/analytics/leads', { params: { from, interval: groupBy, businessId: businessId || undefined } })
+      setData(res.data)
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Failed to load analytics: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setLoading(false) }
+  }
+
+  const rt = data?.responseTime
+  const platform = !!data?.scope?.platform
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">Analytics</h2>
+          <div className="text-sm text-slate-600">{platform ? 'All businesses on the platform' : (data?.scope?.businessName || 'Your business')}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {isAdmin && (
+            <select value={businessId} onChange={e=>setBusinessId(e.target.value)} className="border rounded-md px-2 py-2">
+              <option value="">All businesses</option>
+              {businesses.map(b=> <option key={b._id} value={b._id}>{b.name}</option>)}
+            </select>
+          )}
+          <select value={days} onChange={e=>{ const d = Number(e.target.value); setDays(d); if (d > 120 && groupBy === 'day') setGroupBy('week') }} className="border rounded-md px-2 py-2">
+            {RANGES.map(([d, label])=> <option key={d} value={d}>{label}</option>)}
+          </select>
+          <select value={groupBy} onChange={e=>setGroupBy(e.target.value)} className="border rounded-md px-2 py-2">
+            {INTERVALS.map(i=> <option key={i} value={i}>By {i}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {loading && !data ? <div>Loading...</div> : data && (
+        <div className={loading ? 'opacity-60' : ''}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="bg-white p-4 rounded-lg shadow-sm"><div className="text-sm text-slate-600">Leads</div><div className="text-2xl font-semibold">{data.total}</div></div>
+            <div className="bg-white p-4 rounded-lg shadow-sm"><div className="text-sm text-slate-600">Won</div><div className="text-2xl font-semibold">{data.funnel.stages.find(s=>s.stage==='won')?.count || 0}</div></div>
+            <div className="bg-white p-4 rounded-lg shadow-sm"><div className="text-sm text-slate-600">Median first response</div><div className="text-2xl font-semibold">{duration(rt.medianMinutes)}</div></div>
+            <div className="bg-white p-4 rounded-lg shadow-sm"><div className="text-sm text-slate-600">Answered within 24 h</div><div className="text-2xl font-semibold">{data.total ? percent(rt.within24h / data.total) : '—'}</div></div>
+          </div>
+
+          <div className="bg-white p-4 rounded-lg shadow-sm mb-4">
+            <div className="font-medium mb-2">Lead volume</div>
+            <VolumeChart volume={data.volume} interval={data.interval} />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-4">
+            <Funnel funnel={data.funnel} />
+            <div className="bg-white p-4 rounded-lg shadow-sm text-sm">
+              <div className="font-medium mb-2">Response time</div>
+              <div className="text-xs text-slate-500 mb-2">Time from a lead arriving to its first status change or reply.</div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>Average: <strong>{duration(rt.averageMinutes)}</strong></div>
+                <div>Median: <strong>{duration(rt.medianMinutes)}</strong></div>
+                <div>90th percentile: <strong>{duration(rt.p90Minutes)}</strong></div>
+                <div>Within 1 h: <strong>{rt.within1h}</strong></div>
+                <div>Responded: <strong>{rt.responded}</strong></div>
+                <div>Not yet: <strong>{rt.unanswered}</strong></div>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            {platform && <Breakdown title="By business" rows={data.byBusiness} />}
+            {platform && <Breakdown title="By category" rows={data.byCategory} />}
+            {platform && <Breakdown title="By location" rows={data.byLocation} />}
+            <Breakdown title="By product" rows={data.byProduct} />
+            <Breakdown title="By source" rows={data.bySource} />
+            <Breakdown title="By status" rows={data.byStatus} />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
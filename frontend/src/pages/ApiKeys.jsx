@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+const API_BASE = api.defaults.baseURL
+
+export default function ApiKeys(){
+  const [keys, setKeys] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState({ name: '', scopes: ['leads:create'], rateLimitPerMinute: 60 })
+  const [saving, setSaving] = useState(false)
+  const [revealed, setRevealed] = useState(null) // { id, key } shown once after create
+
+  useEffect(()=>{ load() }, [])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/business/api-keys')
+      setKeys(res.data.keys)
+      setScopes(res.data.scopes)
+    }catch(err){
+      alert(err?.response?.data?.error || 'Failed to load API keys')
+    }finally{ setLoading(false) }
+  }
+
+  function toggleScope(list, s){
+    return list.includes(s) ? list.filter(x=>x!==s) : [...list, s]
+  }
+
+  async function create(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const res = await api.post('/api/business/api-keys', { ...form, rateLimitPerMinute: Number(form.rateLimitPerMinute) })
+      setKeys([res.data.apiKey, ...keys])
+      setRevealed({ id: res.data.apiKey._id, key: res.data.key })
+      setForm({ name: '', scopes: ['leads:create'], rateLimitPerMinute: 60 })
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Save failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSaving(false) }
+  }
+
+  async function revoke(k){
+    if (!confirm(`Revoke "${k.name}"? Integrations using it will stop working immediately.`)) return
+    try{
+      const res = await api.delete('/api/business/api-keys/'+k._id)
+      setKeys(keys.map(x=> x._id===k._id ? res.data.apiKey : x))
+    }catch(err){ alert('Revoke failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-1">API Keys</h2>
+      <p className="text-sm text-slate-600 mb-4">
+        Send leads from your own website or backend with <code>POST {API_BASE}/api/v1/leads</code> and
+        an <code>X-API-Key</code> header. Keep keys on your server — never put them in browser code.
+      </p>
+
+      <form onSubmit={create} className="bg-white p-6 rounded-lg shadow-sm space-y-3 mb-6">
+        <div>
+          <label className="block text-sm font-medium">Name</label>
+          <input className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="e.g. Website contact form" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium">Scopes</label>
+          <div className="mt-1 flex flex-wrap gap-3">
+            {scopes.map(s=> (
+              <label key={s} className="text-sm flex items-center gap-1">
+                <input type="checkbox" checked={form.scopes.includes(s)} onChange={()=>setForm({...form, scopes: toggleScope(form.scopes, s)})} /> {s}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium">Requests per minute</label>
+          <input type="number" min="1" max="1000" className="mt-1 block w-40 border rounded-md px-3 py-2" value={form.rateLimitPerMinute} onChange={e=>setForm({...form, rateLimitPerMinute:e.target.value})} />
+        </div>
+        <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Creating…' : 'Create key'}</button>
+      </form>
+
+      {loading ? <div>Loading...</div> : (
+        <div className="space-y-3">
+          {keys.length === 0 && <div className="card">No API keys yet.</div>}
+          {keys.map(k=> (
+            <div key={k._id} className="card">
+              <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+                <div>
+                  <div className="font-semibold">
+                    {k.name}
+                    {k.revokedAt && <span className="ml-2 inline-block px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-500">revoked</span>}
+                  </div>
+                  <div className="text-sm text-slate-600"><code>wl_{k.prefix}_…</code> · {(k.scopes||[]).join(', ')} · {k.rateLimitPerMinute}/min</div>
+                  <div className="text-xs text-slate-500 mt-1">
+                    Created {new Date(k.createdAt).toLocaleString()}
+                    {' · '}{k.lastUsedAt ? `last used ${new Date(k.lastUsedAt).toLocaleString()}${k.lastUsedIp ? ' from '+k.lastUsedIp : ''}` : 'never used'}
+                    {' · '}{k.usageCount || 0} request{k.usageCount === 1 ? '' : 's'}
+                    {k.revokedAt && <> · revoked {new Date(k.revokedAt).toLocaleString()}</>}
+                  </div>
+                </div>
+                {!k.revokedAt && (
+                  <div className="flex items-center gap-2">
+                    <button onClick={()=>revoke(k)} className="btn-logout">Revoke</button>
+                  </div>
+                )}
+              </div>
+              {revealed?.id === k._id && (
+                <div className="mt-2 p-2 bg-amber-50 border border-amber-100 rounded text-sm">
+                  API key (copy it now, it won't be shown again): <code className="break-all">{revealed.key}</code>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,16 +1,48 @@
 import React, { useEffect, useState, useRef } from 'react'
-import { useParams, useNavigate, useLocation } from 'react-router-dom'
+import { useParams, useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom'
 import { api } from '../api'
+import VerifiedBadge from '../components/VerifiedBadge'
 
+const DAY_LABELS = { mon:'Monday', tue:'Tuesday', wed:'Wednesday', thu:'Thursday', fri:'Friday', sat:'Saturday', sun:'Sunday' }
+
+function formatAddress(a){
+  if (!a) return ''
+  return [a.line1, a.line2, a.city, [a.state, a.postalCode].filter(Boolean).join(' '), a.country].filter(Boolean).join(', ')
+}
+
+// Title and meta description while the profile is open (crawlers get these
+// from the server-rendered /b/<slug> page instead)
+function useProfileHead(biz){
+  useEffect(()=>{
+    if (!biz) return
+    const meta = document.querySelector('meta[name="description"]') || Object.assign(document.head.appendChild(document.createElement('meta')), { name: 'description' })
+    const previous = { title: document.title, description: meta.content }
+    document.title = [biz.name, biz.category, biz.location].filter(Boolean).join(' · ')
+    meta.content = (biz.description || biz.name).slice(0, 160)
+    return ()=>{
+      document.title = previous.title
+      meta.content = previous.description
+    }
+  }, [biz])
+}
+
+// Public profile, at /b/:slug (or /business/:id, which moves to the slug URL)
 export default function BusinessDetail(){
-  const { id } = useParams()
+  const { id, slug } = useParams()
+  const key = slug || id
   const [biz, setBiz] = useState(null)
+  const [loadedKey, setLoadedKey] = useState(null)
   const [products, setProducts] = useState([])
-  const [form, setForm] = useState({ name:'', phone:'', message:'' })
+  const [form, setForm] = useState({ name:'', phone:'', message:'', products: [] })
   const navigate = useNavigate()
   const location = useLocation()
+  const [searchParams, setSearchParams] = useSearchParams()
   const formRef = useRef(null)
   const [loading, setLoading] = useState(false)
+  // Guests confirm their email with a code before the inquiry is delivered
+  const [pending, setPending] = useState(null)
+  const [code, setCode] = useState('')
+  const [guestSent, setGuestSent] = useState(null)
 
   useEffect(()=>{
     const raw = localStorage.getItem('user')
@@ -23,50 +55,159 @@ export default function BusinessDetail(){
   },[])
 
   useEffect(()=>{
-    api.get('/api/businesses/'+id).then(r=>setBiz(r.data)).catch(()=>setBiz(null))
+    if (biz && (key === biz._id || key === biz.slug)) return
+    api.get('/api/businesses/'+encodeURIComponent(key)).then(r=>{ setBiz(r.data); setLoadedKey(key) }).catch(()=>setBiz(null))
+  },[key])
+
+  useEffect(()=>{
+    if (!biz) return
     // load public products for this business
-    api.get('/api/businesses/'+id+'/products').then(r=>setProducts(r.data || [])).catch(()=>setProducts([]))
-  },[id])
+    api.get('/api/businesses/'+biz._id+'/products').then(r=>setProducts(r.data || [])).catch(()=>setProducts([]))
+  },[biz?._id])
+
+  // Old links (ObjectId URLs, renamed slugs) move to the current /b/<slug>,
+  // keeping ?enquire=, #inquiry and any prefill state
+  const redirecting = !!(biz && biz.slug && loadedKey === key && slug !== biz.slug)
+  useEffect(()=>{
+    if (redirecting) navigate(`/b/${encodeURIComponent(biz.slug)}${location.search}${location.hash}`, { replace: true, state: location.state })
+  }, [redirecting])
+
+  useProfileHead(biz)
+
+  // Message we filled in ourselves; replaced as products are added unless the user edited it
+  const autoMessage = useRef('')
+
+  // Each Enquire adds the product to the inquiry (or bumps its quantity)
+  function addToInquiry(p, bizName){
+    setForm(f=>{
+      const exists = f.products.some(x=>x.productId===p._id)
+      const list = exists
+        ? f.products.map(x=> x.productId===p._id ? { ...x, quantity: Number(x.quantity||1) + 1 } : x)
+        : [...f.products, { productId: p._id, name: p.name, sku: p.sku, quantity: 1 }]
+      const names = list.map(x=> `${x.name}${x.sku ? ` (SKU: ${x.sku})` : ''}`).join(', ')
+      const generated = `I am interested in buying ${names} from ${bizName}. Please share details.`
+      const keep = f.message && f.message !== autoMessage.current
+      if (!keep) autoMessage.current = generated
+      return { ...f, products: list, message: keep ? f.message : generated }
+    })
+    setTimeout(()=>{
+      try{ formRef.current && formRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' }) }catch(e){}
+    }, 120)
+  }
 
   // Apply prefill when navigated with product state (from an Enquire click)
   useEffect(()=>{
     const st = location.state
-    if (st && st.prefillProduct){
-      const p = st.prefillProduct
-      const bizName = st.businessName || (biz && biz.name) || ''
-      const message = `I am interested in buying ${p.name}${p.sku ? ` (SKU: ${p.sku})` : ''} from ${bizName}. Please share details.`
-      setForm(f=>({ ...f, message }))
-      setTimeout(()=>{
-        try{ formRef.current && formRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' }) }catch(e){}
-      }, 120)
+    if (st && st.prefillProduct && !redirecting){
+      addToInquiry(st.prefillProduct, st.businessName || (biz && biz.name) || '')
       try{ window.history.replaceState({}, document.title, window.location.pathname + window.location.search) }catch(e){}
     }
   }, [location, biz])
 
+  // Links from the product marketplace (/b/:slug?enquire=<productId>)
+  // prefill the same way once the catalogue has loaded
+  useEffect(()=>{
+    const productId = searchParams.get('enquire')
+    const p = productId && biz && !redirecting && products.find(x=>x._id===productId)
+    if (!p) return
+    addToInquiry(p, biz.name)
+    const next = new URLSearchParams(searchParams)
+    next.delete('enquire')
+    setSearchParams(next, { replace: true })
+  }, [searchParams, biz, products])
+
+  function setQuantity(productId, quantity){
+    setForm(f=>({ ...f, products: f.products.map(x=> x.productId===productId ? { ...x, quantity } : x) }))
+  }
+
+  function removeProduct(productId){
+    setForm(f=>({ ...f, products: f.products.filter(x=>x.productId!==productId) }))
+  }
+
   async function submit(e){
     e.preventDefault()
     const token = localStorage.getItem('token')
-    if (!token) return navigate('/login')
+    const payload = { ...form, businessId: biz._id, products: form.products.map(x=>({ productId: x.productId, quantity: x.quantity })) }
 
     try {
       setLoading(true)
-      await api.post('/api/leads', {...form, businessId: id})
+      if (!token) {
+        const res = await api.post('/api/leads/guest', payload)
+        setPending({ inquiryId: res.data.inquiryId, email: res.data.email })
+        setCode('')
+        return
+      }
+      await api.post('/api/leads', payload)
       alert('Inquiry sent!')
       navigate('/dashboard')
+    } catch(err){
+      const details = err?.response?.data?.details
+      alert('Failed: '+ (details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)))
+    } finally{ setLoading(false) }
+  }
+
+  async function verify(e){
+    e.preventDefault()
+    try {
+      setLoading(true)
+      await api.post(`/api/leads/guest/${pending.inquiryId}/verify`, { code })
+      setGuestSent(pending.email)
+      setPending(null)
+      setForm(f=>({ ...f, message: '', products: [] }))
     } catch(err){
       alert('Failed: '+ (err?.response?.data?.error || err.message))
     } finally{ setLoading(false) }
   }
 
   if (!biz) return <div>Loading business...</div>
+  const address = formatAddress(biz.address)
   return (
     <div>
-      <div className="card" style={{padding:20}}>
-        <h2>{biz.name}</h2>
-        <div style={{color:'#555'}}>{biz.category} · {biz.location}</div>
-        <p>{biz.description}</p>
+      <div className="card" style={{padding:0, overflow:'hidden'}}>
+        {biz.coverImage && <img src={biz.coverImage} alt="" style={{width:'100%', height:220, objectFit:'cover', display:'block'}} />}
+        <div style={{padding:20}}>
+          <div style={{display:'flex', alignItems:'center', gap:16}}>
+            {biz.logo && <img src={biz.logo} alt={biz.name+' logo'} style={{width:72, height:72, objectFit:'cover', borderRadius:8, background:'#fff'}} />}
+            <div>
+              <h2 style={{margin:0}}>{biz.name} <VerifiedBadge business={biz} /></h2>
+              <div style={{color:'#555'}}>{biz.category} · {biz.location}</div>
+            </div>
+          </div>
+          <p>{biz.description}</p>
+          <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(220px, 1fr))', gap:12, fontSize:14}}>
+            <div>
+              {address && <div>{address}</div>}
+              {biz.website && <div><a href={biz.website} target="_blank" rel="noopener noreferrer nofollow">{biz.website.replace(/^https?:\/\//, '').replace(/\/$/, '')}</a></div>}
+              {biz.yearEstablished && <div style={{color:'#555'}}>Established {biz.yearEstablished}</div>}
+              {biz.registrationNumber && <div style={{color:'#555'}}>GST / Reg. no. {biz.registrationNumber}</div>}
+            </div>
+            {(biz.hours || []).length > 0 && (
+              <div>
+                <strong>Opening hours</strong>
+                {biz.hours.map(h=> (
+                  <div key={h.day} style={{display:'flex', justifyContent:'space-between', maxWidth:240}}>
+                    <span>{DAY_LABELS[h.day]}</span><span>{h.closed ? 'Closed' : `${h.open}–${h.close}`}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
       </div>
 
+      {(biz.gallery || []).length > 0 && (
+        <div style={{marginTop:18}}>
+          <h3>Gallery</h3>
+          <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(160px, 1fr))', gap:8}}>
+            {biz.gallery.map(src=> (
+              <a key={src} href={src} target="_blank" rel="noopener noreferrer">
+                <img src={src} alt="" style={{width:'100%', height:120, objectFit:'cover', borderRadius:6}} />
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+
       {products && products.length > 0 && (
         <div style={{marginTop:18}}>
           <h3>Products</h3>
@@ -94,6 +235,22 @@ export default function BusinessDetail(){
       )}
 
       <h3 style={{marginTop:18}}>Send an inquiry to {biz.name}</h3>
+      {guestSent && (
+        <div className="card" style={{maxWidth:480, padding:12, marginBottom:12}}>
+          Inquiry sent! We've emailed a copy to {guestSent}.{' '}
+          <Link to={`/register?role=customer&email=${encodeURIComponent(guestSent)}`}>Create an account</Link> with this email to track your inquiries.
+        </div>
+      )}
+      {pending ? (
+        <form onSubmit={verify} style={{maxWidth:480}}>
+          <p>We sent a 6-digit code to <strong>{pending.email}</strong>. Enter it below (or open the link in the email) to send your inquiry.</p>
+          <div style={{marginBottom:8}}>
+            <input required inputMode="numeric" autoComplete="one-time-code" maxLength={6} placeholder="Verification code" value={code} onChange={e=>setCode(e.target.value)} style={{width:'100%', padding:8}}/>
+          </div>
+          <button type="submit" disabled={loading}>{loading ? 'Verifying…' : 'Verify and send'}</button>
+          <button type="button" onClick={()=>setPending(null)} className="nav-link" style={{marginLeft:8}}>Edit inquiry</button>
+        </form>
+      ) : (
       <form id="inquiry" ref={formRef} onSubmit={submit} style={{maxWidth:480}}>
         <div style={{marginBottom:8}}>
           <input required placeholder="Your name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} style={{width:'100%', padding:8}}/>
@@ -104,11 +261,33 @@ export default function BusinessDetail(){
         <div style={{marginBottom:8}}>
           <input required placeholder="Phone" value={form.phone} onChange={e=>setForm({...form, phone:e.target.value})} style={{width:'100%', padding:8}}/>
         </div>
+        {/* Honeypot: hidden from people, bots fill it in and get quarantined */}
+        <div aria-hidden="true" style={{position:'absolute', left:-10000, width:1, height:1, overflow:'hidden'}}>
+          <input tabIndex={-1} autoComplete="off" name="website" value={form.website||''} onChange={e=>setForm({...form, website:e.target.value})} />
+        </div>
+        {form.products.length > 0 && (
+          <div className="card" style={{marginBottom:8, padding:8}}>
+            <div style={{fontSize:13, color:'#555', marginBottom:4}}>Products in this inquiry</div>
+            {form.products.map(x=> (
+              <div key={x.productId} style={{display:'flex', alignItems:'center', gap:8, marginBottom:4}}>
+                <span style={{flex:1}}>{x.name}{x.sku ? ` (SKU: ${x.sku})` : ''}</span>
+                <label style={{fontSize:13}}>Qty <input type="number" min="1" step="any" value={x.quantity} onChange={e=>setQuantity(x.productId, e.target.value)} style={{width:70, padding:4}} /></label>
+                <button type="button" onClick={()=>removeProduct(x.productId)} className="nav-link" aria-label={`Remove ${x.name}`}>✕</button>
+              </div>
+            ))}
+          </div>
+        )}
         <div style={{marginBottom:8}}>
           <textarea placeholder="Message (optional)" value={form.message} onChange={e=>setForm({...form, message:e.target.value})} style={{width:'100%', padding:8}} rows={4}/>
         </div>
+        {!localStorage.getItem('token') && (
+          <div style={{marginBottom:8, fontSize:13, color:'#555'}}>
+            No account needed: we'll email you a code to confirm it's you. Already registered? <Link to="/login">Log in</Link>.
+          </div>
+        )}
         <button type="submit" disabled={loading}>{loading ? 'Sending…' : 'Send Inquiry'}</button>
       </form>
+      )}
     </div>
   )
 }
\ No newline at end of file
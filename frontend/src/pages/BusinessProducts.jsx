@@ -10,9 +10,13 @@ export default function BusinessProducts(){
   const [minPrice, setMinPrice] = useState('')
   const [maxPrice, setMaxPrice] = useState('')
   const [currentPage, setCurrentPage] = useState(1)
+  const [stats, setStats] = useState({})
+  const [statsDays, setStatsDays] = useState(90)
+  const [sortBy, setSortBy] = useState('')
   const ITEMS_PER_PAGE = 6
 
   useEffect(()=>{ load() }, [])
+  useEffect(()=>{ loadStats() }, [statsDays])
 
   async function load(){
     try{
@@ -25,6 +29,16 @@ export default function BusinessProducts(){
     }finally{ setLoading(false) }
   }
 
+  // Per-product demand from leads; the list still works if this fails
+  async function loadStats(){
+    try{
+      const res = await api.get('/api/business/products/stats', { params: { days: statsDays } })
+      setStats(Object.fromEntries(res.data.products.map(s=>[s.productId, s])))
+    }catch(err){
+      console.error('Failed to load product stats', err)
+    }
+  }
+
   async function remove(id){
     if (!confirm('Delete this product?')) return
     try{
@@ -37,7 +51,10 @@ export default function BusinessProducts(){
     <div className="max-w-4xl mx-auto px-4 py-8">
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-xl font-semibold">Your Products</h2>
-        <Link to="/business/products/new" className="btn-primary">Add Product</Link>
+        <div className="flex items-center gap-2">
+          <Link to="/business/products/import" className="nav-link">Import CSV / Excel</Link>
+          <Link to="/business/products/new" className="btn-primary">Add Product</Link>
+        </div>
       </div>
 
       {loading ? <div>Loading...</div> : (
@@ -48,8 +65,18 @@ export default function BusinessProducts(){
               <input placeholder="min price" value={minPrice} onChange={e=>{ setMinPrice(e.target.value); setCurrentPage(1) }} className="border rounded-md px-2 py-2 w-24" />
               <input placeholder="max price" value={maxPrice} onChange={e=>{ setMaxPrice(e.target.value); setCurrentPage(1) }} className="border rounded-md px-2 py-2 w-24" />
             </div>
-            <div>
-              {/* Primary CTA kept above the title; remove duplicate button here */}
+            <div className="flex items-center gap-2 text-sm">
+              <select value={statsDays} onChange={e=>setStatsDays(Number(e.target.value))} className="border rounded-md px-2 py-2">
+                <option value={30}>Last 30 days</option>
+                <option value={90}>Last 90 days</option>
+                <option value={365}>Last 12 months</option>
+                <option value={0}>All time</option>
+              </select>
+              <select value={sortBy} onChange={e=>{ setSortBy(e.target.value); setCurrentPage(1) }} className="border rounded-md px-2 py-2">
+                <option value="">Default order</option>
+                <option value="inquiries">Most inquiries</option>
+                <option value="conversion">Best conversion</option>
+              </select>
             </div>
           </div>
 
@@ -68,6 +95,10 @@ export default function BusinessProducts(){
                 if (maxPrice !== '' && !isNaN(Number(maxPrice)) && pnum > Number(maxPrice)) return false
                 return true
               })
+              if (sortBy){
+                const key = sortBy === 'conversion' ? 'conversionRate' : 'inquiries'
+                filtered.sort((a, b)=> (stats[b._id]?.[key] || 0) - (stats[a._id]?.[key] || 0))
+              }
 
               const totalPages = Math.max(1, Math.ceil(filtered.length / ITEMS_PER_PAGE))
               const start = (currentPage - 1) * ITEMS_PER_PAGE
@@ -89,6 +120,15 @@ export default function BusinessProducts(){
                             <div className="font-semibold">{p.name}</div>
                             <div className="text-sm text-slate-600">SKU: {p.sku || '—'} • Qty: {p.quantity || 0}</div>
                             <div className="text-sm text-slate-700">{p.description}</div>
+                            {(()=>{
+                              const s = stats[p._id]
+                              if (!s) return <div className="text-xs text-slate-500 mt-1">No inquiries in this period</div>
+                              return (
+                                <div className="text-xs text-slate-600 mt-1">
+                                  {s.inquiries} inquir{s.inquiries === 1 ? 'y' : 'ies'} · {s.quantityRequested} requested · {s.won} won · {Math.round(s.conversionRate * 100)}% conversion
+                                </div>
+                              )
+                            })()}
                           </div>
                         </div>
                         <div className="flex items-center gap-2">
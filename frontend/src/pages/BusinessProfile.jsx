@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from '../api'
+import CategorySelect from '../components/CategorySelect'
+
+const DAYS = [['mon','Monday'], ['tue','Tuesday'], ['wed','Wednesday'], ['thu','Thursday'], ['fri','Friday'], ['sat','Saturday'], ['sun','Sunday']]
+const ADDRESS = [['line1','Address line 1'], ['line2','Address line 2'], ['city','City'], ['state','State'], ['postalCode','PIN / postal code'], ['country','Country']]
+
+// One row per day: mode '' leaves the day off the profile
+function hoursRows(hours){
+  return DAYS.map(([day])=>{
+    const h = (hours || []).find(x=>x.day===day)
+    if (!h) return { day, mode:'', open:'09:00', close:'18:00' }
+    return h.closed ? { day, mode:'closed', open:'09:00', close:'18:00' } : { day, mode:'open', open:h.open, close:h.close }
+  })
+}
+
+function toForm(p){
+  return {
+    name: p.name || '', slug: p.slug || '', categoryId: p.categoryId || null, location: p.location || '', description: p.description || '',
+    website: p.website || '', registrationNumber: p.registrationNumber || '', yearEstablished: p.yearEstablished || '',
+    logo: p.logo || '', coverImage: p.coverImage || '', gallery: p.gallery || [],
+    address: Object.fromEntries(ADDRESS.map(([k])=>[k, p.address?.[k] || ''])),
+    hours: hoursRows(p.hours),
+  }
+}
+
+export default function BusinessProfile(){
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [uploading, setUploading] = useState(null)
+  const [saved, setSaved] = useState(null)
+
+  useEffect(()=>{
+    api.get('/api/business/profile')
+      .then(r=>{ setForm(toForm(r.data.profile)); setSaved(r.data.profile) })
+      .catch(err=>alert(err?.response?.data?.error || 'Failed to load profile'))
+  }, [])
+
+  const set = (key, value) => setForm(f=>({ ...f, [key]: value }))
+  const setDay = (day, patch) => setForm(f=>({ ...f, hours: f.hours.map(h=> h.day===day ? { ...h, ...patch } : h) }))
+
+  // Uploads go to the server first; the returned URLs are saved with the profile
+  async function upload(target, fileList){
+    const files = Array.from(fileList || [])
+    if (!files.length) return
+    try{
+      setUploading(target)
+      const fd = new FormData()
+      files.forEach(f=>fd.append('images', f))
+      const res = await api.post('/api/business/profile/media', fd, { headers: { 'Content-Type': 'multipart/form-data' } })
+      const urls = res.data.urls || []
+      if (target === 'gallery') setForm(f=>({ ...f, gallery: [...f.gallery, ...urls] }))
+      else set(target, urls[0])
+    }catch(err){
+      alert('Upload failed: '+(err?.response?.data?.error || err.message))
+    }finally{ setUploading(null) }
+  }
+
+  async function save(e){
+    e.preventDefault()
+    const payload = {
+      ...form,
+      // leaving the select empty keeps a free-text category from registration
+      categoryId: form.categoryId || undefined,
+      hours: form.hours.filter(h=>h.mode).map(h=> h.mode === 'closed' ? { day: h.day, closed: true } : { day: h.day, open: h.open, close: h.close }),
+    }
+    try{
+      setSaving(true)
+      const res = await api.put('/api/business/profile', payload)
+      setForm(toForm(res.data.profile))
+      setSaved(res.data.profile)
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Save failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSaving(false) }
+  }
+
+  if (!form) return <div className="max-w-4xl mx-auto px-4 py-8">Loading...</div>
+
+  const input = 'mt-1 block w-full border rounded-md px-3 py-2'
+  const label = 'block text-sm font-medium'
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-semibold">Business Profile</h2>
+        {saved?.slug && <Link to={'/b/'+saved.slug} className="nav-link">View public page</Link>}
+      </div>
+      <p className="text-sm text-slate-600 mb-4">
+        Everything here is shown on your public page. Changing the page address keeps old links working.
+      </p>
+
+      <form onSubmit={save} className="space-y-6">
+        <div className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <div>
+            <label className={label}>Business name</label>
+            <input required className={input} value={form.name} onChange={e=>set('name', e.target.value)} />
+          </div>
+          <div>
+            <label className={label}>Page address</label>
+            <div className="flex items-center gap-1 text-sm">
+              <span className="text-slate-500">{window.location.origin}/b/</span>
+              <input className={input} value={form.slug} onChange={e=>set('slug', e.target.value)} />
+            </div>
+          </div>
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <label className={label}>Category</label>
+              <CategorySelect className={input} value={form.categoryId} onChange={categoryId=>set('categoryId', categoryId)} />
+            </div>
+            <div>
+              <label className={label}>Location</label>
+              <input className={input} value={form.location} onChange={e=>set('location', e.target.value)} />
+            </div>
+          </div>
+          <div>
+            <label className={label}>About</label>
+            <textarea rows={5} className={input} value={form.description} onChange={e=>set('description', e.target.value)} />
+          </div>
+          <div className="grid md:grid-cols-3 gap-3">
+            <div>
+              <label className={label}>Website</label>
+              <input className={input} placeholder="www.example.com" value={form.website} onChange={e=>set('website', e.target.value)} />
+            </div>
+            <div>
+              <label className={label}>GST / registration no.</label>
+              <input className={input} value={form.registrationNumber} onChange={e=>set('registrationNumber', e.target.value)} />
+            </div>
+            <div>
+              <label className={label}>Year established</label>
+              <input type="number" min="1800" max={new Date().getFullYear()} className={input} value={form.yearEstablished} onChange={e=>set('yearEstablished', e.target.value)} />
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <div className="font-medium">Images</div>
+          <div className="grid md:grid-cols-2 gap-6">
+            {[['logo','Logo'], ['coverImage','Cover image']].map(([key, title])=> (
+              <div key={key}>
+                <label className={label}>{title}</label>
+                {form[key] && <img src={form[key]} alt="" style={{maxHeight:100, maxWidth:'100%', objectFit:'cover', borderRadius:6, marginTop:4}} />}
+                <div className="flex items-center gap-2 mt-1 text-sm">
+                  <input type="file" accept="image/*" onChange={e=>{ upload(key, e.target.files); e.target.value = '' }} />
+                  {uploading === key && <span>Uploading…</span>}
+                  {form[key] && <button type="button" onClick={()=>set(key, '')} className="nav-link">Remove</button>}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className={label}>Gallery</label>
+            <div className="text-xs text-slate-500">Up to 12 photos of your premises, products or team.</div>
+            <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(120px, 1fr))', gap:8, marginTop:6}}>
+              {form.gallery.map(src=> (
+                <div key={src} style={{position:'relative'}}>
+                  <img src={src} alt="" style={{width:'100%', height:90, objectFit:'cover', borderRadius:6}} />
+                  <button type="button" onClick={()=>set('gallery', form.gallery.filter(x=>x!==src))} aria-label="Remove image" style={{position:'absolute', top:4, right:4}}>✕</button>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center gap-2 mt-2 text-sm">
+              <input type="file" accept="image/*" multiple disabled={form.gallery.length >= 12} onChange={e=>{ upload('gallery', e.target.files); e.target.value = '' }} />
+              {uploading === 'gallery' && <span>Uploading…</span>}
+            </div>
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="bg-white p-6 rounded-lg shadow-sm space-y-2">
+            <div className="font-medium">Address</div>
+            {ADDRESS.map(([key, title])=> (
+              <input key={key} placeholder={title} className={input} value={form.address[key]} onChange={e=>set('address', { ...form.address, [key]: e.target.value })} />
+            ))}
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow-sm space-y-2">
+            <div className="font-medium">Opening hours</div>
+            {form.hours.map(h=> (
+              <div key={h.day} className="flex items-center gap-2 text-sm">
+                <span style={{width:90}}>{DAYS.find(([d])=>d===h.day)[1]}</span>
+                <select value={h.mode} onChange={e=>setDay(h.day, { mode: e.target.value })} className="border rounded-md px-2 py-1">
+                  <option value="">Not shown</option>
+                  <option value="open">Open</option>
+                  <option value="closed">Closed</option>
+                </select>
+                {h.mode === 'open' && (
+                  <>
+                    <input type="time" value={h.open} onChange={e=>setDay(h.day, { open: e.target.value })} className="border rounded-md px-2 py-1" />
+                    <span>–</span>
+                    <input type="time" value={h.close} onChange={e=>setDay(h.day, { close: e.target.value })} className="border rounded-md px-2 py-1" />
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <button disabled={saving || !!uploading} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Saving…' : 'Save profile'}</button>
+      </form>
+    </div>
+  )
+}
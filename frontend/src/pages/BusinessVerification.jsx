@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import VerificationDocuments from '../components/VerificationDocuments'
+
+const STATE_TEXT = {
+  unverified: 'Buyers see a verified badge on businesses whose documents we have checked, and verified businesses rank higher in search. Upload a GST certificate or another document that shows your business is registered.',
+  pending: 'Thanks! Your documents are waiting for review. We will email you once an admin has looked at them.',
+  rejected: 'Your last submission was not approved. Fix the issue below and upload your documents again.',
+  verified: 'Your business is verified. Buyers see a verified badge on your listings.',
+}
+
+export default function BusinessVerification(){
+  const [data, setData] = useState(null)
+  const [rows, setRows] = useState([{ file: null, type: 'gst_certificate' }])
+  const [note, setNote] = useState('')
+  const [sending, setSending] = useState(false)
+
+  useEffect(()=>{ load() }, [])
+
+  async function load(){
+    try{
+      const res = await api.get('/api/business/verification')
+      setData(res.data)
+    }catch(err){
+      alert(err?.response?.data?.error || 'Failed to load verification status')
+    }
+  }
+
+  const setRow = (i, patch) => setRows(list=> list.map((r, j)=> j===i ? { ...r, ...patch } : r))
+
+  async function submit(e){
+    e.preventDefault()
+    const chosen = rows.filter(r=>r.file)
+    if (!chosen.length) return alert('Choose at least one document')
+    const fd = new FormData()
+    chosen.forEach(r=>{ fd.append('documents', r.file); fd.append('types', r.type) })
+    if (note.trim()) fd.append('note', note.trim())
+    try{
+      setSending(true)
+      await api.post('/api/business/verification', fd, { headers: { 'Content-Type': 'multipart/form-data' } })
+      setRows([{ file: null, type: 'gst_certificate' }])
+      setNote('')
+      load()
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Upload failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSending(false) }
+  }
+
+  if (!data) return <div className="max-w-4xl mx-auto px-4 py-8">Loading...</div>
+
+  const { state, request, documentTypes, maxDocuments } = data
+  const canSubmit = state === 'unverified' || state === 'rejected'
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-1">Verification</h2>
+      <p className="text-sm text-slate-600 mb-4">{STATE_TEXT[state]}</p>
+
+      {request && (
+        <div className="bg-white p-6 rounded-lg shadow-sm mb-6">
+          <div className="text-sm">
+            <strong>Last submission:</strong> {new Date(request.createdAt).toLocaleString()} · {request.status}
+            {request.reviewedAt && <> · reviewed {new Date(request.reviewedAt).toLocaleString()}</>}
+          </div>
+          {request.status === 'rejected' && request.reason && (
+            <div className="text-sm mt-2" style={{color:'#b91c1c'}}>Reason: {request.reason}</div>
+          )}
+          <VerificationDocuments request={request} documentTypes={documentTypes} />
+          {request.note && <div className="text-sm text-slate-600">Your note: {request.note}</div>}
+        </div>
+      )}
+
+      {canSubmit && (
+        <form onSubmit={submit} className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <div className="font-medium">Upload documents</div>
+          <div className="text-xs text-slate-500">PDF, PNG, JPEG or WebP, up to 10 MB each and {maxDocuments} documents. Only WebLeads admins can see them.</div>
+          {rows.map((r, i)=> (
+            <div key={i} className="flex items-center gap-2 text-sm">
+              <select value={r.type} onChange={e=>setRow(i, { type: e.target.value })} className="border rounded-md px-2 py-1">
+                {Object.entries(documentTypes).map(([value, label])=> <option key={value} value={value}>{label}</option>)}
+              </select>
+              <input type="file" accept="application/pdf,image/png,image/jpeg,image/webp" onChange={e=>setRow(i, { file: e.target.files[0] || null })} />
+              {rows.length > 1 && <button type="button" onClick={()=>setRows(rows.filter((_, j)=>j!==i))} className="nav-link" aria-label="Remove document">✕</button>}
+            </div>
+          ))}
+          {rows.length < maxDocuments && <button type="button" onClick={()=>setRows([...rows, { file: null, type: 'other' }])} className="nav-link">Add another document</button>}
+          <div>
+            <label className="block text-sm font-medium">Note for the reviewer (optional)</label>
+            <textarea rows={2} className="mt-1 block w-full border rounded-md px-3 py-2" value={note} onChange={e=>setNote(e.target.value)} />
+          </div>
+          <button disabled={sending} className="px-4 py-2 bg-blue-600 text-white rounded-md">{sending ? 'Uploading…' : 'Submit for review'}</button>
+        </form>
+      )}
+    </div>
+  )
+}
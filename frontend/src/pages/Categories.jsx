@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { Link } from 'react-router-dom'
+
+function CategoryLinks({nodes}){
+  return (
+    <ul style={{listStyle:'none', paddingLeft:16, margin:'4px 0'}}>
+      {nodes.map(c=> (
+        <li key={c._id} style={{margin:'4px 0'}}>
+          <Link to={'/categories/'+c.slug}>{c.name}</Link> <span style={{color:'#777', fontSize:13}}>({c.businessCount})</span>
+          {c.children.length > 0 && <CategoryLinks nodes={c.children} />}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function Categories(){
+  const [tree, setTree] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(()=>{
+    api.get('/api/categories').then(r=>setTree(r.data.categories)).catch(console.error).finally(()=>setLoading(false))
+  },[])
+
+  return (
+    <div>
+      <h1>Browse by Category</h1>
+      {loading ? <div>Loading...</div> : tree.length === 0 ? <div>No categories yet.</div> : (
+        <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(260px, 1fr))', gap:12}}>
+          {tree.map(c=> (
+            <div key={c._id} className="card">
+              <h3 style={{margin:'0 0 6px 0'}}><Link to={'/categories/'+c.slug}>{c.name}</Link></h3>
+              <div style={{fontSize:13, color:'#555'}}>{c.businessCount} {c.businessCount === 1 ? 'business' : 'businesses'}</div>
+              {c.children.length > 0 && <CategoryLinks nodes={c.children} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
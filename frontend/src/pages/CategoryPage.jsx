@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import Pagination from './Pagination'
+import { businessPath } from '../links'
+import VerifiedBadge from '../components/VerifiedBadge'
+
+// Businesses filed under one category or any of its subcategories
+export default function CategoryPage(){
+  const { slug } = useParams()
+  const [params, setParams] = useSearchParams()
+  const page = Math.max(parseInt(params.get('page')) || 1, 1)
+  const [data, setData] = useState(null)
+  const [notFound, setNotFound] = useState(false)
+
+  useEffect(()=>{
+    setNotFound(false)
+    api.get('/api/categories/'+encodeURIComponent(slug), { params: { page } }).then(r=>setData(r.data)).catch(err=>{
+      if (err?.response?.status === 404) setNotFound(true)
+      else console.error(err)
+    })
+  },[slug, page])
+
+  if (notFound) return <div>Category not found. <Link to="/categories">See all categories</Link></div>
+  if (!data) return <div>Loading...</div>
+
+  return (
+    <div>
+      <div style={{fontSize:13, color:'#555'}}>
+        <Link to="/categories">Categories</Link>
+        {data.path.map(c=> <span key={c._id}> › {c.slug === slug ? c.name : <Link to={'/categories/'+c.slug}>{c.name}</Link>}</span>)}
+      </div>
+      <h1>{data.category.name}</h1>
+
+      {data.children.length > 0 && (
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, marginBottom:16}}>
+          {data.children.map(c=> (
+            <Link key={c._id} to={'/categories/'+c.slug} className="card" style={{padding:'6px 12px'}}>{c.name} <span style={{color:'#777'}}>({c.businessCount})</span></Link>
+          ))}
+        </div>
+      )}
+
+      <div style={{fontSize:14, color:'#555', marginBottom:12}}>{data.total} {data.total === 1 ? 'business' : 'businesses'}</div>
+      {data.items.length === 0 && <div>No businesses in this category yet.</div>}
+      {data.items.map(b=> (
+        <div key={b._id} className="card" style={{marginBottom:12}}>
+          <h3 style={{margin:'0 0 6px 0'}}>{b.name} <VerifiedBadge business={b} /></h3>
+          <div style={{fontSize:13, color:'#555'}}>{b.category} · {b.location}</div>
+          <p style={{marginTop:8}}>{b.description}</p>
+          <Link to={businessPath(b)}>View & Enquire</Link>
+        </div>
+      ))}
+
+      <Pagination currentPage={page} totalPages={data.pages} hasNext={page < data.pages} onPageChange={p=>setParams(p > 1 ? { page: String(p) } : {})} />
+    </div>
+  )
+}
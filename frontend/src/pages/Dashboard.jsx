@@ -4,123 +4,215 @@ import { useNavigate, Link } from "react-router-dom";
 import LeadCard from "../pages/LeadCard";
 import Pagination from "../pages/Pagination";
 import SearchFilterBar from "../pages/SearchFilterBar";
+import FollowUpsDue from "../pages/FollowUpsDue";
+import ExportLeads from "../pages/ExportLeads";
+import { getSocket } from "../socket";
 
 export default function Dashboard() {
   const nav = useNavigate();
   const raw = localStorage.getItem('user')
   const currentUser = raw ? JSON.parse(raw) : null
+  const isManager = currentUser?.role === 'business' && currentUser.businessRole !== 'agent'
 
   const [leads, setLeads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [last7Count, setLast7Count] = useState(0);
+  const [businesses, setBusinesses] = useState([]);
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [sortBy, setSortBy] = useState("latest");
   const [filterPhone, setFilterPhone] = useState("");
+  const [filterStatus, setFilterStatus] = useState("");
+  const [filterBusiness, setFilterBusiness] = useState("");
+  const [filterAssignee, setFilterAssignee] = useState("");
+  const [team, setTeam] = useState(null);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
+  // cursors[i] is the cursor that loads page i + 1
+  const [cursors, setCursors] = useState([null]);
+  // bumped by lead cards so the follow-ups panel reloads
+  const [followUpsVersion, setFollowUpsVersion] = useState(0);
+  // unread conversation messages per lead id
+  const [unread, setUnread] = useState({});
 
   const ITEMS_PER_PAGE = 5;
 
   useEffect(() => {
     const token = localStorage.getItem("token");
     if (!token) nav("/login");
-    loadLeads();
+    if (currentUser?.role === "admin") {
+      api.get("/api/businesses").then((r) => setBusinesses(r.data)).catch(() => setBusinesses([]));
+    }
+    // Owners and managers can filter by and assign to team members
+    if (currentUser?.role === "business" && isManager) {
+      api.get("/api/business/team").then((r) => setTeam(r.data.members)).catch(() => setTeam(null));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUnread();
+    const socket = getSocket();
+    if (!socket) return;
+    socket.on("message:created", loadUnread);
+    socket.on("message:read", loadUnread);
+    return () => {
+      socket.off("message:created", loadUnread);
+      socket.off("message:read", loadUnread);
+    };
   }, []);
 
-  async function loadLeads() {
+  async function loadUnread() {
     try {
-      const res = await api.get("/api/leads");
-      setLeads(res.data);
-    } catch (err) {
-      alert("Session expired. Please login again.");
-      nav("/login");
+      const res = await api.get("/api/messages/unread");
+      setUnread(res.data.counts);
+    } catch (_) {
+      setUnread({});
     }
   }
 
+  // wait for the user to stop typing before querying the server
+  useEffect(() => {
+    const t = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(t);
+  }, [search]);
+
   // ---------------------------
-  // Search + Filter + Sort
+  // Search + Filter + Sort (server-side)
   // ---------------------------
-  const processedLeads = useMemo(() => {
-    let data = [...leads];
-
-    // SEARCH
-    if (search.trim() !== "") {
-      data = data.filter(
-        (l) =>
-          l.name.toLowerCase().includes(search.toLowerCase()) ||
-          l.message.toLowerCase().includes(search.toLowerCase())
-      );
-    }
+  const params = useMemo(() => {
+    const p = { sort: sortBy };
+    if (debouncedSearch) p.q = debouncedSearch;
+    if (filterPhone.trim()) p.phone = filterPhone.trim();
+    if (filterStatus) p.status = filterStatus;
+    if (filterBusiness) p.businessId = filterBusiness;
+    if (filterAssignee) p.assignedTo = filterAssignee;
+    if (fromDate) p.from = fromDate;
+    if (toDate) p.to = toDate;
+    return p;
+  }, [debouncedSearch, filterPhone, filterStatus, filterBusiness, filterAssignee, fromDate, toDate, sortBy]);
 
-    // FILTER by phone prefix (optional)
-    if (filterPhone.trim() !== "") {
-      data = data.filter((l) => l.phone.startsWith(filterPhone));
-    }
+  useEffect(() => {
+    loadPage(1, null);
+    loadLast7Count();
+  }, [params]);
 
-    // SORT
-    if (sortBy === "latest") {
-      data = data.sort(
-        (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
-      );
-    }
-    if (sortBy === "oldest") {
-      data = data.sort(
-        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-      );
+  // Live updates: new leads are prepended while viewing the unfiltered first page
+  const unfiltered = Object.keys(params).length === 1 && params.sort === "latest";
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    const onCreated = (lead) => {
+      if (!unfiltered) return;
+      setTotal((t) => t + 1);
+      if (currentPage === 1) setLeads((prev) => (prev.some((l) => l._id === lead._id) ? prev : [lead, ...prev]));
+    };
+    const onUpdated = (lead) => {
+      setLeads((prev) => prev.map((l) => (l._id === lead._id ? { ...l, ...lead } : l)));
+    };
+    socket.on("lead:created", onCreated);
+    socket.on("lead:updated", onUpdated);
+    return () => {
+      socket.off("lead:created", onCreated);
+      socket.off("lead:updated", onUpdated);
+    };
+  }, [unfiltered, currentPage]);
+
+  async function loadPage(page, cursor) {
+    try {
+      const res = await api.get("/api/leads", {
+        params: { ...params, limit: ITEMS_PER_PAGE, cursor: cursor || undefined },
+      });
+      setLeads(res.data.items);
+      setTotal(res.data.total);
+      setCurrentPage(page);
+      setCursors((prev) => {
+        const next = page === 1 ? [null] : prev.slice(0, page);
+        next[page] = res.data.nextCursor;
+        return next;
+      });
+    } catch (err) {
+      if (err?.response?.status === 400) return alert(err.response.data.error);
+      alert("Session expired. Please login again.");
+      nav("/login");
     }
-    if (sortBy === "name") {
-      data = data.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // simple stats: new leads in last 7 days (within the current filters)
+  async function loadLast7Count() {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const from = params.from && new Date(params.from) > weekAgo ? params.from : weekAgo.toISOString();
+    try {
+      const res = await api.get("/api/leads", { params: { ...params, from, limit: 1 } });
+      setLast7Count(res.data.total);
+    } catch (_) {
+      setLast7Count(0);
     }
+  }
+
+  function goToPage(page) {
+    if (page < 1 || (page > 1 && !cursors[page - 1])) return;
+    loadPage(page, cursors[page - 1]);
+  }
 
-    return data;
-  }, [leads, search, filterPhone, sortBy]);
+  function updateLead(updated) {
+    setLeads((prev) => prev.map((l) => (l._id === updated._id ? updated : l)));
+  }
 
   // ---------------------------
   // Pagination logic
   // ---------------------------
-  const totalPages = Math.ceil(processedLeads.length / ITEMS_PER_PAGE);
-
-  // simple stats: new leads in last 7 days
-  const last7Count = processedLeads.filter((l) => {
-    const ts = l.timestamp || l.createdAt || l.created_at;
-    if (!ts) return false;
-    const diff = Date.now() - new Date(ts).getTime();
-    return diff <= 7 * 24 * 60 * 60 * 1000;
-  }).length;
-
-  const paginatedLeads = useMemo(() => {
-    const start = (currentPage - 1) * ITEMS_PER_PAGE;
-    return processedLeads.slice(start, start + ITEMS_PER_PAGE);
-  }, [processedLeads, currentPage]);
+  const totalPages = Math.ceil(total / ITEMS_PER_PAGE);
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
         <h2 className="text-2xl font-semibold">
           {currentUser?.role === 'admin' && 'Dashboard — All Leads'}
-          {currentUser?.role === 'business' && 'Dashboard — Leads for your business'}
+          {isManager && 'Dashboard — Leads for your business'}
+          {currentUser?.role === 'business' && !isManager && 'Dashboard — Leads assigned to you'}
           {currentUser?.role === 'customer' && 'Your Inquiries'}
           {!currentUser && 'Dashboard'}
         </h2>
 
         <div className="mt-3 sm:mt-0 flex items-center gap-4 text-sm text-slate-600">
-          <div><span className="font-medium">Total:</span> <span className="ml-1">{leads.length}</span></div>
+          <div><span className="font-medium">Total:</span> <span className="ml-1">{total}</span></div>
           <div><span className="font-medium">New (7d):</span> <span className="ml-1">{last7Count}</span></div>
           {currentUser?.role === 'customer' && <div className="text-slate-500">(submitted by you)</div>}
-          {currentUser?.role === 'business' && <div className="text-slate-500">(for your business)</div>}
+          {isManager && <div className="text-slate-500">(for your business)</div>}
+          {(isManager || currentUser?.role === 'admin') && <Link to="/analytics" className="text-blue-600">Analytics</Link>}
+          {currentUser?.role === 'business' && !isManager && <div className="text-slate-500">(assigned to you)</div>}
+          {currentUser && <ExportLeads params={params} role={currentUser.role} />}
         </div>
       </div>
 
+      {currentUser && currentUser.role !== "customer" && <FollowUpsDue version={followUpsVersion} />}
+
       <div className="mb-6">
         <SearchFilterBar
           search={search}
           setSearch={setSearch}
           filterPhone={filterPhone}
           setFilterPhone={setFilterPhone}
+          filterStatus={filterStatus}
+          setFilterStatus={setFilterStatus}
+          fromDate={fromDate}
+          setFromDate={setFromDate}
+          toDate={toDate}
+          setToDate={setToDate}
+          businesses={currentUser?.role === "admin" ? businesses : null}
+          filterBusiness={filterBusiness}
+          setFilterBusiness={setFilterBusiness}
+          team={team}
+          filterAssignee={filterAssignee}
+          setFilterAssignee={setFilterAssignee}
           sortBy={sortBy}
           setSortBy={setSortBy}
         />
       </div>
 
       <div className="space-y-4">
-        {paginatedLeads.length === 0 && currentUser?.role === 'customer' ? (
+        {leads.length === 0 && currentUser?.role === 'customer' ? (
           <div className="card border border-amber-100 bg-amber-50">
             <div className="font-semibold mb-2">You haven't submitted any inquiries yet.</div>
             <div className="mb-3 text-sm text-slate-700">Start by sending an inquiry to a business.</div>
@@ -129,8 +221,8 @@ export default function Dashboard() {
             </Link>
           </div>
         ) : (
-          paginatedLeads.map((l) => (
-            <LeadCard key={l._id} lead={l} />
+          leads.map((l) => (
+            <LeadCard key={l._id} lead={l} team={team} unread={unread[l._id] || 0} onThreadRead={(id) => setUnread((u) => ({ ...u, [id]: 0 }))} onUpdated={updateLead} onFollowUpsChanged={() => setFollowUpsVersion((v) => v + 1)} />
           ))
         )}
       </div>
@@ -138,8 +230,9 @@ export default function Dashboard() {
       <div className="mt-6">
         <Pagination
           currentPage={currentPage}
-          setCurrentPage={setCurrentPage}
           totalPages={totalPages}
+          hasNext={!!cursors[currentPage]}
+          onPageChange={goToPage}
         />
       </div>
     </div>
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { api } from "../api";
+
+// Column keys understood by GET /api/leads/export (see backend/leads/export.js)
+const COLUMNS = [
+  ["createdAt", "Received"],
+  ["name", "Name"],
+  ["email", "Email"],
+  ["phone", "Phone"],
+  ["message", "Message"],
+  ["business", "Business"],
+  ["products", "Products"],
+  ["status", "Status"],
+  ["source", "Source"],
+  ["assignedTo", "Assigned to", true],
+  ["assignedAt", "Assigned at", true],
+  ["id", "Lead ID"],
+];
+const DEFAULT_COLUMNS = ["createdAt", "name", "email", "phone", "message", "business", "products", "status", "source", "assignedTo"];
+
+// Download the leads matching the dashboard's current filters as CSV or Excel
+export default function ExportLeads({ params, role }) {
+  const available = COLUMNS.filter(([, , internal]) => !internal || role !== "customer");
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS.filter((k) => available.some(([key]) => key === k)));
+  const [busy, setBusy] = useState(false);
+
+  function toggle(key) {
+    setColumns((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  }
+
+  async function download() {
+    try {
+      setBusy(true);
+      const res = await api.get("/api/leads/export", {
+        params: { ...params, format, columns: available.map(([key]) => key).filter((k) => columns.includes(k)).join(",") },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(res.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setOpen(false);
+    } catch (err) {
+      // error bodies arrive as a Blob because of responseType
+      let data = null;
+      try { data = JSON.parse(await err?.response?.data?.text()); } catch (_) {}
+      const details = data?.details;
+      alert("Export failed: " + (details ? Object.values(details).join("; ") : (data?.error || err.message)));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => setOpen((o) => !o)} className="nav-link">Export</button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-64 bg-white p-4 rounded-lg shadow-lg border text-sm text-slate-700">
+          <div className="font-medium mb-2">Export leads matching the current filters</div>
+          <div className="flex gap-3 mb-2">
+            <label className="flex items-center gap-1"><input type="radio" checked={format === "csv"} onChange={() => setFormat("csv")} /> CSV</label>
+            <label className="flex items-center gap-1"><input type="radio" checked={format === "xlsx"} onChange={() => setFormat("xlsx")} /> Excel</label>
+          </div>
+          <div className="grid grid-cols-2 gap-1 mb-3">
+            {available.map(([key, label]) => (
+              <label key={key} className="flex items-center gap-1">
+                <input type="checkbox" checked={columns.includes(key)} onChange={() => toggle(key)} /> {label}
+              </label>
+            ))}
+          </div>
+          <button type="button" disabled={busy || !columns.length} onClick={download} className="px-3 py-1.5 bg-blue-600 text-white rounded-md">
+            {busy ? "Preparing…" : "Download"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useEffect, useState } from "react";
+import { api } from "../api";
+
+// "Due today / overdue" follow-ups shown above the leads on the dashboard.
+// `version` changes whenever a lead card adds or edits a follow-up.
+export default function FollowUpsDue({ version }) {
+  const [followUps, setFollowUps] = useState([]);
+
+  useEffect(() => {
+    load();
+  }, [version]);
+
+  async function load() {
+    try {
+      const endOfToday = new Date();
+      endOfToday.setHours(23, 59, 59, 999);
+      const res = await api.get("/api/followups/due", { params: { before: endOfToday.toISOString() } });
+      setFollowUps(res.data.followUps);
+    } catch (_) {
+      setFollowUps([]);
+    }
+  }
+
+  async function markDone(f) {
+    try {
+      await api.patch(`/api/followups/${f._id}`, { done: true });
+      setFollowUps((prev) => prev.filter((x) => x._id !== f._id));
+    } catch (err) {
+      alert('Failed: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  if (followUps.length === 0) return null;
+
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const overdue = followUps.filter((f) => new Date(f.dueAt) < startOfToday);
+  const today = followUps.filter((f) => new Date(f.dueAt) >= startOfToday);
+
+  const row = (f, late) => (
+    <li key={f._id} className="py-2 flex items-center justify-between gap-3">
+      <div>
+        <span className={`text-xs mr-2 ${late ? 'text-red-600 font-medium' : 'text-slate-500'}`}>
+          {late ? new Date(f.dueAt).toLocaleDateString() : new Date(f.dueAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </span>
+        <strong>{f.lead?.name || f.lead?.email || f.lead?.phone || 'Lead'}</strong>
+        {f.lead?.phone && <span className="text-slate-500"> · {f.lead.phone}</span>}
+        {f.note && <span className="text-slate-700"> — {f.note}</span>}
+        {f.createdByEmail && <span className="text-xs text-slate-400"> · {f.createdByEmail}</span>}
+      </div>
+      <button onClick={() => markDone(f)} className="nav-link">Done</button>
+    </li>
+  );
+
+  return (
+    <div className="card border border-amber-100 bg-amber-50 mb-6">
+      <div className="font-semibold mb-1">Follow-ups</div>
+      {overdue.length > 0 && (
+        <>
+          <div className="text-xs uppercase tracking-wide text-red-600 mt-2">Overdue ({overdue.length})</div>
+          <ul className="text-sm divide-y">{overdue.map((f) => row(f, true))}</ul>
+        </>
+      )}
+      {today.length > 0 && (
+        <>
+          <div className="text-xs uppercase tracking-wide text-slate-500 mt-2">Due today ({today.length})</div>
+          <ul className="text-sm divide-y">{today.map((f) => row(f, false))}</ul>
+        </>
+      )}
+    </div>
+  );
+}
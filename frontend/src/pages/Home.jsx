@@ -1,36 +1,124 @@
 import React, { useEffect, useState } from 'react'
 import { api } from '../api'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
+import Pagination from './Pagination'
+import { businessPath } from '../links'
+import VerifiedBadge from '../components/VerifiedBadge'
+
+const PAGE_SIZE = 12
 
 function BusinessCard({b}){
   return (
     <div className="card" style={{marginBottom:12}}>
-      <h3 style={{margin:'0 0 6px 0'}}>{b.name}</h3>
+      <div style={{display:'flex', alignItems:'center', gap:10, marginBottom:6}}>
+        {b.logo && <img src={b.logo} alt="" style={{width:40, height:40, objectFit:'cover', borderRadius:6}} />}
+        <h3 style={{margin:0}}>{b.name}</h3>
+        <VerifiedBadge business={b} />
+      </div>
       <div style={{fontSize:13, color:'#555'}}>{b.category} · {b.location}</div>
       <p style={{marginTop:8}}>{b.description}</p>
-      <Link to={'/business/'+b._id}>View & Enquire</Link>
+      {b.matchedProducts?.length > 0 && (
+        <div style={{fontSize:13, color:'#555', marginBottom:8}}>Sells: {b.matchedProducts.join(', ')}</div>
+      )}
+      <Link to={businessPath(b)}>View & Enquire</Link>
+    </div>
+  )
+}
+
+function Facet({title, options, selected, onSelect}){
+  if (!options.length) return null
+  return (
+    <div style={{marginBottom:16}}>
+      <div style={{fontWeight:600, marginBottom:6}}>{title}</div>
+      {options.map(o=>{
+        const active = selected.toLowerCase() === o.value.toLowerCase()
+        return (
+          <button key={o.value} type="button" onClick={()=>onSelect(active ? '' : o.value)}
+            style={{display:'flex', justifyContent:'space-between', width:'100%', padding:'4px 8px', marginBottom:2, border:0, borderRadius:4, cursor:'pointer', textAlign:'left', background: active ? '#dbeafe' : 'transparent', fontWeight: active ? 600 : 400}}>
+            <span>{o.value}</span><span style={{color:'#777'}}>{o.count}</span>
+          </button>
+        )
+      })}
     </div>
   )
 }
 
 export default function Home(){
-  const [businesses, setBusinesses] = useState([])
+  // The URL holds the search so results can be bookmarked and shared
+  const [params, setParams] = useSearchParams()
+  const q = params.get('q') || ''
+  const category = params.get('category') || ''
+  const location = params.get('location') || ''
+  const sort = params.get('sort') || ''
+  const page = Math.max(parseInt(params.get('page')) || 1, 1)
+
+  const [text, setText] = useState(q)
+  const [result, setResult] = useState({ items: [], total: 0, pages: 0, facets: { categories: [], locations: [] } })
   const [loading, setLoading] = useState(true)
 
+  useEffect(()=>{ setText(q) }, [q])
+
   useEffect(()=>{
-    api.get('/api/businesses').then(r=>{
-      setBusinesses(r.data)
+    setLoading(true)
+    api.get('/api/businesses/search', { params: { q, category, location, sort: sort || undefined, page, limit: PAGE_SIZE } }).then(r=>{
+      setResult(r.data)
     }).catch(console.error).finally(()=>setLoading(false))
-  },[])
+  },[q, category, location, sort, page])
+
+  // Any change other than paging starts again from page 1
+  function update(changes){
+    const next = new URLSearchParams(params)
+    for (const [key, value] of Object.entries(changes)){
+      if (value) next.set(key, value)
+      else next.delete(key)
+    }
+    if (!('page' in changes)) next.delete('page')
+    setParams(next)
+  }
+
+  function search(e){
+    e.preventDefault()
+    update({ q: text.trim() })
+  }
+
+  const filtered = q || category || location
 
   return (
     <div>
       <h1>Find Suppliers & Services</h1>
-      {loading ? <div>Loading...</div> : (
-        <div>
-          {businesses.map(b=> <BusinessCard key={b._id} b={b} />)}
+      <form onSubmit={search} style={{display:'flex', gap:8, marginBottom:16}}>
+        <input value={text} onChange={e=>setText(e.target.value)} placeholder="Search businesses or products, e.g. steel pipes" style={{flex:1, padding:'8px 10px', border:'1px solid #ccc', borderRadius:6}} />
+        <button type="submit" className="btn-primary">Search</button>
+      </form>
+
+      <div style={{display:'flex', gap:24, alignItems:'flex-start', flexWrap:'wrap'}}>
+        <aside style={{width:220}}>
+          <Facet title="Category" options={result.facets.categories} selected={category} onSelect={v=>update({ category: v })} />
+          <Facet title="Location" options={result.facets.locations} selected={location} onSelect={v=>update({ location: v })} />
+        </aside>
+
+        <div style={{flex:1, minWidth:280}}>
+          <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:12, fontSize:14, color:'#555'}}>
+            <span>
+              {loading ? 'Searching...' : `${result.total} ${result.total === 1 ? 'business' : 'businesses'}`}
+              {filtered && <button type="button" onClick={()=>setParams({})} style={{marginLeft:10, border:0, background:'none', color:'#2563eb', cursor:'pointer'}}>Clear search</button>}
+            </span>
+            <select value={sort && (q || sort !== 'relevance') ? sort : (q ? 'relevance' : 'newest')} onChange={e=>update({ sort: e.target.value })}>
+              {q && <option value="relevance">Best match</option>}
+              <option value="newest">Newest</option>
+              <option value="name">Name</option>
+            </select>
+          </div>
+
+          {!loading && result.items.length === 0 && <div>No businesses match your search.</div>}
+          {result.items.map(b=> <BusinessCard key={b._id} b={b} />)}
+          {!loading && result.rankedByRelevance < result.total && page * PAGE_SIZE > result.rankedByRelevance && (
+            <div style={{fontSize:13, color:'#666', marginTop:8}}>Best match ranks the first {result.rankedByRelevance} results; the rest are listed verified first, then newest.</div>
+          )}
+
+          <Pagination currentPage={page} totalPages={result.pages} hasNext={page < result.pages} onPageChange={p=>update({ page: p > 1 ? String(p) : '' })} />
         </div>
-      )}
+      </div>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { api } from '../api'
+import { Link } from 'react-router-dom'
+
+const FIELDS = [['name', 'Name *'], ['sku', 'SKU'], ['price', 'Price'], ['quantity', 'Quantity'], ['description', 'Description']]
+const ACTION_STYLES = { create: 'bg-green-100 text-green-800', update: 'bg-blue-100 text-blue-800', error: 'bg-red-100 text-red-800' }
+
+function failed(prefix, err){
+  const details = err?.response?.data?.details
+  alert(prefix+': '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+}
+
+function ErrorList({ rows }){
+  if (!rows.length) return null
+  return (
+    <ul className="text-sm text-red-700 space-y-1 max-h-64 overflow-y-auto">
+      {rows.map(r=> <li key={r.line}>Row {r.line}: {Object.values(r.messages || {}).join('; ')}</li>)}
+    </ul>
+  )
+}
+
+export default function ImportProducts(){
+  const [file, setFile] = useState(null)
+  const [uploading, setUploading] = useState(false)
+  const [job, setJob] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [history, setHistory] = useState([])
+  const fileInputRef = useRef(null)
+
+  useEffect(()=>{ loadHistory() }, [])
+
+  // Poll a running import until the worker is done with it
+  useEffect(()=>{
+    if (!job || !['queued', 'running'].includes(job.status)) return
+    const t = setTimeout(async ()=>{
+      try{
+        const res = await api.get('/api/business/product-imports/'+job._id)
+        setJob(res.data.import)
+        if (!['queued', 'running'].includes(res.data.import.status)) loadHistory()
+      }catch(err){ failed('Failed to load progress', err) }
+    }, 1000)
+    return ()=>clearTimeout(t)
+  }, [job])
+
+  async function loadHistory(){
+    try{
+      const res = await api.get('/api/business/product-imports')
+      setHistory(res.data.imports)
+    }catch(err){ console.error('Failed to load imports', err) }
+  }
+
+  async function upload(e){
+    e.preventDefault()
+    if (!file) return alert('Choose a CSV or Excel file first')
+    try{
+      setUploading(true)
+      const fd = new FormData()
+      fd.append('file', file)
+      const res = await api.post('/api/business/product-imports', fd, { headers: { 'Content-Type': 'multipart/form-data' } })
+      setJob(res.data.import)
+      setPreview(res.data.preview)
+    }catch(err){ failed('Upload failed', err) }
+    finally{ setUploading(false) }
+  }
+
+  async function changeMapping(field, value){
+    const mapping = { ...job.mapping, [field]: value === '' ? null : Number(value) }
+    setJob({ ...job, mapping })
+    if (mapping.name === null) return setPreview(null)
+    try{
+      const res = await api.put('/api/business/product-imports/'+job._id, { mapping })
+      setJob(res.data.import)
+      setPreview(res.data.preview)
+    }catch(err){ failed('Mapping not saved', err) }
+  }
+
+  async function start(){
+    try{
+      const res = await api.post(`/api/business/product-imports/${job._id}/start`)
+      setJob(res.data.import)
+      setPreview(null)
+    }catch(err){ failed('Import failed to start', err) }
+  }
+
+  async function discard(){
+    try{
+      await api.delete('/api/business/product-imports/'+job._id)
+    }catch(err){ failed('Discard failed', err) }
+    reset()
+  }
+
+  function reset(){
+    setJob(null)
+    setPreview(null)
+    setFile(null)
+    if (fileInputRef.current) fileInputRef.current.value = ''
+    loadHistory()
+  }
+
+  const running = job && ['queued', 'running'].includes(job.status)
+  const done = job && ['completed', 'failed'].includes(job.status)
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-semibold">Import Products</h2>
+        <Link to="/business/products" className="nav-link">Back to products</Link>
+      </div>
+      <p className="text-sm text-slate-600 mb-4">
+        Upload a CSV or Excel (.xlsx) file with a header row, up to 5000 products. Rows whose SKU is already in your
+        catalogue update that product (empty cells keep the current value); other rows are added as new products.
+      </p>
+
+      {!job && (
+        <form onSubmit={upload} className="bg-white p-6 rounded-lg shadow-sm flex flex-col sm:flex-row sm:items-center gap-3">
+          <input ref={fileInputRef} type="file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" onChange={e=>setFile(e.target.files[0] || null)} />
+          <button disabled={uploading || !file} className="px-4 py-2 bg-blue-600 text-white rounded-md">{uploading ? 'Reading…' : 'Upload and preview'}</button>
+        </form>
+      )}
+
+      {job?.status === 'preview' && (
+        <div className="space-y-4">
+          <div className="bg-white p-6 rounded-lg shadow-sm">
+            <div className="font-medium mb-2">Columns in {job.filename}</div>
+            <div className="grid sm:grid-cols-5 gap-3">
+              {FIELDS.map(([field, label])=> (
+                <label key={field} className="text-sm">
+                  <span className="block font-medium">{label}</span>
+                  <select value={job.mapping?.[field] ?? ''} onChange={e=>changeMapping(field, e.target.value)} className="mt-1 block w-full border rounded-md px-2 py-1">
+                    <option value="">Not imported</option>
+                    {job.header.map((h, i)=> <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {!preview ? (
+            <div className="card">Choose the column that holds the product name.</div>
+          ) : (
+            <div className="bg-white p-6 rounded-lg shadow-sm">
+              <div className="font-medium mb-2">
+                Dry run: {preview.summary.total} rows · {preview.summary.create} new · {preview.summary.update} updates · {preview.summary.error} with errors
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-600">
+                      <th className="pr-3">Row</th><th className="pr-3">Action</th><th className="pr-3">Name</th><th className="pr-3">SKU</th><th className="pr-3">Price</th><th className="pr-3">Qty</th><th>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map(r=> (
+                      <tr key={r.line} className="border-t">
+                        <td className="pr-3">{r.line}</td>
+                        <td className="pr-3"><span className={`px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[r.action]}`}>{r.action}</span></td>
+                        <td className="pr-3">{r.fields.name}</td>
+                        <td className="pr-3">{r.fields.sku}</td>
+                        <td className="pr-3">{r.fields.price}</td>
+                        <td className="pr-3">{r.fields.quantity}</td>
+                        <td className="text-red-700">{r.messages ? Object.values(r.messages).join('; ') : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {preview.summary.total > preview.rows.length && <div className="text-xs text-slate-500 mt-1">Showing the first {preview.rows.length} rows.</div>}
+              {preview.errors.length > 0 && (
+                <div className="mt-4">
+                  <div className="font-medium text-sm mb-1">Rows that will be skipped</div>
+                  <ErrorList rows={preview.errors} />
+                </div>
+              )}
+              <div className="mt-4 flex gap-2">
+                <button onClick={start} disabled={!preview.summary.create && !preview.summary.update} className="px-4 py-2 bg-blue-600 text-white rounded-md">
+                  Import {preview.summary.create + preview.summary.update} products
+                </button>
+                <button onClick={discard} className="btn-logout">Discard</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {(running || done) && (
+        <div className="bg-white p-6 rounded-lg shadow-sm">
+          <div className="font-medium mb-2">
+            {running && (job.status === 'queued' ? 'Waiting to start…' : `Importing… ${job.processed} of ${job.total} rows`)}
+            {job.status === 'completed' && 'Import finished'}
+            {job.status === 'failed' && `Import stopped: ${job.error || 'unknown error'}`}
+          </div>
+          <div className="h-3 bg-slate-100 rounded mb-3"><div className="h-3 bg-blue-600 rounded" style={{width: `${job.total ? (job.processed / job.total) * 100 : 0}%`}} /></div>
+          <div className="text-sm text-slate-700 mb-2">{job.created} added · {job.updated} updated · {job.failed} skipped</div>
+          <ErrorList rows={job.rowErrors || []} />
+          {job.failed > (job.rowErrors || []).length && <div className="text-xs text-slate-500 mt-1">Only the first {(job.rowErrors || []).length} problems are listed.</div>}
+          {done && (
+            <div className="mt-4 flex gap-2">
+              <Link to="/business/products" className="btn-primary">View products</Link>
+              <button onClick={reset} className="nav-link">Import another file</button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div className="mt-8">
+          <div className="font-medium mb-2">Recent imports</div>
+          <div className="space-y-2">
+            {history.map(h=> (
+              <div key={h._id} className="card text-sm flex flex-col sm:flex-row sm:justify-between gap-1">
+                <div><span className="font-medium">{h.filename}</span> · {h.status} · {new Date(h.createdAt).toLocaleString()}{h.createdByEmail ? ` · ${h.createdByEmail}` : ''}</div>
+                <div className="text-slate-600">{h.status === 'preview' ? `${h.total} rows, not started` : `${h.created} added · ${h.updated} updated · ${h.failed} skipped`}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
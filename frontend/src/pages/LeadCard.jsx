@@ -1,17 +1,179 @@
 // /frontend/src/components/LeadCard.jsx
-export default function LeadCard({ lead }) {
+import { useState } from "react";
+import { api } from "../api";
+import MessageThread from "./MessageThread";
+import QuotesPanel from "./QuotesPanel";
+
+export const LEAD_STATUSES = ["new", "contacted", "qualified", "quoted", "won", "lost"];
+
+const STATUS_STYLES = {
+  new: "bg-blue-50 text-blue-700",
+  contacted: "bg-amber-50 text-amber-700",
+  qualified: "bg-indigo-50 text-indigo-700",
+  quoted: "bg-purple-50 text-purple-700",
+  won: "bg-green-50 text-green-700",
+  lost: "bg-slate-100 text-slate-500",
+};
+
+export function StatusBadge({ status }) {
+  const s = status || "new";
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium capitalize ${STATUS_STYLES[s] || STATUS_STYLES.new}`}>{s}</span>
+  );
+}
+
+export default function LeadCard({ lead, team, unread = 0, onUpdated, onFollowUpsChanged, onThreadRead }) {
   const ts = lead.timestamp || lead.createdAt || lead.created_at || Date.now();
   const dateStr = new Date(ts).toLocaleString();
   const raw = localStorage.getItem('user');
   const user = raw ? JSON.parse(raw) : null;
 
+  const [activity, setActivity] = useState(null);
+  const [showActivity, setShowActivity] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
+  const [showThread, setShowThread] = useState(false);
+  const [showQuotes, setShowQuotes] = useState(false);
+  const [notes, setNotes] = useState(null);
+  const [followUps, setFollowUps] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [followUpForm, setFollowUpForm] = useState({ dueAt: '', note: '' });
+
   const businessDisplay = lead.businessName || lead.businessId || '—';
+  const canManage = user?.role === 'admin' || (user?.role === 'business' && String(user.businessId) === String(lead.businessId));
+  const assignee = lead.assignedTo
+    ? (team || []).find((m) => String(m._id) === String(lead.assignedTo))
+    : null;
+  const assigneeLabel = !lead.assignedTo ? 'Unassigned'
+    : assignee ? (assignee.name || assignee.email)
+    : user?.businessRole === 'agent' ? 'You' : 'A team member';
+
+  async function loadActivity() {
+    try {
+      const res = await api.get(`/api/leads/${lead._id}/activity`);
+      setActivity(res.data.activity || []);
+    } catch (err) {
+      alert('Failed to load activity: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function toggleActivity() {
+    const next = !showActivity;
+    setShowActivity(next);
+    if (next) await loadActivity();
+  }
+
+  // Internal notes and follow-ups; never shown to the customer
+  async function loadNotes() {
+    try {
+      const [n, f] = await Promise.all([
+        api.get(`/api/leads/${lead._id}/notes`),
+        api.get(`/api/leads/${lead._id}/followups`),
+      ]);
+      setNotes(n.data.notes);
+      setFollowUps(f.data.followUps);
+    } catch (err) {
+      alert('Failed to load notes: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function toggleNotes() {
+    const next = !showNotes;
+    setShowNotes(next);
+    if (next) await loadNotes();
+  }
+
+  async function addNote(e) {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+    try {
+      const res = await api.post(`/api/leads/${lead._id}/notes`, { body: noteText });
+      setNotes([res.data.note, ...(notes || [])]);
+      setNoteText('');
+    } catch (err) {
+      const details = err?.response?.data?.details;
+      alert('Failed: ' + (details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)));
+    }
+  }
+
+  async function deleteNote(n) {
+    if (!confirm('Delete this note?')) return;
+    try {
+      await api.delete(`/api/leads/${lead._id}/notes/${n._id}`);
+      setNotes(notes.filter((x) => x._id !== n._id));
+    } catch (err) {
+      alert('Failed: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function addFollowUp(e) {
+    e.preventDefault();
+    try {
+      const dueAt = followUpForm.dueAt ? new Date(followUpForm.dueAt).toISOString() : '';
+      const res = await api.post(`/api/leads/${lead._id}/followups`, { ...followUpForm, dueAt });
+      setFollowUps([...(followUps || []), res.data.followUp].sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt)));
+      setFollowUpForm({ dueAt: '', note: '' });
+      onFollowUpsChanged && onFollowUpsChanged();
+    } catch (err) {
+      const details = err?.response?.data?.details;
+      alert('Failed: ' + (details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)));
+    }
+  }
+
+  async function setFollowUpDone(f, done) {
+    try {
+      const res = await api.patch(`/api/followups/${f._id}`, { done });
+      setFollowUps(followUps.map((x) => (x._id === f._id ? res.data.followUp : x)));
+      onFollowUpsChanged && onFollowUpsChanged();
+    } catch (err) {
+      alert('Failed: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function assign(assigneeId) {
+    try {
+      setSaving(true);
+      const res = await api.patch(`/api/leads/${lead._id}/assign`, { assigneeId: assigneeId || null });
+      onUpdated && onUpdated({ ...lead, ...res.data.lead, businessName: lead.businessName });
+      if (showActivity) await loadActivity();
+    } catch (err) {
+      alert('Failed to assign lead: ' + (err?.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function changeStatus(status) {
+    if (status === (lead.status || 'new')) return;
+    const note = prompt(`Optional note for moving this lead to "${status}"`) || '';
+    try {
+      setSaving(true);
+      const res = await api.patch(`/api/leads/${lead._id}/status`, { status, note });
+      onUpdated && onUpdated({ ...lead, ...res.data.lead, businessName: lead.businessName });
+      if (showActivity) await loadActivity();
+    } catch (err) {
+      alert('Failed to update status: ' + (err?.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const messagesButton = (
+    <button onClick={() => setShowThread(!showThread)} className="nav-link">
+      {showThread ? 'Hide messages' : 'Messages'}
+      {unread > 0 && !showThread && <span className="ml-1 inline-block px-1.5 rounded-full text-xs bg-red-600 text-white">{unread}</span>}
+    </button>
+  );
+
+  const quotesButton = (
+    <button onClick={() => setShowQuotes(!showQuotes)} className="nav-link">{showQuotes ? 'Hide quotes' : 'Quotes'}</button>
+  );
 
   return (
     <div className="card">
       <div className="flex flex-col sm:flex-row sm:justify-between gap-4">
         <div className="flex-1">
-          <h3 className="text-lg font-medium mb-1">{lead.name || '—'}</h3>
+          <h3 className="text-lg font-medium mb-1">{lead.name || '—'} <StatusBadge status={lead.status} /></h3>
           <div className="text-sm text-slate-600">
             <span className="mr-3">📞 <strong className="text-slate-800">{lead.phone || '—'}</strong></span>
             {lead.email ? (<span className="mr-3">✉️ <strong className="text-slate-800">{lead.email}</strong></span>) : null}
@@ -28,7 +190,118 @@ export default function LeadCard({ lead }) {
         </div>
       </div>
 
+      {lead.products?.length > 0 && (
+        <div className="mt-2 text-sm text-slate-600">
+          Products: {lead.products.map((p, idx) => (
+            <span key={idx} className="inline-block mr-2 px-2 py-0.5 rounded bg-slate-100 text-slate-700">{p.quantity && p.quantity !== 1 ? `${p.quantity} × ` : ''}{p.name}</span>
+          ))}
+        </div>
+      )}
+
       <p className="mt-3 text-slate-700">{lead.message || <span className="text-slate-400">No message provided</span>}</p>
+
+      {canManage && (
+        <div className="mt-3 flex items-center gap-3 text-sm">
+          <label className="text-slate-500">Status</label>
+          <select value={lead.status || 'new'} disabled={saving} onChange={(e) => changeStatus(e.target.value)} className="border rounded-md px-2 py-1 capitalize">
+            {LEAD_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          {team ? (
+            <>
+              <label className="text-slate-500">Assignee</label>
+              <select value={lead.assignedTo || ''} disabled={saving} onChange={(e) => assign(e.target.value)} className="border rounded-md px-2 py-1">
+                <option value="">Unassigned</option>
+                {team.map((m) => <option key={m._id} value={m._id}>{m.name || m.email}</option>)}
+              </select>
+            </>
+          ) : user?.role === 'business' && (
+            <span className="text-slate-500">Assigned to <strong className="text-slate-700">{assigneeLabel}</strong></span>
+          )}
+          <button onClick={toggleActivity} className="nav-link">{showActivity ? 'Hide activity' : 'Activity'}</button>
+          <button onClick={toggleNotes} className="nav-link">{showNotes ? 'Hide notes' : 'Notes & follow-ups'}</button>
+          {messagesButton}
+          {quotesButton}
+        </div>
+      )}
+
+      {user?.role === 'customer' && (
+        <div className="mt-3 flex items-center gap-3 text-sm">
+          <StatusBadge status={lead.status} />
+          {messagesButton}
+          {quotesButton}
+        </div>
+      )}
+
+      {showQuotes && <QuotesPanel lead={lead} onLeadUpdated={(l) => onUpdated && onUpdated({ ...lead, ...l, businessName: lead.businessName })} />}
+
+      {showThread && <MessageThread leadId={lead._id} onRead={() => onThreadRead && onThreadRead(lead._id)} />}
+
+      {showNotes && (
+        <div className="mt-3 border-t pt-2 grid md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <div className="font-medium mb-1">Internal notes <span className="text-xs font-normal text-slate-400">(not visible to the customer)</span></div>
+            <form onSubmit={addNote} className="flex gap-2 mb-2">
+              <textarea rows={2} className="flex-1 border rounded-md px-2 py-1" placeholder="What was said on the call…" value={noteText} onChange={(e) => setNoteText(e.target.value)} />
+              <button className="px-3 py-1 bg-blue-600 text-white rounded-md self-start">Add</button>
+            </form>
+            {notes === null && <div>Loading…</div>}
+            {notes && notes.length === 0 && <div className="text-slate-500">No notes yet</div>}
+            <ul className="space-y-2">
+              {(notes || []).map((n) => (
+                <li key={n._id}>
+                  <div className="text-xs text-slate-400">
+                    {new Date(n.createdAt).toLocaleString()}{n.authorEmail && <> · {n.authorEmail}</>}
+                    <button onClick={() => deleteNote(n)} className="ml-2 text-slate-400 hover:text-red-600">delete</button>
+                  </div>
+                  <div className="whitespace-pre-wrap text-slate-700">{n.body}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="font-medium mb-1">Follow-ups</div>
+            <form onSubmit={addFollowUp} className="flex flex-wrap gap-2 mb-2">
+              <input type="datetime-local" className="border rounded-md px-2 py-1" value={followUpForm.dueAt} onChange={(e) => setFollowUpForm({ ...followUpForm, dueAt: e.target.value })} />
+              <input className="flex-1 border rounded-md px-2 py-1" placeholder="Reminder, e.g. call back about pricing" value={followUpForm.note} onChange={(e) => setFollowUpForm({ ...followUpForm, note: e.target.value })} />
+              <button className="px-3 py-1 bg-blue-600 text-white rounded-md">Schedule</button>
+            </form>
+            {followUps && followUps.length === 0 && <div className="text-slate-500">No follow-ups scheduled</div>}
+            <ul className="space-y-1">
+              {(followUps || []).map((f) => (
+                <li key={f._id} className={f.doneAt ? 'text-slate-400 line-through' : ''}>
+                  <label className="flex items-start gap-2">
+                    <input type="checkbox" checked={!!f.doneAt} onChange={(e) => setFollowUpDone(f, e.target.checked)} className="mt-1" />
+                    <span>
+                      <span className={!f.doneAt && new Date(f.dueAt) < new Date() ? 'text-red-600' : ''}>{new Date(f.dueAt).toLocaleString()}</span>
+                      {f.note && <> — {f.note}</>}
+                      {f.createdByEmail && <span className="text-xs text-slate-400"> · {f.createdByEmail}</span>}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {showActivity && (
+        <ul className="mt-3 border-t pt-2 space-y-1 text-sm text-slate-600">
+          {activity === null && <li>Loading…</li>}
+          {activity && activity.length === 0 && <li>No activity yet</li>}
+          {activity && activity.map((a, idx) => (
+            <li key={idx}>
+              <span className="text-xs text-slate-400 mr-2">{new Date(a.at).toLocaleString()}</span>
+              {a.type === 'created' ? 'Lead received'
+                : a.type === 'quarantined' ? 'Held by the spam filter'
+                : a.type === 'released' ? 'Released from quarantine'
+                : a.type === 'assigned' ? (a.to ? <>Assigned to <strong>{a.to}</strong>{a.from ? <> (was {a.from})</> : null}</> : <>Unassigned{a.from ? <> (was {a.from})</> : null}</>)
+                : <>Moved {a.from ? <>from <strong>{a.from}</strong> </> : null}to <strong>{a.to}</strong></>}
+              {a.actorEmail && <span className="text-slate-400"> · {a.actorEmail}</span>}
+              {a.note && <div className="ml-4 text-slate-700">“{a.note}”</div>}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
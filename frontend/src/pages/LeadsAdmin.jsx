@@ -2,10 +2,14 @@ import React, { useEffect, useState } from 'react'
 import { api } from '../api'
 import LeadCard from './LeadCard'
 import { useNavigate } from 'react-router-dom'
+import { getSocket } from '../socket'
 
 export default function LeadsAdmin(){
   const [leads, setLeads] = useState([])
   const [loading, setLoading] = useState(true)
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
   const nav = useNavigate()
 
   useEffect(()=>{
@@ -16,19 +20,51 @@ export default function LeadsAdmin(){
       if (u.role !== 'admin') return nav('/unauthorized')
     } catch(_) { return nav('/login') }
 
-    api.get('/api/leads').then(r=>setLeads(r.data)).catch(err=>{
+    api.get('/api/leads', { params: { limit: 50 } }).then(r=>{
+      setLeads(r.data.items)
+      setTotal(r.data.total)
+      setNextCursor(r.data.nextCursor)
+    }).catch(err=>{
       alert('Failed to fetch leads: '+ (err?.response?.data?.error || err.message))
     }).finally(()=>setLoading(false))
   },[])
 
+  useEffect(()=>{
+    const socket = getSocket()
+    if (!socket) return
+    const onCreated = lead => {
+      setLeads(prev => prev.some(l=>l._id===lead._id) ? prev : [lead, ...prev])
+      setTotal(t=>t+1)
+    }
+    const onUpdated = lead => setLeads(prev=>prev.map(l=> l._id===lead._id ? { ...l, ...lead } : l))
+    socket.on('lead:created', onCreated)
+    socket.on('lead:updated', onUpdated)
+    return ()=>{
+      socket.off('lead:created', onCreated)
+      socket.off('lead:updated', onUpdated)
+    }
+  },[])
+
+  async function loadMore(){
+    try{
+      setLoadingMore(true)
+      const r = await api.get('/api/leads', { params: { limit: 50, cursor: nextCursor } })
+      setLeads(prev=>[...prev, ...r.data.items])
+      setNextCursor(r.data.nextCursor)
+    }catch(err){
+      alert('Failed to fetch leads: '+ (err?.response?.data?.error || err.message))
+    }finally{ setLoadingMore(false) }
+  }
+
   if (loading) return <div>Loading leads...</div>
 
   return (
     <div>
-      <h2>All Leads</h2>
+      <h2>All Leads <span style={{fontSize:14, color:'#666'}}>({total})</span></h2>
       <div style={{marginTop:12}}>
         {leads.length === 0 && <div>No leads yet</div>}
-        {leads.map(l=> <LeadCard key={l._id || l.id} lead={l} />)}
+        {leads.map(l=> <LeadCard key={l._id || l.id} lead={l} onUpdated={u=>setLeads(prev=>prev.map(x=>x._id===u._id ? u : x))} />)}
+        {nextCursor && <button onClick={loadMore} disabled={loadingMore}>{loadingMore ? 'Loading…' : 'Load more'}</button>}
       </div>
     </div>
   )
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+import { Link, useSearchParams } from 'react-router-dom'
+import Pagination from './Pagination'
+import { businessPath } from '../links'
+import VerifiedBadge from '../components/VerifiedBadge'
+
+const PAGE_SIZE = 24
+const SORTS = [['relevance', 'Best match'], ['newest', 'Newest'], ['price_asc', 'Price: low to high'], ['price_desc', 'Price: high to low']]
+
+function ProductCard({p, business}){
+  return (
+    <div className="card" style={{padding:12}}>
+      {p.images && p.images.length > 0 ? (
+        <img src={p.images[0]} alt={p.name} style={{width:'100%', height:120, objectFit:'cover', borderRadius:6}} />
+      ) : null}
+      <div style={{marginTop:8, fontWeight:600}}>{p.name}</div>
+      <div style={{fontSize:13, color:'#555'}}>{p.sku ? `SKU: ${p.sku}` : ''}</div>
+      {p.description && <div style={{marginTop:6, fontSize:14}}>{p.description}</div>}
+      <div style={{marginTop:8, display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+        <div>
+          <div style={{fontWeight:700}}>{typeof p.price === 'number' ? `₹${p.price}` : ''}</div>
+          <div style={{fontSize:12, color: p.quantity > 0 ? '#15803d' : '#b91c1c'}}>{p.quantity > 0 ? 'In stock' : 'Out of stock'}</div>
+        </div>
+        <Link to={`${businessPath(business)}?enquire=${p._id}#inquiry`} className="btn-primary">Enquire</Link>
+      </div>
+    </div>
+  )
+}
+
+export default function Marketplace(){
+  // Filters live in the URL so a search can be bookmarked and shared
+  const [params, setParams] = useSearchParams()
+  const q = params.get('q') || ''
+  const category = params.get('category') || ''
+  const minPrice = params.get('minPrice') || ''
+  const maxPrice = params.get('maxPrice') || ''
+  const inStock = params.get('inStock') === '1'
+  const sort = params.get('sort') || ''
+  const page = Math.max(parseInt(params.get('page')) || 1, 1)
+
+  const [draft, setDraft] = useState({ q, minPrice, maxPrice })
+  const [result, setResult] = useState({ groups: [], total: 0, pages: 0, facets: { categories: [] }, priceRange: null })
+  const [loading, setLoading] = useState(true)
+
+  useEffect(()=>{ setDraft({ q, minPrice, maxPrice }) }, [q, minPrice, maxPrice])
+
+  useEffect(()=>{
+    setLoading(true)
+    api.get('/api/products/search', { params: { q, category, minPrice, maxPrice, inStock: inStock ? 1 : undefined, sort: sort || undefined, page, limit: PAGE_SIZE } }).then(r=>{
+      setResult(r.data)
+    }).catch(err=>{
+      const details = err?.response?.data?.details
+      alert('Search failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)))
+    }).finally(()=>setLoading(false))
+  },[q, category, minPrice, maxPrice, inStock, sort, page])
+
+  // Any change other than paging starts again from page 1
+  function update(changes){
+    const next = new URLSearchParams(params)
+    for (const [key, value] of Object.entries(changes)){
+      if (value) next.set(key, value)
+      else next.delete(key)
+    }
+    if (!('page' in changes)) next.delete('page')
+    setParams(next)
+  }
+
+  function search(e){
+    e.preventDefault()
+    update({ q: draft.q.trim(), minPrice: draft.minPrice, maxPrice: draft.maxPrice })
+  }
+
+  const sortValue = sort && (q || sort !== 'relevance') ? sort : (q ? 'relevance' : 'newest')
+
+  return (
+    <div>
+      <h1>Browse Products</h1>
+      <form onSubmit={search} style={{display:'flex', gap:8, flexWrap:'wrap', marginBottom:12}}>
+        <input value={draft.q} onChange={e=>setDraft({...draft, q:e.target.value})} placeholder="Search products, e.g. PVC pipe" style={{flex:1, minWidth:220, padding:'8px 10px', border:'1px solid #ccc', borderRadius:6}} />
+        <input type="number" min="0" step="any" value={draft.minPrice} onChange={e=>setDraft({...draft, minPrice:e.target.value})} placeholder="Min ₹" style={{width:100, padding:8, border:'1px solid #ccc', borderRadius:6}} />
+        <input type="number" min="0" step="any" value={draft.maxPrice} onChange={e=>setDraft({...draft, maxPrice:e.target.value})} placeholder="Max ₹" style={{width:100, padding:8, border:'1px solid #ccc', borderRadius:6}} />
+        <button type="submit" className="btn-primary">Search</button>
+      </form>
+
+      <div style={{display:'flex', gap:16, alignItems:'center', flexWrap:'wrap', marginBottom:16, fontSize:14}}>
+        <select value={category} onChange={e=>update({ category: e.target.value })}>
+          <option value="">All categories</option>
+          {category && !result.facets.categories.some(c=>c.value.toLowerCase() === category.toLowerCase()) && <option value={category}>{category}</option>}
+          {result.facets.categories.map(c=> <option key={c.value} value={c.value}>{c.value} ({c.count})</option>)}
+        </select>
+        <label style={{display:'flex', alignItems:'center', gap:4}}>
+          <input type="checkbox" checked={inStock} onChange={e=>update({ inStock: e.target.checked ? '1' : '' })} /> In stock only
+        </label>
+        <select value={sortValue} onChange={e=>update({ sort: e.target.value })}>
+          {SORTS.filter(([key])=> key !== 'relevance' || q).map(([key, label])=> <option key={key} value={key}>{label}</option>)}
+        </select>
+        <span style={{color:'#555'}}>
+          {loading ? 'Searching...' : `${result.total} ${result.total === 1 ? 'product' : 'products'}`}
+          {!loading && result.priceRange && ` · ₹${result.priceRange.min} – ₹${result.priceRange.max}`}
+        </span>
+        {params.toString() && <button type="button" onClick={()=>setParams({})} style={{border:0, background:'none', color:'#2563eb', cursor:'pointer'}}>Clear filters</button>}
+      </div>
+
+      {!loading && result.groups.length === 0 && <div>No products match your search.</div>}
+      {result.groups.map(g=> (
+        <div key={g.business._id} style={{marginBottom:24}}>
+          <div style={{display:'flex', justifyContent:'space-between', alignItems:'baseline', marginBottom:8}}>
+            <div>
+              <Link to={businessPath(g.business)} style={{fontWeight:600, fontSize:18}}>{g.business.name}</Link>
+              <VerifiedBadge business={g.business} style={{marginLeft:8}} />
+              <span style={{fontSize:13, color:'#555', marginLeft:8}}>{g.business.category} · {g.business.location}</span>
+            </div>
+          </div>
+          <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(220px, 1fr))', gap:12}}>
+            {g.products.map(p=> <ProductCard key={p._id} p={p} business={g.business} />)}
+          </div>
+        </div>
+      ))}
+      {!loading && result.rankedByRelevance < result.total && page * PAGE_SIZE > result.rankedByRelevance && (
+        <div style={{fontSize:13, color:'#666', marginBottom:12}}>Best match ranks the first {result.rankedByRelevance} products; the rest are listed verified suppliers first, then newest.</div>
+      )}
+
+      <Pagination currentPage={page} totalPages={result.pages} hasNext={page < result.pages} onPageChange={p=>update({ page: p > 1 ? String(p) : '' })} />
+    </div>
+  )
+}
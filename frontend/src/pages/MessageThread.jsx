@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from "react";
+import { api } from "../api";
+import { getSocket } from "../socket";
+
+// Conversation between the customer and the business on one lead.
+// Opening it marks the other side's messages as read.
+export default function MessageThread({ leadId, onRead }) {
+  const [messages, setMessages] = useState(null);
+  const [side, setSide] = useState(null);
+  const [canReply, setCanReply] = useState(false);
+  const [text, setText] = useState("");
+  const [sending, setSending] = useState(false);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    load();
+  }, [leadId]);
+
+  // Live: new messages on this lead, and read receipts for ours
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+    const onCreated = (m) => {
+      if (String(m.leadId) !== String(leadId)) return;
+      // reloading marks the other side's message as read
+      if (m.senderSide !== side) return load();
+      setMessages((prev) => (prev && !prev.some((x) => x._id === m._id) ? [...prev, m] : prev));
+    };
+    const onRead = (e) => {
+      if (String(e.leadId) !== String(leadId) || e.side !== side) return;
+      setMessages((prev) => prev && prev.map((m) => (m.senderSide === e.side && !m.readAt ? { ...m, readAt: e.readAt } : m)));
+    };
+    socket.on("message:created", onCreated);
+    socket.on("message:read", onRead);
+    return () => {
+      socket.off("message:created", onCreated);
+      socket.off("message:read", onRead);
+    };
+  }, [leadId, side]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: "nearest" });
+  }, [messages]);
+
+  async function load() {
+    try {
+      const res = await api.get(`/api/leads/${leadId}/messages`);
+      setMessages(res.data.messages);
+      setSide(res.data.side);
+      setCanReply(res.data.canReply);
+      onRead && onRead();
+    } catch (err) {
+      alert('Failed to load messages: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  async function send(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    try {
+      setSending(true);
+      const res = await api.post(`/api/leads/${leadId}/messages`, { body: text });
+      setMessages((prev) => (prev.some((x) => x._id === res.data.message._id) ? prev : [...prev, res.data.message]));
+      setText("");
+    } catch (err) {
+      const details = err?.response?.data?.details;
+      alert('Failed: ' + (details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)));
+    } finally {
+      setSending(false);
+    }
+  }
+
+  if (messages === null) return <div className="mt-3 border-t pt-2 text-sm">Loading…</div>;
+
+  return (
+    <div className="mt-3 border-t pt-2 text-sm">
+      <div className="max-h-72 overflow-y-auto space-y-2 pr-1">
+        {messages.length === 0 && <div className="text-slate-500">No messages yet{canReply ? ' — start the conversation below.' : '.'}</div>}
+        {messages.map((m) => {
+          const mine = m.senderSide === side;
+          return (
+            <div key={m._id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[80%] rounded-lg px-3 py-2 ${mine ? 'bg-blue-50' : 'bg-slate-100'}`}>
+                <div className="text-xs text-slate-500 mb-0.5">{m.senderName || (m.senderSide === 'business' ? 'Business' : 'Customer')}</div>
+                <div className="whitespace-pre-wrap text-slate-800">{m.body}</div>
+                <div className="text-xs text-slate-400 mt-0.5 text-right">
+                  {new Date(m.createdAt).toLocaleString()}
+                  {mine && <> · {m.readAt ? `Seen ${new Date(m.readAt).toLocaleString()}` : 'Sent'}</>}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+        <div ref={bottomRef} />
+      </div>
+      {canReply && (
+        <form onSubmit={send} className="mt-2 flex gap-2">
+          <textarea rows={2} className="flex-1 border rounded-md px-2 py-1" placeholder="Write a message…" value={text} onChange={(e) => setText(e.target.value)} />
+          <button disabled={sending} className="px-3 py-1 bg-blue-600 text-white rounded-md self-start">{sending ? 'Sending…' : 'Send'}</button>
+        </form>
+      )}
+    </div>
+  );
+}
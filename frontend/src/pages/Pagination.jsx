@@ -1,11 +1,11 @@
-export default function Pagination({ currentPage, setCurrentPage, totalPages }) {
+export default function Pagination({ currentPage, totalPages, hasNext, onPageChange }) {
   if (totalPages === 0) return null;
 
   return (
     <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
       <button
         disabled={currentPage === 1}
-        onClick={() => setCurrentPage((p) => p - 1)}
+        onClick={() => onPageChange(currentPage - 1)}
       >
         Prev
       </button>
@@ -15,11 +15,11 @@ export default function Pagination({ currentPage, setCurrentPage, totalPages })
       </span>
 
       <button
-        disabled={currentPage === totalPages}
-        onClick={() => setCurrentPage((p) => p + 1)}
+        disabled={!hasNext || currentPage === totalPages}
+        onClick={() => onPageChange(currentPage + 1)}
       >
         Next
       </button>
     </div>
   );
-}
\ No newline at end of file
+}
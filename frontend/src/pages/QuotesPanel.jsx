@@ -0,0 +1,229 @@
+import { useEffect, useState } from "react";
+import { api } from "../api";
+
+const QUOTE_STYLES = {
+  draft: "bg-slate-100 text-slate-600",
+  sent: "bg-blue-50 text-blue-700",
+  accepted: "bg-green-50 text-green-700",
+  rejected: "bg-red-50 text-red-700",
+};
+
+const emptyRow = () => ({ productId: "", name: "", quantity: 1, unitPrice: "", discountPercent: 0, taxPercent: 0 });
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+const money = (n) => "₹" + Number(n || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Same maths as backend/quotes/pricing.js, for the live preview
+function lineTotal(row) {
+  const gross = Number(row.quantity || 0) * Number(row.unitPrice || 0);
+  const afterDiscount = gross * (1 - Number(row.discountPercent || 0) / 100);
+  return afterDiscount * (1 + Number(row.taxPercent || 0) / 100);
+}
+
+function failed(err) {
+  const details = err?.response?.data?.details;
+  alert('Failed: ' + (details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)));
+}
+
+function QuoteEditor({ lead, quote, onSaved, onCancel }) {
+  const [products, setProducts] = useState([]);
+  const [rows, setRows] = useState(() => quote ? quote.items.map((i) => ({ ...i, productId: i.productId || "" })) : [emptyRow()]);
+  const [validUntil, setValidUntil] = useState(quote?.validUntil ? quote.validUntil.slice(0, 10) : inDays(30));
+  const [notes, setNotes] = useState(quote?.notes || "");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get("/api/business/products")
+      .then((res) => setProducts(res.data.filter((p) => String(p.businessId) === String(lead.businessId))))
+      .catch(() => setProducts([]));
+  }, [lead.businessId]);
+
+  function update(idx, patch) {
+    setRows(rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  }
+
+  function pickProduct(idx, productId) {
+    const p = products.find((x) => x._id === productId);
+    update(idx, { productId, name: p ? p.name : "", unitPrice: p && typeof p.price === "number" ? p.price : "" });
+  }
+
+  async function save(send) {
+    const body = {
+      items: rows.map((r) => ({ ...r, productId: r.productId || undefined })),
+      validUntil: new Date(validUntil + "T23:59:59").toISOString(),
+      notes,
+    };
+    try {
+      setSaving(true);
+      let res = quote
+        ? await api.put(`/api/quotes/${quote._id}`, body)
+        : await api.post(`/api/leads/${lead._id}/quotes`, body);
+      if (send) res = await api.post(`/api/quotes/${res.data.quote._id}/send`);
+      onSaved(res.data.quote, res.data.lead);
+    } catch (err) {
+      failed(err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const total = rows.reduce((acc, r) => acc + lineTotal(r), 0);
+
+  return (
+    <div className="border rounded-md p-3 space-y-2">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="pb-1">Item</th><th className="pb-1 w-16">Qty</th><th className="pb-1 w-24">Unit price</th>
+            <th className="pb-1 w-16">Disc. %</th><th className="pb-1 w-16">Tax %</th><th className="pb-1 w-24 text-right">Amount</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, idx) => (
+            <tr key={idx}>
+              <td className="pr-1 py-0.5">
+                <select value={r.productId} onChange={(e) => pickProduct(idx, e.target.value)} className="border rounded-md px-1 py-1 w-full">
+                  <option value="">Custom item…</option>
+                  {products.map((p) => <option key={p._id} value={p._id}>{p.name}{p.sku ? ` (${p.sku})` : ''}</option>)}
+                </select>
+                {!r.productId && <input className="mt-1 border rounded-md px-1 py-1 w-full" placeholder="Description" value={r.name} onChange={(e) => update(idx, { name: e.target.value })} />}
+              </td>
+              <td className="pr-1"><input type="number" min="0" step="any" className="border rounded-md px-1 py-1 w-full" value={r.quantity} onChange={(e) => update(idx, { quantity: e.target.value })} /></td>
+              <td className="pr-1"><input type="number" min="0" step="any" className="border rounded-md px-1 py-1 w-full" value={r.unitPrice} onChange={(e) => update(idx, { unitPrice: e.target.value })} /></td>
+              <td className="pr-1"><input type="number" min="0" max="100" step="any" className="border rounded-md px-1 py-1 w-full" value={r.discountPercent} onChange={(e) => update(idx, { discountPercent: e.target.value })} /></td>
+              <td className="pr-1"><input type="number" min="0" max="100" step="any" className="border rounded-md px-1 py-1 w-full" value={r.taxPercent} onChange={(e) => update(idx, { taxPercent: e.target.value })} /></td>
+              <td className="text-right">{money(lineTotal(r))}</td>
+              <td className="pl-1">{rows.length > 1 && <button type="button" onClick={() => setRows(rows.filter((_, i) => i !== idx))} className="text-slate-400 hover:text-red-600">✕</button>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex justify-between items-center text-sm">
+        <button type="button" onClick={() => setRows([...rows, emptyRow()])} className="nav-link">+ Add line</button>
+        <div>Total <strong>{money(total)}</strong></div>
+      </div>
+      <div className="flex flex-wrap gap-3 items-end text-sm">
+        <label>
+          <span className="block text-slate-500">Valid until</span>
+          <input type="date" className="border rounded-md px-2 py-1" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} />
+        </label>
+        <label className="flex-1">
+          <span className="block text-slate-500">Notes / terms</span>
+          <input className="border rounded-md px-2 py-1 w-full" placeholder="e.g. Delivery in 2 weeks, 50% advance" value={notes} onChange={(e) => setNotes(e.target.value)} />
+        </label>
+      </div>
+      <div className="flex gap-2">
+        <button disabled={saving} onClick={() => save(false)} className="px-3 py-1 border rounded-md">Save draft</button>
+        <button disabled={saving} onClick={() => save(true)} className="px-3 py-1 bg-blue-600 text-white rounded-md">Save &amp; send</button>
+        <button type="button" onClick={onCancel} className="nav-link">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// Quotations on one lead: the business drafts and sends them, the customer
+// downloads and accepts or rejects them
+export default function QuotesPanel({ lead, onLeadUpdated }) {
+  const [quotes, setQuotes] = useState(null);
+  const [side, setSide] = useState(null);
+  const [editing, setEditing] = useState(null); // 'new' or a draft quote
+
+  useEffect(() => {
+    load();
+  }, [lead._id]);
+
+  async function load() {
+    try {
+      const res = await api.get(`/api/leads/${lead._id}/quotes`);
+      setQuotes(res.data.quotes);
+      setSide(res.data.side);
+    } catch (err) {
+      alert('Failed to load quotes: ' + (err?.response?.data?.error || err.message));
+    }
+  }
+
+  function saved(quote, updatedLead) {
+    setQuotes((prev) => [quote, ...prev.filter((q) => q._id !== quote._id)]);
+    setEditing(null);
+    if (updatedLead) onLeadUpdated && onLeadUpdated(updatedLead);
+  }
+
+  async function openPdf(q) {
+    try {
+      const res = await api.get(`/api/quotes/${q._id}/pdf`, { responseType: "blob" });
+      window.open(URL.createObjectURL(res.data), "_blank");
+    } catch (err) {
+      alert('Failed to open PDF: ' + (err?.response?.status || err.message));
+    }
+  }
+
+  async function send(q) {
+    if (!confirm(`Send ${q.number} to ${lead.email || 'the customer'}?`)) return;
+    try {
+      const res = await api.post(`/api/quotes/${q._id}/send`);
+      saved(res.data.quote, res.data.lead);
+    } catch (err) { failed(err); }
+  }
+
+  async function remove(q) {
+    if (!confirm(`Delete draft ${q.number}?`)) return;
+    try {
+      await api.delete(`/api/quotes/${q._id}`);
+      setQuotes(quotes.filter((x) => x._id !== q._id));
+    } catch (err) { failed(err); }
+  }
+
+  async function respond(q, decision) {
+    const note = decision === 'reject'
+      ? prompt('Optional: tell the business why') || ''
+      : (confirm(`Accept ${q.number} for ${money(q.total)}?`) ? '' : null);
+    if (note === null) return;
+    try {
+      const res = await api.post(`/api/quotes/${q._id}/respond`, { decision, note });
+      saved(res.data.quote, res.data.lead);
+    } catch (err) { failed(err); }
+  }
+
+  if (quotes === null) return <div className="mt-3 border-t pt-2 text-sm">Loading…</div>;
+
+  return (
+    <div className="mt-3 border-t pt-2 text-sm space-y-2">
+      {quotes.length === 0 && !editing && <div className="text-slate-500">No quotations yet</div>}
+      {quotes.map((q) => (
+        editing && editing._id === q._id ? (
+          <QuoteEditor key={q._id} lead={lead} quote={q} onSaved={saved} onCancel={() => setEditing(null)} />
+        ) : (
+          <div key={q._id} className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <strong>{q.number}</strong>
+              <span className={`ml-2 inline-block px-2 py-0.5 rounded text-xs font-medium capitalize ${QUOTE_STYLES[q.status]}`}>{q.expired ? 'expired' : q.status}</span>
+              <span className="ml-2">{money(q.total)}</span>
+              <span className="ml-2 text-xs text-slate-500">
+                {q.items.length} item{q.items.length === 1 ? '' : 's'} · valid until {new Date(q.validUntil).toLocaleDateString()}
+              </span>
+              {q.responseNote && <div className="text-xs text-slate-600">“{q.responseNote}”</div>}
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={() => openPdf(q)} className="nav-link">PDF</button>
+              {side === 'business' && q.status === 'draft' && (
+                <>
+                  <button onClick={() => setEditing(q)} className="nav-link">Edit</button>
+                  <button onClick={() => send(q)} className="nav-link">Send</button>
+                  <button onClick={() => remove(q)} className="nav-link">Delete</button>
+                </>
+              )}
+              {side === 'customer' && q.status === 'sent' && !q.expired && (
+                <>
+                  <button onClick={() => respond(q, 'accept')} className="px-3 py-1 bg-green-600 text-white rounded-md">Accept</button>
+                  <button onClick={() => respond(q, 'reject')} className="px-3 py-1 border rounded-md">Reject</button>
+                </>
+              )}
+            </div>
+          </div>
+        )
+      ))}
+      {side === 'business' && (editing === 'new'
+        ? <QuoteEditor lead={lead} onSaved={saved} onCancel={() => setEditing(null)} />
+        : !editing && <button onClick={() => setEditing('new')} className="nav-link">+ New quotation</button>)}
+    </div>
+  );
+}
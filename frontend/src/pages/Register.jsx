@@ -1,16 +1,23 @@
 import { useState } from "react";
 import { api } from "../api";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import CategorySelect from "../components/CategorySelect";
 
 export default function Register() {
   const nav = useNavigate();
+  // Links from guest inquiry emails prefill ?role=customer&email= and carry
+  // ?inquiryToken=, which proves the email is ours so guest inquiries get linked
+  const [params] = useSearchParams();
   const [name, setName] = useState("");
-  const [email, setEmail] = useState("");
+  const [email, setEmail] = useState(params.get("email") || "");
   const [password, setPassword] = useState("");
   const [category, setCategory] = useState("");
+  const [categoryId, setCategoryId] = useState(null);
+  // Until an admin has set up categories, businesses type their own
+  const [hasCategories, setHasCategories] = useState(true);
   const [location, setLocation] = useState("");
   const [description, setDescription] = useState("");
-  const [role, setRole] = useState("business");
+  const [role, setRole] = useState(params.get("role") === "customer" ? "customer" : "business");
   const [submitting, setSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
 
@@ -23,7 +30,7 @@ export default function Register() {
     if (!email) errs.email = 'Email is required';
     if (!password) errs.password = 'Password is required';
     if (role === 'business') {
-      if (!category) errs.category = 'Category is required for businesses';
+      if (hasCategories ? !categoryId : !category) errs.category = 'Category is required for businesses';
       if (!location) errs.location = 'Location is required for businesses';
     }
     setErrors(errs);
@@ -31,11 +38,12 @@ export default function Register() {
 
     try {
       setSubmitting(true);
-      await api.post("/api/auth/register", { name, email, password, role, category, location, description });
+      const res = await api.post("/api/auth/register", { name, email, password, role, location, description, inquiryToken: params.get("inquiryToken") || undefined, ...(hasCategories ? { categoryId } : { category }) });
       if (role === "business") {
         alert("Business registered. Please login.");
         nav("/login");
       } else {
+        if (res.data.confirmationSent) alert("Account created. We emailed you a link to confirm your address; open it once you are logged in.");
         // Redirect customers to onboarding
         nav("/onboarding");
       }
@@ -81,7 +89,11 @@ export default function Register() {
           {role === "business" && (
             <div className="space-y-3">
               <div>
-                <input className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="Category (e.g. Hardware)" value={category} onChange={(e) => { setCategory(e.target.value); setErrors(s=>({ ...s, category: undefined })); }} />
+                {hasCategories ? (
+                  <CategorySelect className="mt-1 block w-full border rounded-md px-3 py-2" value={categoryId} onLoaded={(list) => setHasCategories(list.length > 0)} onChange={(id) => { setCategoryId(id); setErrors(s=>({ ...s, category: undefined })); }} />
+                ) : (
+                  <input className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="Category (e.g. Hardware)" value={category} onChange={(e) => { setCategory(e.target.value); setErrors(s=>({ ...s, category: undefined })); }} />
+                )}
                 {errors.category && <div className="text-sm text-red-600 mt-1">{errors.category}</div>}
               </div>
               <div>
@@ -1,8 +1,22 @@
+import { LEAD_STATUSES } from "./LeadCard";
+
 export default function SearchFilterBar({
   search,
   setSearch,
   filterPhone,
   setFilterPhone,
+  filterStatus,
+  setFilterStatus,
+  fromDate,
+  setFromDate,
+  toDate,
+  setToDate,
+  businesses,
+  filterBusiness,
+  setFilterBusiness,
+  team,
+  filterAssignee,
+  setFilterAssignee,
   sortBy,
   setSortBy,
 }) {
@@ -32,6 +46,58 @@ export default function SearchFilterBar({
         style={{ padding: 8, width: "160px" }}
       />
 
+      {/* FILTER STATUS */}
+      <select
+        value={filterStatus}
+        onChange={(e) => setFilterStatus(e.target.value)}
+        style={{ padding: 8, textTransform: "capitalize" }}
+      >
+        <option value="">All statuses</option>
+        {LEAD_STATUSES.map((s) => (
+          <option key={s} value={s}>{s}</option>
+        ))}
+      </select>
+
+      {/* FILTER BUSINESS (admin only) */}
+      {businesses && (
+        <select
+          value={filterBusiness}
+          onChange={(e) => setFilterBusiness(e.target.value)}
+          style={{ padding: 8, maxWidth: 200 }}
+        >
+          <option value="">All businesses</option>
+          {businesses.map((b) => (
+            <option key={b._id} value={b._id}>{b.name}</option>
+          ))}
+        </select>
+      )}
+
+      {/* FILTER ASSIGNEE (owners and managers) */}
+      {team && (
+        <select
+          value={filterAssignee}
+          onChange={(e) => setFilterAssignee(e.target.value)}
+          style={{ padding: 8, maxWidth: 200 }}
+        >
+          <option value="">Anyone</option>
+          <option value="none">Unassigned</option>
+          <option value="me">Assigned to me</option>
+          {team.map((m) => (
+            <option key={m._id} value={m._id}>{m.name || m.email}</option>
+          ))}
+        </select>
+      )}
+
+      {/* DATE RANGE */}
+      <label style={{ fontSize: 13 }}>
+        From{" "}
+        <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} style={{ padding: 6 }} />
+      </label>
+      <label style={{ fontSize: 13 }}>
+        To{" "}
+        <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} style={{ padding: 6 }} />
+      </label>
+
       {/* SORT */}
       <select
         value={sortBy}
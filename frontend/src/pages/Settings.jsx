@@ -0,0 +1,72 @@
+import React, { useState } from 'react'
+import { api } from '../api'
+
+// Email preferences: one switch per kind of email we send
+const EMAIL_OPTIONS = [
+  { key: 'newLead', label: 'New inquiries for my business', roles: ['business', 'admin'] },
+  { key: 'inquiryConfirmation', label: 'Confirmation when I send an inquiry', roles: ['business', 'customer', 'admin'] },
+  { key: 'messages', label: 'New messages on inquiries', roles: ['business', 'customer'] },
+]
+
+export default function Settings(){
+  const raw = localStorage.getItem('user')
+  const user = raw ? JSON.parse(raw) : null
+  const [prefs, setPrefs] = useState(() => {
+    const p = {}
+    for (const o of EMAIL_OPTIONS) p[o.key] = user?.emailPrefs?.[o.key] !== false
+    return p
+  })
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [resent, setResent] = useState(false)
+
+  async function resend(){
+    try{
+      await api.post('/api/auth/verify-email/resend')
+      setResent(true)
+    }catch(err){
+      alert('Failed to send: '+(err?.response?.data?.error || err.message))
+    }
+  }
+
+  async function save(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const res = await api.put('/api/auth/profile', { emailPrefs: prefs })
+      localStorage.setItem('user', JSON.stringify({ ...user, ...res.data.user }))
+      setSaved(true)
+    }catch(err){
+      alert('Failed to save: '+(err?.response?.data?.error || err.message))
+    }finally{ setSaving(false) }
+  }
+
+  const options = EMAIL_OPTIONS.filter(o => o.roles.includes(user?.role))
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 py-8">
+      <div className="bg-white p-6 rounded-lg shadow-sm">
+        <h2 className="text-xl font-semibold mb-4">Settings</h2>
+        {user?.role === 'customer' && user.emailVerified === false && (
+          <div className="mb-4 text-sm">
+            Your email is not confirmed yet, so inquiries you sent as a guest don't show up in your account.{' '}
+            {resent ? <span className="text-green-700">Check your inbox.</span> : <button type="button" onClick={resend} className="nav-link">Send a new link</button>}
+          </div>
+        )}
+        <form onSubmit={save} className="space-y-3">
+          <div className="text-sm font-medium text-slate-700">Email notifications</div>
+          {options.map(o => (
+            <label key={o.key} className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={prefs[o.key]} onChange={e=>{ setPrefs({ ...prefs, [o.key]: e.target.checked }); setSaved(false) }} />
+              {o.label}
+            </label>
+          ))}
+          <div className="pt-2 flex items-center gap-3">
+            <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Saving…' : 'Save'}</button>
+            {saved && <span className="text-sm text-green-700">Saved</span>}
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
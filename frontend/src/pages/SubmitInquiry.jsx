@@ -46,7 +46,8 @@ export default function SubmitInquiry(){
       alert('Inquiry sent')
       nav('/dashboard')
     }catch(err){
-      alert('Failed: '+(err?.response?.data?.error || err.message))
+      const details = err?.response?.data?.details
+      alert('Failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error || err.message)))
     }finally{ setSubmitting(false) }
   }
 
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+const MODE_LABELS = {
+  manual: 'Manual — a manager assigns each lead',
+  round_robin: 'Round-robin — agents take turns',
+  workload: 'Workload — agent with the fewest open leads',
+}
+
+export default function Team(){
+  const raw = localStorage.getItem('user')
+  const currentUser = raw ? JSON.parse(raw) : null
+  const isOwner = (currentUser?.businessRole || 'owner') === 'owner'
+
+  const [members, setMembers] = useState([])
+  const [mode, setMode] = useState('manual')
+  const [modes, setModes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [invitations, setInvitations] = useState([])
+  const [form, setForm] = useState({ email: '', businessRole: 'agent' })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(()=>{ load() }, [])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/business/team')
+      setMembers(res.data.members)
+      setMode(res.data.assignment.mode)
+      setModes(res.data.assignmentModes)
+      if (isOwner) {
+        const inv = await api.get('/api/business/team/invitations')
+        setInvitations(inv.data.invitations)
+      }
+    }catch(err){
+      alert(err?.response?.data?.error || 'Failed to load team')
+    }finally{ setLoading(false) }
+  }
+
+  async function changeMode(next){
+    try{
+      const res = await api.put('/api/business/team/assignment', { mode: next })
+      setMode(res.data.assignment.mode)
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function invite(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const res = await api.post('/api/business/team/invitations', form)
+      setInvitations([res.data.invitation, ...invitations.filter(i=>i.email!==res.data.invitation.email)])
+      setForm({ email: '', businessRole: 'agent' })
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Invite failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSaving(false) }
+  }
+
+  async function revokeInvitation(inv){
+    if (!confirm(`Cancel the invitation for ${inv.email}?`)) return
+    try{
+      await api.delete('/api/business/team/invitations/'+inv._id)
+      setInvitations(invitations.filter(i=>i._id!==inv._id))
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function changeRole(m, businessRole){
+    try{
+      await api.patch('/api/business/team/'+m._id, { businessRole })
+      setMembers(members.map(x=> x._id===m._id ? { ...x, businessRole } : x))
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }
+  }
+
+  async function removeMember(m){
+    if (!confirm(`Remove ${m.name || m.email} from the team? They lose access immediately and their open leads become unassigned.`)) return
+    try{
+      await api.delete('/api/business/team/'+m._id)
+      setMembers(members.filter(x=>x._id!==m._id))
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-4">Team</h2>
+
+      <div className="bg-white p-6 rounded-lg shadow-sm mb-6">
+        <label className="block text-sm font-medium">Assign new leads</label>
+        <select value={mode} onChange={e=>changeMode(e.target.value)} className="mt-1 border rounded-md px-3 py-2">
+          {modes.map(m=> <option key={m} value={m}>{MODE_LABELS[m] || m}</option>)}
+        </select>
+        <div className="text-xs text-slate-500 mt-1">Automatic modes pick among members with the agent role.</div>
+      </div>
+
+      {loading ? <div>Loading...</div> : (
+        <div className="bg-white rounded-lg shadow-sm mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="p-3">Name</th><th className="p-3">Email</th><th className="p-3">Role</th><th className="p-3">Open leads</th>{isOwner && <th className="p-3"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(m=> (
+                <tr key={m._id} className="border-b last:border-0">
+                  <td className="p-3">{m.name || '—'}</td>
+                  <td className="p-3">{m.email}</td>
+                  <td className="p-3 capitalize">
+                    {isOwner && m.businessRole !== 'owner' ? (
+                      <select value={m.businessRole} onChange={e=>changeRole(m, e.target.value)} className="border rounded-md px-2 py-1">
+                        <option value="agent">Agent</option>
+                        <option value="manager">Manager</option>
+                      </select>
+                    ) : m.businessRole}
+                  </td>
+                  <td className="p-3">{m.openLeads}</td>
+                  {isOwner && <td className="p-3 text-right">{m.businessRole !== 'owner' && <button onClick={()=>removeMember(m)} className="btn-logout">Remove</button>}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {isOwner && invitations.length > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-sm mb-6">
+          <div className="font-medium mb-2">Pending invitations</div>
+          <ul className="text-sm divide-y">
+            {invitations.map(inv=> (
+              <li key={inv._id} className="py-2 flex items-center justify-between gap-2">
+                <span>{inv.email} · <span className="capitalize">{inv.businessRole}</span> · expires {new Date(inv.expiresAt).toLocaleDateString()}</span>
+                <button onClick={()=>revokeInvitation(inv)} className="nav-link">Cancel</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {isOwner && (
+        <form onSubmit={invite} className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <div className="font-medium">Invite a member</div>
+          <div className="text-xs text-slate-500">We email them a link to join this business. It expires after 7 days.</div>
+          <div className="grid sm:grid-cols-2 gap-3">
+            <input className="border rounded-md px-3 py-2" placeholder="Email" value={form.email} onChange={e=>setForm({...form, email:e.target.value})} />
+            <select className="border rounded-md px-3 py-2" value={form.businessRole} onChange={e=>setForm({...form, businessRole:e.target.value})}>
+              <option value="agent">Agent — works assigned leads</option>
+              <option value="manager">Manager — all leads and settings</option>
+            </select>
+          </div>
+          <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Sending…' : 'Send invitation'}</button>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api } from '../api'
+
+// Landing page for the link in account email confirmations. The token only
+// works for the account it was sent to, so the visitor has to be logged in.
+export default function VerifyEmail(){
+  const [params] = useSearchParams()
+  const [state, setState] = useState({ status: 'loading' })
+
+  useEffect(()=>{
+    const token = params.get('token')
+    if (!token) return setState({ status: 'error', error: 'This link is missing its token.' })
+    if (!localStorage.getItem('token')) return setState({ status: 'login' })
+    api.post('/api/auth/verify-email', { token })
+      .then(res=>{
+        const raw = localStorage.getItem('user')
+        if (raw) localStorage.setItem('user', JSON.stringify({ ...JSON.parse(raw), emailVerified: true }))
+        setState({ status: 'done', ...res.data })
+      })
+      .catch(err=>setState({ status: 'error', error: err?.response?.data?.error || err.message }))
+  }, [params])
+
+  if (state.status === 'loading') return <div style={{padding:20}}>Confirming your email…</div>
+  if (state.status === 'login') return (
+    <div style={{padding:20}}>
+      <h2>Log in to confirm your email</h2>
+      <p><Link to="/login">Log in</Link> to the account you created, then open the link from the email again.</p>
+    </div>
+  )
+  if (state.status === 'error') return (
+    <div style={{padding:20}}>
+      <h2>We couldn't confirm your email</h2>
+      <p>{state.error}</p>
+      <p><Link to="/settings">Settings</Link></p>
+    </div>
+  )
+  return (
+    <div style={{padding:20}}>
+      <h2>Email confirmed</h2>
+      {state.linked > 0 && <p>{state.linked === 1 ? 'An inquiry' : `${state.linked} inquiries`} you sent as a guest now show up in your account.</p>}
+      <p><Link to="/dashboard">Go to your dashboard</Link></p>
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { api } from '../api'
+
+// Landing page for the magic link in guest verification emails
+export default function VerifyInquiry(){
+  const [params] = useSearchParams()
+  const [state, setState] = useState({ status: 'loading' })
+
+  useEffect(()=>{
+    const token = params.get('token')
+    if (!token) return setState({ status: 'error', error: 'This link is missing its token.' })
+    api.post('/api/leads/guest/verify-link', { token })
+      .then(res=>setState({ status: 'done', ...res.data }))
+      .catch(err=>setState({ status: 'error', error: err?.response?.data?.error || err.message }))
+  }, [params])
+
+  if (state.status === 'loading') return <div style={{padding:20}}>Confirming your inquiry…</div>
+  if (state.status === 'error') return (
+    <div style={{padding:20}}>
+      <h2>We couldn't confirm your inquiry</h2>
+      <p>{state.error}</p>
+      <p><Link to="/">Go Home</Link></p>
+    </div>
+  )
+  return (
+    <div style={{padding:20}}>
+      <h2>Inquiry sent</h2>
+      <p>Your inquiry{state.businessName ? ` to ${state.businessName}` : ''} has been delivered. They will contact you soon.</p>
+      {!localStorage.getItem('token') && (
+        <p><Link to={`/register?role=customer&email=${encodeURIComponent(state.email || '')}&inquiryToken=${params.get('token')}`}>Create an account</Link> with this email to track your inquiries.</p>
+      )}
+      <p><Link to="/">Go Home</Link></p>
+    </div>
+  )
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+function Deliveries({ hook }){
+  const [items, setItems] = useState(null)
+
+  useEffect(()=>{ load() }, [hook._id])
+
+  async function load(){
+    try{
+      const res = await api.get(`/api/business/webhooks/${hook._id}/deliveries`)
+      setItems(res.data)
+    }catch(err){ alert('Failed to load deliveries: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function redeliver(d){
+    try{
+      await api.post(`/api/business/webhooks/${hook._id}/deliveries/${d._id}/redeliver`)
+      setTimeout(load, 800)
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  if (!items) return <div className="text-sm text-slate-500 mt-2">Loading deliveries…</div>
+  return (
+    <div className="mt-3 border-t pt-2">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-sm font-medium">Recent deliveries</div>
+        <button onClick={load} className="nav-link text-sm">Refresh</button>
+      </div>
+      {items.length === 0 && <div className="text-sm text-slate-500">No deliveries yet</div>}
+      <ul className="space-y-1 text-sm">
+        {items.map(d => (
+          <li key={d._id} className="flex items-center justify-between gap-2">
+            <div>
+              <span className={d.status === 'succeeded' ? 'text-green-700' : d.status === 'failed' ? 'text-red-600' : 'text-slate-600'}>{d.status}</span>
+              {' · '}<strong>{d.event}</strong>
+              {' · '}{new Date(d.createdAt).toLocaleString()}
+              {' · '}{d.attempts} attempt{d.attempts === 1 ? '' : 's'}
+              {d.responseStatus ? ` · HTTP ${d.responseStatus}` : ''}
+              {d.lastError && <span className="text-red-600"> · {d.lastError}</span>}
+            </div>
+            {d.status !== 'sending' && <button onClick={()=>redeliver(d)} className="nav-link">Redeliver</button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default function Webhooks(){
+  const [hooks, setHooks] = useState([])
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState({ url: '', description: '', events: [] })
+  const [saving, setSaving] = useState(false)
+  const [revealed, setRevealed] = useState(null) // { id, secret } shown once after create/rotate
+  const [openId, setOpenId] = useState(null)
+
+  useEffect(()=>{ load() }, [])
+
+  async function load(){
+    try{
+      setLoading(true)
+      const res = await api.get('/api/business/webhooks')
+      setHooks(res.data.webhooks)
+      setEvents(res.data.events)
+    }catch(err){
+      alert(err?.response?.data?.error || 'Failed to load webhooks')
+    }finally{ setLoading(false) }
+  }
+
+  function toggleEvent(list, ev){
+    return list.includes(ev) ? list.filter(e=>e!==ev) : [...list, ev]
+  }
+
+  async function create(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const res = await api.post('/api/business/webhooks', form)
+      const { secret, ...hook } = res.data.webhook
+      setHooks([hook, ...hooks])
+      setRevealed({ id: hook._id, secret })
+      setForm({ url: '', description: '', events: [] })
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Save failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSaving(false) }
+  }
+
+  async function update(hook, changes){
+    try{
+      const res = await api.put('/api/business/webhooks/'+hook._id, changes)
+      setHooks(hooks.map(h=> h._id===hook._id ? res.data.webhook : h))
+    }catch(err){ alert('Update failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function remove(hook){
+    if (!confirm('Delete this webhook?')) return
+    try{
+      await api.delete('/api/business/webhooks/'+hook._id)
+      setHooks(hooks.filter(h=>h._id!==hook._id))
+    }catch(err){ alert('Delete failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function rotate(hook){
+    if (!confirm('Generate a new signing secret? The old one stops working immediately.')) return
+    try{
+      const res = await api.post(`/api/business/webhooks/${hook._id}/rotate-secret`)
+      setRevealed({ id: hook._id, secret: res.data.webhook.secret })
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  async function sendTest(hook){
+    try{
+      await api.post(`/api/business/webhooks/${hook._id}/test`)
+      setOpenId(null)
+      setTimeout(()=>setOpenId(hook._id), 800)
+    }catch(err){ alert('Failed: '+(err?.response?.data?.error||err.message)) }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-1">Webhooks</h2>
+      <p className="text-sm text-slate-600 mb-4">
+        We POST a JSON payload to your endpoint when these events happen. Each request is signed:
+        verify <code>X-WebLeads-Signature</code> as <code>sha256=HMAC(secret, timestamp + "." + body)</code> using <code>X-WebLeads-Timestamp</code>.
+      </p>
+
+      <form onSubmit={create} className="bg-white p-6 rounded-lg shadow-sm space-y-3 mb-6">
+        <div>
+          <label className="block text-sm font-medium">Endpoint URL</label>
+          <input className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="https://crm.example.com/webleads" value={form.url} onChange={e=>setForm({...form, url:e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium">Description</label>
+          <input className="mt-1 block w-full border rounded-md px-3 py-2" placeholder="e.g. Push leads to our CRM" value={form.description} onChange={e=>setForm({...form, description:e.target.value})} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium">Events</label>
+          <div className="mt-1 flex flex-wrap gap-3">
+            {events.map(ev=> (
+              <label key={ev} className="text-sm flex items-center gap-1">
+                <input type="checkbox" checked={form.events.includes(ev)} onChange={()=>setForm({...form, events: toggleEvent(form.events, ev)})} /> {ev}
+              </label>
+            ))}
+          </div>
+        </div>
+        <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Saving…' : 'Add webhook'}</button>
+      </form>
+
+      {loading ? <div>Loading...</div> : (
+        <div className="space-y-3">
+          {hooks.length === 0 && <div className="card">No webhooks yet.</div>}
+          {hooks.map(h=> (
+            <div key={h._id} className="card">
+              <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+                <div>
+                  <div className="font-semibold break-all">{h.url}</div>
+                  {h.description && <div className="text-sm text-slate-600">{h.description}</div>}
+                  <div className="text-xs text-slate-500 mt-1">{(h.events||[]).join(', ')}</div>
+                </div>
+                <div className="flex items-center gap-2 flex-wrap">
+                  <label className="text-sm flex items-center gap-1">
+                    <input type="checkbox" checked={h.active !== false} onChange={e=>update(h, { active: e.target.checked })} /> Active
+                  </label>
+                  <button onClick={()=>sendTest(h)} className="nav-link">Send test event</button>
+                  <button onClick={()=>setOpenId(openId===h._id ? null : h._id)} className="nav-link">{openId===h._id ? 'Hide deliveries' : 'Deliveries'}</button>
+                  <button onClick={()=>rotate(h)} className="nav-link">Rotate secret</button>
+                  <button onClick={()=>remove(h)} className="btn-logout">Delete</button>
+                </div>
+              </div>
+              {revealed?.id === h._id && (
+                <div className="mt-2 p-2 bg-amber-50 border border-amber-100 rounded text-sm">
+                  Signing secret (copy it now, it won't be shown again): <code className="break-all">{revealed.secret}</code>
+                </div>
+              )}
+              {openId === h._id && <Deliveries hook={h} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
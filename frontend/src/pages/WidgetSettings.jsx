@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react'
+import { api } from '../api'
+
+const FIELD_LABELS = { name: 'Name', message: 'Message', product: 'Product picker' }
+
+function Preview({ widget, productSelected }){
+  const box = { background: widget.backgroundColor, color: widget.textColor, maxWidth: 420, padding: 16, border: '1px solid #e2e8f0', borderRadius: 8 }
+  const input = { width: '100%', padding: 8, border: '1px solid #cbd5e1', borderRadius: 6, marginTop: 4, background: '#fff' }
+  const label = { display: 'block', marginBottom: 10, fontWeight: 500, fontSize: 14 }
+  return (
+    <div style={box}>
+      <div style={{ fontSize: 16, fontWeight: 600, marginBottom: 12 }}>{widget.title}</div>
+      {widget.fields.includes('name') && <label style={label}>Name<input style={input} disabled /></label>}
+      <label style={label}>Email *<input style={input} disabled /></label>
+      <label style={label}>Phone *<input style={input} disabled /></label>
+      {widget.fields.includes('product') && !productSelected && <label style={label}>Product<select style={input} disabled><option>General inquiry</option></select></label>}
+      {widget.fields.includes('message') && <label style={label}>Message<textarea style={input} rows={3} disabled /></label>}
+      <button type="button" style={{ background: widget.primaryColor, color: '#fff', border: 0, borderRadius: 6, padding: '9px 16px' }}>{widget.buttonText}</button>
+    </div>
+  )
+}
+
+export default function WidgetSettings(){
+  const [businessId, setBusinessId] = useState(null)
+  const [widget, setWidget] = useState(null)
+  const [fields, setFields] = useState([])
+  const [origins, setOrigins] = useState('')
+  const [products, setProducts] = useState([])
+  const [productId, setProductId] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  useEffect(()=>{ load() }, [])
+
+  async function load(){
+    try{
+      const res = await api.get('/api/business/widget')
+      setBusinessId(res.data.businessId)
+      setWidget(res.data.widget)
+      setFields(res.data.fields)
+      setOrigins((res.data.widget.allowedOrigins || []).join('\n'))
+      const prod = await api.get('/api/business/products')
+      setProducts(prod.data)
+    }catch(err){
+      alert(err?.response?.data?.error || 'Failed to load widget settings')
+    }
+  }
+
+  function toggleField(f){
+    const list = widget.fields.includes(f) ? widget.fields.filter(x=>x!==f) : [...widget.fields, f]
+    setWidget({ ...widget, fields: list })
+  }
+
+  async function save(e){
+    e.preventDefault()
+    try{
+      setSaving(true)
+      const allowedOrigins = origins.split(/[\n,]/).map(s=>s.trim()).filter(Boolean)
+      const res = await api.put('/api/business/widget', { ...widget, allowedOrigins })
+      setWidget(res.data.widget)
+      setOrigins(res.data.widget.allowedOrigins.join('\n'))
+    }catch(err){
+      const details = err?.response?.data?.details
+      alert('Save failed: '+(details ? Object.values(details).join('; ') : (err?.response?.data?.error||err.message)))
+    }finally{ setSaving(false) }
+  }
+
+  if (!widget) return <div className="max-w-4xl mx-auto px-4 py-8">Loading...</div>
+
+  const snippet = `<script src="${api.defaults.baseURL}/widget.js" data-business="${businessId}"${productId ? ` data-product="${productId}"` : ''} async></script>`
+
+  async function copySnippet(){
+    try{
+      await navigator.clipboard.writeText(snippet)
+      setCopied(true)
+      setTimeout(()=>setCopied(false), 1500)
+    }catch(err){ alert('Copy failed, select the snippet and copy it manually') }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8">
+      <h2 className="text-xl font-semibold mb-1">Website Widget</h2>
+      <p className="text-sm text-slate-600 mb-4">
+        Paste the snippet into any page of your website to collect inquiries there. Submissions arrive as leads with source <code>widget</code>.
+      </p>
+
+      <div className="bg-white p-6 rounded-lg shadow-sm mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium">Embed snippet</label>
+          <div className="flex items-center gap-2 text-sm">
+            <select value={productId} onChange={e=>setProductId(e.target.value)} className="border rounded-md px-2 py-1">
+              <option value="">Any product</option>
+              {products.map(p=> <option key={p._id} value={p._id}>{p.name}</option>)}
+            </select>
+            <button type="button" onClick={copySnippet} className="nav-link">{copied ? 'Copied!' : 'Copy'}</button>
+          </div>
+        </div>
+        <textarea readOnly rows={3} className="block w-full border rounded-md px-3 py-2 font-mono text-xs" value={snippet} onFocus={e=>e.target.select()} />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <form onSubmit={save} className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <label className="text-sm flex items-center gap-2">
+            <input type="checkbox" checked={widget.enabled !== false} onChange={e=>setWidget({...widget, enabled: e.target.checked})} /> Widget enabled
+          </label>
+          <div>
+            <label className="block text-sm font-medium">Title</label>
+            <input className="mt-1 block w-full border rounded-md px-3 py-2" value={widget.title} onChange={e=>setWidget({...widget, title:e.target.value})} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium">Button text</label>
+            <input className="mt-1 block w-full border rounded-md px-3 py-2" value={widget.buttonText} onChange={e=>setWidget({...widget, buttonText:e.target.value})} />
+          </div>
+          <div className="flex gap-4">
+            {[['primaryColor','Button'],['backgroundColor','Background'],['textColor','Text']].map(([key, label])=> (
+              <label key={key} className="text-sm">
+                <span className="block font-medium">{label}</span>
+                <input type="color" value={widget[key]} onChange={e=>setWidget({...widget, [key]: e.target.value})} />
+              </label>
+            ))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium">Fields</label>
+            <div className="text-xs text-slate-500">Email and phone are always asked for.</div>
+            <div className="mt-1 flex flex-wrap gap-3">
+              {fields.map(f=> (
+                <label key={f} className="text-sm flex items-center gap-1">
+                  <input type="checkbox" checked={widget.fields.includes(f)} onChange={()=>toggleField(f)} /> {FIELD_LABELS[f] || f}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium">Allowed websites</label>
+            <div className="text-xs text-slate-500">One per line, e.g. https://www.example.com. Leave empty to allow any site.</div>
+            <textarea rows={3} className="mt-1 block w-full border rounded-md px-3 py-2" value={origins} onChange={e=>setOrigins(e.target.value)} />
+          </div>
+          <button disabled={saving} className="px-4 py-2 bg-blue-600 text-white rounded-md">{saving ? 'Saving…' : 'Save'}</button>
+        </form>
+
+        <div>
+          <div className="text-sm font-medium mb-2">Preview</div>
+          <Preview widget={widget} productSelected={!!productId} />
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,25 @@
+import { io } from "socket.io-client";
+import { api } from "./api";
+
+let socket = null;
+
+// Shared Socket.IO connection, authenticated with the stored JWT.
+// Returns null when nobody is logged in.
+export function getSocket() {
+  const token = localStorage.getItem("token");
+  if (!token) return null;
+  if (socket && socket.auth?.token === token) return socket;
+  if (socket) socket.disconnect();
+  socket = io(api.defaults.baseURL, { auth: { token } });
+  // The server drops connections when team membership changes; join again
+  // so the rooms match the new role
+  socket.on("disconnect", (reason) => {
+    if (reason === "io server disconnect" && socket) socket.connect();
+  });
+  return socket;
+}
+
+export function disconnectSocket() {
+  if (socket) socket.disconnect();
+  socket = null;
+}